@@ -0,0 +1,211 @@
+import imaps from "imap-simple";
+import { jest } from "@jest/globals";
+import { User, MailAccount } from "../../src/models/index.js";
+import { addAccount, updateAccount, removeAccount } from "../../src/services/account.js";
+
+/**
+ * Makes IMAP logins succeed, or fail with the given message, and returns
+ * the spy so the connection settings can be checked.
+ */
+function mockLogin(failure = null) {
+  return jest.spyOn(imaps, "connect").mockImplementation(async () => {
+    if (failure) throw new Error(failure);
+    return { end: jest.fn() };
+  });
+}
+
+/**
+ * Builds an unsaved MailAccount as if it had been loaded for the user.
+ */
+function storedAccount(values) {
+  return MailAccount.build({
+    id: 5,
+    userId: 1,
+    email: "me@fastmail.com",
+    provider: "fastmail",
+    host: "imap.fastmail.com",
+    port: 993,
+    tls: true,
+    authType: "login",
+    password: "old-password",
+    ...values,
+  });
+}
+
+describe("Account Service", () => {
+  let save;
+
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+    save = jest.spyOn(MailAccount.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("addAccount", () => {
+    beforeEach(() => {
+      jest.spyOn(MailAccount, "findOne").mockResolvedValue(null);
+    });
+
+    it("should store the account with the preset server after logging in", async () => {
+      const connect = mockLogin();
+
+      const account = await addAccount("me@example.com", {
+        provider: "outlook",
+        email: "me@outlook.com",
+        authType: "login",
+        password: "app-password",
+      });
+
+      expect(connect.mock.calls[0][0].imap).toMatchObject({
+        user: "me@outlook.com",
+        password: "app-password",
+        host: "outlook.office365.com",
+        port: 993,
+      });
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(account.userId).toBe(1);
+      expect(account.password).toBe("app-password");
+    });
+
+    it("should use the user's server settings for custom providers", async () => {
+      const connect = mockLogin();
+
+      await addAccount("me@example.com", {
+        provider: "custom",
+        email: "me@example.org",
+        authType: "login",
+        username: "me",
+        password: "secret",
+        host: "mail.example.org",
+        port: 143,
+        tls: false,
+      });
+
+      expect(connect.mock.calls[0][0].imap).toMatchObject({
+        user: "me",
+        host: "mail.example.org",
+        port: 143,
+        tls: false,
+      });
+    });
+
+    it("should not store the account when the login fails", async () => {
+      mockLogin("Invalid credentials");
+
+      await expect(
+        addAccount("me@example.com", {
+          provider: "fastmail",
+          email: "me@fastmail.com",
+          authType: "login",
+          password: "wrong",
+        })
+      ).rejects.toThrow("Could not log in to imap.fastmail.com: Invalid credentials");
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it("should refuse authentication methods the provider doesn't offer", async () => {
+      const connect = mockLogin();
+
+      await expect(
+        addAccount("me@example.com", {
+          provider: "fastmail",
+          email: "me@fastmail.com",
+          authType: "xoauth2",
+          accessToken: "token",
+        })
+      ).rejects.toThrow("Unsupported authentication method");
+      expect(connect).not.toHaveBeenCalled();
+    });
+
+    it("should refuse an account that is already connected", async () => {
+      MailAccount.findOne.mockResolvedValue({ id: 5 });
+      const connect = mockLogin();
+
+      await expect(
+        addAccount("me@example.com", {
+          provider: "fastmail",
+          email: "me@fastmail.com",
+          authType: "login",
+          password: "secret",
+        })
+      ).rejects.toThrow("Account already connected");
+      expect(connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("updateAccount", () => {
+    it("should store a new password after logging in with it", async () => {
+      const findOne = jest.spyOn(MailAccount, "findOne").mockResolvedValue(storedAccount());
+      const connect = mockLogin();
+
+      const account = await updateAccount("me@example.com", 5, { password: "new-password" });
+
+      expect(findOne.mock.calls[0][0].where).toEqual({ id: 5, userId: 1 });
+      expect(connect.mock.calls[0][0].imap.password).toBe("new-password");
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(account.password).toBe("new-password");
+    });
+
+    it("should not store new settings when the login fails", async () => {
+      jest.spyOn(MailAccount, "findOne").mockResolvedValue(storedAccount());
+      mockLogin("Invalid credentials");
+
+      await expect(
+        updateAccount("me@example.com", 5, { password: "wrong" })
+      ).rejects.toThrow("Could not log in");
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it("should refuse changes that don't apply to the account", async () => {
+      jest.spyOn(MailAccount, "findOne").mockResolvedValue(storedAccount());
+      const connect = mockLogin();
+
+      await expect(
+        updateAccount("me@example.com", 5, { host: "evil.example" })
+      ).rejects.toThrow("Unsupported changes for this account: host");
+      expect(connect).not.toHaveBeenCalled();
+    });
+
+    it("should leave the tokens of Google sign-in accounts to the Google login", async () => {
+      jest.spyOn(MailAccount, "findOne").mockResolvedValue(
+        storedAccount({ provider: "gmail", host: "imap.gmail.com", authType: "xoauth2", password: null })
+      );
+
+      await expect(
+        updateAccount("me@example.com", 5, { accessToken: "ya29.token" })
+      ).rejects.toThrow("Unsupported changes");
+    });
+
+    it("should throw if the account belongs to someone else", async () => {
+      jest.spyOn(MailAccount, "findOne").mockResolvedValue(null);
+
+      await expect(
+        updateAccount("me@example.com", 99, { password: "secret" })
+      ).rejects.toThrow("Account not found");
+    });
+  });
+
+  describe("removeAccount", () => {
+    it("should remove an account of the user", async () => {
+      const account = storedAccount();
+      const destroy = jest.spyOn(account, "destroy").mockResolvedValue();
+      const findOne = jest.spyOn(MailAccount, "findOne").mockResolvedValue(account);
+
+      await removeAccount("me@example.com", 5);
+
+      expect(findOne.mock.calls[0][0].where).toEqual({ id: 5, userId: 1 });
+      expect(destroy).toHaveBeenCalled();
+    });
+
+    it("should throw if the account belongs to someone else", async () => {
+      jest.spyOn(MailAccount, "findOne").mockResolvedValue(null);
+
+      await expect(removeAccount("me@example.com", 99)).rejects.toThrow("Account not found");
+    });
+  });
+});
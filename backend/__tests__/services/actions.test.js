@@ -0,0 +1,73 @@
+import imaps from "imap-simple";
+import { jest } from "@jest/globals";
+import { User, MailAccount, Email, Folder } from "../../src/models/index.js";
+import { applyMessageAction } from "../../src/services/actions.js";
+
+const ACCOUNT = {
+  id: 2,
+  userId: 1,
+  email: "me@example.org",
+  provider: "custom",
+  authType: "login",
+  host: "mail.example.org",
+};
+
+/**
+ * Makes IMAP logins return a fake connection to a server with or without
+ * UIDPLUS.
+ */
+function mockServer({ uidplus }) {
+  const connection = {
+    openBox: jest.fn().mockResolvedValue({}),
+    addFlags: jest.fn().mockResolvedValue(),
+    end: jest.fn(),
+    imap: {
+      serverSupports: jest.fn((capability) => capability === "UIDPLUS" && uidplus),
+      expunge: jest.fn((uids, cb) => cb(null)),
+    },
+  };
+  jest.spyOn(imaps, "connect").mockResolvedValue(connection);
+  return connection;
+}
+
+describe("Message Actions Service", () => {
+  let destroy;
+
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+    jest.spyOn(MailAccount, "findByPk").mockResolvedValue(ACCOUNT);
+    jest.spyOn(Folder, "findAll").mockResolvedValue([]);
+    jest.spyOn(Email, "findAll").mockResolvedValue([
+      { id: 7, accountId: 2, mailbox: "INBOX", uid: 70, source: "imap", threadId: null },
+      { id: 8, accountId: 2, mailbox: "INBOX", uid: 80, source: "imap", threadId: null },
+    ]);
+    destroy = jest.spyOn(Email, "destroy").mockResolvedValue(2);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("delete", () => {
+    it("should expunge the messages and remove the stored emails", async () => {
+      const connection = mockServer({ uidplus: true });
+
+      const result = await applyMessageAction("me@example.com", [7, 8], "delete");
+
+      expect(connection.imap.expunge.mock.calls[0][0]).toEqual([70, 80]);
+      expect(destroy).toHaveBeenCalledWith({ where: { id: [7, 8] } });
+      expect(result).toEqual({ action: "delete", count: 2, ids: [7, 8], pendingIds: [] });
+    });
+
+    it("should keep emails a server without UIDPLUS could only flag deleted", async () => {
+      const connection = mockServer({ uidplus: false });
+
+      const result = await applyMessageAction("me@example.com", [7, 8], "delete");
+
+      expect(connection.addFlags).toHaveBeenCalledWith([70, 80], "\\Deleted");
+      expect(connection.imap.expunge).not.toHaveBeenCalled();
+      expect(destroy).not.toHaveBeenCalled();
+      expect(result).toEqual({ action: "delete", count: 0, ids: [], pendingIds: [7, 8] });
+    });
+  });
+});
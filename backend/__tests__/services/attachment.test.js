@@ -0,0 +1,285 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+import { Readable } from "stream";
+import imaps from "imap-simple";
+import { jest } from "@jest/globals";
+import { User, MailAccount, Email, Attachment } from "../../src/models/index.js";
+import {
+  saveAttachments,
+  storeAttachmentContent,
+  listAttachments,
+  getAttachmentDownload,
+} from "../../src/services/attachment.js";
+import { writeBlob, blobExists, deleteBlobPrefix } from "../../src/services/storage.js";
+
+const USER_ID = 424242;
+const PDF = Buffer.from("%PDF-1.4 quarterly numbers");
+const md5 = (content) => crypto.createHash("md5").update(content).digest("hex");
+
+/**
+ * Builds a stored attachment whose update is recorded.
+ */
+function storedAttachment(values) {
+  const attachment = { id: 1, storageKey: null, contentId: null, ...values };
+  attachment.update = jest.fn(async (changes) => Object.assign(attachment, changes));
+  return attachment;
+}
+
+/**
+ * Makes IMAP logins return a fake connection whose FETCH sends the given
+ * base64 part in two chunks.
+ */
+function mockPartFetch(content) {
+  const encoded = content.toString("base64");
+  const connection = {
+    openBox: jest.fn().mockResolvedValue({}),
+    end: jest.fn(),
+    imap: {
+      fetch: jest.fn(() => {
+        const fetch = new EventEmitter();
+        setImmediate(() => {
+          const message = new EventEmitter();
+          fetch.emit("message", message);
+          message.emit("body", Readable.from([encoded.slice(0, 10), encoded.slice(10)]));
+          fetch.emit("end");
+        });
+        return fetch;
+      }),
+    },
+  };
+  jest.spyOn(MailAccount, "findByPk").mockResolvedValue({
+    id: 2,
+    email: "me@example.com",
+    authType: "login",
+    host: "mail.example.com",
+  });
+  jest.spyOn(imaps, "connect").mockResolvedValue(connection);
+  return connection;
+}
+
+/**
+ * Reads a stream to the end.
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe("Attachment Service", () => {
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    delete process.env.ATTACHMENT_STORAGE;
+    await deleteBlobPrefix(`attachments/${USER_ID}`);
+    await deleteBlobPrefix(`raw/${USER_ID}`);
+  });
+
+  describe("saveAttachments", () => {
+    it("should store metadata only when attachments are served from IMAP", async () => {
+      const bulkCreate = jest.spyOn(Attachment, "bulkCreate").mockResolvedValue([]);
+
+      await saveAttachments({ id: 7, userId: USER_ID }, [
+        {
+          filename: "report.pdf",
+          contentType: "application/pdf",
+          size: 26,
+          checksum: md5(PDF),
+          content: PDF,
+        },
+      ]);
+
+      expect(bulkCreate).toHaveBeenCalledWith([
+        {
+          filename: "report.pdf",
+          contentType: "application/pdf",
+          size: 26,
+          checksum: md5(PDF),
+          emailId: 7,
+          userId: USER_ID,
+          storageKey: null,
+        },
+      ]);
+    });
+
+    it("should keep one copy of identical content with local storage", async () => {
+      process.env.ATTACHMENT_STORAGE = "local";
+      const bulkCreate = jest.spyOn(Attachment, "bulkCreate").mockResolvedValue([]);
+      const attachment = { filename: "report.pdf", checksum: md5(PDF), content: PDF };
+
+      await saveAttachments({ id: 7, userId: USER_ID }, [attachment, { ...attachment }]);
+
+      const [rows] = bulkCreate.mock.calls[0];
+      expect(rows[0].storageKey).toBe(`attachments/${USER_ID}/${md5(PDF)}`);
+      expect(rows[1].storageKey).toBe(rows[0].storageKey);
+      expect(await blobExists(rows[0].storageKey)).toBe(true);
+    });
+
+    it("should not create rows for emails without attachments", async () => {
+      const bulkCreate = jest.spyOn(Attachment, "bulkCreate");
+
+      await expect(saveAttachments({ id: 7, userId: USER_ID }, [])).resolves.toEqual([]);
+      expect(bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("storeAttachmentContent", () => {
+    it("should fill in checksums, Content-IDs and decoded sizes by filename", async () => {
+      const rows = [
+        storedAttachment({ id: 1, filename: "logo.png", size: 1400 }),
+        storedAttachment({ id: 2, filename: "report.pdf", size: 40 }),
+      ];
+      jest.spyOn(Attachment, "findAll").mockResolvedValue(rows);
+
+      await storeAttachmentContent({ id: 7, userId: USER_ID }, [
+        { filename: "report.pdf", checksum: md5(PDF), size: PDF.length, content: PDF },
+        { filename: "logo.png", checksum: "abc", contentId: "<logo@x>", size: 1024 },
+      ]);
+
+      // BODYSTRUCTURE sizes are of the base64 part; the decoded size replaces them
+      expect(rows[0].update).toHaveBeenCalledWith({
+        checksum: "abc",
+        contentId: "<logo@x>",
+        size: 1024,
+      });
+      expect(rows[1].update).toHaveBeenCalledWith(
+        expect.objectContaining({ checksum: md5(PDF), size: PDF.length })
+      );
+    });
+
+    it("should match attachments that share a filename by part ID", async () => {
+      const rows = [
+        storedAttachment({ id: 1, filename: "scan.pdf", partId: "2" }),
+        storedAttachment({ id: 2, filename: "scan.pdf", partId: "3" }),
+      ];
+      jest.spyOn(Attachment, "findAll").mockResolvedValue(rows);
+
+      await storeAttachmentContent({ id: 7, userId: USER_ID }, [
+        { filename: "scan.pdf", partId: "3", checksum: "second", size: 2 },
+        { filename: "scan.pdf", partId: "2", checksum: "first", size: 1 },
+      ]);
+
+      expect(rows[0].update).toHaveBeenCalledWith(expect.objectContaining({ checksum: "first" }));
+      expect(rows[1].update).toHaveBeenCalledWith(expect.objectContaining({ checksum: "second" }));
+    });
+  });
+
+  describe("listAttachments", () => {
+    it("should list the attachments of the user's email without storage keys", async () => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: USER_ID });
+      const findEmail = jest.spyOn(Email, "findOne").mockResolvedValue({ id: 7 });
+      const findAll = jest.spyOn(Attachment, "findAll").mockResolvedValue([]);
+
+      await listAttachments("me@example.com", 7);
+
+      expect(findEmail.mock.calls[0][0].where).toEqual({ id: 7, userId: USER_ID });
+      expect(findAll.mock.calls[0][0]).toMatchObject({
+        where: { emailId: 7 },
+        attributes: { exclude: ["storageKey"] },
+      });
+    });
+
+    it("should throw if the email belongs to someone else", async () => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: USER_ID });
+      jest.spyOn(Email, "findOne").mockResolvedValue(null);
+
+      await expect(listAttachments("me@example.com", 99)).rejects.toThrow("Email not found");
+    });
+  });
+
+  describe("getAttachmentDownload", () => {
+    beforeEach(() => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: USER_ID });
+    });
+
+    it("should stream stored content with its size", async () => {
+      const storageKey = `attachments/${USER_ID}/${md5(PDF)}`;
+      await writeBlob(storageKey, PDF);
+      jest.spyOn(Email, "findOne").mockResolvedValue({ id: 7, userId: USER_ID });
+      jest.spyOn(Attachment, "findOne").mockResolvedValue(
+        storedAttachment({ storageKey, size: 40 })
+      );
+
+      const { stream, size } = await getAttachmentDownload("me@example.com", 7, 1);
+
+      expect(size).toBe(PDF.length);
+      expect(await readAll(stream)).toEqual(PDF);
+    });
+
+    it("should extract attachments of imported emails from their stored source", async () => {
+      const email = { id: 7, userId: USER_ID, source: "imported" };
+      await writeBlob(
+        `raw/${USER_ID}/7.eml`,
+        [
+          "Subject: Report",
+          "MIME-Version: 1.0",
+          'Content-Type: multipart/mixed; boundary="b1"',
+          "",
+          "--b1",
+          "Content-Type: text/plain",
+          "",
+          "See attached.",
+          "--b1",
+          'Content-Type: application/pdf; name="report.pdf"',
+          "Content-Transfer-Encoding: base64",
+          'Content-Disposition: attachment; filename="report.pdf"',
+          "",
+          PDF.toString("base64"),
+          "--b1--",
+          "",
+        ].join("\r\n")
+      );
+      jest.spyOn(Email, "findOne").mockResolvedValue(email);
+      const attachment = storedAttachment({ checksum: md5(PDF), size: 40 });
+      jest.spyOn(Attachment, "findOne").mockResolvedValue(attachment);
+
+      const { stream, size } = await getAttachmentDownload("me@example.com", 7, 1);
+
+      expect(await readAll(stream)).toEqual(PDF);
+      expect(size).toBe(PDF.length);
+      expect(attachment.update).toHaveBeenCalledWith({ size: PDF.length });
+    });
+
+    it("should stream a part from the mailbox as it is decoded", async () => {
+      const email = { id: 7, userId: USER_ID, accountId: 2, mailbox: "INBOX", uid: 70 };
+      jest.spyOn(Email, "findOne").mockResolvedValue(email);
+      const attachment = storedAttachment({ partId: "2", encoding: "BASE64", size: 40 });
+      jest.spyOn(Attachment, "findOne").mockResolvedValue(attachment);
+      const connection = mockPartFetch(PDF);
+
+      const { stream, size } = await getAttachmentDownload("me@example.com", 7, 1);
+
+      // Only known once the part has been read
+      expect(size).toBeNull();
+      expect(await readAll(stream)).toEqual(PDF);
+      expect(connection.imap.fetch.mock.calls[0][1].bodies).toEqual(["2"]);
+      expect(connection.end).toHaveBeenCalled();
+      expect(attachment.update).toHaveBeenCalledWith({ checksum: md5(PDF), size: PDF.length });
+    });
+
+    it("should store a streamed part before serving it with local storage", async () => {
+      process.env.ATTACHMENT_STORAGE = "local";
+      const email = { id: 7, userId: USER_ID, accountId: 2, mailbox: "INBOX", uid: 70 };
+      jest.spyOn(Email, "findOne").mockResolvedValue(email);
+      const attachment = storedAttachment({ partId: "2", encoding: "base64", size: 40 });
+      jest.spyOn(Attachment, "findOne").mockResolvedValue(attachment);
+      mockPartFetch(PDF);
+
+      const { stream, size } = await getAttachmentDownload("me@example.com", 7, 1);
+
+      expect(size).toBe(PDF.length);
+      expect(await readAll(stream)).toEqual(PDF);
+      expect(attachment.storageKey).toBe(`attachments/${USER_ID}/${md5(PDF)}`);
+      expect(await blobExists(`attachments/${USER_ID}/pending-1`)).toBe(false);
+    });
+
+    it("should throw if the attachment belongs to another email", async () => {
+      jest.spyOn(Email, "findOne").mockResolvedValue({ id: 7, userId: USER_ID });
+      const findOne = jest.spyOn(Attachment, "findOne").mockResolvedValue(null);
+
+      await expect(getAttachmentDownload("me@example.com", 7, 99)).rejects.toThrow(
+        "Attachment not found"
+      );
+      expect(findOne.mock.calls[0][0].where).toEqual({ id: 99, emailId: 7 });
+    });
+  });
+});
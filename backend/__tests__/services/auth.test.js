@@ -1,49 +1,43 @@
+import crypto from "crypto";
 import { jest } from "@jest/globals";
-import { generateAuthUrl, handleOAuthCallback, refreshAccessToken } from "../../src/services/auth.js";
-
-// Mock dependencies
-jest.mock("../../src/config/oauth.js", () => ({
-  default: {
-    generateAuthUrl: jest.fn(),
-    getToken: jest.fn(),
-    setCredentials: jest.fn(),
-    getAccessToken: jest.fn(),
-  },
-}));
-
-jest.mock("../../src/models/index.js", () => ({
-  User: {
-    upsert: jest.fn(),
-    findOne: jest.fn(),
-  },
-}));
-
-jest.mock("../../src/utils/logger.js", () => ({
-  default: {
-    info: jest.fn(),
-    error: jest.fn(),
-    warn: jest.fn(),
-  },
-}));
+import {
+  generateAuthUrl,
+  handleOAuthCallback,
+  sanitizeReturnTo,
+} from "../../src/services/auth.js";
+import oauthClient from "../../src/config/oauth.js";
+import { User as UserModel, MailAccount as MailAccountModel } from "../../src/models/index.js";
+
+const idToken = (payload) =>
+  `header.${Buffer.from(JSON.stringify(payload)).toString("base64")}.signature`;
 
 describe("Auth Service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   describe("generateAuthUrl", () => {
-    it("should generate OAuth URL", () => {
-      const mockUrl = "https://accounts.google.com/oauth2/auth?...";
-      const oauth2Client = require("../../src/config/oauth.js").default;
-      oauth2Client.generateAuthUrl.mockReturnValue(mockUrl);
+    it("should generate OAuth URL", async () => {
+      const mockUrl = "https://accounts.google.com/o/oauth2/auth?...";
+      const generate = jest.spyOn(oauthClient, "generateAuthUrl").mockReturnValue(mockUrl);
 
-      const url = generateAuthUrl();
+      const { url, loginCookie, expiresAt } = await generateAuthUrl("/accounts");
 
       expect(url).toBe(mockUrl);
-      expect(oauth2Client.generateAuthUrl).toHaveBeenCalledWith({
+      expect(typeof loginCookie).toBe("string");
+      expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(generate).toHaveBeenCalledWith({
         access_type: "offline",
         prompt: "consent",
         scope: [
           "https://mail.google.com/",
-          "profile",
-          "email",
+          "openid",
+          "https://www.googleapis.com/auth/userinfo.email",
+          "https://www.googleapis.com/auth/userinfo.profile",
         ],
+        state: expect.any(String),
+        code_challenge: expect.any(String),
+        code_challenge_method: "S256",
       });
     });
   });
@@ -56,30 +50,103 @@ describe("Auth Service", () => {
     });
 
     it("should handle OAuth callback successfully", async () => {
-      const mockCode = "test-code";
-      const mockTokens = {
-        access_token: "mock-access-token",
-        refresh_token: "mock-refresh-token",
-        id_token: Buffer.from(
-          JSON.stringify({
-            header: {},
-            payload: { email: "test@example.com" },
-            signature: "",
-          })
-        ).toString("base64"),
-      };
-
-      const oauth2Client = require("../../src/config/oauth.js").default;
-      const User = require("../../src/models/index.js").User;
-
-      oauth2Client.getToken.mockResolvedValue({ tokens: mockTokens });
-      User.upsert.mockResolvedValue([{}, true]);
-
-      const result = await handleOAuthCallback(mockCode);
-
-      expect(result).toHaveProperty("email");
-      expect(result).toHaveProperty("redirectUrl");
-      expect(oauth2Client.getToken).toHaveBeenCalledWith(mockCode);
+      const generate = jest
+        .spyOn(oauthClient, "generateAuthUrl")
+        .mockReturnValue("https://accounts.google.com/o/oauth2/auth");
+      const { loginCookie } = await generateAuthUrl("/dashboard?folderId=3");
+      const { state, code_challenge: codeChallenge } = generate.mock.calls[0][0];
+
+      const getToken = jest.spyOn(oauthClient, "getToken").mockResolvedValue({
+        tokens: {
+          access_token: "mock-access-token",
+          refresh_token: "mock-refresh-token",
+          id_token: idToken({ email: "test@example.com" }),
+        },
+      });
+      jest.spyOn(UserModel, "findOrCreate").mockResolvedValue([{ id: 1 }, true]);
+      jest.spyOn(MailAccountModel, "findOne").mockResolvedValue(null);
+      const create = jest.spyOn(MailAccountModel, "create").mockResolvedValue({});
+
+      const result = await handleOAuthCallback("test-code", { state, loginCookie });
+
+      expect(result.email).toBe("test@example.com");
+      expect(result.redirectUrl).toBe("http://localhost:3000/dashboard?folderId=3");
+      // The verifier sent with the code is the one behind the PKCE challenge
+      const { codeVerifier } = getToken.mock.calls[0][0];
+      expect(getToken).toHaveBeenCalledWith({ code: "test-code", codeVerifier });
+      expect(crypto.createHash("sha256").update(codeVerifier).digest("base64url")).toBe(
+        codeChallenge
+      );
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 1,
+          provider: "gmail",
+          authType: "xoauth2",
+          refreshToken: "mock-refresh-token",
+        })
+      );
+    });
+  });
+
+  describe("sanitizeReturnTo", () => {
+    it("should keep allowed frontend paths with their query", () => {
+      expect(sanitizeReturnTo("/accounts")).toBe("/accounts");
+      expect(sanitizeReturnTo("/dashboard?folderId=3")).toBe("/dashboard?folderId=3");
+    });
+
+    it("should fall back to the dashboard for anything else", () => {
+      expect(sanitizeReturnTo(undefined)).toBe("/dashboard");
+      expect(sanitizeReturnTo("/admin")).toBe("/dashboard");
+      expect(sanitizeReturnTo("https://evil.example/dashboard")).toBe("/dashboard");
+      expect(sanitizeReturnTo("//evil.example/dashboard")).toBe("/dashboard");
+      expect(sanitizeReturnTo("/\\evil.example/dashboard")).toBe("/dashboard");
+    });
+  });
+
+  describe("login state", () => {
+    async function startLogin(returnTo) {
+      const generate = jest
+        .spyOn(oauthClient, "generateAuthUrl")
+        .mockReturnValue("https://accounts.google.com/o/oauth2/auth");
+      const { loginCookie } = await generateAuthUrl(returnTo);
+      return { loginCookie, params: generate.mock.calls[0][0] };
+    }
+
+    it("should send a state and an S256 PKCE challenge", async () => {
+      const { params } = await startLogin();
+
+      expect(params.state).toMatch(/^[\w-]{43}$/);
+      expect(params.code_challenge_method).toBe("S256");
+      expect(params.code_challenge).toBeTruthy();
+    });
+
+    it("should reject a callback whose state doesn't match the login cookie", async () => {
+      const { loginCookie } = await startLogin();
+      const getToken = jest.spyOn(oauthClient, "getToken");
+
+      await expect(
+        handleOAuthCallback("code", { state: "forged", loginCookie })
+      ).rejects.toThrow("Invalid login state");
+      await expect(
+        handleOAuthCallback("code", { state: "forged" })
+      ).rejects.toThrow("Invalid login state");
+      expect(getToken).not.toHaveBeenCalled();
+    });
+
+    it("should exchange the code with the verifier and return to the requested path", async () => {
+      const { loginCookie, params } = await startLogin("/accounts");
+      const getToken = jest.spyOn(oauthClient, "getToken").mockResolvedValue({
+        tokens: { access_token: "access", id_token: idToken({ email: "me@example.com" }) },
+      });
+      jest.spyOn(oauthClient, "setCredentials").mockImplementation(() => {});
+      jest.spyOn(UserModel, "findOrCreate").mockResolvedValue([{ id: 1 }, true]);
+      jest.spyOn(MailAccountModel, "findOne").mockResolvedValue(null);
+      jest.spyOn(MailAccountModel, "create").mockResolvedValue({});
+
+      const result = await handleOAuthCallback("code", { state: params.state, loginCookie });
+
+      expect(getToken).toHaveBeenCalledWith({ code: "code", codeVerifier: expect.any(String) });
+      expect(result.redirectUrl).toBe("http://localhost:3000/accounts");
     });
   });
 });
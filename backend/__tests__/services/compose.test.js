@@ -0,0 +1,150 @@
+import net from "net";
+import { buildReply, buildForward, sendMessage } from "../../src/services/compose.js";
+
+const original = {
+  id: 3,
+  messageId: "<abc@example.com>",
+  referenceIds: "<root@example.com>",
+  subject: "Quarterly report",
+  from: "Alice <alice@example.com>",
+  fromName: "Alice",
+  fromAddress: "alice@example.com",
+  date: "2024-03-01T10:00:00Z",
+  recipients: [
+    { kind: "to", address: "me@example.com" },
+    { kind: "to", address: "bob@example.com" },
+    { kind: "cc", address: "carol@example.com" },
+  ],
+};
+
+const content = { body: "Numbers attached.\nThanks", bodyHtml: "" };
+
+/**
+ * Minimal SMTP sink that accepts every message and keeps its DATA.
+ */
+function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 sink ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+
+      if (inData) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end === -1) return;
+        messages.push(buffer.slice(0, end));
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write("250 OK queued\r\n");
+      }
+
+      let newline;
+      while (!inData && (newline = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        const command = line.slice(0, 4).toUpperCase();
+
+        if (command === "EHLO" || command === "HELO") socket.write("250 sink\r\n");
+        else if (command === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") socket.end("221 Bye\r\n");
+        else socket.write("250 OK\r\n");
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve({ server, messages }));
+  });
+}
+
+describe("Compose Service", () => {
+  describe("buildReply", () => {
+    it("should reply to the sender with threading headers and a quote", () => {
+      const message = buildReply(original, content, { text: "Got it" }, "me@example.com");
+
+      expect(message.to).toEqual(["alice@example.com"]);
+      expect(message.cc).toEqual([]);
+      expect(message.subject).toBe("Re: Quarterly report");
+      expect(message.inReplyTo).toBe("<abc@example.com>");
+      expect(message.references).toBe("<root@example.com> <abc@example.com>");
+      expect(message.text).toContain("Got it");
+      expect(message.text).toContain("> Numbers attached.\n> Thanks");
+      expect(message.html).toBeUndefined();
+    });
+
+    it("should copy the other recipients on reply-all, but not the account itself", () => {
+      const message = buildReply(
+        { ...original, subject: "RE: Quarterly report" },
+        content,
+        { text: "Got it", html: "<p>Got it</p>", replyAll: true },
+        "Me@example.com"
+      );
+
+      expect(message.cc).toEqual(["bob@example.com", "carol@example.com"]);
+      expect(message.subject).toBe("RE: Quarterly report");
+      expect(message.html).toContain("<blockquote");
+      expect(message.html).toContain("Numbers attached.<br>Thanks");
+    });
+  });
+
+  describe("buildForward", () => {
+    it("should include the original headers and body", () => {
+      const message = buildForward(original, content, { text: "FYI" });
+
+      expect(message.subject).toBe("Fwd: Quarterly report");
+      expect(message.text).toContain("FYI");
+      expect(message.text).toContain("From: Alice <alice@example.com>");
+      expect(message.text).toContain("To: me@example.com, bob@example.com");
+      expect(message.text).toContain("Numbers attached.");
+    });
+  });
+
+  describe("sendMessage", () => {
+    let sink;
+    const env = { ...process.env };
+
+    beforeAll(async () => {
+      sink = await startSmtpSink();
+      process.env.SMTP_HOST = "127.0.0.1";
+      process.env.SMTP_PORT = String(sink.server.address().port);
+      process.env.SMTP_SECURE = "false";
+      delete process.env.SMTP_USER;
+    });
+
+    afterAll(async () => {
+      process.env = env;
+      await new Promise((resolve) => sink.server.close(resolve));
+    });
+
+    it("should send text and HTML alternatives with attachments through the relay", async () => {
+      const result = await sendMessage(
+        { email: "me@example.com", provider: "custom" },
+        {
+          to: ["alice@example.com"],
+          subject: "Hello",
+          text: "Plain body",
+          html: "<p>HTML body</p>",
+          inReplyTo: "<abc@example.com>",
+          attachments: [{ filename: "notes.txt", content: Buffer.from("notes") }],
+        }
+      );
+
+      expect(result.accepted).toEqual(["alice@example.com"]);
+      expect(sink.messages).toHaveLength(1);
+
+      const mime = sink.messages[0];
+      expect(mime).toContain("From: me@example.com");
+      expect(mime).toContain("In-Reply-To: <abc@example.com>");
+      expect(mime).toContain("multipart/mixed");
+      expect(mime).toContain("multipart/alternative");
+      expect(mime).toContain("Plain body");
+      expect(mime).toContain("<p>HTML body</p>");
+      expect(mime).toContain('filename=notes.txt');
+    });
+  });
+});
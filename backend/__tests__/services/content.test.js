@@ -0,0 +1,41 @@
+import { jest } from "@jest/globals";
+import { EmailContent } from "../../src/models/index.js";
+import { saveEmailContent, loadEmailContent } from "../../src/services/content.js";
+
+describe("Content Service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should store bodies compressed and read them back", async () => {
+    let stored;
+    jest.spyOn(EmailContent, "upsert").mockImplementation(async (values) => {
+      stored = values;
+      return [values, true];
+    });
+    jest.spyOn(EmailContent, "findOne").mockImplementation(async () => stored);
+
+    const body = "Long contract text. ".repeat(2000);
+    await saveEmailContent(
+      { id: 7 },
+      { body, bodyHtml: `<p>${body}</p>`, charset: "utf-8", transferEncoding: "base64" }
+    );
+
+    expect(stored.emailId).toBe(7);
+    expect(Buffer.isBuffer(stored.body)).toBe(true);
+    expect(stored.body.length).toBeLessThan(body.length);
+    expect(stored.truncated).toBe(false);
+
+    const content = await loadEmailContent({ id: 7 });
+    expect(content.body).toBe(body);
+    expect(content.bodyHtml).toBe(`<p>${body}</p>`);
+    expect(content.charset).toBe("utf-8");
+    expect(content.transferEncoding).toBe("base64");
+  });
+
+  it("should return null for emails whose body wasn't fetched", async () => {
+    jest.spyOn(EmailContent, "findOne").mockResolvedValue(null);
+
+    expect(await loadEmailContent({ id: 8 })).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+import { EventEmitter } from "events";
+import { jest } from "@jest/globals";
+import { User, MailAccount, Email, Folder, Draft } from "../../src/models/index.js";
+import { createDraft, syncDrafts } from "../../src/services/drafts.js";
+
+const DRAFT_SOURCES = {
+  9: "Message-ID: <c@example.com>\r\nTo: bob@example.com\r\nSubject: Edited in webmail\r\n\r\nNew text\r\n",
+  10: "Message-ID: <d@example.com>\r\nTo: carol@example.com\r\nIn-Reply-To: <x@example.com>\r\nSubject: Re: Lunch\r\n\r\nStarted elsewhere\r\n",
+};
+
+/**
+ * Builds a fake node-imap FETCH that emits one message source.
+ */
+function createFetch(source) {
+  const fetch = new EventEmitter();
+  setImmediate(() => {
+    const message = new EventEmitter();
+    fetch.emit("message", message);
+    const stream = new EventEmitter();
+    message.emit("body", stream);
+    stream.emit("data", Buffer.from(source));
+    fetch.emit("end");
+  });
+  return fetch;
+}
+
+/**
+ * Builds a fake imap-simple connection for a Drafts mailbox. Messages in
+ * `deleted` are flagged \Deleted but not expunged.
+ */
+function createConnection(messageIds, deleted = []) {
+  return {
+    openBox: jest.fn().mockResolvedValue({}),
+    imap: {
+      search: jest.fn((criteria, cb) =>
+        cb(
+          null,
+          Object.keys(messageIds)
+            .map(Number)
+            .filter((uid) => !criteria.includes("UNDELETED") || !deleted.includes(uid))
+        )
+      ),
+      fetch: jest.fn((uid) => createFetch(DRAFT_SOURCES[uid])),
+    },
+    search: jest.fn(async ([[, uidSet]]) =>
+      Object.entries(messageIds)
+        .filter(([uid]) => uidSet.split(",").includes(uid))
+        .map(([uid, id]) => ({
+          attributes: { uid: Number(uid) },
+          parts: [{ which: "HEADER.FIELDS (MESSAGE-ID)", body: { "message-id": [id] } }],
+        }))
+    ),
+  };
+}
+
+/**
+ * Builds a stored draft whose update and destroy are recorded.
+ */
+function storedDraft(values) {
+  const draft = { mailbox: "Drafts", syncError: null, ...values };
+  draft.update = jest.fn(async (changes) => Object.assign(draft, changes));
+  draft.destroy = jest.fn();
+  return draft;
+}
+
+describe("Drafts Service", () => {
+  const account = { id: 2, userId: 1, email: "me@example.com" };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("createDraft", () => {
+    it("should start a reply from the original and keep it when the mailbox is unreachable", async () => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+      jest.spyOn(Email, "findOne").mockResolvedValue({
+        id: 3,
+        accountId: 2,
+        messageId: "<abc@example.com>",
+        subject: "Lunch",
+        fromAddress: "alice@example.com",
+        recipients: [],
+      });
+      jest.spyOn(MailAccount, "findOne").mockResolvedValue({
+        ...account,
+        provider: "outlook",
+        authType: "xoauth2",
+      });
+      jest.spyOn(Draft, "create").mockImplementation(async (values) => storedDraft(values));
+
+      const draft = await createDraft("me@example.com", {
+        kind: "reply",
+        emailId: 3,
+        text: "Sounds good",
+      });
+
+      expect(draft.to).toEqual(["alice@example.com"]);
+      expect(draft.subject).toBe("Re: Lunch");
+      expect(draft.inReplyTo).toBe("<abc@example.com>");
+      expect(draft.text).toBe("Sounds good");
+      expect(draft.messageId).toMatch(/^<[\w-]+@example\.com>$/);
+      expect(draft.syncError).toMatch(/re-authentication/);
+    });
+  });
+
+  describe("syncDrafts", () => {
+    it("should add, update and remove drafts to match the Drafts mailbox", async () => {
+      const kept = storedDraft({ id: 1, uid: 5, messageId: "<a@example.com>" });
+      const sent = storedDraft({ id: 2, uid: 6, messageId: "<b@example.com>" });
+      const edited = storedDraft({ id: 3, uid: 7, messageId: "<c@example.com>" });
+      const unsaved = storedDraft({ id: 4, uid: 8, messageId: "<e@example.com>", syncError: "Timed out" });
+
+      jest.spyOn(Folder, "findOne").mockResolvedValue({ path: "Drafts" });
+      jest.spyOn(Draft, "findAll").mockResolvedValue([kept, sent, edited, unsaved]);
+      const create = jest.spyOn(Draft, "create").mockImplementation(async (values) => values);
+
+      const connection = createConnection({
+        5: "<a@example.com>",
+        9: "<c@example.com>",
+        10: "<d@example.com>",
+      });
+
+      const summary = await syncDrafts(account, connection);
+
+      expect(summary).toEqual({ added: 1, updated: 1, removed: 1 });
+      expect(kept.update).not.toHaveBeenCalled();
+      expect(sent.destroy).toHaveBeenCalled();
+      expect(edited.uid).toBe(9);
+      expect(edited.subject).toBe("Edited in webmail");
+      expect(edited.text).toBe("New text");
+      expect(unsaved.destroy).not.toHaveBeenCalled();
+      expect(unsaved.uid).toBeNull();
+      expect(create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          accountId: 2,
+          uid: 10,
+          to: ["carol@example.com"],
+          inReplyTo: "<x@example.com>",
+          messageId: "<d@example.com>",
+        })
+      );
+    });
+
+    it("should ignore the previous copy a server without UIDPLUS only flagged deleted", async () => {
+      // Saved here: the edit was appended as 9, and 7 could only be flagged \Deleted
+      const draft = storedDraft({ id: 3, uid: 9, messageId: "<c@example.com>", text: "Latest" });
+
+      jest.spyOn(Folder, "findOne").mockResolvedValue({ path: "Drafts" });
+      jest.spyOn(Draft, "findAll").mockResolvedValue([draft]);
+      const create = jest.spyOn(Draft, "create");
+
+      const connection = createConnection(
+        { 7: "<c@example.com>", 9: "<c@example.com>" },
+        [7]
+      );
+
+      const summary = await syncDrafts(account, connection);
+
+      expect(summary).toEqual({ added: 0, updated: 0, removed: 0 });
+      expect(connection.imap.fetch).not.toHaveBeenCalled();
+      expect(draft.update).not.toHaveBeenCalled();
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,207 @@
+import { EventEmitter } from "events";
+import { jest } from "@jest/globals";
+import { Email, SyncState, Folder, EmailLabel } from "../../src/models/index.js";
+import { syncAccountMailbox } from "../../src/services/email.js";
+
+const FOLDERS = [
+  { id: 10, path: "INBOX", syncEnabled: true, selectable: true, specialUse: null },
+  { id: 11, path: "Work", syncEnabled: true, selectable: true, specialUse: null },
+  { id: 12, path: "[Gmail]/All Mail", syncEnabled: false, selectable: true, specialUse: "\\All" },
+];
+
+/**
+ * Builds a fake imap-simple connection that answers UID SEARCH per mailbox.
+ */
+function createConnection(boxes, searches, flags = []) {
+  let current = null;
+  return {
+    openBox: jest.fn(async (path) => {
+      current = path;
+      return boxes[path] || {};
+    }),
+    imap: {
+      search: jest.fn((criteria, cb) => cb(null, [...(searches[current]?.(criteria) || [])])),
+      // Answers flag fetches with `[{ uid, flags }]`
+      fetch: jest.fn(() => {
+        const fetch = new EventEmitter();
+        setImmediate(() => {
+          for (const attrs of flags) {
+            const message = new EventEmitter();
+            fetch.emit("message", message);
+            message.emit("attributes", attrs);
+          }
+          fetch.emit("end");
+        });
+        return fetch;
+      }),
+    },
+  };
+}
+
+/**
+ * Builds a stored email whose update is recorded.
+ */
+function storedEmail(values) {
+  const email = { threadId: null, gmMsgId: null, messageId: null, ...values };
+  email.update = jest.fn(async (changes) => Object.assign(email, changes));
+  email.destroy = jest.fn(async () => {});
+  return email;
+}
+
+describe("Email Service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("syncAccountMailbox", () => {
+    it("should move emails found in another mailbox and remove the rest", async () => {
+      const account = { id: 2, userId: 1, email: "me@gmail.com" };
+      const rows = [
+        storedEmail({ id: 1, uid: 1 }),
+        storedEmail({ id: 2, uid: 2, gmMsgId: "g2" }),
+        storedEmail({ id: 3, uid: 3 }),
+        storedEmail({ id: 4, uid: 4, gmMsgId: "g4" }),
+      ];
+
+      jest.spyOn(Folder, "findAll").mockResolvedValue(FOLDERS);
+      jest.spyOn(SyncState, "findOne").mockResolvedValue({
+        uidValidity: 7,
+        highestUid: 4,
+        highestModseq: "100",
+        get: () => ({ uidValidity: 7, highestUid: 4, highestModseq: "100" }),
+      });
+      jest.spyOn(SyncState, "upsert").mockResolvedValue([{}]);
+      jest.spyOn(Email, "findAll").mockResolvedValue(rows);
+      jest.spyOn(Email, "findOne").mockResolvedValue(null);
+      const destroy = jest.spyOn(Email, "destroy").mockResolvedValue(1);
+      const unlabel = jest.spyOn(EmailLabel, "destroy").mockResolvedValue(1);
+      const label = jest.spyOn(EmailLabel, "bulkCreate").mockResolvedValue([]);
+
+      const connection = createConnection(
+        { INBOX: { uidvalidity: 7, uidnext: 5, highestmodseq: "101" } },
+        {
+          INBOX: () => [1, 3],
+          // Archived on Gmail: gone from the Inbox, still in All Mail
+          "[Gmail]/All Mail": ([[, gmMsgId]]) => (gmMsgId === "g2" ? [40] : []),
+        }
+      );
+
+      const emails = await syncAccountMailbox(account, connection, "INBOX");
+
+      expect(emails).toEqual([]);
+      expect(rows[1].update).toHaveBeenCalledWith({ mailbox: "[Gmail]/All Mail", uid: 40 });
+      expect(unlabel).toHaveBeenCalledWith({ where: { emailId: 2, folderId: 10 } });
+      expect(label).toHaveBeenCalledWith([{ emailId: 2, folderId: 12 }], { ignoreDuplicates: true });
+      expect(destroy).toHaveBeenCalledWith({ where: { id: [4] } });
+      // All Mail is searched before the other synced folders
+      const opened = connection.openBox.mock.calls.map(([path]) => path);
+      expect(opened.indexOf("[Gmail]/All Mail")).toBeLessThan(opened.indexOf("Work"));
+    });
+
+    it("should merge a moved email into the copy already stored for its new mailbox", async () => {
+      const account = { id: 2, userId: 1, email: "me@gmail.com" };
+      const row = storedEmail({ id: 2, accountId: 2, uid: 2, gmMsgId: "g2" });
+
+      jest.spyOn(Folder, "findAll").mockResolvedValue(FOLDERS);
+      jest.spyOn(SyncState, "findOne").mockResolvedValue({
+        uidValidity: 7,
+        highestUid: 2,
+        highestModseq: "100",
+        get: () => ({ uidValidity: 7, highestUid: 2, highestModseq: "100" }),
+      });
+      jest.spyOn(SyncState, "upsert").mockResolvedValue([{}]);
+      jest.spyOn(Email, "findAll").mockResolvedValue([row]);
+      // Work was synced after the message was moved there in another client
+      const findCopy = jest.spyOn(Email, "findOne").mockResolvedValue({ id: 9 });
+      jest.spyOn(EmailLabel, "findAll").mockResolvedValue([{ folderId: 10 }, { folderId: 13 }]);
+      const label = jest.spyOn(EmailLabel, "bulkCreate").mockResolvedValue([]);
+
+      const connection = createConnection(
+        { INBOX: { uidvalidity: 7, uidnext: 3, highestmodseq: "101" } },
+        {
+          INBOX: () => [],
+          "[Gmail]/All Mail": () => [],
+          Work: ([[, gmMsgId]]) => (gmMsgId === "g2" ? [55] : []),
+        }
+      );
+
+      await syncAccountMailbox(account, connection, "INBOX");
+
+      expect(findCopy.mock.calls[0][0].where).toEqual({ accountId: 2, mailbox: "Work", uid: 55 });
+      expect(row.update).not.toHaveBeenCalled();
+      expect(row.destroy).toHaveBeenCalled();
+      // The copy gets the email's other labels, not the one of the old mailbox
+      expect(label).toHaveBeenCalledWith(
+        [
+          { emailId: 9, folderId: 13 },
+          { emailId: 9, folderId: 11 },
+        ],
+        { ignoreDuplicates: true }
+      );
+    });
+
+    it("should skip the search when the mailbox modseq is unchanged", async () => {
+      jest.spyOn(Folder, "findAll").mockResolvedValue(FOLDERS);
+      jest.spyOn(SyncState, "findOne").mockResolvedValue({
+        uidValidity: 7,
+        highestUid: 4,
+        highestModseq: "100",
+        get: () => ({ uidValidity: 7, highestUid: 4, highestModseq: "100" }),
+      });
+      const findAll = jest.spyOn(Email, "findAll");
+      jest.spyOn(SyncState, "upsert").mockResolvedValue([{}]);
+
+      const connection = createConnection(
+        { INBOX: { uidvalidity: 7, uidnext: 5, highestmodseq: "100" } },
+        { INBOX: () => [1] }
+      );
+
+      await syncAccountMailbox({ id: 2, userId: 1 }, connection, "INBOX");
+
+      expect(findAll).not.toHaveBeenCalled();
+      expect(connection.imap.search).not.toHaveBeenCalled();
+    });
+
+    it("should only update emails whose flags changed, one query per flag set", async () => {
+      jest.spyOn(Folder, "findAll").mockResolvedValue(FOLDERS);
+      jest.spyOn(SyncState, "findOne").mockResolvedValue({
+        uidValidity: 7,
+        highestUid: 4,
+        highestModseq: null,
+        get: () => ({ uidValidity: 7, highestUid: 4, highestModseq: null }),
+      });
+      jest.spyOn(SyncState, "upsert").mockResolvedValue([{}]);
+      const stored = [
+        { uid: 1, seen: true, flagged: false, answered: false, draft: false },
+        { uid: 2, seen: false, flagged: false, answered: false, draft: false },
+        { uid: 3, seen: false, flagged: false, answered: false, draft: false },
+        { uid: 4, seen: true, flagged: true, answered: false, draft: false },
+      ];
+      // Reconciliation finds nothing stored; the flag comparison gets the rows
+      jest.spyOn(Email, "findAll").mockImplementation(async (options) =>
+        options.raw ? stored : []
+      );
+      const update = jest.spyOn(Email, "update").mockResolvedValue([1]);
+
+      // Without CONDSTORE the server reports the flags of every message
+      const connection = createConnection(
+        { INBOX: { uidvalidity: 7, uidnext: 5 } },
+        { INBOX: () => [1, 2, 3, 4] },
+        [
+          { uid: 1, flags: ["\\Seen"] },
+          { uid: 2, flags: ["\\Seen"] },
+          { uid: 3, flags: ["\\Seen"] },
+          { uid: 4, flags: ["\\Seen"] },
+        ]
+      );
+
+      await syncAccountMailbox({ id: 2, userId: 1 }, connection, "INBOX");
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update).toHaveBeenCalledWith(
+        { seen: true, flagged: false, answered: false, draft: false },
+        { where: { accountId: 2, mailbox: "INBOX", uid: [2, 3, 4] } }
+      );
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import { jest } from "@jest/globals";
+import { MailAccount } from "../../src/models/index.js";
+import {
+  createDataKey,
+  encryptValue,
+  decryptValue,
+  rewrapDataKey,
+} from "../../src/services/encryption.js";
+import { rotateCredentialKeys } from "../../src/services/account.js";
+
+const key = () => crypto.randomBytes(32).toString("base64");
+const OLD_KEY = `old:${key()}`;
+const NEW_KEY = `new:${key()}`;
+
+describe("Encryption Service", () => {
+  beforeEach(() => {
+    process.env.CREDENTIAL_KEYS = OLD_KEY;
+    delete process.env.CREDENTIAL_KEY_ID;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CREDENTIAL_KEYS;
+  });
+
+  it("should encrypt values with a row's data key", () => {
+    const { keyId, wrappedKey } = createDataKey();
+    const stored = encryptValue("ya29.secret-token", keyId, wrappedKey);
+
+    expect(keyId).toBe("old");
+    expect(stored).not.toContain("secret-token");
+    expect(decryptValue(stored, keyId, wrappedKey)).toBe("ya29.secret-token");
+    // Legacy plaintext is read as it is
+    expect(decryptValue("plain-password", null, null)).toBe("plain-password");
+  });
+
+  it("should refuse tampered values", () => {
+    const { keyId, wrappedKey } = createDataKey();
+    const stored = encryptValue("secret", keyId, wrappedKey);
+    const tampered = stored.slice(0, -2) + (stored.endsWith("AA") ? "BB" : "AA");
+
+    expect(() => decryptValue(tampered, keyId, wrappedKey)).toThrow("Failed to decrypt");
+  });
+
+  it("should refuse to create data keys without master keys in production", () => {
+    const environment = process.env.NODE_ENV;
+    delete process.env.CREDENTIAL_KEYS;
+    process.env.NODE_ENV = "production";
+
+    try {
+      expect(() => createDataKey()).toThrow("CREDENTIAL_KEYS must be set");
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  });
+
+  it("should keep values readable after re-wrapping the data key", () => {
+    const dataKey = createDataKey();
+    const stored = encryptValue("secret", dataKey.keyId, dataKey.wrappedKey);
+
+    process.env.CREDENTIAL_KEYS = `${OLD_KEY},${NEW_KEY}`;
+    const rewrapped = rewrapDataKey(dataKey.keyId, dataKey.wrappedKey);
+    process.env.CREDENTIAL_KEYS = NEW_KEY;
+
+    expect(rewrapped.keyId).toBe("new");
+    expect(decryptValue(stored, rewrapped.keyId, rewrapped.wrappedKey)).toBe("secret");
+    expect(() => decryptValue(stored, dataKey.keyId, dataKey.wrappedKey)).toThrow(
+      "Credential key old is not configured"
+    );
+  });
+
+  it("should encrypt MailAccount credentials transparently", () => {
+    const account = MailAccount.build({ email: "me@example.com", password: "app-password" });
+
+    expect(account.getDataValue("password")).toMatch(/^enc:v1:/);
+    expect(account.getDataValue("credentialKeyId")).toBe("old");
+    expect(account.password).toBe("app-password");
+    expect(account.toJSON()).not.toHaveProperty("credentialDataKey");
+  });
+
+  it("should move accounts to the active key and encrypt plaintext ones", async () => {
+    const current = MailAccount.build({ id: 1, password: "one" });
+    const legacy = MailAccount.build({ id: 2 });
+    legacy.setDataValue("refreshToken", "plain-refresh-token");
+
+    process.env.CREDENTIAL_KEYS = `${OLD_KEY},${NEW_KEY}`;
+    const findAll = jest
+      .spyOn(MailAccount, "findAll")
+      .mockResolvedValueOnce([current, legacy])
+      .mockResolvedValueOnce([]);
+    jest.spyOn(current, "save").mockResolvedValue(current);
+    jest.spyOn(legacy, "save").mockResolvedValue(legacy);
+
+    const summary = await rotateCredentialKeys();
+
+    expect(summary).toEqual({ keyId: "new", found: 2, rotated: 2, failed: 0 });
+    expect(findAll.mock.calls[1][0].where.id).toBeDefined();
+    expect(current.credentialKeyId).toBe("new");
+    expect(legacy.credentialKeyId).toBe("new");
+    expect(legacy.getDataValue("refreshToken")).toMatch(/^enc:v1:/);
+
+    process.env.CREDENTIAL_KEYS = NEW_KEY;
+    expect(current.password).toBe("one");
+    expect(legacy.refreshToken).toBe("plain-refresh-token");
+  });
+});
@@ -0,0 +1,81 @@
+import { jest } from "@jest/globals";
+import { google } from "googleapis";
+import {
+  User,
+  MailAccount,
+  Email,
+  Folder,
+  SyncState,
+  Thread,
+  ImageAllowance,
+  Draft,
+  MailImport,
+  Job,
+  Session,
+  AuditLog,
+} from "../../src/models/index.js";
+import { eraseUser, auditSubjectHash } from "../../src/services/erasure.js";
+
+describe("Erasure Service", () => {
+  let user;
+  let revokeToken;
+  let auditCreate;
+
+  beforeEach(() => {
+    user = { id: 5, email: "me@gmail.com", destroy: jest.fn().mockResolvedValue() };
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+    jest.spyOn(Email, "count").mockResolvedValue(3);
+    for (const model of [Email, Folder, SyncState, Thread, ImageAllowance, Draft, MailImport, Job, Session, MailAccount]) {
+      jest.spyOn(model, "destroy").mockResolvedValue(0);
+    }
+    revokeToken = jest.spyOn(google.auth.OAuth2.prototype, "revokeToken").mockResolvedValue({});
+    auditCreate = jest.spyOn(AuditLog, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should revoke Google grants, delete the user's data and audit it", async () => {
+    jest.spyOn(MailAccount, "findAll").mockResolvedValue([
+      { id: 7, provider: "gmail", authType: "xoauth2", refreshToken: "refresh-token" },
+      { id: 8, provider: "outlook", authType: "login", password: "secret" },
+    ]);
+
+    const summary = await eraseUser("Me@gmail.com");
+
+    expect(summary).toEqual({ accounts: 2, emails: 3, revoked: 1, revokeFailed: 0 });
+    expect(revokeToken).toHaveBeenCalledWith("refresh-token");
+    expect(Email.destroy).toHaveBeenCalledWith({ where: { userId: 5 } });
+    expect(Session.destroy).toHaveBeenCalledWith({ where: { userId: 5 } });
+    expect(Thread.destroy).toHaveBeenCalledWith({ where: { accountId: [7, 8] } });
+    expect(MailAccount.destroy).toHaveBeenCalledWith({ where: { userId: 5 } });
+    expect(user.destroy).toHaveBeenCalled();
+
+    const record = auditCreate.mock.calls[0][0];
+    expect(record).toMatchObject({ action: "account.deleted", userId: 5, actor: "user" });
+    // The audit record identifies the user without their address
+    expect(record.subjectHash).toBe(auditSubjectHash("me@gmail.com"));
+    expect(JSON.stringify(record)).not.toContain("gmail.com");
+  });
+
+  it("should delete the data even if revoking fails", async () => {
+    jest.spyOn(MailAccount, "findAll").mockResolvedValue([
+      { id: 9, provider: "gmail", authType: "xoauth2", refreshToken: "refresh-token" },
+    ]);
+    revokeToken.mockRejectedValue(new Error("network down"));
+
+    const summary = await eraseUser("me@gmail.com", { actor: "admin" });
+
+    expect(summary.revokeFailed).toBe(1);
+    expect(user.destroy).toHaveBeenCalled();
+    expect(auditCreate.mock.calls[0][0].actor).toBe("admin");
+  });
+
+  it("should throw if the user doesn't exist", async () => {
+    User.findOne.mockResolvedValue(null);
+
+    await expect(eraseUser("nobody@example.com")).rejects.toThrow("User not found");
+    expect(auditCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+import { PassThrough } from "stream";
+import { jest } from "@jest/globals";
+import { User, MailAccount, Email } from "../../src/models/index.js";
+import { toMboxEntry, emlFilename, streamExport } from "../../src/services/export.js";
+
+describe("Export Service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should write mboxrd entries with quoted From lines", () => {
+    const source = Buffer.from(
+      "Subject: Hi\r\n\r\nFrom the team:\r\n>From before\r\nBye\r\n",
+      "latin1"
+    );
+
+    const entry = toMboxEntry(
+      { fromAddress: "alice@example.com", date: "2024-03-01T09:05:07Z" },
+      source
+    ).toString("latin1");
+
+    expect(entry).toBe(
+      "From alice@example.com Fri Mar  1 09:05:07 2024\n" +
+        "Subject: Hi\n\n>From the team:\n>>From before\nBye\n\n"
+    );
+  });
+
+  it("should name .eml files after date, ID and subject", () => {
+    expect(
+      emlFilename({ id: 42, date: "2024-03-01T10:00:00Z", subject: "Re: Quarterly report (final)" })
+    ).toBe("2024-03-01-42-re-quarterly-report-final.eml");
+    expect(emlFilename({ id: 7, date: null, subject: "" })).toBe("undated-7.eml");
+  });
+
+  it("should skip messages it can't download and still finish the zip", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+    jest
+      .spyOn(Email, "findAll")
+      .mockResolvedValueOnce([
+        { id: 1, accountId: 2, mailbox: "INBOX", uid: 10, date: new Date(), subject: "A" },
+        { id: 2, accountId: 2, mailbox: "INBOX", uid: 11, date: new Date(), subject: "B" },
+      ])
+      .mockResolvedValueOnce([]);
+    const findAccount = jest.spyOn(MailAccount, "findByPk").mockResolvedValue({
+      id: 2,
+      email: "me@example.com",
+      provider: "outlook",
+      authType: "xoauth2",
+    });
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on("data", (chunk) => chunks.push(chunk));
+
+    const summary = await streamExport("me@example.com", { format: "zip" }, output);
+
+    expect(summary).toEqual({ exported: 0, failed: 2 });
+    expect(findAccount).toHaveBeenCalledTimes(1);
+    expect(Buffer.concat(chunks).subarray(0, 4).toString("hex")).toBe("504b0506");
+  });
+});
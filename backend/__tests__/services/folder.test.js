@@ -0,0 +1,150 @@
+import { jest } from "@jest/globals";
+import { User, MailAccount, Folder } from "../../src/models/index.js";
+import {
+  refreshFolders,
+  resolveLabelFolderIds,
+  getUserFolders,
+  updateFolder,
+} from "../../src/services/folder.js";
+
+/**
+ * Builds a fake imap-simple connection that answers IMAP LIST.
+ */
+function createConnection(boxes) {
+  return { getBoxes: jest.fn().mockResolvedValue(boxes) };
+}
+
+/**
+ * Builds a stored folder whose update is recorded.
+ */
+function storedFolder(values) {
+  const folder = { selectable: true, syncEnabled: false, ...values };
+  folder.update = jest.fn(async (changes) => Object.assign(folder, changes));
+  return folder;
+}
+
+const FOLDERS = [
+  { id: 10, path: "INBOX", specialUse: null },
+  { id: 11, path: "Work", specialUse: null },
+  { id: 12, path: "[Gmail]/Sent Mail", specialUse: "\\Sent" },
+  { id: 13, path: "[Gmail]/Starred", specialUse: "\\Flagged" },
+];
+
+describe("Folder Service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("refreshFolders", () => {
+    it("should store the listed mailboxes and remove the ones that are gone", async () => {
+      const account = { id: 2, userId: 1 };
+      const existing = storedFolder({ id: 11, path: "Work" });
+      const findOrCreate = jest
+        .spyOn(Folder, "findOrCreate")
+        .mockImplementation(async ({ where, defaults }) =>
+          where.path === "Work" ? [existing, false] : [{ ...defaults }, true]
+        );
+      const destroy = jest.spyOn(Folder, "destroy").mockResolvedValue(1);
+      jest.spyOn(Folder, "findAll").mockResolvedValue([]);
+
+      const connection = createConnection({
+        INBOX: { delimiter: "/", attribs: [] },
+        Work: {
+          delimiter: "/",
+          attribs: [],
+          children: { Old: { delimiter: "/", attribs: ["\\Noselect"] } },
+        },
+        Trash: { delimiter: "/", attribs: [] },
+      });
+
+      await refreshFolders(account, connection);
+
+      const defaults = Object.fromEntries(
+        findOrCreate.mock.calls.map(([{ where, defaults }]) => [where.path, defaults])
+      );
+      // Only INBOX is synced by default
+      expect(defaults.INBOX).toMatchObject({ syncEnabled: true, userId: 1, accountId: 2 });
+      expect(defaults["Work/Old"]).toMatchObject({ selectable: false, syncEnabled: false });
+      // Servers without SPECIAL-USE are recognised by mailbox name
+      expect(defaults.Trash.specialUse).toBe("\\Trash");
+      // Existing folders keep their sync setting
+      expect(existing.update).toHaveBeenCalledWith({
+        name: "Work",
+        delimiter: "/",
+        specialUse: null,
+        selectable: true,
+      });
+      expect(destroy.mock.calls[0][0].where.accountId).toBe(2);
+    });
+  });
+
+  describe("resolveLabelFolderIds", () => {
+    it("should map the source mailbox and Gmail labels to folders", () => {
+      const ids = resolveLabelFolderIds(
+        { mailbox: "[Gmail]/Sent Mail", gmLabels: ["\\Inbox", "\\Starred", "Work", "Unknown"] },
+        FOLDERS
+      );
+
+      expect(ids.sort()).toEqual([10, 11, 12, 13]);
+    });
+
+    it("should match INBOX regardless of case", () => {
+      expect(resolveLabelFolderIds({ mailbox: "Inbox" }, FOLDERS)).toEqual([10]);
+    });
+  });
+
+  describe("getUserFolders", () => {
+    it("should return stored folders without listing the server", async () => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+      jest.spyOn(MailAccount, "findAll").mockResolvedValue([{ id: 2 }, { id: 3 }]);
+      const findAll = jest
+        .spyOn(Folder, "findAll")
+        .mockImplementation(async ({ where }) => [{ id: where.accountId * 10 }]);
+
+      const folders = await getUserFolders("me@example.com");
+
+      expect(folders).toEqual([{ id: 20 }, { id: 30 }]);
+      expect(findAll).toHaveBeenCalledTimes(2);
+    });
+
+    it("should throw if the user does not exist", async () => {
+      jest.spyOn(User, "findOne").mockResolvedValue(null);
+
+      await expect(getUserFolders("nobody@example.com")).rejects.toThrow("User not found");
+    });
+  });
+
+  describe("updateFolder", () => {
+    beforeEach(() => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+    });
+
+    it("should turn sync on for a folder of the user", async () => {
+      const folder = storedFolder({ id: 11, path: "Work" });
+      const findOne = jest.spyOn(Folder, "findOne").mockResolvedValue(folder);
+
+      const updated = await updateFolder("me@example.com", 11, { syncEnabled: true });
+
+      expect(updated.syncEnabled).toBe(true);
+      expect(findOne.mock.calls[0][0].where).toEqual({ id: 11, userId: 1 });
+    });
+
+    it("should refuse to sync a folder that is not selectable", async () => {
+      const folder = storedFolder({ id: 14, path: "[Gmail]", selectable: false });
+      jest.spyOn(Folder, "findOne").mockResolvedValue(folder);
+
+      await expect(
+        updateFolder("me@example.com", 14, { syncEnabled: true })
+      ).rejects.toThrow("not selectable");
+      expect(folder.update).not.toHaveBeenCalled();
+    });
+
+    it("should throw if the folder belongs to someone else", async () => {
+      jest.spyOn(Folder, "findOne").mockResolvedValue(null);
+
+      await expect(
+        updateFolder("me@example.com", 99, { syncEnabled: true })
+      ).rejects.toThrow("Folder not found");
+    });
+  });
+});
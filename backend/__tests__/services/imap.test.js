@@ -0,0 +1,401 @@
+import { EventEmitter } from "events";
+import { jest } from "@jest/globals";
+import {
+  syncMailbox,
+  describeStructure,
+  flagsToFields,
+  moveMessages,
+  deleteMessages,
+  parseAddressHeaders,
+  buildSearchCriteria,
+  parseMessageSource,
+} from "../../src/services/imap.js";
+
+/**
+ * BODYSTRUCTURE of a multipart/mixed message with a text body and a PDF.
+ */
+const MIXED_STRUCT = [
+  { type: "mixed", params: { boundary: "b1" } },
+  [
+    {
+      partID: "1",
+      type: "text",
+      subtype: "plain",
+      params: { charset: "utf-8" },
+      encoding: "quoted-printable",
+      size: 42,
+    },
+  ],
+  [
+    {
+      partID: "2",
+      type: "application",
+      subtype: "pdf",
+      params: { name: "invoice.pdf" },
+      id: null,
+      encoding: "base64",
+      size: 1024,
+      disposition: { type: "attachment", params: { filename: "invoice.pdf" } },
+    },
+  ],
+];
+
+/**
+ * Builds a fake node-imap FETCH that emits the given message attributes.
+ */
+function createFetch(attributes) {
+  const fetch = new EventEmitter();
+  setImmediate(() => {
+    for (const attrs of attributes) {
+      const message = new EventEmitter();
+      fetch.emit("message", message);
+      message.emit("attributes", attrs);
+    }
+    fetch.emit("end");
+  });
+  return fetch;
+}
+
+/**
+ * Builds a fake imap-simple connection around a mailbox with the given UIDs.
+ */
+function createConnection(box, uids, struct = null, flagged = []) {
+  return {
+    openBox: jest.fn().mockResolvedValue(box),
+    imap: {
+      search: jest.fn((criteria, cb) => cb(null, [...uids])),
+      fetch: jest.fn(() => createFetch(flagged)),
+    },
+    search: jest.fn(async ([[, uidSet]], { bodies }) =>
+      uidSet.split(",").map((uid) => ({
+        attributes: { uid: Number(uid), struct, size: 2048 },
+        parts:
+          bodies[0] === "HEADER"
+            ? [
+                {
+                  which: "HEADER",
+                  body: { from: ["Jane <jane@example.com>"], subject: [`Message ${uid}`] },
+                },
+              ]
+            : [{ which: bodies[0], body: "Hello=20there,\r\nsee the invoice." }],
+      }))
+    ),
+  };
+}
+
+describe("IMAP Service", () => {
+  describe("syncMailbox", () => {
+    it("should do a full sync when there is no stored state", async () => {
+      const connection = createConnection(
+        { uidvalidity: 7, uidnext: 4 },
+        [1, 2, 3]
+      );
+
+      const result = await syncMailbox(connection, "INBOX", null, { limit: 2 });
+
+      expect(result.fullResync).toBe(true);
+      expect(result.emails.map((e) => e.uid)).toEqual([1, 2]);
+      expect(result.syncState).toEqual({
+        uidValidity: 7,
+        highestUid: 2,
+        highestModseq: null,
+      });
+    });
+
+    it("should catch up on a backlog larger than the limit oldest first", async () => {
+      const connection = createConnection(
+        { uidvalidity: 7, uidnext: 8, highestmodseq: "1300" },
+        [4, 5, 6, 7]
+      );
+
+      const result = await syncMailbox(
+        connection,
+        "INBOX",
+        { uidValidity: 7, highestUid: 3, highestModseq: "1234" },
+        { limit: 2 }
+      );
+
+      expect(result.emails.map((e) => e.uid)).toEqual([4, 5]);
+      // The rest is fetched by the next sync, which mustn't be skipped as unchanged
+      expect(result.syncState).toEqual({
+        uidValidity: 7,
+        highestUid: 5,
+        highestModseq: "1234",
+      });
+    });
+
+    it("should only fetch messages above the stored highest UID", async () => {
+      const connection = createConnection(
+        { uidvalidity: 7, uidnext: 6 },
+        [3, 4, 5]
+      );
+
+      const result = await syncMailbox(connection, "INBOX", {
+        uidValidity: 7,
+        highestUid: 3,
+        highestModseq: null,
+      });
+
+      expect(connection.imap.search.mock.calls[0][0]).toEqual([["UID", "4:*"]]);
+      expect(result.fullResync).toBe(false);
+      expect(result.emails.map((e) => e.uid)).toEqual([4, 5]);
+      expect(result.syncState.highestUid).toBe(5);
+    });
+
+    it("should skip the search when HIGHESTMODSEQ is unchanged", async () => {
+      const connection = createConnection(
+        { uidvalidity: 7, uidnext: 10, highestmodseq: "1234" },
+        [9]
+      );
+
+      const result = await syncMailbox(connection, "INBOX", {
+        uidValidity: 7,
+        highestUid: 3,
+        highestModseq: "1234",
+      });
+
+      expect(connection.imap.search).not.toHaveBeenCalled();
+      expect(result.emails).toEqual([]);
+    });
+
+    it("should resync from scratch when UIDVALIDITY changes", async () => {
+      const connection = createConnection(
+        { uidvalidity: 8, uidnext: 3 },
+        [1, 2]
+      );
+
+      const result = await syncMailbox(connection, "INBOX", {
+        uidValidity: 7,
+        highestUid: 500,
+        highestModseq: null,
+      });
+
+      expect(connection.imap.search.mock.calls[0][0]).toEqual(["ALL"]);
+      expect(result.fullResync).toBe(true);
+      expect(result.emails.map((e) => e.uid)).toEqual([1, 2]);
+    });
+
+    it("should fetch headers and only the text part for snippets", async () => {
+      const connection = createConnection(
+        { uidvalidity: 7, uidnext: 2 },
+        [1],
+        MIXED_STRUCT
+      );
+
+      const result = await syncMailbox(connection, "INBOX", null);
+
+      expect(connection.search.mock.calls[0][1].bodies).toEqual(["HEADER"]);
+      expect(connection.search.mock.calls[1][1].bodies).toEqual(["1"]);
+      expect(result.emails[0]).toMatchObject({
+        size: 2048,
+        snippet: "Hello there, see the invoice.",
+        hasAttachments: true,
+      });
+      expect(result.emails[0]).not.toHaveProperty("snippetPart");
+    });
+  });
+
+  describe("flag sync", () => {
+    it("should map IMAP flags to the Email columns", () => {
+      expect(flagsToFields(["\\Seen", "\\flagged", "$Label1"])).toEqual({
+        seen: true,
+        flagged: true,
+        answered: false,
+        draft: false,
+      });
+    });
+
+    it("should fetch flags changed since the stored MODSEQ", async () => {
+      const connection = createConnection(
+        { uidvalidity: 7, uidnext: 4, highestmodseq: "1300" },
+        [],
+        null,
+        [{ uid: 2, flags: ["\\Seen"] }]
+      );
+
+      const result = await syncMailbox(connection, "INBOX", {
+        uidValidity: 7,
+        highestUid: 3,
+        highestModseq: "1234",
+      });
+
+      expect(connection.imap.fetch).toHaveBeenCalledWith("1:3", {
+        bodies: [],
+        modifiers: { changedsince: "1234" },
+      });
+      expect(connection.imap.search).not.toHaveBeenCalled();
+      expect(result.flagUpdates).toEqual([{ uid: 2, flags: ["\\Seen"] }]);
+      expect(result.syncState.highestModseq).toBe("1300");
+    });
+
+    it("should not fetch flags on a full resync", async () => {
+      const connection = createConnection({ uidvalidity: 7, uidnext: 2 }, [1]);
+
+      const result = await syncMailbox(connection, "INBOX", null);
+
+      expect(connection.imap.fetch).not.toHaveBeenCalled();
+      expect(result.flagUpdates).toEqual([]);
+    });
+  });
+
+  describe("moveMessages", () => {
+    it("should find the moved messages again by Message-ID", async () => {
+      const connection = {
+        openBox: jest.fn().mockResolvedValue({}),
+        moveMessage: jest.fn().mockResolvedValue(),
+        search: jest.fn().mockResolvedValue([
+          {
+            attributes: { uid: 10 },
+            parts: [
+              {
+                which: "HEADER.FIELDS (MESSAGE-ID)",
+                body: { "message-id": ["<a@example.com>"] },
+              },
+            ],
+          },
+          { attributes: { uid: 11 }, parts: [] },
+        ]),
+        imap: {
+          search: jest.fn((criteria, cb) => cb(null, [42])),
+        },
+      };
+
+      const located = await moveMessages(connection, "INBOX", [10, 11], "Archive");
+
+      expect(connection.moveMessage).toHaveBeenCalledWith([10, 11], "Archive");
+      expect(connection.openBox).toHaveBeenLastCalledWith("Archive");
+      expect(connection.imap.search).toHaveBeenCalledWith(
+        [["HEADER", "MESSAGE-ID", "<a@example.com>"]],
+        expect.any(Function)
+      );
+      expect(located).toEqual(
+        new Map([
+          [10, 42],
+          [11, null],
+        ])
+      );
+    });
+  });
+
+  describe("deleteMessages", () => {
+    const createConnection = (capabilities) => ({
+      openBox: jest.fn().mockResolvedValue({}),
+      addFlags: jest.fn().mockResolvedValue(),
+      imap: {
+        serverSupports: (capability) => capabilities.includes(capability),
+        expunge: jest.fn((...args) => args.pop()(null)),
+      },
+    });
+
+    it("should expunge only the given UIDs with UIDPLUS", async () => {
+      const connection = createConnection(["UIDPLUS"]);
+
+      await expect(deleteMessages(connection, "Trash", [3, 4])).resolves.toBe(true);
+      expect(connection.addFlags).toHaveBeenCalledWith([3, 4], "\\Deleted");
+      expect(connection.imap.expunge).toHaveBeenCalledWith([3, 4], expect.any(Function));
+    });
+
+    it("should not run a plain EXPUNGE without UIDPLUS", async () => {
+      const connection = createConnection([]);
+
+      await expect(deleteMessages(connection, "Trash", [3, 4])).resolves.toBe(false);
+      expect(connection.addFlags).toHaveBeenCalledWith([3, 4], "\\Deleted");
+      expect(connection.imap.expunge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("parseAddressHeaders", () => {
+    it("should split sender and recipients into names and addresses", async () => {
+      const result = await parseAddressHeaders({
+        from: ['"Doe, Jane" <Jane@Example.com>'],
+        to: ["bob@example.com, Team: ann@example.com, joe@example.com;"],
+        cc: ["=?UTF-8?B?SsO8cmdlbg==?= <jurgen@example.com>"],
+      });
+
+      expect(result.fromName).toBe("Doe, Jane");
+      expect(result.fromAddress).toBe("jane@example.com");
+      expect(result.recipients).toEqual([
+        { kind: "to", name: null, address: "bob@example.com" },
+        { kind: "to", name: null, address: "ann@example.com" },
+        { kind: "to", name: null, address: "joe@example.com" },
+        { kind: "cc", name: "Jürgen", address: "jurgen@example.com" },
+      ]);
+    });
+  });
+
+  describe("describeStructure", () => {
+    it("should separate body parts from attachments", () => {
+      const structure = describeStructure(MIXED_STRUCT);
+
+      expect(structure.textPart.partID).toBe("1");
+      expect(structure.htmlPart).toBeNull();
+      expect(structure.attachments).toEqual([
+        {
+          partId: "2",
+          filename: "invoice.pdf",
+          contentType: "application/pdf",
+          size: 1024,
+          contentId: null,
+          encoding: "base64",
+        },
+      ]);
+    });
+  });
+
+  describe("buildSearchCriteria", () => {
+    it("should translate operators, phrases and words into IMAP SEARCH", () => {
+      const criteria = buildSearchCriteria(
+        'from:billing@acme.com subject:"march invoice" before:2022/01/01 is:unread larger:2M paid'
+      );
+
+      expect(criteria).toEqual([
+        ["FROM", "billing@acme.com"],
+        ["SUBJECT", "march invoice"],
+        ["BEFORE", new Date("2022-01-01")],
+        "UNSEEN",
+        ["LARGER", 2 * 1024 * 1024],
+        ["TEXT", "paid"],
+      ]);
+    });
+
+    it("should reject unsupported terms and empty queries", () => {
+      expect(() => buildSearchCriteria("is:snoozed")).toThrow("Unsupported search term");
+      expect(() => buildSearchCriteria("before:someday")).toThrow("Invalid search date");
+      expect(() => buildSearchCriteria("   ")).toThrow("Search query is empty");
+    });
+  });
+
+  describe("parseMessageSource", () => {
+    it("should keep the whole body and record its charset and encoding", async () => {
+      const text = "Clause 1. ".repeat(1000);
+      const source = Buffer.from(
+        [
+          "From: legal@example.com",
+          "Subject: Contract",
+          "MIME-Version: 1.0",
+          'Content-Type: multipart/alternative; boundary="alt"',
+          "",
+          "--alt",
+          "Content-Type: text/plain; charset=ISO-8859-1",
+          "Content-Transfer-Encoding: quoted-printable",
+          "",
+          text,
+          "--alt",
+          "Content-Type: text/html; charset=utf-8",
+          "",
+          `<p>${text}</p>`,
+          "--alt--",
+          "",
+        ].join("\r\n")
+      );
+
+      const content = await parseMessageSource(source);
+
+      expect(content.body.trim()).toBe(text.trim());
+      expect(content.bodyHtml).toContain("Clause 1.");
+      expect(content.bodyHtml.length).toBeGreaterThan(10000);
+      expect(content.charset).toBe("iso-8859-1");
+      expect(content.transferEncoding).toBe("quoted-printable");
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { jest } from "@jest/globals";
+import { User, MailAccount, Email, MailImport } from "../../src/models/index.js";
+import {
+  readMbox,
+  detectFormat,
+  importMessage,
+  createImport,
+} from "../../src/services/import.js";
+
+describe("Import Service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should split an mbox file into messages and unquote From lines", async () => {
+    const mbox =
+      "From alice@example.com Fri Mar  1 09:05:07 2024\n" +
+      "Subject: One\n\n>From the team:\n>>From before\nFrom inside a paragraph\n\n" +
+      "From bob@example.com Sat Mar  2 10:00:00 2024\r\n" +
+      "Subject: Two\r\n\r\nBye\r\n";
+
+    const messages = [];
+    const count = await readMbox(Readable.from([Buffer.from(mbox, "latin1")]), (source) => {
+      messages.push(source.toString("latin1"));
+    });
+
+    expect(count).toBe(2);
+    expect(messages).toEqual([
+      "Subject: One\r\n\r\nFrom the team:\r\n>From before\r\nFrom inside a paragraph\r\n",
+      "Subject: Two\r\n\r\nBye\r\n",
+    ]);
+  });
+
+  it("should tell mbox files from single messages", () => {
+    expect(detectFormat("Takeout.mbox", Buffer.from("From "))).toBe("mbox");
+    expect(detectFormat("upload", Buffer.from("From "))).toBe("mbox");
+    expect(detectFormat("upload", Buffer.from("Recei"))).toBe("eml");
+    expect(detectFormat("message.EML", Buffer.from("From "))).toBe("eml");
+  });
+
+  it("should skip messages already stored for the user", async () => {
+    const findOne = jest.spyOn(Email, "findOne").mockResolvedValue({ id: 9 });
+    const create = jest.spyOn(Email, "create");
+
+    const source = Buffer.from(
+      "Message-ID: <abc@example.com>\r\nSubject: Hi\r\nFrom: a@example.com\r\n\r\nHello\r\n"
+    );
+    const result = await importMessage({ id: 2, userId: 1 }, source);
+
+    expect(result).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+    expect(findOne.mock.calls[0][0].where).toEqual({
+      userId: 1,
+      messageId: "<abc@example.com>",
+    });
+  });
+
+  it("should give messages without a Message-ID a stable one", async () => {
+    const findOne = jest.spyOn(Email, "findOne").mockResolvedValue({ id: 9 });
+    const source = Buffer.from("Subject: No ID\r\n\r\nHello\r\n");
+
+    await importMessage({ id: 2, userId: 1 }, source);
+    await importMessage({ id: 2, userId: 1 }, source);
+
+    const [first, second] = findOne.mock.calls.map(([query]) => query.where.messageId);
+    expect(first).toMatch(/^<[0-9a-f]{64}@imported>$/);
+    expect(second).toBe(first);
+  });
+
+  it("should refuse uploads over the size limit and delete the partial file", async () => {
+    const userId = 987654;
+    const uploads = path.join(process.cwd(), "storage", "imports", String(userId));
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: userId });
+    jest.spyOn(MailAccount, "findOne").mockResolvedValue({ id: 2, userId });
+    const create = jest.spyOn(MailImport, "create");
+
+    try {
+      const upload = Readable.from([Buffer.alloc(8, "a"), Buffer.alloc(8, "b")]);
+      await expect(
+        createImport("user@example.com", upload, { filename: "big.mbox", maxBytes: 10 })
+      ).rejects.toThrow("too large");
+
+      expect(create).not.toHaveBeenCalled();
+      expect(fs.readdirSync(uploads)).toEqual([]);
+    } finally {
+      fs.rmSync(uploads, { recursive: true, force: true });
+    }
+  });
+});
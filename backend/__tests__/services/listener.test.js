@@ -0,0 +1,292 @@
+import { EventEmitter } from "events";
+import imaps from "imap-simple";
+import { jest } from "@jest/globals";
+import { User, MailAccount, Folder } from "../../src/models/index.js";
+import {
+  openMailEventStream,
+  stopUserListeners,
+  startAccountListener,
+  stopAccountListener,
+} from "../../src/services/listener.js";
+import { publishMailEvent } from "../../src/services/events.js";
+import { streamEvents } from "../../src/controllers/emailController.js";
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * A promise that is settled from the outside.
+ */
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Makes IDLE connections open but never get as far as selecting the
+ * mailbox, and returns them so their closing can be checked.
+ */
+function mockConnections() {
+  const connections = [];
+  jest.spyOn(imaps, "connect").mockImplementation(async () => {
+    const connection = {
+      on: jest.fn(),
+      openBox: jest.fn(() => new Promise(() => {})),
+      end: jest.fn(),
+    };
+    connections.push(connection);
+    return connection;
+  });
+  return connections;
+}
+
+const account = (userId) => ({
+  id: userId * 10,
+  userId,
+  email: `user${userId}@example.com`,
+  authType: "login",
+  host: "imap.example.com",
+});
+
+describe("Mail Listener Service", () => {
+  let connections;
+
+  beforeEach(() => {
+    connections = mockConnections();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should share one listener between streams and stop it with the last", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+    const findAll = jest.spyOn(MailAccount, "findAll").mockResolvedValue([account(1)]);
+
+    const closeFirst = await openMailEventStream("user1@example.com", () => {});
+    const closeSecond = await openMailEventStream("user1@example.com", () => {});
+    await flush();
+
+    expect(findAll).toHaveBeenCalledTimes(1);
+    expect(connections).toHaveLength(1);
+
+    closeFirst();
+    closeFirst();
+    expect(connections[0].end).not.toHaveBeenCalled();
+
+    closeSecond();
+    expect(connections[0].end).toHaveBeenCalled();
+  });
+
+  it("should make concurrent streams wait for the listener being set up", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 2 });
+    const accounts = deferred();
+    const findAll = jest.spyOn(MailAccount, "findAll").mockReturnValue(accounts.promise);
+
+    let opened = 0;
+    const first = openMailEventStream("user2@example.com", () => {}).then((close) => {
+      opened++;
+      return close;
+    });
+    const second = openMailEventStream("user2@example.com", () => {}).then((close) => {
+      opened++;
+      return close;
+    });
+    await flush();
+    expect(opened).toBe(0);
+
+    accounts.resolve([account(2)]);
+    const [closeFirst, closeSecond] = await Promise.all([first, second]);
+    await flush();
+
+    expect(findAll).toHaveBeenCalledTimes(1);
+    expect(connections).toHaveLength(1);
+
+    closeFirst();
+    expect(connections[0].end).not.toHaveBeenCalled();
+    closeSecond();
+    expect(connections[0].end).toHaveBeenCalled();
+  });
+
+  it("should fail every waiting stream and start over when the setup fails", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 3 });
+    const findAll = jest
+      .spyOn(MailAccount, "findAll")
+      .mockRejectedValueOnce(new Error("Database unavailable"))
+      .mockResolvedValue([]);
+    const onEvent = jest.fn();
+
+    await expect(
+      Promise.all([
+        openMailEventStream("user3@example.com", onEvent),
+        openMailEventStream("user3@example.com", onEvent),
+      ])
+    ).rejects.toThrow("Database unavailable");
+
+    // The failed streams no longer receive events
+    publishMailEvent(3, { type: "new" });
+    expect(onEvent).not.toHaveBeenCalled();
+
+    const close = await openMailEventStream("user3@example.com", onEvent);
+    expect(findAll).toHaveBeenCalledTimes(2);
+    close();
+  });
+
+  it("should not start listeners that were stopped while being set up", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 4 });
+    const accounts = deferred();
+    jest.spyOn(MailAccount, "findAll").mockReturnValue(accounts.promise);
+
+    const opening = openMailEventStream("user4@example.com", () => {});
+    await flush();
+    stopUserListeners(4);
+    accounts.resolve([account(4)]);
+
+    const close = await opening;
+    await flush();
+    expect(connections).toHaveLength(0);
+    close();
+  });
+
+  it("should stop running listeners whoever is still subscribed", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 5 });
+    jest.spyOn(MailAccount, "findAll").mockResolvedValue([account(5)]);
+
+    const close = await openMailEventStream("user5@example.com", () => {});
+    await flush();
+    stopUserListeners(5);
+
+    expect(connections[0].end).toHaveBeenCalled();
+    close();
+  });
+
+  it("should start and stop the listeners of accounts connected while streaming", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 10 });
+    jest.spyOn(MailAccount, "findAll").mockResolvedValue([account(10)]);
+
+    const close = await openMailEventStream("user10@example.com", () => {});
+    await flush();
+    expect(connections).toHaveLength(1);
+
+    const added = { ...account(10), id: 101, email: "other@example.com" };
+    startAccountListener(added);
+    await flush();
+    expect(connections).toHaveLength(2);
+
+    stopAccountListener(10, 101);
+    await flush();
+    expect(connections[1].end).toHaveBeenCalled();
+    expect(connections[0].end).not.toHaveBeenCalled();
+
+    close();
+    expect(connections[0].end).toHaveBeenCalled();
+  });
+
+  it("should not start listeners for users without an open stream", async () => {
+    startAccountListener({ ...account(11), id: 111 });
+    await flush();
+
+    expect(connections).toHaveLength(0);
+  });
+
+  it("should sync new mail on its own connection and stay on the listened mailbox", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 9 });
+    jest.spyOn(MailAccount, "findAll").mockResolvedValue([account(9)]);
+    jest.spyOn(Folder, "findAll").mockResolvedValue([]);
+    const handlers = {};
+    const idle = {
+      on: jest.fn((event, handler) => (handlers[event] = handler)),
+      openBox: jest.fn().mockResolvedValue({}),
+      imap: { search: jest.fn((criteria, cb) => cb(null, [1, 2])) },
+      end: jest.fn(),
+    };
+    const syncConnection = { end: jest.fn() };
+    imaps.connect.mockReset();
+    imaps.connect.mockResolvedValueOnce(idle).mockResolvedValue(syncConnection);
+
+    const close = await openMailEventStream("user9@example.com", () => {});
+    await flush();
+    handlers.mail();
+    await flush();
+    await flush();
+
+    // The IDLE connection, then one each for the catch-up sync and the new mail
+    expect(imaps.connect).toHaveBeenCalledTimes(3);
+    expect(idle.openBox.mock.calls).toEqual([["INBOX"]]);
+    expect(syncConnection.end).toHaveBeenCalledTimes(2);
+    close();
+  });
+
+  describe("event stream", () => {
+    /**
+     * Builds a fake request and response for streamEvents.
+     */
+    function createStream(email) {
+      const req = new EventEmitter();
+      req.user = { email };
+      req.socket = { destroyed: false };
+
+      const calls = [];
+      const res = {
+        status: jest.fn(() => res),
+        set: jest.fn(() => res),
+        flushHeaders: jest.fn(() => calls.push("headers")),
+        write: jest.fn((data) => calls.push(data)),
+        end: jest.fn(),
+      };
+      return { req, res, calls };
+    }
+
+    it("should send the headers before events published while opening", async () => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: 6 });
+      const accounts = deferred();
+      jest.spyOn(MailAccount, "findAll").mockReturnValue(accounts.promise);
+      const { req, res, calls } = createStream("user6@example.com");
+
+      const opening = streamEvents(req, res);
+      await flush();
+      publishMailEvent(6, { type: "new", emails: [] });
+      accounts.resolve([]);
+      await opening;
+
+      expect(calls[0]).toBe("headers");
+      expect(calls).toContain('event: new\ndata: {"type":"new","emails":[]}\n\n');
+      req.emit("close");
+    });
+
+    it("should release a stream whose client left while it was opening", async () => {
+      jest.spyOn(User, "findOne").mockResolvedValue({ id: 7 });
+      const accounts = deferred();
+      jest.spyOn(MailAccount, "findAll").mockReturnValue(accounts.promise);
+      const { req, res } = createStream("user7@example.com");
+
+      const opening = streamEvents(req, res);
+      await flush();
+      req.emit("close");
+      accounts.resolve([account(7)]);
+      await opening;
+      await flush();
+
+      // The listener was started for the stream and stopped with it
+      expect(connections).toHaveLength(1);
+      expect(connections[0].end).toHaveBeenCalled();
+      res.write.mockClear();
+      publishMailEvent(7, { type: "new", emails: [] });
+      expect(res.write).not.toHaveBeenCalled();
+    });
+
+    it("should not open a stream for a client that is already gone", async () => {
+      const findUser = jest.spyOn(User, "findOne");
+      const { req, res } = createStream("user8@example.com");
+      req.socket.destroyed = true;
+
+      await streamEvents(req, res);
+
+      expect(findUser).not.toHaveBeenCalled();
+      expect(res.flushHeaders).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { jest } from "@jest/globals";
+import { Job } from "../../src/models/index.js";
+import { retryDelay, runJob, recoverStaleJobs } from "../../src/services/queue.js";
+
+/**
+ * Builds a claimed job whose updates are applied to the object itself.
+ */
+function fakeJob(fields = {}) {
+  const job = { id: 1, type: "sync", attempts: 1, maxAttempts: 3, runAt: new Date(0), ...fields };
+  job.update = jest.fn(async (changes) => Object.assign(job, changes));
+  return job;
+}
+
+describe("Job Queue Service", () => {
+  it("should back off exponentially up to the maximum delay", () => {
+    expect(retryDelay(1)).toBe(30000);
+    expect(retryDelay(2)).toBe(60000);
+    expect(retryDelay(3)).toBe(120000);
+    expect(retryDelay(20)).toBe(1800000);
+  });
+
+  it("should store the result and progress of a successful job", async () => {
+    const job = fakeJob();
+
+    await runJob(job, async (claimed, reportProgress) => {
+      await reportProgress({ accountsDone: 1, accountsTotal: 1 });
+      return { count: 4 };
+    });
+
+    expect(job.status).toBe("completed");
+    expect(job.result).toEqual({ count: 4 });
+    expect(job.progress).toEqual({ accountsDone: 1, accountsTotal: 1 });
+    expect(job.finishedAt).toBeInstanceOf(Date);
+  });
+
+  it("should keep the lock of a long job fresh while it runs", async () => {
+    jest.useFakeTimers();
+    try {
+      const job = fakeJob({ lockedAt: new Date(0) });
+      let finish;
+      const running = runJob(job, () => new Promise((resolve) => (finish = resolve)));
+
+      jest.advanceTimersByTime(60000);
+      expect(job.update).toHaveBeenCalledWith({ lockedAt: expect.any(Date) });
+      expect(job.lockedAt.getTime()).toBeGreaterThan(0);
+
+      finish();
+      await running;
+      job.update.mockClear();
+      jest.advanceTimersByTime(120000);
+      expect(job.update).not.toHaveBeenCalled();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("should fail stale jobs on their last attempt and queue the others again", async () => {
+    const update = jest.spyOn(Job, "update").mockResolvedValueOnce([1]).mockResolvedValueOnce([2]);
+
+    await expect(recoverStaleJobs()).resolves.toBe(2);
+
+    const [[failed, { where: lastAttempt }], [queued, { where: stale }]] = update.mock.calls;
+    expect(failed.status).toBe("failed");
+    expect(lastAttempt).toHaveProperty("attempts");
+    expect(queued).toMatchObject({ status: "queued", lockedAt: null });
+    expect(stale.status).toBe("running");
+    update.mockRestore();
+  });
+
+  it("should queue a failed job again with backoff", async () => {
+    const job = fakeJob({ attempts: 2 });
+    const before = Date.now();
+
+    await runJob(job, async () => {
+      throw new Error("Connection reset");
+    });
+
+    expect(job.status).toBe("queued");
+    expect(job.error).toBe("Connection reset");
+    expect(job.runAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+    expect(job.finishedAt).toBeNull();
+  });
+
+  it("should fail a job after its last attempt", async () => {
+    const job = fakeJob({ attempts: 3 });
+
+    await runJob(job, async () => {
+      throw new Error("Invalid credentials");
+    });
+
+    expect(job.status).toBe("failed");
+    expect(job.error).toBe("Invalid credentials");
+    expect(job.finishedAt).toBeInstanceOf(Date);
+  });
+});
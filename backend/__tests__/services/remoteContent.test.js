@@ -0,0 +1,105 @@
+import dns from "dns";
+import http from "http";
+import { jest } from "@jest/globals";
+import {
+  prepareRemoteContent,
+  isTrackingPixel,
+  proxyImageUrl,
+  verifyImageSignature,
+  getProxiedImage,
+} from "../../src/services/remoteContent.js";
+
+const NEWSLETTER = [
+  '<img src="https://cdn.example.com/banner.png" alt="Spring sale" width="600">',
+  '<img src="https://mail.example.com/open/abc123.gif">',
+  '<img src="https://cdn.example.com/p.gif" width="1" height="1">',
+  '<img src="cid:logo@example.com" alt="Logo">',
+].join("");
+
+describe("Remote Content Service", () => {
+  describe("prepareRemoteContent", () => {
+    it("should block remote images and drop trackers by default", () => {
+      const result = prepareRemoteContent(NEWSLETTER);
+
+      expect(result.html).toBe(
+        '<img alt="Spring sale" width="600" /><img src="cid:logo@example.com" alt="Logo" />'
+      );
+      expect(result.blockedImages).toBe(1);
+      expect(result.blockedTrackers).toBe(2);
+    });
+
+    it("should route allowed images through the signed proxy", () => {
+      const result = prepareRemoteContent(NEWSLETTER, { loadImages: true });
+      const url = "https://cdn.example.com/banner.png";
+
+      expect(result.html).toContain(`src="${proxyImageUrl(url).replace(/&/g, "&amp;")}"`);
+      expect(result.html).not.toContain("open/abc123");
+      expect(result.blockedImages).toBe(0);
+      expect(result.blockedTrackers).toBe(2);
+    });
+  });
+
+  describe("isTrackingPixel", () => {
+    it("should recognize hidden and tiny images", () => {
+      expect(isTrackingPixel({ src: "https://a.example/x.png", style: "display: none" })).toBe(true);
+      expect(isTrackingPixel({ src: "https://a.example/x.png", width: "1px" })).toBe(true);
+      expect(isTrackingPixel({ src: "https://a.example/hero.png", width: "600" })).toBe(false);
+    });
+  });
+
+  describe("verifyImageSignature", () => {
+    it("should only accept signatures made for the same URL", () => {
+      const url = "https://cdn.example.com/banner.png";
+      const signature = new URL(proxyImageUrl(url), "http://localhost").searchParams.get("sig");
+
+      expect(verifyImageSignature(url, signature)).toBe(true);
+      expect(verifyImageSignature("https://cdn.example.com/other.png", signature)).toBe(false);
+      expect(verifyImageSignature(url, "not-a-signature")).toBe(false);
+    });
+  });
+
+  describe("getProxiedImage", () => {
+    let server;
+    let requests;
+
+    beforeEach(async () => {
+      requests = 0;
+      server = http.createServer((req, res) => {
+        requests++;
+        res.writeHead(200, { "Content-Type": "image/png" });
+        res.end("png");
+      });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should refuse private addresses", async () => {
+      const { port } = server.address();
+
+      await expect(getProxiedImage(`http://127.0.0.1:${port}/a.png`)).rejects.toThrow(
+        "Image URL not allowed"
+      );
+      await expect(getProxiedImage(`http://[::ffff:127.0.0.1]:${port}/a.png`)).rejects.toThrow(
+        "Image URL not allowed"
+      );
+      expect(requests).toBe(0);
+    });
+
+    it("should check the address the connection is made to", async () => {
+      const { port } = server.address();
+      // A rebinding host answers with a private address when it's connected to
+      jest.spyOn(dns, "lookup").mockImplementation((hostname, options, callback) =>
+        callback(null, [{ address: "127.0.0.1", family: 4 }])
+      );
+
+      await expect(
+        getProxiedImage(`http://rebind.example.com:${port}/a.png`)
+      ).rejects.toThrow("Image URL not allowed");
+      expect(requests).toBe(0);
+    });
+  });
+});
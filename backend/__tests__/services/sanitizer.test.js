@@ -0,0 +1,43 @@
+import { sanitizeEmailHtml } from "../../src/services/sanitizer.js";
+
+describe("Sanitizer Service", () => {
+  describe("sanitizeEmailHtml", () => {
+    it("should remove scripts, event handlers and forms", () => {
+      const html = sanitizeEmailHtml(
+        '<div onclick="steal()">Hi<script>alert(1)</script></div>' +
+          '<form action="https://evil.example"><input name="password"><button>Log in</button></form>' +
+          '<iframe src="https://evil.example"></iframe>'
+      );
+
+      expect(html).toBe("<div>Hi</div>Log in");
+    });
+
+    it("should drop dangerous URLs but keep safe links and inline images", () => {
+      const html = sanitizeEmailHtml(
+        '<a href="javascript:alert(1)">bad</a>' +
+          '<a href="https://example.com">good</a>' +
+          '<img src="cid:logo@example.com" alt="Logo">' +
+          '<img src="//tracker.example/pixel.gif">'
+      );
+
+      expect(html).toBe(
+        '<a target="_blank" rel="noopener noreferrer">bad</a>' +
+          '<a href="https://example.com" target="_blank" rel="noopener noreferrer">good</a>' +
+          '<img src="cid:logo@example.com" alt="Logo" />' +
+          "<img />"
+      );
+    });
+
+    it("should keep tables and safe inline styles", () => {
+      const html = sanitizeEmailHtml(
+        '<table width="600" bgcolor="#ffffff"><tr>' +
+          '<td style="color: #333; padding: 8px; background-image: url(https://t.example/x); width: expression(alert(1))">Sale</td>' +
+          "</tr></table>"
+      );
+
+      expect(html).toBe(
+        '<table width="600" bgcolor="#ffffff"><tr><td style="color:#333;padding:8px">Sale</td></tr></table>'
+      );
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { jest } from "@jest/globals";
+import { Session } from "../../src/models/index.js";
+import {
+  readCookie,
+  createSession,
+  resolveSession,
+  destroySession,
+} from "../../src/services/session.js";
+
+describe("Session Service", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should read one cookie from a Cookie header", () => {
+    const header = "theme=dark; sid=abc.def%3D; other=1";
+
+    expect(readCookie(header, "sid")).toBe("abc.def=");
+    expect(readCookie(header, "missing")).toBeNull();
+    expect(readCookie(undefined, "sid")).toBeNull();
+  });
+
+  it("should resolve the user of a session it created", async () => {
+    const create = jest.spyOn(Session, "create").mockResolvedValue({});
+    const user = { id: 1, email: "me@example.com" };
+
+    const { cookie, expiresAt } = await createSession(user, { userAgent: "Jest" });
+
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+    const { tokenHash } = create.mock.calls[0][0];
+    expect(tokenHash).toMatch(/^[0-9a-f]{64}$/);
+    // Only the hash is stored, never the token itself
+    expect(cookie.startsWith(tokenHash)).toBe(false);
+
+    const session = { id: 9, lastSeenAt: new Date(), User: user, update: jest.fn() };
+    const findOne = jest.spyOn(Session, "findOne").mockResolvedValue(session);
+
+    await expect(resolveSession(cookie)).resolves.toEqual({ session, user });
+    expect(findOne.mock.calls[0][0].where.tokenHash).toBe(tokenHash);
+  });
+
+  it("should reject tampered cookies without a lookup", async () => {
+    jest.spyOn(Session, "create").mockResolvedValue({});
+    const findOne = jest.spyOn(Session, "findOne");
+    const destroy = jest.spyOn(Session, "destroy");
+
+    const { cookie } = await createSession({ id: 1 });
+    const [token, signature] = cookie.split(".");
+    const forged = `${token}x.${signature}`;
+
+    await expect(resolveSession(forged)).resolves.toBeNull();
+    await expect(resolveSession("garbage")).resolves.toBeNull();
+    await expect(destroySession(forged)).resolves.toBe(false);
+    expect(findOne).not.toHaveBeenCalled();
+    expect(destroy).not.toHaveBeenCalled();
+  });
+});
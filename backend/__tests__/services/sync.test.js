@@ -0,0 +1,50 @@
+import { jest } from "@jest/globals";
+import { User, MailAccount, Job } from "../../src/models/index.js";
+import { enqueueSync, scheduleSyncs, SYNC_JOB } from "../../src/services/sync.js";
+
+describe("Sync Service", () => {
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockResolvedValue({ id: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should return the sync already queued for the user", async () => {
+    jest.spyOn(MailAccount, "count").mockResolvedValue(1);
+    const pending = { id: 5, status: "running" };
+    jest.spyOn(Job, "findOne").mockResolvedValue(pending);
+    const create = jest.spyOn(Job, "create");
+
+    await expect(enqueueSync("me@example.com")).resolves.toBe(pending);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it("should queue a sync when none is pending", async () => {
+    jest.spyOn(MailAccount, "count").mockResolvedValue(2);
+    jest.spyOn(Job, "findOne").mockResolvedValue(null);
+    const create = jest.spyOn(Job, "create").mockResolvedValue({ id: 6, status: "queued" });
+
+    const job = await enqueueSync("me@example.com");
+
+    expect(job.id).toBe(6);
+    expect(create.mock.calls[0][0]).toMatchObject({ type: SYNC_JOB, userId: 1 });
+  });
+
+  it("should refuse to sync a user without mail accounts", async () => {
+    jest.spyOn(MailAccount, "count").mockResolvedValue(0);
+
+    await expect(enqueueSync("me@example.com")).rejects.toThrow("re-authentication");
+  });
+
+  it("should only schedule syncs for users with usable accounts", async () => {
+    const findAccounts = jest.spyOn(MailAccount, "findAll").mockResolvedValue([{ userId: 1 }]);
+    jest.spyOn(Job, "findAll").mockResolvedValue([]);
+    const create = jest.spyOn(Job, "create").mockResolvedValue({ id: 7, status: "queued" });
+
+    await expect(scheduleSyncs()).resolves.toBe(1);
+    expect(findAccounts.mock.calls[0][0].where).toEqual({ needsReconsent: false });
+    expect(create.mock.calls[0][0]).toMatchObject({ type: SYNC_JOB, userId: 1 });
+  });
+});
@@ -0,0 +1,49 @@
+import { buildThreads } from "../../src/services/threading.js";
+
+/**
+ * Sorts thread groups so assertions don't depend on container order.
+ */
+const normalize = (groups) =>
+  groups.map((keys) => [...keys].sort()).sort((a, b) => (a[0] < b[0] ? -1 : 1));
+
+describe("Threading Service", () => {
+  describe("buildThreads", () => {
+    it("should group replies by References and In-Reply-To", () => {
+      const groups = buildThreads([
+        { key: "a", messageId: "<a@x>", referenceIds: [] },
+        { key: "b", messageId: "<b@x>", inReplyTo: "<a@x>", referenceIds: [] },
+        { key: "c", messageId: "<c@x>", referenceIds: ["<a@x>", "<b@x>"] },
+        { key: "d", messageId: "<d@x>", referenceIds: [] },
+      ]);
+
+      expect(normalize(groups)).toEqual([["a", "b", "c"], ["d"]]);
+    });
+
+    it("should join siblings whose common parent is missing", () => {
+      const groups = buildThreads([
+        { key: "b", messageId: "<b@x>", referenceIds: ["<root@x>"] },
+        { key: "c", messageId: "<c@x>", referenceIds: ["<root@x>"] },
+      ]);
+
+      expect(normalize(groups)).toEqual([["b", "c"]]);
+    });
+
+    it("should thread messages without a Message-ID on their own", () => {
+      const groups = buildThreads([
+        { key: "a", messageId: "17", referenceIds: [] },
+        { key: "b", messageId: "18", referenceIds: [] },
+      ]);
+
+      expect(normalize(groups)).toEqual([["a"], ["b"]]);
+    });
+
+    it("should not loop on circular references", () => {
+      const groups = buildThreads([
+        { key: "a", messageId: "<a@x>", referenceIds: ["<b@x>"] },
+        { key: "b", messageId: "<b@x>", referenceIds: ["<a@x>"] },
+      ]);
+
+      expect(normalize(groups)).toEqual([["a", "b"]]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { jest } from "@jest/globals";
+import { google } from "googleapis";
+import { getGoogleAccessToken, RECONSENT_REQUIRED } from "../../src/services/tokens.js";
+
+const HOUR = 3600000;
+
+function fakeAccount(overrides = {}) {
+  const account = {
+    id: 1,
+    email: "me@gmail.com",
+    accessToken: "old-token",
+    refreshToken: "refresh-token",
+    tokenExpiresAt: new Date(Date.now() + HOUR),
+    needsReconsent: false,
+    ...overrides,
+  };
+  account.update = jest.fn(async (values) => Object.assign(account, values));
+  return account;
+}
+
+describe("Token Service", () => {
+  let getAccessToken;
+
+  beforeEach(() => {
+    getAccessToken = jest.spyOn(google.auth.OAuth2.prototype, "getAccessToken");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should use the stored token until it is about to expire", async () => {
+    const account = fakeAccount();
+
+    await expect(getGoogleAccessToken(account)).resolves.toBe("old-token");
+    expect(getAccessToken).not.toHaveBeenCalled();
+  });
+
+  it("should merge concurrent refreshes of one account and store the expiry", async () => {
+    const expiry = Date.now() + HOUR;
+    getAccessToken.mockImplementation(async function () {
+      this.credentials = { access_token: "fresh-token", expiry_date: expiry };
+      return { token: "fresh-token" };
+    });
+    const account = fakeAccount({ id: 2, tokenExpiresAt: new Date(Date.now() + 60000) });
+
+    const tokens = await Promise.all([
+      getGoogleAccessToken(account),
+      getGoogleAccessToken(account),
+    ]);
+
+    expect(tokens).toEqual(["fresh-token", "fresh-token"]);
+    expect(getAccessToken).toHaveBeenCalledTimes(1);
+    expect(account.update).toHaveBeenCalledWith({
+      accessToken: "fresh-token",
+      tokenExpiresAt: new Date(expiry),
+    });
+  });
+
+  it("should mark the account for re-consent on invalid_grant", async () => {
+    const invalidGrant = Object.assign(new Error("invalid_grant"), {
+      response: { data: { error: "invalid_grant" } },
+    });
+    getAccessToken.mockRejectedValue(invalidGrant);
+    const account = fakeAccount({ id: 3, tokenExpiresAt: null });
+
+    await expect(getGoogleAccessToken(account)).rejects.toMatchObject({
+      code: RECONSENT_REQUIRED,
+    });
+    expect(account.update).toHaveBeenCalledWith(
+      expect.objectContaining({ needsReconsent: true, accessToken: null })
+    );
+
+    // Later calls fail right away instead of asking Google again
+    await expect(getGoogleAccessToken(account)).rejects.toThrow("re-authentication required");
+    expect(getAccessToken).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,46 @@
+import { sequelize } from '../src/models/index.js';
+import { backfillContent } from '../src/services/content.js';
+
+/**
+ * Backfill email bodies - re-fetches the bodies of emails that were opened
+ * before full bodies were stored (they were cut at 5000/10000 characters),
+ * or that were truncated at a lower EMAIL_BODY_LIMIT.
+ *
+ * Usage: npm run db:backfill-content -- [--limit N] [--dry-run]
+ */
+async function backfillBodies() {
+  const args = process.argv.slice(2);
+  const limitIndex = args.indexOf('--limit');
+  const limit = limitIndex !== -1 ? parseInt(args[limitIndex + 1], 10) : null;
+  const dryRun = args.includes('--dry-run');
+
+  try {
+    console.log('Connecting to database...');
+    await sequelize.sync();
+    console.log('Connected to database successfully');
+
+    const summary = await backfillContent({ limit, dryRun });
+
+    if (dryRun) {
+      console.log(`\n${summary.found} emails need their bodies re-fetched`);
+      return;
+    }
+
+    console.log(`\n✅ Re-fetched ${summary.updated} of ${summary.found} emails`);
+    if (summary.failed > 0) {
+      console.log(`⚠️  ${summary.failed} emails failed, see the log for details`);
+    }
+  } finally {
+    await sequelize.close();
+    console.log('Database connection closed');
+  }
+}
+
+backfillBodies()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Body backfill failed:', error);
+    process.exit(1);
+  });
@@ -5,6 +5,7 @@ dotenv.config();
 
 /**
  * Clean database - removes all records from emails and users tables
+ * To erase a single user's data, use npm run db:erase-user instead.
  */
 async function cleanEmailsTable() {
   let connection;
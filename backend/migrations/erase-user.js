@@ -0,0 +1,43 @@
+import { sequelize } from '../src/models/index.js';
+import { eraseUser } from '../src/services/erasure.js';
+
+/**
+ * Erase user - handles an erasure request (e.g. under GDPR) for one user:
+ * revokes their Google access and deletes their account, mail accounts,
+ * stored emails, attachments, drafts and imports, then writes an audit
+ * record. Other users' data is left alone.
+ *
+ * Usage: npm run db:erase-user -- <user-email>
+ */
+async function eraseUserData() {
+  const [emailAddress] = process.argv.slice(2);
+
+  if (!emailAddress) {
+    throw new Error('Usage: npm run db:erase-user -- <user-email>');
+  }
+
+  try {
+    console.log('Connecting to database...');
+    await sequelize.sync();
+    console.log('Connected to database successfully');
+
+    const summary = await eraseUser(emailAddress, { actor: 'admin' });
+
+    console.log(`\n✅ Deleted ${emailAddress} with ${summary.accounts} mail accounts and ${summary.emails} emails`);
+    if (summary.revokeFailed > 0) {
+      console.log(`⚠️  ${summary.revokeFailed} Google grants could not be revoked, see the log for details`);
+    }
+  } finally {
+    await sequelize.close();
+    console.log('Database connection closed');
+  }
+}
+
+eraseUserData()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ User erasure failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,67 @@
+import fs from 'fs';
+import path from 'path';
+import { sequelize } from '../src/models/index.js';
+import { createImport, runImport } from '../src/services/import.js';
+
+/**
+ * Import mail - loads an mbox file (Thunderbird, Google Takeout) or a single
+ * .eml message into a user's stored mailbox. Messages already stored for the
+ * user (same Message-ID) are skipped.
+ *
+ * Usage: npm run db:import-mail -- <user-email> <file> [--account N]
+ */
+async function importMail() {
+  const args = process.argv.slice(2);
+  const accountIndex = args.indexOf('--account');
+  const accountId = accountIndex !== -1 ? parseInt(args[accountIndex + 1], 10) : null;
+  const [emailAddress, file] = args.filter(
+    (arg, index) => !arg.startsWith('--') && (accountIndex === -1 || index !== accountIndex + 1)
+  );
+
+  if (!emailAddress || !file) {
+    throw new Error('Usage: npm run db:import-mail -- <user-email> <file> [--account N]');
+  }
+
+  try {
+    console.log('Connecting to database...');
+    await sequelize.sync();
+    console.log('Connected to database successfully');
+
+    const mailImport = await createImport(emailAddress, fs.createReadStream(file), {
+      filename: path.basename(file),
+      accountId,
+    });
+    console.log(`Importing ${mailImport.filename} (${mailImport.format})...`);
+
+    const result = await runImport(mailImport.id, {
+      onProgress: ({ processedBytes, totalBytes, imported }) => {
+        const percent = totalBytes > 0 ? Math.floor((processedBytes / totalBytes) * 100) : 100;
+        process.stdout.write(`\r${percent}% - ${imported} imported`);
+      },
+    });
+
+    if (result.status === 'failed') {
+      throw new Error(result.error);
+    }
+
+    console.log(`\n\n✅ Imported ${result.imported} emails`);
+    if (result.duplicates > 0) {
+      console.log(`${result.duplicates} were already stored and skipped`);
+    }
+    if (result.failed > 0) {
+      console.log(`⚠️  ${result.failed} messages failed, see the log for details`);
+    }
+  } finally {
+    await sequelize.close();
+    console.log('Database connection closed');
+  }
+}
+
+importMail()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Import failed:', error.message);
+    process.exit(1);
+  });
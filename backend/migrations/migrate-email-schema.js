@@ -0,0 +1,103 @@
+import { QueryTypes } from 'sequelize';
+import { sequelize, Email } from '../src/models/index.js';
+
+// Columns of the emails table that are no longer part of the model; bodies
+// are kept in EmailContent now
+const LEGACY_COLUMNS = ['body', 'bodyHtml'];
+// One row per message and user; messages are now stored once per mailbox
+const LEGACY_INDEX = 'unique_user_message';
+
+/**
+ * Migrate email schema - upgrades an emails table created before mailboxes
+ * were synced by UID: adds the columns the model has gained, drops the old
+ * (userId, messageId) unique index and the body columns, and creates the
+ * new indexes, including the unique (accountId, mailbox, uid) one.
+ *
+ * Emails stored without a UID can't be matched to their message on the
+ * server, so they are removed; the next sync downloads them again. Run it
+ * once, after db:migrate-user-tokens, before starting the server on an
+ * existing database: sequelize.sync() creates missing indexes but doesn't
+ * add columns, so the server can't start until this has run.
+ *
+ * Usage: npm run db:migrate-email-schema -- [--dry-run]
+ */
+async function migrateEmailSchema() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  const queryInterface = sequelize.getQueryInterface();
+  const emailsTable = Email.getTableName();
+
+  try {
+    console.log('Connecting to database...');
+    await sequelize.authenticate();
+    console.log('Connected to database successfully');
+
+    const columns = await queryInterface.describeTable(emailsTable);
+    const missing = Object.entries(Email.rawAttributes).filter(([name]) => !columns[name]);
+    const legacyColumns = LEGACY_COLUMNS.filter((column) => columns[column]);
+    const indexes = await queryInterface.showIndex(emailsTable);
+    const hasLegacyIndex = indexes.some((index) => index.name === LEGACY_INDEX);
+
+    // Without a uid column every row predates UID sync
+    let legacyFilter = '';
+    if (columns.uid) {
+      legacyFilter = columns.source ? " WHERE uid IS NULL AND source = 'imap'" : ' WHERE uid IS NULL';
+    }
+    const [{ count: legacyRows }] = await sequelize.query(
+      `SELECT COUNT(*) AS count FROM ${emailsTable}${legacyFilter}`,
+      { type: QueryTypes.SELECT }
+    );
+
+    console.log(`Columns to add: ${missing.map(([name]) => name).join(', ') || 'none'}`);
+    console.log(`Columns to drop: ${legacyColumns.join(', ') || 'none'}`);
+    console.log(`Emails without a UID to remove: ${legacyRows}`);
+    if (dryRun) {
+      console.log(`\nDry run, nothing was changed${hasLegacyIndex ? `; ${LEGACY_INDEX} would be dropped` : ''}`);
+      return;
+    }
+
+    if (legacyRows > 0) {
+      await sequelize.query(`DELETE FROM ${emailsTable}${legacyFilter}`);
+    }
+    if (hasLegacyIndex) {
+      await queryInterface.removeIndex(emailsTable, LEGACY_INDEX);
+    }
+
+    // Added as nullable first; existing rows have no value for the NOT NULL
+    // columns without a default until they're filled in
+    for (const [name, attribute] of missing) {
+      await queryInterface.addColumn(emailsTable, name, {
+        type: attribute.type,
+        allowNull: true,
+        defaultValue: attribute.defaultValue,
+      });
+    }
+    for (const [name, attribute] of missing) {
+      if (attribute.allowNull !== false) continue;
+      await queryInterface.changeColumn(emailsTable, name, {
+        type: attribute.type,
+        allowNull: false,
+        defaultValue: attribute.defaultValue,
+      });
+    }
+    for (const column of legacyColumns) {
+      await queryInterface.removeColumn(emailsTable, column);
+    }
+
+    // Creates the model's indexes that don't exist yet
+    await Email.sync();
+
+    console.log(`\n✅ Emails table migrated, ${legacyRows} emails without a UID removed`);
+  } finally {
+    await sequelize.close();
+    console.log('Database connection closed');
+  }
+}
+
+migrateEmailSchema()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Email schema migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,108 @@
+import { QueryTypes } from 'sequelize';
+import { sequelize, User, MailAccount } from '../src/models/index.js';
+import { getActiveKeyId } from '../src/services/encryption.js';
+import providers from '../src/config/providers.js';
+
+// Token columns of the Users table before mail accounts existed
+const LEGACY_COLUMNS = ['accessToken', 'refreshToken'];
+
+/**
+ * Migrate user tokens - moves the Google tokens that were stored on the
+ * Users table before mail accounts existed into an encrypted Gmail
+ * MailAccount per user, then drops the old accessToken and refreshToken
+ * columns. Users who already have a Gmail account for their address only
+ * get the tokens it is missing. Run it once before starting a version with
+ * mail accounts on an existing database.
+ *
+ * Usage: npm run db:migrate-user-tokens -- [--dry-run]
+ */
+async function migrateUserTokens() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+  const queryInterface = sequelize.getQueryInterface();
+  const usersTable = User.getTableName();
+
+  try {
+    console.log('Connecting to database...');
+    await sequelize.authenticate();
+    console.log('Connected to database successfully');
+
+    // Tokens are encrypted on save, so fail before touching anything
+    getActiveKeyId();
+
+    const columns = await queryInterface.describeTable(usersTable);
+    const legacy = LEGACY_COLUMNS.filter((column) => columns[column]);
+    if (legacy.length === 0) {
+      console.log('\n✅ Users table has no token columns, nothing to migrate');
+      return;
+    }
+
+    const tokenSelect = LEGACY_COLUMNS.map((column) =>
+      columns[column] ? column : `NULL AS ${column}`
+    ).join(', ');
+    const tokenFilter = legacy.map((column) => `${column} IS NOT NULL`).join(' OR ');
+    const users = await sequelize.query(
+      `SELECT id, email, ${tokenSelect} FROM ${usersTable} WHERE ${tokenFilter}`,
+      { type: QueryTypes.SELECT }
+    );
+    console.log(`Found ${users.length} users with stored tokens`);
+
+    if (dryRun) {
+      console.log(`\n${users.length} users would have their tokens moved, then ${legacy.join(' and ')} dropped`);
+      return;
+    }
+
+    // Only the accounts table is created here; the full sync has to wait
+    // until the emails table is migrated too
+    await MailAccount.sync();
+
+    const summary = { created: 0, updated: 0, unchanged: 0 };
+    for (const user of users) {
+      const account = await MailAccount.findOne({
+        where: { userId: user.id, email: user.email },
+      });
+
+      if (!account) {
+        await MailAccount.create({
+          userId: user.id,
+          provider: 'gmail',
+          email: user.email,
+          ...providers.gmail.imap,
+          authType: 'xoauth2',
+          accessToken: user.accessToken,
+          refreshToken: user.refreshToken,
+          // Without a refresh token the user has to sign in with Google again
+          needsReconsent: !user.refreshToken,
+        });
+        summary.created++;
+      } else if (!account.refreshToken && user.refreshToken) {
+        await account.update({
+          accessToken: account.accessToken || user.accessToken,
+          refreshToken: user.refreshToken,
+          needsReconsent: false,
+        });
+        summary.updated++;
+      } else {
+        summary.unchanged++;
+      }
+    }
+
+    for (const column of legacy) {
+      await queryInterface.removeColumn(usersTable, column);
+    }
+
+    console.log(`\n✅ Created ${summary.created} and updated ${summary.updated} Gmail accounts (${summary.unchanged} already had tokens)`);
+    console.log(`Dropped ${legacy.join(' and ')} from ${usersTable}`);
+  } finally {
+    await sequelize.close();
+    console.log('Database connection closed');
+  }
+}
+
+migrateUserTokens()
+  .then(() => {
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('\n❌ User token migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,46 @@
+import { sequelize } from '../src/models/index.js';
+import { rotateCredentialKeys } from '../src/services/account.js';
+
+/**
+ * Rotate credential keys - moves every mail account's stored credentials to
+ * the active master key (CREDENTIAL_KEY_ID, or the last key in
+ * CREDENTIAL_KEYS), and encrypts credentials stored before encryption was
+ * added. Add the new key to CREDENTIAL_KEYS first and keep the old one
+ * listed until this has run.
+ *
+ * Usage: npm run db:rotate-credentials -- [--dry-run]
+ */
+async function rotateCredentials() {
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  try {
+    console.log('Connecting to database...');
+    await sequelize.sync();
+    console.log('Connected to database successfully');
+
+    const summary = await rotateCredentialKeys({ dryRun });
+
+    if (dryRun) {
+      console.log(`\n${summary.found} accounts need their credentials moved to key ${summary.keyId}`);
+      return;
+    }
+
+    console.log(`\n✅ Moved ${summary.rotated} of ${summary.found} accounts to key ${summary.keyId}`);
+    if (summary.failed > 0) {
+      console.log(`⚠️  ${summary.failed} accounts failed, see the log for details`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await sequelize.close();
+    console.log('Database connection closed');
+  }
+}
+
+rotateCredentials()
+  .then(() => {
+    process.exit(process.exitCode || 0);
+  })
+  .catch((error) => {
+    console.error('\n❌ Credential key rotation failed:', error);
+    process.exit(1);
+  });
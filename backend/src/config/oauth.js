@@ -1,10 +1,20 @@
 import { google } from "googleapis";
 
-// Create a reusable OAuth2 client using credentials from environment variables.
-const oauth2Client = new google.auth.OAuth2(
-  process.env.CLIENT_ID,
-  process.env.CLIENT_SECRET,
-  process.env.REDIRECT_URI
-);
+/**
+ * Creates an OAuth2 client using credentials from environment variables.
+ *
+ * @returns {Object} google.auth.OAuth2 client
+ */
+export function createOAuthClient() {
+  return new google.auth.OAuth2(
+    process.env.CLIENT_ID,
+    process.env.CLIENT_SECRET,
+    process.env.REDIRECT_URI
+  );
+}
 
-export default oauth2Client;
\ No newline at end of file
+// Shared client for the login flow, which never sets credentials on it.
+// Mailbox access tokens come from per-account clients (services/tokens.js).
+const oauth2Client = createOAuthClient();
+
+export default oauth2Client;
@@ -0,0 +1,35 @@
+/**
+ * Mail provider presets. Each preset supplies the IMAP and SMTP server
+ * settings and the authentication methods the provider accepts, so users
+ * only have to pick a provider and enter their credentials. "custom" takes
+ * IMAP host, port and TLS settings from the user instead, and sends through
+ * the SMTP relay configured with SMTP_HOST.
+ */
+const providers = {
+  gmail: {
+    name: "Gmail",
+    imap: { host: "imap.gmail.com", port: 993, tls: true },
+    smtp: { host: "smtp.gmail.com", port: 465, secure: true },
+    authTypes: ["xoauth2", "login"],
+  },
+  outlook: {
+    name: "Microsoft 365 / Outlook",
+    imap: { host: "outlook.office365.com", port: 993, tls: true },
+    smtp: { host: "smtp.office365.com", port: 587, secure: false },
+    authTypes: ["xoauth2", "login"],
+  },
+  fastmail: {
+    name: "Fastmail",
+    imap: { host: "imap.fastmail.com", port: 993, tls: true },
+    smtp: { host: "smtp.fastmail.com", port: 465, secure: true },
+    authTypes: ["login"],
+  },
+  custom: {
+    name: "Other IMAP server",
+    imap: null,
+    smtp: null,
+    authTypes: ["login", "xoauth2"],
+  },
+};
+
+export default providers;
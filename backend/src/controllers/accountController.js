@@ -0,0 +1,187 @@
+import {
+  listProviders,
+  getUserAccounts,
+  addAccount,
+  updateAccount,
+  removeAccount,
+} from "../services/account.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Account Controller
+ * Handles HTTP request/response for mail account endpoints
+ */
+
+/**
+ * Providers controller - Returns the supported provider presets
+ * GET /accounts/providers
+ */
+export async function providers(req, res) {
+  // 200 OK - Successfully retrieved providers
+  res.status(200).json({
+    success: true,
+    data: listProviders(),
+  });
+}
+
+/**
+ * List accounts controller - Returns the user's connected mail accounts
+ * GET /accounts
+ */
+export async function list(req, res) {
+  try {
+    const accounts = await getUserAccounts(req.user.email);
+
+    // 200 OK - Successfully retrieved accounts
+    res.status(200).json({
+      success: true,
+      count: accounts.length,
+      data: accounts,
+    });
+  } catch (error) {
+    logger.error("List accounts error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("User not found")) {
+      // 404 Not Found - User does not exist
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to list accounts",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Add account controller - Verifies and stores a new mail account
+ * POST /accounts
+ */
+export async function create(req, res) {
+  try {
+    const account = await addAccount(req.user.email, req.body);
+
+    // 201 Created - Account connected
+    res.status(201).json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    logger.error("Add account error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("User not found")) {
+      // 404 Not Found - User does not exist
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("already connected")) {
+      // 409 Conflict - Account exists
+      return res.status(409).json({
+        success: false,
+        message: "Account already connected",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("Could not log in") || error.message.includes("Unsupported")) {
+      // 400 Bad Request - Invalid settings or credentials
+      return res.status(400).json({
+        success: false,
+        message: "Could not connect account",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to add account",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Update account controller - Verifies and stores new credentials or server
+ * settings for a mail account
+ * PATCH /accounts/:id
+ */
+export async function update(req, res) {
+  try {
+    const account = await updateAccount(req.user.email, req.params.id, req.body);
+
+    // 200 OK - Account updated
+    res.status(200).json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    logger.error("Update account error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or account does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("Could not log in") || error.message.includes("Unsupported")) {
+      // 400 Bad Request - Invalid settings or credentials
+      return res.status(400).json({
+        success: false,
+        message: "Could not update account",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to update account",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Remove account controller - Disconnects a mail account
+ * DELETE /accounts/:id
+ */
+export async function remove(req, res) {
+  try {
+    await removeAccount(req.user.email, req.params.id);
+
+    // 204 No Content - Account removed
+    res.status(204).send();
+  } catch (error) {
+    logger.error("Remove account error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or account does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to remove account",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
@@ -0,0 +1,103 @@
+import { listAttachments, getAttachmentDownload } from "../services/attachment.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Attachment Controller
+ * Handles HTTP request/response for attachment endpoints
+ */
+
+/**
+ * List attachments controller - Returns the attachment metadata of an email
+ * GET /email/:id/attachments
+ */
+export async function list(req, res) {
+  try {
+    const attachments = await listAttachments(req.user.email, req.params.id);
+
+    // 200 OK - Successfully retrieved attachments
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments,
+    });
+  } catch (error) {
+    logger.error("List attachments error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or email does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to list attachments",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Download attachment controller - Streams the attachment content
+ * GET /email/:id/attachments/:attachmentId
+ */
+export async function download(req, res) {
+  try {
+    const { attachment, stream, size } = await getAttachmentDownload(
+      req.user.email,
+      req.params.id,
+      req.params.attachmentId
+    );
+
+    // 200 OK - Stream the file; res.attachment() encodes non-ASCII filenames
+    res.status(200);
+    res.attachment(attachment.filename || `attachment-${attachment.id}`);
+    res.type(attachment.contentType || "application/octet-stream");
+    // The decoded length; the stored size may still be the encoded one, so
+    // parts streamed straight from the mailbox are sent chunked
+    if (size !== null) {
+      res.set("Content-Length", String(size));
+    }
+    res.set("X-Content-Type-Options", "nosniff");
+
+    stream.on("error", (error) => {
+      logger.error("Attachment stream error", { attachmentId: attachment.id, error: error.message });
+      res.destroy(error);
+    });
+    // Stop downloading from the mailbox if the client goes away
+    res.once("close", () => stream.destroy());
+    stream.pipe(res);
+  } catch (error) {
+    logger.error("Download attachment error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User, email or attachment does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to download attachment",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
@@ -1,4 +1,17 @@
-import { generateAuthUrl, handleOAuthCallback } from "../services/auth.js";
+import {
+  LOGIN_COOKIE,
+  generateAuthUrl,
+  handleOAuthCallback,
+  loginCookieOptions,
+} from "../services/auth.js";
+import {
+  SESSION_COOKIE,
+  readCookie,
+  createSession,
+  destroySession,
+  sessionCookieOptions,
+} from "../services/session.js";
+import { eraseUser } from "../services/erasure.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -7,12 +20,14 @@ import logger from "../utils/logger.js";
  */
 
 /**
- * Login controller - Returns OAuth2 consent URL
- * GET /auth/login
+ * Login controller - Returns OAuth2 consent URL and sets the cookie the
+ * callback checks the login's state against
+ * GET /auth/login?returnTo={path}
  */
 export async function login(req, res) {
   try {
-    const url = generateAuthUrl();
+    const { url, loginCookie, expiresAt } = await generateAuthUrl(req.query.returnTo);
+    res.cookie(LOGIN_COOKIE, loginCookie, { ...loginCookieOptions(), expires: expiresAt });
     // 200 OK - Successfully generated auth URL
     res.status(200).json({ 
       success: true,
@@ -46,16 +61,113 @@ export async function googleCallback(req, res) {
       });
     }
     
-    const { email, redirectUrl } = await handleOAuthCallback(code);
+    // The login cookie is single-use, whether or not the login succeeds
+    const loginCookie = readCookie(req.headers.cookie, LOGIN_COOKIE);
+    res.clearCookie(LOGIN_COOKIE, loginCookieOptions());
+
+    const { user, email, redirectUrl } = await handleOAuthCallback(code, {
+      state: req.query.state,
+      loginCookie,
+    });
+    const { cookie, expiresAt } = await createSession(user, {
+      userAgent: req.get("User-Agent"),
+    });
     
     logger.info("User authenticated successfully", { email });
-    // 302 Found - Redirect to frontend dashboard
+    // 302 Found - Redirect to frontend dashboard, signed in by the cookie
+    res.cookie(SESSION_COOKIE, cookie, { ...sessionCookieOptions(), expires: expiresAt });
     res.status(302).redirect(redirectUrl);
   } catch (error) {
     logger.error("OAuth callback error", { error: error.message, stack: error.stack });
     
     // 302 Found - Redirect to frontend with error
     const errorMessage = encodeURIComponent(error.message);
-    res.status(302).redirect(`http://localhost:3000/?error=${errorMessage}`);
+    res.status(302).redirect(`${process.env.FRONTEND_URL || "http://localhost:3000"}/?error=${errorMessage}`);
+  }
+}
+
+/**
+ * Current user controller - Returns the signed-in user
+ * GET /auth/me
+ */
+export async function me(req, res) {
+  // 200 OK - The session's user
+  res.status(200).json({
+    success: true,
+    data: {
+      id: req.user.id,
+      email: req.user.email,
+    },
+  });
+}
+
+/**
+ * Logout controller - Ends the session and clears its cookie
+ * POST /auth/logout
+ */
+export async function logout(req, res) {
+  try {
+    await destroySession(readCookie(req.headers.cookie, SESSION_COOKIE));
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+
+    // 200 OK - Signed out
+    res.status(200).json({
+      success: true,
+      message: "Signed out",
+    });
+  } catch (error) {
+    logger.error("Logout error", { error: error.message });
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to sign out",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Delete account controller - Revokes Google access and deletes the user with
+ * all their stored data, once they've confirmed by typing their address
+ * DELETE /auth/account
+ */
+export async function deleteAccount(req, res) {
+  if (req.body.confirmEmail.trim().toLowerCase() !== req.user.email.toLowerCase()) {
+    // 400 Bad Request - The confirmation must repeat the user's address
+    return res.status(400).json({
+      success: false,
+      message: "Confirmation does not match",
+      error: "Type your email address to confirm deleting your account",
+    });
+  }
+
+  try {
+    const summary = await eraseUser(req.user.email, { actor: "user" });
+    res.clearCookie(SESSION_COOKIE, sessionCookieOptions());
+
+    // 200 OK - Account and data deleted
+    res.status(200).json({
+      success: true,
+      message: "Account deleted",
+      data: summary,
+    });
+  } catch (error) {
+    logger.error("Delete account error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User does not exist
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete account",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
   }
 }
@@ -0,0 +1,96 @@
+import { sendEmail, replyToEmail, forwardEmail } from "../services/compose.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Compose Controller
+ * Handles HTTP request/response for sending, replying and forwarding
+ */
+
+/**
+ * Sends a message and responds the same way for all compose endpoints.
+ */
+async function respondWithSend(req, res, kind, send) {
+  try {
+    const result = await send();
+
+    // 201 Created - Message accepted by the SMTP server
+    res.status(201).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Compose error", { email: req.user.email, kind, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User, account or email does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("No SMTP server")) {
+      // 400 Bad Request - The account can't send mail
+      return res.status(400).json({
+        success: false,
+        message: "Bad Request",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    if (error.message.includes("Failed to send email")) {
+      // 502 Bad Gateway - The SMTP server refused the login or the message
+      return res.status(502).json({
+        success: false,
+        message: "Failed to send email",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${kind} email`,
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Send controller - Sends a new message
+ * POST /email/send
+ */
+export async function send(req, res) {
+  return respondWithSend(req, res, "send", () => sendEmail(req.user.email, req.body));
+}
+
+/**
+ * Reply controller - Replies to a stored email
+ * POST /email/:id/reply
+ */
+export async function reply(req, res) {
+  return respondWithSend(req, res, "reply to", () =>
+    replyToEmail(req.user.email, req.params.id, req.body)
+  );
+}
+
+/**
+ * Forward controller - Forwards a stored email
+ * POST /email/:id/forward
+ */
+export async function forward(req, res) {
+  return respondWithSend(req, res, "forward", () =>
+    forwardEmail(req.user.email, req.params.id, req.body)
+  );
+}
@@ -0,0 +1,109 @@
+import {
+  listDrafts,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+} from "../services/drafts.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Draft Controller
+ * Handles HTTP request/response for draft endpoints
+ */
+
+/**
+ * Sends the error response shared by the draft endpoints.
+ */
+function respondWithError(req, res, message, error) {
+  logger.error(`${message} error`, { email: req.user.email, error: error.message });
+
+  if (error.message.includes("not found")) {
+    // 404 Not Found - User, account, email or draft does not exist
+    return res.status(404).json({
+      success: false,
+      message: "Not found",
+      error: error.message,
+    });
+  }
+
+  // 500 Internal Server Error
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${message.toLowerCase()}`,
+    error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+  });
+}
+
+/**
+ * List drafts controller - Returns the user's drafts
+ * GET /email/drafts?refresh={boolean}
+ */
+export async function list(req, res) {
+  try {
+    const drafts = await listDrafts(req.user.email, {
+      refresh: req.query.refresh === true,
+    });
+
+    // 200 OK - Successfully retrieved drafts
+    res.status(200).json({
+      success: true,
+      count: drafts.length,
+      data: drafts,
+    });
+  } catch (error) {
+    respondWithError(req, res, "List drafts", error);
+  }
+}
+
+/**
+ * Create draft controller - Saves a new draft
+ * POST /email/drafts
+ */
+export async function create(req, res) {
+  try {
+    const draft = await createDraft(req.user.email, req.body);
+
+    // 201 Created - Draft saved; syncError tells if the mailbox copy wasn't
+    res.status(201).json({
+      success: true,
+      data: draft,
+    });
+  } catch (error) {
+    respondWithError(req, res, "Save draft", error);
+  }
+}
+
+/**
+ * Update draft controller - Saves changes to a draft
+ * PUT /email/drafts/:id
+ */
+export async function update(req, res) {
+  try {
+    const draft = await updateDraft(req.user.email, req.params.id, req.body);
+
+    // 200 OK - Draft saved; syncError tells if the mailbox copy wasn't
+    res.status(200).json({
+      success: true,
+      data: draft,
+    });
+  } catch (error) {
+    respondWithError(req, res, "Save draft", error);
+  }
+}
+
+/**
+ * Delete draft controller - Discards a draft
+ * DELETE /email/drafts/:id
+ */
+export async function remove(req, res) {
+  try {
+    await deleteDraft(req.user.email, req.params.id);
+
+    // 200 OK - Draft deleted
+    res.status(200).json({
+      success: true,
+    });
+  } catch (error) {
+    respondWithError(req, res, "Delete draft", error);
+  }
+}
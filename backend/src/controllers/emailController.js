@@ -1,4 +1,11 @@
-import { fetchUserEmails, getStoredEmails } from "../services/email.js";
+import {
+  getStoredEmails,
+  getEmailDetail,
+  updateEmailFlags,
+} from "../services/email.js";
+import { applyMessageAction } from "../services/actions.js";
+import { openMailEventStream } from "../services/listener.js";
+import { enqueueSync, getSyncJob } from "../services/sync.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -7,33 +14,25 @@ import logger from "../utils/logger.js";
  */
 
 /**
- * Fetch emails controller - Fetches emails from Gmail via IMAP
- * GET /email/fetch?email={email}
+ * Fetch emails controller - Queues a sync of every connected account via IMAP
+ * GET /email/fetch
  */
 export async function fetchEmails(req, res) {
   try {
-    const email = req.query.email;
-    
-    if (!email) {
-      // 400 Bad Request - Missing required parameter
-      return res.status(400).json({ 
-        success: false,
-        message: "Missing email parameter",
-        error: "Email address is required in query parameters" 
-      });
-    }
+    const email = req.user.email;
 
-    logger.info("Fetching emails", { email });
-    const emails = await fetchUserEmails(email);
+    logger.info("Queuing email sync", { email });
+    const job = await enqueueSync(email);
     
-    // 201 Created - Successfully fetched and stored new emails
-    res.status(201).json({
-      message: "Emails fetched and stored successfully",
-      count: emails.length,
-      data: emails
+    // 202 Accepted - Poll GET /email/sync/:jobId for the outcome
+    res.status(202).json({
+      success: true,
+      message: "Email sync queued",
+      jobId: job.id,
+      status: job.status
     });
   } catch (error) {
-    logger.error("Fetch emails error", { email: req.query.email, error: error.message });
+    logger.error("Fetch emails error", { email: req.user.email, error: error.message });
     
     // Handle specific error types with appropriate status codes
     if (error.message.includes("User not found")) {
@@ -50,7 +49,8 @@ export async function fetchEmails(req, res) {
       return res.status(401).json({ 
         success: false,
         message: "Authentication required",
-        error: error.message 
+        error: error.message,
+        ...(error.code && { code: error.code }),
       });
     }
     
@@ -64,28 +64,57 @@ export async function fetchEmails(req, res) {
 }
 
 /**
- * Get stored emails controller - Retrieves cached emails from database with pagination and search
- * GET /email/stored?email={email}&page={page}&limit={limit}&search={query}&sortBy={field}&sortOrder={order}
+ * Sync status controller - Reports the status, progress and error of a sync
+ * GET /email/sync/:jobId
  */
-export async function getStored(req, res) {
+export async function getSyncStatus(req, res) {
   try {
-    const email = req.query.email;
-    
-    if (!email) {
-      // 400 Bad Request - Missing required parameter
-      return res.status(400).json({ 
+    const job = await getSyncJob(req.user.email, req.params.jobId);
+
+    // 200 OK - Successfully retrieved sync status
+    res.status(200).json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    logger.error("Get sync status error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or job does not exist
+      return res.status(404).json({
         success: false,
-        message: "Missing email parameter",
-        error: "Email address is required in query parameters" 
+        message: "Not found",
+        error: error.message
       });
     }
 
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to get sync status",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Get stored emails controller - Retrieves cached emails from database with pagination and search
+ * GET /email/stored?page={page}&limit={limit}&search={query}&sortBy={field}&sortOrder={order}&folderId={id}&accountId={id}&recipient={address}&source={imap|imported}
+ */
+export async function getStored(req, res) {
+  try {
+    const email = req.user.email;
+
     const options = {
       page: req.query.page || 1,
       limit: req.query.limit || 20,
       search: req.query.search || '',
       sortBy: req.query.sortBy || 'date',
-      sortOrder: req.query.sortOrder || 'DESC'
+      sortOrder: req.query.sortOrder || 'DESC',
+      folderId: req.query.folderId || null,
+      accountId: req.query.accountId || null,
+      recipient: req.query.recipient || '',
+      source: req.query.source || null
     };
 
     logger.info("Retrieving stored emails", { email, ...options });
@@ -94,7 +123,7 @@ export async function getStored(req, res) {
     // 200 OK - Successfully retrieved data
     res.status(200).json(result);
   } catch (error) {
-    logger.error("Get stored emails error", { email: req.query.email, error: error.message });
+    logger.error("Get stored emails error", { email: req.user.email, error: error.message });
     
     if (error.message.includes("User not found")) {
       // 404 Not Found - User does not exist
@@ -113,3 +142,260 @@ export async function getStored(req, res) {
     });
   }
 }
+
+/**
+ * Mail events controller - Streams new, deleted and flag-changed messages
+ * as Server-Sent Events while the client stays connected
+ * GET /email/events
+ */
+export async function streamEvents(req, res) {
+  const email = req.user.email;
+  let closed = false;
+  let closeStream = null;
+  let heartbeat = null;
+
+  // Registered before anything is awaited, so a client that goes away while
+  // the stream is opening still releases it
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (closeStream) closeStream();
+    logger.info("Mail event stream closed", { email });
+  });
+
+  // The client may already have gone away while the request was authenticated
+  if (req.socket.destroyed) {
+    return;
+  }
+
+  // 200 OK - Keep the response open as an event stream. Headers go out
+  // before subscribing, so events published meanwhile can be written.
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Disable proxy buffering
+  });
+  res.flushHeaders();
+  res.write("retry: 10000\n\n");
+
+  try {
+    const close = await openMailEventStream(email, (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+
+    // The client left while the stream was opening
+    if (closed) {
+      close();
+      return;
+    }
+    closeStream = close;
+  } catch (error) {
+    logger.error("Mail event stream error", { email, error: error.message });
+
+    // The status is already sent, so the failure is reported as an event
+    res.write(
+      `event: error\ndata: ${JSON.stringify({
+        message: "Failed to open event stream",
+        error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message,
+      })}\n\n`
+    );
+    return res.end();
+  }
+
+  // Comment lines keep proxies and browsers from timing the stream out
+  heartbeat = setInterval(() => res.write(": keepalive\n\n"), 25000);
+
+  logger.info("Mail event stream opened", { email });
+}
+
+/**
+ * Get email controller - Returns a single email with its body, downloading
+ * the body from the mailbox the first time it's opened
+ * GET /email/:id
+ */
+export async function getEmail(req, res) {
+  try {
+    const email = await getEmailDetail(req.user.email, req.params.id);
+
+    // 200 OK - Successfully retrieved email
+    res.status(200).json({
+      success: true,
+      data: email,
+    });
+  } catch (error) {
+    logger.error("Get email error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or email does not exist, or was removed from the server
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to get email",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Update flags controller - Marks an email read/unread, starred, answered or
+ * draft on the server and in the database
+ * PATCH /email/:id/flags
+ */
+export async function patchFlags(req, res) {
+  try {
+    const email = await updateEmailFlags(req.user.email, req.params.id, req.body);
+
+    // 200 OK - Successfully updated flags
+    res.status(200).json({
+      success: true,
+      data: email,
+    });
+  } catch (error) {
+    logger.error("Update flags error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or email does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to update flags",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Runs a message action and sends the response shared by the single and
+ * bulk action endpoints.
+ */
+async function respondWithAction(req, res, action, ids, options = {}) {
+  try {
+    const result = await applyMessageAction(req.user.email, ids, action, options);
+
+    // 200 OK - Action applied on the server and in the database
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    logger.error("Message action error", {
+      email: req.user.email,
+      action,
+      error: error.message,
+    });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User, email or folder does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("has no") || error.message.includes("different account")) {
+      // 400 Bad Request - The account can't perform this action
+      return res.status(400).json({
+        success: false,
+        message: "Bad Request",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${action} emails`,
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Archive email controller - Moves an email out of the inbox
+ * POST /email/:id/archive
+ */
+export async function archiveEmail(req, res) {
+  return respondWithAction(req, res, "archive", [req.params.id]);
+}
+
+/**
+ * Trash email controller - Moves an email to the Trash folder
+ * POST /email/:id/trash
+ */
+export async function trashEmail(req, res) {
+  return respondWithAction(req, res, "trash", [req.params.id]);
+}
+
+/**
+ * Move email controller - Moves an email to another folder of its account
+ * POST /email/:id/move
+ */
+export async function moveEmail(req, res) {
+  return respondWithAction(req, res, "move", [req.params.id], {
+    folderId: req.body.folderId,
+  });
+}
+
+/**
+ * Delete email controller - Permanently deletes an email
+ * DELETE /email/:id
+ */
+export async function deleteEmail(req, res) {
+  return respondWithAction(req, res, "delete", [req.params.id]);
+}
+
+/**
+ * Bulk action controller - Archives, moves, trashes or deletes many emails
+ * in one request
+ * POST /email/bulk
+ */
+export async function bulkAction(req, res) {
+  const { action, ids, folderId } = req.body;
+  return respondWithAction(req, res, action, ids, { folderId });
+}
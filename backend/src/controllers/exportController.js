@@ -0,0 +1,97 @@
+import { getRawEmail, streamExport } from "../services/export.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Export Controller
+ * Handles HTTP request/response for raw message downloads and mailbox exports
+ */
+
+/**
+ * Raw email controller - Downloads the original message as .eml
+ * GET /email/:id/raw
+ */
+export async function raw(req, res) {
+  try {
+    const { filename, source } = await getRawEmail(req.user.email, req.params.id);
+
+    // 200 OK - The message exactly as stored on the server
+    res.status(200);
+    res.type("message/rfc822");
+    res.attachment(filename);
+    res.set("Content-Length", String(source.length));
+    res.send(source);
+  } catch (error) {
+    logger.error("Raw email error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or email does not exist, or the message was
+      // removed from the server
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to download email",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Export controller - Streams stored emails as an mbox file or a zip of .eml
+ * GET /email/export?format={mbox|zip}&folderId=&search=&since=&before=
+ */
+export async function exportMailbox(req, res) {
+  const { format, ...filters } = req.query;
+  const email = req.user.email;
+  const stamp = new Date().toISOString().slice(0, 10);
+
+  // 200 OK - Sent before the first message; failures after this point can
+  // only end the download
+  res.status(200);
+  res.type(format === "zip" ? "application/zip" : "application/mbox");
+  res.attachment(`mail-export-${stamp}.${format}`);
+
+  try {
+    await streamExport(email, { format, ...filters }, res);
+  } catch (error) {
+    logger.error("Export error", { email, format, error: error.message });
+
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.removeHeader("Content-Disposition");
+
+    if (error.message.includes("User not found")) {
+      // 404 Not Found - User does not exist
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to export emails",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
@@ -0,0 +1,100 @@
+import { getUserFolders, updateFolder } from "../services/folder.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Folder Controller
+ * Handles HTTP request/response for mailbox folder and label endpoints
+ */
+
+/**
+ * List folders controller - Returns the user's mailboxes and labels
+ * GET /email/folders?refresh={boolean}
+ */
+export async function listFolders(req, res) {
+  try {
+    const email = req.user.email;
+
+    const folders = await getUserFolders(email, {
+      refresh: req.query.refresh === true,
+    });
+
+    // 200 OK - Successfully retrieved folders
+    res.status(200).json({
+      success: true,
+      count: folders.length,
+      data: folders,
+    });
+  } catch (error) {
+    logger.error("List folders error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("User not found")) {
+      // 404 Not Found - User does not exist
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to list folders",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Update folder controller - Chooses whether a folder is synced
+ * PATCH /email/folders/:id
+ */
+export async function patchFolder(req, res) {
+  try {
+    const email = req.user.email;
+    const folder = await updateFolder(email, req.params.id, req.body);
+
+    // 200 OK - Successfully updated folder
+    res.status(200).json({
+      success: true,
+      data: folder,
+    });
+  } catch (error) {
+    logger.error("Update folder error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or folder does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not selectable")) {
+      // 400 Bad Request - Folder can't be opened
+      return res.status(400).json({
+        success: false,
+        message: "Bad Request",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to update folder",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
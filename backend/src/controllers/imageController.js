@@ -0,0 +1,142 @@
+import {
+  verifyImageSignature,
+  getProxiedImage,
+  allowImages,
+  revokeImages,
+} from "../services/remoteContent.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Image Controller
+ * Handles HTTP request/response for the image proxy and remote image settings
+ */
+
+/**
+ * Image proxy controller - Streams a remote image from the cache
+ * GET /email/image-proxy?url={url}&sig={signature}
+ */
+export async function proxy(req, res) {
+  const { url, sig } = req.query;
+
+  if (!verifyImageSignature(url, sig)) {
+    // 403 Forbidden - URL wasn't signed by this server
+    return res.status(403).json({
+      success: false,
+      message: "Invalid image signature",
+    });
+  }
+
+  try {
+    const image = await getProxiedImage(url);
+
+    // 200 OK - Stream the image; it can't be rendered as a document
+    res.status(200);
+    res.type(image.contentType);
+    res.set("Content-Length", String(image.size));
+    res.set("Cache-Control", "private, max-age=86400");
+    res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    res.set("X-Content-Type-Options", "nosniff");
+    res.set("Referrer-Policy", "no-referrer");
+
+    image.stream.on("error", (error) => {
+      logger.error("Image stream error", { error: error.message });
+      res.destroy(error);
+    });
+    image.stream.pipe(res);
+  } catch (error) {
+    logger.warn("Image proxy error", { error: error.message });
+
+    // 502 Bad Gateway - The image couldn't be loaded from its server
+    res.status(502).json({
+      success: false,
+      message: "Failed to load image",
+      error: process.env.NODE_ENV === "production" ? "Image unavailable" : error.message
+    });
+  }
+}
+
+/**
+ * Allow images controller - Loads remote images for an email or its sender
+ * POST /email/:id/images
+ */
+export async function allow(req, res) {
+  try {
+    const allowance = await allowImages(req.user.email, req.params.id, req.body.scope);
+
+    // 200 OK - Remote images allowed
+    res.status(200).json({
+      success: true,
+      data: allowance,
+    });
+  } catch (error) {
+    logger.error("Allow images error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or email does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("no sender")) {
+      // 400 Bad Request - Sender scope needs a sender address
+      return res.status(400).json({
+        success: false,
+        message: "Cannot allow images for this sender",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to allow images",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Revoke images controller - Blocks remote images for an email or its sender again
+ * DELETE /email/:id/images?scope={message|sender}
+ */
+export async function revoke(req, res) {
+  try {
+    const removed = await revokeImages(req.user.email, req.params.id, req.query.scope);
+
+    // 200 OK - Remote images blocked again
+    res.status(200).json({
+      success: true,
+      removed,
+    });
+  } catch (error) {
+    logger.error("Revoke images error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or email does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("no sender")) {
+      // 400 Bad Request - Sender scope needs a sender address
+      return res.status(400).json({
+        success: false,
+        message: "Cannot block images for this sender",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to block images",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
@@ -0,0 +1,116 @@
+import { createImport, startImport, getImport, MAX_IMPORT_SIZE } from "../services/import.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Import Controller
+ * Handles HTTP request/response for mbox and .eml archive imports
+ */
+
+/**
+ * Sends the error response shared by the import endpoints.
+ */
+function respondWithError(req, res, message, error) {
+  logger.error(`${message} error`, { email: req.user.email, error: error.message });
+
+  if (error.message.includes("not found")) {
+    // 404 Not Found - User, account or import does not exist
+    return res.status(404).json({
+      success: false,
+      message: "Not found",
+      error: error.message,
+    });
+  }
+
+  if (error.message.includes("too large")) {
+    // 413 Payload Too Large - The file is over the import size limit; the
+    // connection is closed rather than reading the rest of the body
+    res.set("Connection", "close");
+    return res.status(413).json({
+      success: false,
+      message: "Invalid upload",
+      error: error.message,
+    });
+  }
+
+  if (error.message.includes("empty")) {
+    // 400 Bad Request - Nothing was uploaded
+    return res.status(400).json({
+      success: false,
+      message: "Invalid upload",
+      error: error.message,
+    });
+  }
+
+  // 500 Internal Server Error
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${message.toLowerCase()}`,
+    error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+  });
+}
+
+/**
+ * Upload controller - Stores an mbox or .eml file sent as the raw request
+ * body and starts importing it in the background
+ * POST /email/import?accountId={id}&filename={name}
+ */
+export async function upload(req, res) {
+  // Form and JSON bodies have already been consumed by the body parsers
+  if (req.is("application/json") || req.is("application/x-www-form-urlencoded")) {
+    // 415 Unsupported Media Type - The file must be sent as the raw body
+    return res.status(415).json({
+      success: false,
+      message: "Invalid upload",
+      error: "Send the file as the request body, e.g. with Content-Type application/mbox",
+    });
+  }
+
+  // Refuse announced oversized uploads before reading any of the body
+  if (parseInt(req.get("Content-Length"), 10) > MAX_IMPORT_SIZE) {
+    // 413 Payload Too Large - The file is over the import size limit; the
+    // connection is closed rather than reading the rest of the body
+    res.set("Connection", "close");
+    return res.status(413).json({
+      success: false,
+      message: "Invalid upload",
+      error: `The uploaded file is too large; the limit is ${MAX_IMPORT_SIZE} bytes`,
+    });
+  }
+
+  try {
+    const mailImport = await createImport(req.user.email, req, {
+      filename: req.query.filename,
+      accountId: req.query.accountId,
+    });
+    await startImport(mailImport);
+
+    const data = mailImport.toJSON();
+    delete data.storageKey;
+
+    // 202 Accepted - Poll GET /email/imports/:id for progress
+    res.status(202).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    respondWithError(req, res, "Import mail", error);
+  }
+}
+
+/**
+ * Import status controller - Returns the progress of an import
+ * GET /email/imports/:id
+ */
+export async function status(req, res) {
+  try {
+    const mailImport = await getImport(req.user.email, req.params.id);
+
+    // 200 OK - Successfully retrieved import progress
+    res.status(200).json({
+      success: true,
+      data: mailImport,
+    });
+  } catch (error) {
+    respondWithError(req, res, "Get import", error);
+  }
+}
@@ -0,0 +1,117 @@
+import { searchRemote, saveRemoteHits } from "../services/search.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Search Controller
+ * Handles HTTP request/response for live mailbox search endpoints
+ */
+
+/**
+ * Remote search controller - Searches the live mailbox over IMAP
+ * GET /email/search/remote?q={query}&accountId={id}&folderId={id}&page={page}&limit={limit}
+ */
+export async function remote(req, res) {
+  try {
+    const email = req.user.email;
+
+    const options = {
+      query: req.query.q,
+      accountId: req.query.accountId || null,
+      folderId: req.query.folderId || null,
+      page: req.query.page || 1,
+      limit: req.query.limit || 20,
+    };
+
+    logger.info("Searching remote mailbox", { email, query: options.query });
+    const result = await searchRemote(email, options);
+
+    // 200 OK - Successfully searched the mailbox
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("Remote search error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User, account or folder does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (
+      error.message.includes("Unsupported search term") ||
+      error.message.includes("Invalid search") ||
+      error.message.includes("query is empty")
+    ) {
+      // 400 Bad Request - Query can't be translated to IMAP SEARCH
+      return res.status(400).json({
+        success: false,
+        message: "Invalid search query",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to search mailbox",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Save remote hits controller - Stores search hits in the local database
+ * POST /email/search/remote/save
+ */
+export async function saveRemote(req, res) {
+  try {
+    const saved = await saveRemoteHits(req.user.email, req.body);
+
+    // 201 Created - Hits stored locally
+    res.status(201).json({
+      success: true,
+      count: saved.length,
+      data: saved,
+    });
+  } catch (error) {
+    logger.error("Save remote hits error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or account does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("re-authentication")) {
+      // 401 Unauthorized - Token expired or invalid
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: error.message,
+        ...(error.code && { code: error.code }),
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to save search results",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
@@ -0,0 +1,81 @@
+import { getUserThreads, getThread } from "../services/threading.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Thread Controller
+ * Handles HTTP request/response for conversation endpoints
+ */
+
+/**
+ * List threads controller - Returns conversations, most recent activity first
+ * GET /email/threads?page={page}&limit={limit}&folderId={id}&accountId={id}
+ */
+export async function list(req, res) {
+  try {
+    const email = req.user.email;
+
+    const options = {
+      page: req.query.page || 1,
+      limit: req.query.limit || 20,
+      folderId: req.query.folderId || null,
+      accountId: req.query.accountId || null,
+    };
+
+    const result = await getUserThreads(email, options);
+
+    // 200 OK - Successfully retrieved threads
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error("List threads error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("User not found")) {
+      // 404 Not Found - User does not exist
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to list threads",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
+
+/**
+ * Get thread controller - Returns a conversation with all of its emails
+ * GET /email/threads/:id
+ */
+export async function get(req, res) {
+  try {
+    const thread = await getThread(req.user.email, req.params.id);
+
+    // 200 OK - Successfully retrieved thread
+    res.status(200).json({
+      success: true,
+      data: thread,
+    });
+  } catch (error) {
+    logger.error("Get thread error", { email: req.user.email, error: error.message });
+
+    if (error.message.includes("not found")) {
+      // 404 Not Found - User or thread does not exist
+      return res.status(404).json({
+        success: false,
+        message: "Not found",
+        error: error.message,
+      });
+    }
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to get thread",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+}
@@ -0,0 +1,41 @@
+import { SESSION_COOKIE, readCookie, resolveSession } from "../services/session.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Authentication Middleware
+ * Resolves the signed-in user from the session cookie
+ */
+
+/**
+ * Requires a valid session and sets `req.user` to the signed-in User and
+ * `req.sessionId` to the session's ID.
+ */
+export const requireAuth = async (req, res, next) => {
+  try {
+    const found = await resolveSession(readCookie(req.headers.cookie, SESSION_COOKIE));
+
+    if (!found) {
+      // 401 Unauthorized - No session, or it expired or was ended
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+        error: "Not signed in or the session has expired",
+      });
+    }
+
+    req.user = found.user;
+    req.sessionId = found.session.id;
+    next();
+  } catch (error) {
+    logger.error("Session lookup error", { path: req.path, error: error.message });
+
+    // 500 Internal Server Error
+    res.status(500).json({
+      success: false,
+      message: "Failed to check the session",
+      error: process.env.NODE_ENV === "production" ? "Internal server error" : error.message
+    });
+  }
+};
+
+export default requireAuth;
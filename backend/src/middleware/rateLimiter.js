@@ -48,7 +48,7 @@ export const emailFetchLimiter = rateLimit({
     logger.warn("Email fetch rate limit exceeded", {
       ip: req.ip,
       path: req.path,
-      email: req.query.email,
+      email: req.user?.email,
     });
     // 429 Too Many Requests
     res.status(429).json({
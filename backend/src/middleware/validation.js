@@ -47,21 +47,350 @@ export const validate = (schema, property = "body") => {
 };
 
 /**
- * Email query parameter validation schema
+ * Email query parameter validation schema. The user comes from the session,
+ * not from the query.
  */
 export const emailQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(100).optional(),
+  search: Joi.string().allow('').optional(),
+  sortBy: Joi.string().valid('date', 'from', 'subject').optional(),
+  sortOrder: Joi.string().valid('ASC', 'DESC', 'asc', 'desc').optional(),
+  folderId: Joi.number().integer().min(1).optional(),
+  accountId: Joi.number().integer().min(1).optional(),
+  recipient: Joi.string().allow('').optional(),
+  source: Joi.string().valid("imap", "imported").optional(),
+});
+
+/**
+ * Remote search query validation schema
+ */
+export const remoteSearchQuerySchema = emailQuerySchema.keys({
+  q: Joi.string()
+    .trim()
+    .max(500)
+    .required()
+    .messages({
+      "any.required": "Search query (q) is required",
+    }),
+});
+
+/**
+ * Remote search hit save validation schema
+ */
+export const remoteSaveSchema = Joi.object({
+  accountId: Joi.number().integer().min(1).required(),
+  mailbox: Joi.string().max(255).required(),
+  uids: Joi.array()
+    .items(Joi.number().integer().min(1))
+    .min(1)
+    .max(100)
+    .unique()
+    .required(),
+});
+
+/**
+ * Image proxy query validation schema
+ */
+export const imageProxyQuerySchema = Joi.object({
+  url: Joi.string()
+    .uri({ scheme: ["http", "https"] })
+    .max(2048)
+    .required(),
+  sig: Joi.string().hex().length(64).required(),
+});
+
+/**
+ * Remote image allowance validation schema ("message" or "sender")
+ */
+export const imageScopeSchema = Joi.object({
+  scope: Joi.string().valid("message", "sender").default("message"),
+});
+
+/**
+ * Remote image allowance query validation schema, for DELETE requests
+ */
+export const imageScopeQuerySchema = emailQuerySchema.keys({
+  scope: Joi.string().valid("message", "sender").default("message"),
+});
+
+/**
+ * Address list used by the compose schemas
+ */
+const addressListSchema = Joi.array()
+  .items(Joi.string().email())
+  .max(100);
+
+/**
+ * Attachment uploaded with a composed message, content in base64
+ */
+const composeAttachmentSchema = Joi.object({
+  filename: Joi.string().max(255).required(),
+  contentType: Joi.string().max(255).default("application/octet-stream"),
+  content: Joi.string().base64().required(),
+});
+
+/**
+ * Fields shared by new messages, replies and forwards
+ */
+const composeBodyKeys = {
+  cc: addressListSchema.default([]),
+  bcc: addressListSchema.default([]),
+  text: Joi.string().allow("").max(1000000).default(""),
+  html: Joi.string().max(2000000).optional(),
+  attachments: Joi.array().items(composeAttachmentSchema).max(20).default([]),
+};
+
+/**
+ * New message validation schema
+ */
+export const sendEmailSchema = Joi.object({
+  accountId: Joi.number().integer().min(1).optional(),
+  to: addressListSchema.min(1).required().messages({
+    "array.min": "At least one recipient is required",
+  }),
+  subject: Joi.string().allow("").max(998).default(""),
+  inReplyTo: Joi.string().max(998).optional(),
+  references: Joi.string().max(10000).optional(),
+  ...composeBodyKeys,
+});
+
+/**
+ * Reply validation schema
+ */
+export const replyEmailSchema = Joi.object({
+  replyAll: Joi.boolean().default(false),
+  ...composeBodyKeys,
+});
+
+/**
+ * Forward validation schema
+ */
+export const forwardEmailSchema = Joi.object({
+  to: addressListSchema.min(1).required().messages({
+    "array.min": "At least one recipient is required",
+  }),
+  includeAttachments: Joi.boolean().default(true),
+  ...composeBodyKeys,
+});
+
+/**
+ * Draft validation schema. Addresses aren't checked, a draft may hold
+ * recipients that are still being typed.
+ */
+const draftAddressListSchema = Joi.array().items(Joi.string().max(320)).max(100);
+
+export const draftSchema = Joi.object({
+  accountId: Joi.number().integer().min(1).optional(),
+  kind: Joi.string().valid("new", "reply", "replyAll", "forward").default("new"),
+  emailId: Joi.number().integer().min(1).when("kind", {
+    is: "new",
+    then: Joi.optional(),
+    otherwise: Joi.required(),
+  }),
+  to: draftAddressListSchema.optional(),
+  cc: draftAddressListSchema.optional(),
+  bcc: draftAddressListSchema.optional(),
+  subject: Joi.string().allow("").max(998).optional(),
+  text: Joi.string().allow("").max(1000000).optional(),
+  html: Joi.string().allow("").max(2000000).optional(),
+});
+
+/**
+ * Draft update validation schema; only the fields sent are changed
+ */
+export const draftUpdateSchema = Joi.object({
+  to: draftAddressListSchema.optional(),
+  cc: draftAddressListSchema.optional(),
+  bcc: draftAddressListSchema.optional(),
+  subject: Joi.string().allow("").max(998).optional(),
+  text: Joi.string().allow("").max(1000000).optional(),
+  html: Joi.string().allow("").max(2000000).optional(),
+}).min(1);
+
+/**
+ * Draft list query validation schema
+ */
+export const draftListQuerySchema = emailQuerySchema.keys({
+  refresh: Joi.boolean().optional(),
+});
+
+/**
+ * Mailbox export query validation schema; filters as for the email list
+ */
+export const exportQuerySchema = emailQuerySchema.keys({
+  format: Joi.string().valid("mbox", "zip").default("mbox"),
+  since: Joi.date().iso().optional(),
+  before: Joi.date().iso().optional(),
+});
+
+/**
+ * Mail import upload query validation schema
+ */
+export const importQuerySchema = Joi.object({
+  accountId: Joi.number().integer().min(1).optional(),
+  filename: Joi.string().max(255).optional(),
+});
+
+/**
+ * Folder list query validation schema
+ */
+export const folderListQuerySchema = emailQuerySchema.keys({
+  refresh: Joi.boolean().optional(),
+});
+
+/**
+ * Route parameter validation schema for sync job status
+ */
+export const jobParamSchema = Joi.object({
+  jobId: Joi.number().integer().min(1).required(),
+});
+
+/**
+ * Route parameter validation schema for endpoints addressed by numeric ID
+ */
+export const idParamSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+});
+
+/**
+ * Route parameter validation schema for a single attachment of an email
+ */
+export const attachmentParamSchema = Joi.object({
+  id: Joi.number().integer().min(1).required(),
+  attachmentId: Joi.number().integer().min(1).required(),
+});
+
+/**
+ * Folder update validation schema
+ */
+export const folderUpdateSchema = Joi.object({
+  syncEnabled: Joi.boolean()
+    .required()
+    .messages({
+      "any.required": "syncEnabled is required",
+    }),
+});
+
+/**
+ * Email flag update validation schema
+ */
+export const emailFlagsSchema = Joi.object({
+  seen: Joi.boolean(),
+  flagged: Joi.boolean(),
+  answered: Joi.boolean(),
+  draft: Joi.boolean(),
+})
+  .min(1)
+  .messages({
+    "object.min": "At least one flag is required",
+  });
+
+/**
+ * Move to folder validation schema
+ */
+export const emailMoveSchema = Joi.object({
+  folderId: Joi.number().integer().min(1).required().messages({
+    "any.required": "folderId is required",
+  }),
+});
+
+/**
+ * Bulk message action validation schema
+ */
+export const bulkActionSchema = Joi.object({
+  action: Joi.string()
+    .valid("archive", "move", "trash", "delete")
+    .required(),
+  ids: Joi.array()
+    .items(Joi.number().integer().min(1))
+    .min(1)
+    .max(500)
+    .unique()
+    .required()
+    .messages({
+      "array.max": "At most 500 emails can be processed at once",
+    }),
+  folderId: Joi.number().integer().min(1).when("action", {
+    is: "move",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+/**
+ * Mail account creation validation schema
+ */
+export const accountCreateSchema = Joi.object({
+  provider: Joi.string()
+    .valid("gmail", "outlook", "fastmail", "custom")
+    .required(),
   email: Joi.string()
     .email()
     .required()
     .messages({
       "string.email": "Please provide a valid email address",
-      "any.required": "Email parameter is required",
     }),
-  page: Joi.number().integer().min(1).optional(),
-  limit: Joi.number().integer().min(1).max(100).optional(),
-  search: Joi.string().allow('').optional(),
-  sortBy: Joi.string().valid('date', 'from', 'subject').optional(),
-  sortOrder: Joi.string().valid('ASC', 'DESC', 'asc', 'desc').optional(),
+  authType: Joi.string().valid("login", "xoauth2").default("login"),
+  username: Joi.string().max(255).optional(),
+  password: Joi.string().when("authType", {
+    is: "login",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  accessToken: Joi.string().when("authType", {
+    is: "xoauth2",
+    then: Joi.required(),
+    otherwise: Joi.forbidden(),
+  }),
+  host: Joi.when("provider", {
+    is: "custom",
+    then: Joi.string().hostname().required(),
+    otherwise: Joi.forbidden(),
+  }),
+  port: Joi.when("provider", {
+    is: "custom",
+    then: Joi.number().port().default(993),
+    otherwise: Joi.forbidden(),
+  }),
+  tls: Joi.when("provider", {
+    is: "custom",
+    then: Joi.boolean().default(true),
+    otherwise: Joi.forbidden(),
+  }),
+});
+
+/**
+ * Mail account update validation schema; which fields apply depends on the
+ * account and is checked by the account service
+ */
+export const accountUpdateSchema = Joi.object({
+  username: Joi.string().max(255).optional(),
+  password: Joi.string().optional(),
+  accessToken: Joi.string().optional(),
+  host: Joi.string().hostname().optional(),
+  port: Joi.number().port().optional(),
+  tls: Joi.boolean().optional(),
+}).min(1);
+
+/**
+ * Login query validation schema; returnTo is checked against the allow-list
+ * by the auth service
+ */
+export const loginQuerySchema = Joi.object({
+  returnTo: Joi.string().max(2048).optional(),
+});
+
+/**
+ * Account deletion validation schema; the user confirms by typing their
+ * email address
+ */
+export const accountDeleteSchema = Joi.object({
+  confirmEmail: Joi.string()
+    .required()
+    .messages({
+      "any.required": "Type your email address to confirm",
+    }),
 });
 
 /**
@@ -73,6 +402,8 @@ export const oauthCallbackSchema = Joi.object({
     .messages({
       "any.required": "Authorization code is required",
     }),
+  // Checked against the login cookie by the auth service, which sends the
+  // user back to the frontend with an error if it's missing
   state: Joi.string().optional(),
   scope: Joi.string().optional(),
   authuser: Joi.string().optional(),
@@ -0,0 +1,32 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines an Attachment model holding the metadata of a message part that
+   * was sent as an attachment or inline resource. The content itself is
+   * either fetched from IMAP on demand or kept in local blob storage.
+   */
+  const Attachment = sequelize.define("Attachment", {
+    emailId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+    },
+    filename: DataTypes.STRING,
+    contentType: DataTypes.STRING,
+    size: DataTypes.INTEGER,
+    // Content-ID for inline parts referenced as cid: from the HTML body
+    contentId: DataTypes.STRING,
+    // BODYSTRUCTURE part ID (e.g. "2.1") and transfer encoding, used to
+    // download just this part from IMAP
+    partId: DataTypes.STRING(32),
+    encoding: DataTypes.STRING(32),
+    // MD5 of the decoded content, known once the content has been downloaded
+    checksum: DataTypes.STRING(32),
+    // Blob key when the content is kept in local storage
+    storageKey: DataTypes.STRING,
+  });
+
+  return Attachment;
+};
@@ -0,0 +1,40 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines an AuditLog model recording security-relevant actions such as
+   * account deletions. Records outlive the user they describe, so they hold
+   * no foreign key and no personal data: the user is identified by a hash
+   * of their email address.
+   */
+  const AuditLog = sequelize.define(
+    "AuditLog",
+    {
+      // e.g. "account.deleted"
+      action: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      // ID the user had; not a foreign key, the row may be gone
+      userId: DataTypes.INTEGER,
+      // SHA-256 of the lowercased email address
+      subjectHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+      },
+      // "user" for self-service, "admin" for the CLI
+      actor: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+      },
+      details: DataTypes.JSON,
+    },
+    {
+      indexes: [
+        {
+          fields: ["subjectHash"],
+        },
+      ],
+    }
+  );
+
+  return AuditLog;
+};
@@ -0,0 +1,57 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines a Draft model for messages being written. The draft is kept here
+   * and a copy is stored in the account's Drafts mailbox (`mailbox`, `uid`),
+   * replaced on every save so it can be finished in any mail client.
+   */
+  const Draft = sequelize.define(
+    "Draft",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      accountId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // "new", "reply", "replyAll" or "forward"
+      kind: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: "new",
+      },
+      // Email being replied to or forwarded
+      emailId: DataTypes.INTEGER,
+      // Address lists, stored as JSON arrays
+      to: DataTypes.JSON,
+      cc: DataTypes.JSON,
+      bcc: DataTypes.JSON,
+      subject: DataTypes.STRING(998),
+      text: DataTypes.TEXT("long"),
+      html: DataTypes.TEXT("long"),
+      // Message-ID of the mailbox copy; kept across saves
+      messageId: DataTypes.STRING,
+      inReplyTo: DataTypes.STRING,
+      references: DataTypes.TEXT,
+      // Where the mailbox copy is, null until it was appended
+      mailbox: DataTypes.STRING,
+      uid: DataTypes.BIGINT,
+      syncedAt: DataTypes.DATE,
+      // Why the last save couldn't update the mailbox copy
+      syncError: DataTypes.STRING(512),
+    },
+    {
+      indexes: [
+        {
+          fields: ["userId", "updatedAt"],
+        },
+        {
+          fields: ["accountId", "messageId"],
+        },
+      ],
+    }
+  );
+
+  return Draft;
+};
@@ -1,34 +1,104 @@
 export default (sequelize, DataTypes) => {
   /**
-   * Defines an Email model to store metadata and content about messages fetched from Gmail.
+   * Defines an Email model to store metadata and content about messages fetched
+   * from one of the user's mail accounts.
    */
   const Email = sequelize.define(
     "Email",
     {
+      // Message-ID header, or the UID for messages that don't have one
       messageId: {
         type: DataTypes.STRING,
         allowNull: false,
       },
+      // Threading headers; referenceIds is the References list, space separated
+      inReplyTo: DataTypes.STRING,
+      referenceIds: DataTypes.TEXT,
+      threadId: DataTypes.INTEGER,
+      uid: DataTypes.BIGINT,
+      mailbox: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "INBOX",
+      },
+      // Gmail X-GM-MSGID, identical for a message across all of its labels
+      gmMsgId: DataTypes.STRING,
+      // Gmail X-GM-THRID, shared by every message of a conversation
+      gmThrId: DataTypes.STRING,
+      // Raw From header, plus the parsed display name and address
       from: DataTypes.STRING,
+      fromName: DataTypes.STRING,
+      fromAddress: DataTypes.STRING,
       subject: DataTypes.STRING,
       date: DataTypes.DATE,
-      body: DataTypes.TEXT("long"),
-      bodyHtml: DataTypes.TEXT("long"),
+      // RFC822.SIZE in bytes
+      size: DataTypes.INTEGER,
+      // First few lines of the text part, shown in the message list
+      snippet: DataTypes.STRING(255),
+      // Bodies are only downloaded when the message is first opened, and
+      // kept in EmailContent
+      bodyFetchedAt: DataTypes.DATE,
+      // IMAP system flags, kept in sync in both directions
+      seen: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      flagged: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      answered: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+      draft: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
       hasAttachments: {
         type: DataTypes.BOOLEAN,
         defaultValue: false,
       },
+      // "imap" for synced mail, "imported" for messages loaded from an mbox
+      // or .eml archive; imported ones only exist here
+      source: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: "imap",
+      },
       userId: {
         type: DataTypes.INTEGER,
         allowNull: false,
       },
+      accountId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
     },
     {
       indexes: [
         {
           unique: true,
+          fields: ["accountId", "mailbox", "uid"],
+          name: "unique_account_mailbox_uid",
+        },
+        {
+          fields: ["accountId", "gmMsgId"],
+        },
+        {
+          fields: ["accountId", "messageId"],
+        },
+        {
+          fields: ["accountId", "inReplyTo"],
+        },
+        {
+          fields: ["threadId"],
+        },
+        {
+          fields: ["fromAddress"],
+        },
+        {
           fields: ["userId", "messageId"],
-          name: "unique_user_message",
         },
       ],
     }
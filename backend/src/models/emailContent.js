@@ -0,0 +1,31 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines an EmailContent model holding the full text and HTML bodies of an
+   * email, gzip-compressed. Kept out of the Email table so message lists
+   * never load bodies.
+   */
+  const EmailContent = sequelize.define(
+    "EmailContent",
+    {
+      emailId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: true,
+      },
+      body: DataTypes.BLOB("long"),
+      bodyHtml: DataTypes.BLOB("long"),
+      // Charset and Content-Transfer-Encoding of the body part as sent
+      charset: DataTypes.STRING(64),
+      transferEncoding: DataTypes.STRING(32),
+      // Uncompressed length in characters of body + bodyHtml
+      length: DataTypes.INTEGER,
+      // Set when a body was cut at EMAIL_BODY_LIMIT
+      truncated: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+    }
+  );
+
+  return EmailContent;
+};
@@ -0,0 +1,24 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Join table between Email and Folder. A message carries one label per
+   * mailbox it appears in, plus every Gmail X-GM-LABELS entry.
+   */
+  const EmailLabel = sequelize.define(
+    "EmailLabel",
+    {
+      emailId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      folderId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+    },
+    {
+      timestamps: false,
+    }
+  );
+
+  return EmailLabel;
+};
@@ -0,0 +1,38 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines an EmailRecipient model holding one parsed address from the To,
+   * Cc, Bcc or Reply-To header of an email, so emails can be searched by
+   * recipient.
+   */
+  const EmailRecipient = sequelize.define(
+    "EmailRecipient",
+    {
+      emailId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      kind: {
+        type: DataTypes.ENUM("to", "cc", "bcc", "replyTo"),
+        allowNull: false,
+      },
+      name: DataTypes.STRING,
+      address: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+    },
+    {
+      timestamps: false,
+      indexes: [
+        {
+          fields: ["emailId"],
+        },
+        {
+          fields: ["address"],
+        },
+      ],
+    }
+  );
+
+  return EmailRecipient;
+};
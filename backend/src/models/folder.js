@@ -0,0 +1,51 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines a Folder model for the mailboxes returned by IMAP LIST. On Gmail
+   * every label is exposed as a mailbox, so a Folder also represents a label
+   * and an Email can be linked to several of them through EmailLabel.
+   */
+  const Folder = sequelize.define(
+    "Folder",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      accountId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Full IMAP path, e.g. "[Gmail]/Sent Mail"
+      path: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      delimiter: DataTypes.STRING(8),
+      // RFC 6154 special-use attribute, e.g. "\\Sent" or "\\All"
+      specialUse: DataTypes.STRING(32),
+      selectable: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+      },
+      syncEnabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+      },
+    },
+    {
+      indexes: [
+        {
+          unique: true,
+          fields: ["accountId", "path"],
+          name: "unique_account_folder_path",
+        },
+      ],
+    }
+  );
+
+  return Folder;
+};
@@ -0,0 +1,32 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines an ImageAllowance model recording that a user chose to load
+   * remote images, either for one email (`emailId`) or for everything from
+   * one sender (`senderAddress`).
+   */
+  const ImageAllowance = sequelize.define(
+    "ImageAllowance",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      emailId: DataTypes.INTEGER,
+      senderAddress: DataTypes.STRING,
+    },
+    {
+      indexes: [
+        {
+          unique: true,
+          fields: ["userId", "emailId"],
+        },
+        {
+          unique: true,
+          fields: ["userId", "senderAddress"],
+        },
+      ],
+    }
+  );
+
+  return ImageAllowance;
+};
@@ -4,13 +4,119 @@ import sequelize from "../config/db.js";
 // Import model definitions
 import UserModel from "./user.js";
 import EmailModel from "./email.js";
+import SyncStateModel from "./syncState.js";
+import FolderModel from "./folder.js";
+import EmailLabelModel from "./emailLabel.js";
+import MailAccountModel from "./mailAccount.js";
+import AttachmentModel from "./attachment.js";
+import ThreadModel from "./thread.js";
+import EmailRecipientModel from "./emailRecipient.js";
+import ImageAllowanceModel from "./imageAllowance.js";
+import EmailContentModel from "./emailContent.js";
+import DraftModel from "./draft.js";
+import MailImportModel from "./mailImport.js";
+import JobModel from "./job.js";
+import SessionModel from "./session.js";
+import AuditLogModel from "./auditLog.js";
 
 // Initialize models
 const User = UserModel(sequelize, DataTypes);
 const Email = EmailModel(sequelize, DataTypes);
+const SyncState = SyncStateModel(sequelize, DataTypes);
+const Folder = FolderModel(sequelize, DataTypes);
+const EmailLabel = EmailLabelModel(sequelize, DataTypes);
+const MailAccount = MailAccountModel(sequelize, DataTypes);
+const Attachment = AttachmentModel(sequelize, DataTypes);
+const Thread = ThreadModel(sequelize, DataTypes);
+const EmailRecipient = EmailRecipientModel(sequelize, DataTypes);
+const ImageAllowance = ImageAllowanceModel(sequelize, DataTypes);
+const EmailContent = EmailContentModel(sequelize, DataTypes);
+const Draft = DraftModel(sequelize, DataTypes);
+const MailImport = MailImportModel(sequelize, DataTypes);
+const Job = JobModel(sequelize, DataTypes);
+const Session = SessionModel(sequelize, DataTypes);
+const AuditLog = AuditLogModel(sequelize, DataTypes);
 
 // Define relationships
+User.hasMany(MailAccount, { foreignKey: "userId" });
+MailAccount.belongsTo(User, { foreignKey: "userId" });
+MailAccount.hasMany(Email, { foreignKey: "accountId", onDelete: "CASCADE" });
+Email.belongsTo(MailAccount, { foreignKey: "accountId" });
+MailAccount.hasMany(Folder, { foreignKey: "accountId", onDelete: "CASCADE" });
+Folder.belongsTo(MailAccount, { foreignKey: "accountId" });
+MailAccount.hasMany(SyncState, { foreignKey: "accountId", onDelete: "CASCADE" });
+SyncState.belongsTo(MailAccount, { foreignKey: "accountId" });
 User.hasMany(Email, { foreignKey: "userId" });
 Email.belongsTo(User, { foreignKey: "userId" });
+User.hasMany(SyncState, { foreignKey: "userId" });
+SyncState.belongsTo(User, { foreignKey: "userId" });
+User.hasMany(Folder, { foreignKey: "userId" });
+Folder.belongsTo(User, { foreignKey: "userId" });
+Email.hasMany(Attachment, { foreignKey: "emailId", onDelete: "CASCADE" });
+Attachment.belongsTo(Email, { foreignKey: "emailId" });
+Email.belongsToMany(Folder, {
+  through: EmailLabel,
+  as: "labels",
+  foreignKey: "emailId",
+  otherKey: "folderId",
+});
+Folder.belongsToMany(Email, {
+  through: EmailLabel,
+  foreignKey: "folderId",
+  otherKey: "emailId",
+});
+MailAccount.hasMany(Thread, { foreignKey: "accountId", onDelete: "CASCADE" });
+Thread.belongsTo(MailAccount, { foreignKey: "accountId" });
+Thread.hasMany(Email, { foreignKey: "threadId", onDelete: "SET NULL" });
+Email.belongsTo(Thread, { foreignKey: "threadId" });
+Email.hasMany(EmailRecipient, {
+  as: "recipients",
+  foreignKey: "emailId",
+  onDelete: "CASCADE",
+});
+EmailRecipient.belongsTo(Email, { foreignKey: "emailId" });
+Email.hasOne(EmailContent, {
+  as: "content",
+  foreignKey: "emailId",
+  onDelete: "CASCADE",
+});
+EmailContent.belongsTo(Email, { foreignKey: "emailId" });
+User.hasMany(ImageAllowance, { foreignKey: "userId", onDelete: "CASCADE" });
+ImageAllowance.belongsTo(User, { foreignKey: "userId" });
+Email.hasMany(ImageAllowance, { foreignKey: "emailId", onDelete: "CASCADE" });
+ImageAllowance.belongsTo(Email, { foreignKey: "emailId" });
+User.hasMany(Draft, { foreignKey: "userId", onDelete: "CASCADE" });
+Draft.belongsTo(User, { foreignKey: "userId" });
+MailAccount.hasMany(Draft, { foreignKey: "accountId", onDelete: "CASCADE" });
+Draft.belongsTo(MailAccount, { foreignKey: "accountId" });
+Draft.belongsTo(Email, { as: "original", foreignKey: "emailId", constraints: false });
+User.hasMany(MailImport, { foreignKey: "userId", onDelete: "CASCADE" });
+MailImport.belongsTo(User, { foreignKey: "userId" });
+MailAccount.hasMany(MailImport, { foreignKey: "accountId", onDelete: "CASCADE" });
+MailImport.belongsTo(MailAccount, { foreignKey: "accountId" });
+User.hasMany(Job, { foreignKey: "userId", onDelete: "CASCADE" });
+Job.belongsTo(User, { foreignKey: "userId" });
+User.hasMany(Session, { foreignKey: "userId", onDelete: "CASCADE" });
+Session.belongsTo(User, { foreignKey: "userId" });
 
-export { sequelize, User, Email };
\ No newline at end of file
+// AuditLog is deliberately not associated; its records outlive the users
+
+export {
+  sequelize,
+  User,
+  MailAccount,
+  Email,
+  SyncState,
+  Folder,
+  EmailLabel,
+  Attachment,
+  Thread,
+  EmailRecipient,
+  ImageAllowance,
+  EmailContent,
+  Draft,
+  MailImport,
+  Job,
+  Session,
+  AuditLog,
+};
\ No newline at end of file
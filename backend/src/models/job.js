@@ -0,0 +1,60 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines a Job model for the background job queue. Jobs wait as "queued"
+   * until their runAt time, are claimed by a worker ("running") and end as
+   * "completed" or "failed"; failed attempts are queued again with backoff
+   * until maxAttempts is reached.
+   */
+  const Job = sequelize.define(
+    "Job",
+    {
+      // Handler that runs the job, e.g. "sync"
+      type: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+      },
+      userId: DataTypes.INTEGER,
+      payload: DataTypes.JSON,
+      // "queued", "running", "completed" or "failed"
+      status: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: "queued",
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+      },
+      runAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+      },
+      // Set while running; a stale lock means the worker died
+      lockedAt: DataTypes.DATE,
+      progress: DataTypes.JSON,
+      result: DataTypes.JSON,
+      // Error of the last failed attempt
+      error: DataTypes.STRING(512),
+      finishedAt: DataTypes.DATE,
+    },
+    {
+      indexes: [
+        {
+          fields: ["status", "type", "runAt"],
+        },
+        {
+          fields: ["userId", "type", "createdAt"],
+        },
+      ],
+    }
+  );
+
+  return Job;
+};
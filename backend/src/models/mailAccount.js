@@ -0,0 +1,119 @@
+import { createDataKey, encryptValue, decryptValue } from "../services/encryption.js";
+
+export default (sequelize, DataTypes) => {
+  // A TEXT credential column, encrypted when set and decrypted when read
+  const encryptedText = (field) => ({
+    type: DataTypes.TEXT,
+    get() {
+      const value = this.getDataValue(field);
+      if (value == null) return value;
+      return decryptValue(
+        value,
+        this.getDataValue("credentialKeyId"),
+        this.getDataValue("credentialDataKey")
+      );
+    },
+    set(value) {
+      if (value == null) {
+        this.setDataValue(field, value);
+        return;
+      }
+      if (!this.getDataValue("credentialDataKey")) {
+        const { keyId, wrappedKey } = createDataKey();
+        this.setDataValue("credentialKeyId", keyId);
+        this.setDataValue("credentialDataKey", wrappedKey);
+      }
+      this.setDataValue(
+        field,
+        encryptValue(
+          value,
+          this.getDataValue("credentialKeyId"),
+          this.getDataValue("credentialDataKey")
+        )
+      );
+    },
+  });
+
+  /**
+   * Defines a MailAccount model for a mailbox connected by a user. A user can
+   * connect several accounts from different providers; each account carries
+   * its own server settings and credentials (OAuth2 tokens for XOAUTH2, or a
+   * username and app password for LOGIN).
+   *
+   * Credentials are encrypted with the account's own data key, which is
+   * stored wrapped with the master key named by credentialKeyId (see
+   * services/encryption.js); the rest of the code only sees plaintext.
+   */
+  const MailAccount = sequelize.define(
+    "MailAccount",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      provider: {
+        type: DataTypes.STRING(32),
+        allowNull: false,
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      host: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      port: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 993,
+      },
+      tls: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true,
+      },
+      authType: {
+        type: DataTypes.ENUM("xoauth2", "login"),
+        allowNull: false,
+      },
+      // Defaults to the account email when not set
+      username: DataTypes.STRING,
+      password: encryptedText("password"),
+      accessToken: encryptedText("accessToken"),
+      refreshToken: encryptedText("refreshToken"),
+      // Expiry of the stored Google access token
+      tokenExpiresAt: DataTypes.DATE,
+      // Google rejected the refresh token; the user has to consent again
+      needsReconsent: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      // Master key the data key is wrapped with, and the wrapped data key
+      credentialKeyId: DataTypes.STRING(32),
+      credentialDataKey: DataTypes.TEXT,
+    },
+    {
+      indexes: [
+        {
+          unique: true,
+          fields: ["userId", "email"],
+          name: "unique_user_account_email",
+        },
+      ],
+    }
+  );
+
+  // Never send credentials back to the client; raw, so nothing is decrypted
+  MailAccount.prototype.toJSON = function () {
+    const values = { ...this.get({ raw: true }) };
+    delete values.password;
+    delete values.accessToken;
+    delete values.refreshToken;
+    delete values.credentialKeyId;
+    delete values.credentialDataKey;
+    return values;
+  };
+
+  return MailAccount;
+};
@@ -0,0 +1,65 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines a MailImport model tracking the import of one uploaded mbox or
+   * .eml archive, including its progress while it runs.
+   */
+  const MailImport = sequelize.define(
+    "MailImport",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Account the imported emails are filed under
+      accountId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      filename: DataTypes.STRING,
+      // "mbox" or "eml"
+      format: {
+        type: DataTypes.STRING(8),
+        allowNull: false,
+      },
+      // Blob key of the uploaded file while it waits to be processed
+      storageKey: DataTypes.STRING,
+      // "pending", "running", "completed" or "failed"
+      status: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: "pending",
+      },
+      totalBytes: {
+        type: DataTypes.BIGINT,
+        defaultValue: 0,
+      },
+      processedBytes: {
+        type: DataTypes.BIGINT,
+        defaultValue: 0,
+      },
+      imported: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      duplicates: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      failed: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+      error: DataTypes.STRING(512),
+      finishedAt: DataTypes.DATE,
+    },
+    {
+      indexes: [
+        {
+          fields: ["userId", "createdAt"],
+        },
+      ],
+    }
+  );
+
+  return MailImport;
+};
@@ -0,0 +1,36 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines a Session model for signed-in browsers. Only a hash of the
+   * session token is stored, so the table can't be used to sign in.
+   */
+  const Session = sequelize.define(
+    "Session",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // SHA-256 of the token in the session cookie
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+      },
+      lastSeenAt: DataTypes.DATE,
+      userAgent: DataTypes.STRING(255),
+    },
+    {
+      indexes: [
+        {
+          fields: ["userId"],
+        },
+      ],
+    }
+  );
+
+  return Session;
+};
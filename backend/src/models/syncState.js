@@ -0,0 +1,46 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines a SyncState model that remembers how far each mailbox of an
+   * account has been synced, so a fetch only downloads messages newer than the last sync.
+   */
+  const SyncState = sequelize.define(
+    "SyncState",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      accountId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      mailbox: {
+        type: DataTypes.STRING,
+        allowNull: false,
+      },
+      uidValidity: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+      },
+      highestUid: {
+        type: DataTypes.BIGINT,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      // Only populated when the server supports CONDSTORE
+      highestModseq: DataTypes.STRING,
+      lastSyncedAt: DataTypes.DATE,
+    },
+    {
+      indexes: [
+        {
+          unique: true,
+          fields: ["accountId", "mailbox"],
+          name: "unique_account_mailbox",
+        },
+      ],
+    }
+  );
+
+  return SyncState;
+};
@@ -0,0 +1,44 @@
+export default (sequelize, DataTypes) => {
+  /**
+   * Defines a Thread model grouping the emails of one conversation. Gmail
+   * threads are keyed by X-GM-THRID; other accounts are threaded from the
+   * Message-ID, In-Reply-To and References headers. Subject, last activity
+   * and message count are kept up to date so threads can be listed without
+   * touching the Email table.
+   */
+  const Thread = sequelize.define(
+    "Thread",
+    {
+      userId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      accountId: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+      },
+      // Gmail X-GM-THRID, null for accounts threaded by headers
+      gmThrId: DataTypes.STRING,
+      subject: DataTypes.STRING,
+      lastMessageAt: DataTypes.DATE,
+      messageCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+      },
+    },
+    {
+      indexes: [
+        {
+          unique: true,
+          fields: ["accountId", "gmThrId"],
+          name: "unique_account_gm_thread",
+        },
+        {
+          fields: ["userId", "lastMessageAt"],
+        },
+      ],
+    }
+  );
+
+  return Thread;
+};
@@ -1,7 +1,7 @@
 export default (sequelize, DataTypes) => {
   /**
-   * Defines a User model with fields for email, accessToken and refreshToken.
-   * These tokens will be used to connect to Gmail via IMAP.
+   * Defines a User model identified by the email address they signed in with.
+   * Mailbox credentials live on the user's MailAccounts.
    */
   const User = sequelize.define("User", {
     email: {
@@ -9,8 +9,6 @@ export default (sequelize, DataTypes) => {
       allowNull: false,
       unique: true,
     },
-    accessToken: DataTypes.TEXT,
-    refreshToken: DataTypes.TEXT,
   });
 
   return User;
@@ -0,0 +1,70 @@
+import express from "express";
+import * as accountController from "../controllers/accountController.js";
+import { authLimiter } from "../middleware/rateLimiter.js";
+import {
+  validate,
+  emailQuerySchema,
+  accountCreateSchema,
+  accountUpdateSchema,
+  idParamSchema,
+} from "../middleware/validation.js";
+
+const router = express.Router();
+
+/**
+ * Mail Account Routes
+ */
+
+/**
+ * GET /accounts/providers
+ * Lists the supported provider presets
+ */
+router.get("/providers", accountController.providers);
+
+/**
+ * GET /accounts
+ * Lists the user's connected mail accounts
+ */
+router.get(
+  "/",
+  validate(emailQuerySchema, "query"),
+  accountController.list
+);
+
+/**
+ * POST /accounts
+ * Connects a new mail account after verifying its credentials
+ */
+router.post(
+  "/",
+  authLimiter,
+  validate(emailQuerySchema, "query"),
+  validate(accountCreateSchema, "body"),
+  accountController.create
+);
+
+/**
+ * PATCH /accounts/:id
+ * Updates a mail account's credentials or server settings after verifying them
+ */
+router.patch(
+  "/:id",
+  authLimiter,
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(accountUpdateSchema, "body"),
+  accountController.update
+);
+
+/**
+ * DELETE /accounts/:id
+ * Disconnects a mail account and removes its stored emails
+ */
+router.delete(
+  "/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  accountController.remove
+);
+
+export default router;
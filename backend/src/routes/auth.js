@@ -1,7 +1,13 @@
 import express from "express";
 import * as authController from "../controllers/authController.js";
 import { authLimiter } from "../middleware/rateLimiter.js";
-import { validate, oauthCallbackSchema } from "../middleware/validation.js";
+import { requireAuth } from "../middleware/auth.js";
+import {
+  validate,
+  loginQuerySchema,
+  oauthCallbackSchema,
+  accountDeleteSchema,
+} from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -10,14 +16,20 @@ const router = express.Router();
  */
 
 /**
- * GET /auth/login
- * Generates an OAuth2 consent URL for Google authentication
+ * GET /auth/login?returnTo={path}
+ * Generates an OAuth2 consent URL for Google authentication and sets the
+ * short-lived cookie holding the login's state and PKCE code verifier
  */
-router.get("/login", authLimiter, authController.login);
+router.get(
+  "/login",
+  authLimiter,
+  validate(loginQuerySchema, "query"),
+  authController.login
+);
 
 /**
  * GET /auth/google/callback
- * Handles the OAuth2 callback from Google
+ * Handles the OAuth2 callback from Google; the state must match the login cookie
  */
 router.get(
   "/google/callback",
@@ -26,4 +38,29 @@ router.get(
   authController.googleCallback
 );
 
+/**
+ * GET /auth/me
+ * Returns the user signed in with the session cookie
+ */
+router.get("/me", requireAuth, authController.me);
+
+/**
+ * POST /auth/logout
+ * Ends the session and clears the session cookie
+ */
+router.post("/logout", authController.logout);
+
+/**
+ * DELETE /auth/account
+ * Revokes Google access and deletes the signed-in user with all their data;
+ * the body must repeat the user's email address as confirmEmail
+ */
+router.delete(
+  "/account",
+  authLimiter,
+  requireAuth,
+  validate(accountDeleteSchema, "body"),
+  authController.deleteAccount
+);
+
 export default router;
\ No newline at end of file
@@ -1,7 +1,40 @@
 import express from "express";
 import * as emailController from "../controllers/emailController.js";
+import * as folderController from "../controllers/folderController.js";
+import * as attachmentController from "../controllers/attachmentController.js";
+import * as threadController from "../controllers/threadController.js";
+import * as searchController from "../controllers/searchController.js";
+import * as imageController from "../controllers/imageController.js";
+import * as composeController from "../controllers/composeController.js";
+import * as draftController from "../controllers/draftController.js";
+import * as exportController from "../controllers/exportController.js";
+import * as importController from "../controllers/importController.js";
 import { emailFetchLimiter } from "../middleware/rateLimiter.js";
-import { validate, emailQuerySchema } from "../middleware/validation.js";
+import {
+  validate,
+  emailQuerySchema,
+  folderListQuerySchema,
+  folderUpdateSchema,
+  idParamSchema,
+  attachmentParamSchema,
+  emailFlagsSchema,
+  emailMoveSchema,
+  bulkActionSchema,
+  remoteSearchQuerySchema,
+  remoteSaveSchema,
+  imageProxyQuerySchema,
+  imageScopeSchema,
+  imageScopeQuerySchema,
+  sendEmailSchema,
+  replyEmailSchema,
+  forwardEmailSchema,
+  draftSchema,
+  draftUpdateSchema,
+  draftListQuerySchema,
+  exportQuerySchema,
+  importQuerySchema,
+  jobParamSchema,
+} from "../middleware/validation.js";
 
 const router = express.Router();
 
@@ -11,7 +44,7 @@ const router = express.Router();
 
 /**
  * GET /email/fetch
- * Fetches emails from Gmail via IMAP and stores them in the database
+ * Queues a background sync of every synced folder via IMAP and returns its job ID
  */
 router.get(
   "/fetch",
@@ -20,9 +53,20 @@ router.get(
   emailController.fetchEmails
 );
 
+/**
+ * GET /email/sync/:jobId
+ * Reports the status, progress and error of a queued sync
+ */
+router.get(
+  "/sync/:jobId",
+  validate(emailQuerySchema, "query"),
+  validate(jobParamSchema, "params"),
+  emailController.getSyncStatus
+);
+
 /**
  * GET /email/stored
- * Retrieves stored emails from the database with pagination and search
+ * Retrieves stored emails from the database with pagination, search and folder filter
  */
 router.get(
   "/stored",
@@ -30,4 +74,337 @@ router.get(
   emailController.getStored
 );
 
-export default router;
\ No newline at end of file
+/**
+ * GET /email/events
+ * Server-Sent Events stream of new, deleted and flag-changed messages
+ */
+router.get(
+  "/events",
+  validate(emailQuerySchema, "query"),
+  emailController.streamEvents
+);
+
+/**
+ * GET /email/folders
+ * Lists the user's mailboxes and labels
+ */
+router.get(
+  "/folders",
+  validate(folderListQuerySchema, "query"),
+  folderController.listFolders
+);
+
+/**
+ * PATCH /email/folders/:id
+ * Enables or disables syncing for a folder
+ */
+router.patch(
+  "/folders/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(folderUpdateSchema, "body"),
+  folderController.patchFolder
+);
+
+/**
+ * GET /email/search/remote
+ * Searches the live mailbox (IMAP SEARCH, or X-GM-RAW on Gmail)
+ */
+router.get(
+  "/search/remote",
+  emailFetchLimiter,
+  validate(remoteSearchQuerySchema, "query"),
+  searchController.remote
+);
+
+/**
+ * POST /email/search/remote/save
+ * Stores remote search hits in the local database
+ */
+router.post(
+  "/search/remote/save",
+  validate(emailQuerySchema, "query"),
+  validate(remoteSaveSchema, "body"),
+  searchController.saveRemote
+);
+
+/**
+ * GET /email/image-proxy
+ * Serves a remote image from an email without exposing the user. Only URLs
+ * signed by the server are accepted, so no email parameter is needed.
+ */
+router.get(
+  "/image-proxy",
+  validate(imageProxyQuerySchema, "query"),
+  imageController.proxy
+);
+
+/**
+ * POST /email/send
+ * Sends a new message over SMTP
+ */
+router.post(
+  "/send",
+  validate(emailQuerySchema, "query"),
+  validate(sendEmailSchema, "body"),
+  composeController.send
+);
+
+/**
+ * GET /email/export
+ * Streams stored emails, optionally filtered, as an mbox file or a zip of .eml files
+ */
+router.get(
+  "/export",
+  emailFetchLimiter,
+  validate(exportQuerySchema, "query"),
+  exportController.exportMailbox
+);
+
+/**
+ * POST /email/import
+ * Uploads an mbox or .eml file as the raw request body and imports it in the background
+ */
+router.post(
+  "/import",
+  emailFetchLimiter,
+  validate(importQuerySchema, "query"),
+  importController.upload
+);
+
+/**
+ * GET /email/imports/:id
+ * Returns the progress of an import
+ */
+router.get(
+  "/imports/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  importController.status
+);
+
+/**
+ * GET /email/drafts
+ * Lists drafts; with refresh=true they're synced with the Drafts mailboxes first
+ */
+router.get(
+  "/drafts",
+  validate(draftListQuerySchema, "query"),
+  draftController.list
+);
+
+/**
+ * POST /email/drafts
+ * Saves a new draft and stores a copy in the Drafts mailbox
+ */
+router.post(
+  "/drafts",
+  validate(emailQuerySchema, "query"),
+  validate(draftSchema, "body"),
+  draftController.create
+);
+
+/**
+ * PUT /email/drafts/:id
+ * Saves a draft, replacing its copy in the Drafts mailbox
+ */
+router.put(
+  "/drafts/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(draftUpdateSchema, "body"),
+  draftController.update
+);
+
+/**
+ * DELETE /email/drafts/:id
+ * Discards a draft and its mailbox copy
+ */
+router.delete(
+  "/drafts/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  draftController.remove
+);
+
+/**
+ * GET /email/threads
+ * Lists conversations, most recent activity first
+ */
+router.get(
+  "/threads",
+  validate(emailQuerySchema, "query"),
+  threadController.list
+);
+
+/**
+ * GET /email/threads/:id
+ * Returns a conversation with all of its emails
+ */
+router.get(
+  "/threads/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  threadController.get
+);
+
+/**
+ * POST /email/bulk
+ * Archives, moves, trashes or deletes a list of emails in one request
+ */
+router.post(
+  "/bulk",
+  validate(emailQuerySchema, "query"),
+  validate(bulkActionSchema, "body"),
+  emailController.bulkAction
+);
+
+/**
+ * GET /email/:id
+ * Returns a stored email with its body and attachments
+ */
+router.get(
+  "/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  emailController.getEmail
+);
+
+/**
+ * DELETE /email/:id
+ * Permanently deletes an email from the mailbox
+ */
+router.delete(
+  "/:id",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  emailController.deleteEmail
+);
+
+/**
+ * POST /email/:id/archive
+ * Archives an email (Gmail: removes the Inbox label)
+ */
+router.post(
+  "/:id/archive",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  emailController.archiveEmail
+);
+
+/**
+ * POST /email/:id/trash
+ * Moves an email to the Trash folder
+ */
+router.post(
+  "/:id/trash",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  emailController.trashEmail
+);
+
+/**
+ * POST /email/:id/move
+ * Moves an email to another folder of the same account
+ */
+router.post(
+  "/:id/move",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(emailMoveSchema, "body"),
+  emailController.moveEmail
+);
+
+/**
+ * POST /email/:id/reply
+ * Replies to an email, quoting it and keeping it in the same thread
+ */
+router.post(
+  "/:id/reply",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(replyEmailSchema, "body"),
+  composeController.reply
+);
+
+/**
+ * POST /email/:id/forward
+ * Forwards an email with its attachments
+ */
+router.post(
+  "/:id/forward",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(forwardEmailSchema, "body"),
+  composeController.forward
+);
+
+/**
+ * PATCH /email/:id/flags
+ * Sets or clears the seen, flagged, answered and draft flags of an email
+ */
+router.patch(
+  "/:id/flags",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(emailFlagsSchema, "body"),
+  emailController.patchFlags
+);
+
+/**
+ * GET /email/:id/raw
+ * Downloads the original message source as .eml
+ */
+router.get(
+  "/:id/raw",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  exportController.raw
+);
+
+/**
+ * GET /email/:id/attachments
+ * Lists the attachments of a stored email
+ */
+router.get(
+  "/:id/attachments",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  attachmentController.list
+);
+
+/**
+ * GET /email/:id/attachments/:attachmentId
+ * Downloads an attachment from local storage or the mailbox
+ */
+router.get(
+  "/:id/attachments/:attachmentId",
+  validate(emailQuerySchema, "query"),
+  validate(attachmentParamSchema, "params"),
+  attachmentController.download
+);
+
+/**
+ * POST /email/:id/images
+ * Allows remote images for an email, or for everything from its sender
+ */
+router.post(
+  "/:id/images",
+  validate(emailQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  validate(imageScopeSchema, "body"),
+  imageController.allow
+);
+
+/**
+ * DELETE /email/:id/images
+ * Blocks remote images for an email or its sender again
+ */
+router.delete(
+  "/:id/images",
+  validate(imageScopeQuerySchema, "query"),
+  validate(idParamSchema, "params"),
+  imageController.revoke
+);
+
+export default router;
@@ -6,16 +6,22 @@ dotenv.config();
 import { sequelize } from "./models/index.js";
 import authRoutes from "./routes/auth.js";
 import emailRoutes from "./routes/email.js";
+import accountRoutes from "./routes/accounts.js";
 import logger from "./utils/logger.js";
 import corsMiddleware from "./middleware/cors.js";
+import { requireAuth } from "./middleware/auth.js";
+import { startQueue } from "./services/queue.js";
+import { startSyncScheduler } from "./services/sync.js";
+import { registerImportJobs } from "./services/import.js";
+import { getActiveKeyId } from "./services/encryption.js";
 
 const app = express();
 
 // CORS middleware
 app.use(corsMiddleware);
 
-// Body parser middleware
-app.use(express.json());
+// Body parser middleware; large enough for base64 attachments on /email/send
+app.use(express.json({ limit: "30mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 // Health check endpoint
@@ -29,15 +35,24 @@ app.get("/health", (req, res) => {
   });
 });
 
-// Register routes
+// Register routes; everything but /auth needs a session
 app.use("/auth", authRoutes);
-app.use("/email", emailRoutes);
+app.use("/email", requireAuth, emailRoutes);
+app.use("/accounts", requireAuth, accountRoutes);
 
 // Sync the database and start the server
-sequelize
-  .sync()
-  .then(() => {
+Promise.resolve()
+  // Refuse to start without master keys rather than store credentials that
+  // can't be decrypted after a restart
+  .then(() => getActiveKeyId())
+  .then(() => sequelize.sync())
+  .then(async () => {
     console.log("Database connected");
+
+    // Background jobs: mailbox syncs and archive imports
+    startSyncScheduler();
+    registerImportJobs();
+    await startQueue();
     
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
@@ -45,7 +60,7 @@ sequelize
     });
   })
   .catch((err) => {
-    logger.error("Failed to sync database", {
+    logger.error("Failed to start server", {
       error: err.message,
       stack: err.stack,
     });
@@ -0,0 +1,339 @@
+import { Op } from "sequelize";
+import providers from "../config/providers.js";
+import { User, MailAccount } from "../models/index.js";
+import { openConnection, closeConnection } from "./imap.js";
+import { getGoogleAccessToken, releaseClient } from "./tokens.js";
+import { getActiveKeyId, rewrapDataKey, isEncrypted } from "./encryption.js";
+import { startAccountListener, stopAccountListener } from "./listener.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Account Service - Handles the mail accounts a user has connected
+ */
+
+const CREDENTIAL_FIELDS = ["password", "accessToken", "refreshToken"];
+const ROTATION_BATCH_SIZE = 100;
+
+/**
+ * Lists the provider presets the client can offer when adding an account.
+ *
+ * @returns {Array} Provider presets keyed by `id`
+ */
+export function listProviders() {
+  return Object.entries(providers).map(([id, preset]) => ({ id, ...preset }));
+}
+
+/**
+ * Resolves the OAuth2 access token of an XOAUTH2 account, for IMAP and SMTP.
+ * Gmail accounts get their Google access token from the token manager,
+ * refreshed when it's about to expire; other XOAUTH2 accounts use the access
+ * token stored on the account.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @returns {Promise<string|null>} Access token, or null for LOGIN accounts
+ * @throws {Error} If no usable token is available
+ */
+export async function getAccessToken(account) {
+  if (account.authType !== "xoauth2") return null;
+
+  if (account.provider === "gmail") {
+    return getGoogleAccessToken(account);
+  }
+  if (account.accessToken) {
+    return account.accessToken;
+  }
+  throw new Error("No access token available; re-authentication required");
+}
+
+/**
+ * Resolves the credentials for an account and opens an IMAP connection.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} options - Connection options passed to openConnection
+ * @returns {Promise<Object>} imap-simple connection
+ * @throws {Error} If no usable credentials are available
+ */
+export async function connectAccount(account, options = {}) {
+  const accessToken = await getAccessToken(account);
+  return openConnection(account, accessToken, options);
+}
+
+/**
+ * Gets all mail accounts connected by a user.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @returns {Promise<Array>} The user's mail accounts
+ * @throws {Error} If user not found
+ */
+export async function getUserAccounts(emailAddress) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  return MailAccount.findAll({
+    where: { userId: user.id },
+    order: [["createdAt", "ASC"]],
+  });
+}
+
+/**
+ * Connects a new mail account for a user. Server settings come from the
+ * provider preset unless the provider is "custom". The credentials are
+ * verified by logging in before the account is stored.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} details - Account details
+ * @param {string} details.provider - Provider preset ID
+ * @param {string} details.email - Address of the mailbox being connected
+ * @param {string} details.authType - "login" or "xoauth2"
+ * @param {string} details.username - Login name, if different from the address
+ * @param {string} details.password - Password or app password (LOGIN)
+ * @param {string} details.accessToken - OAuth2 access token (XOAUTH2)
+ * @param {string} details.host - IMAP host (custom provider only)
+ * @param {number} details.port - IMAP port (custom provider only)
+ * @param {boolean} details.tls - Use implicit TLS (custom provider only)
+ * @returns {Promise<Object>} The created account
+ * @throws {Error} If user not found, the provider is unknown or login fails
+ */
+export async function addAccount(emailAddress, details) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const preset = providers[details.provider];
+  if (!preset) {
+    throw new Error(`Unsupported provider: ${details.provider}`);
+  }
+  if (!preset.authTypes.includes(details.authType)) {
+    throw new Error(
+      `Unsupported authentication method for ${preset.name}: ${details.authType}`
+    );
+  }
+
+  const existing = await MailAccount.findOne({
+    where: { userId: user.id, email: details.email },
+  });
+  if (existing) {
+    throw new Error("Account already connected");
+  }
+
+  const server = preset.imap || {
+    host: details.host,
+    port: details.port,
+    tls: details.tls,
+  };
+
+  const account = MailAccount.build({
+    userId: user.id,
+    provider: details.provider,
+    email: details.email,
+    ...server,
+    authType: details.authType,
+    username: details.username || null,
+    password: details.password || null,
+    accessToken: details.accessToken || null,
+  });
+
+  // Verify the credentials before storing anything
+  let connection;
+  try {
+    connection = await connectAccount(account);
+  } catch (error) {
+    logger.warn("Mail account verification failed", {
+      email: emailAddress,
+      account: details.email,
+      host: server.host,
+      error: error.message,
+    });
+    throw new Error(`Could not log in to ${server.host}: ${error.message}`);
+  } finally {
+    closeConnection(connection);
+  }
+
+  await account.save();
+  startAccountListener(account);
+
+  logger.info("Mail account connected", {
+    email: emailAddress,
+    account: account.email,
+    provider: account.provider,
+  });
+
+  return account;
+}
+
+/**
+ * Updates the credentials of a mail account, e.g. after its app password was
+ * changed, and the server settings of a custom one. The new settings are
+ * verified by logging in before they're stored. Gmail accounts signed in
+ * with Google get their tokens from the Google login instead.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} accountId - The account's database ID
+ * @param {Object} changes - Fields to update
+ * @param {string} changes.username - Login name, if different from the address
+ * @param {string} changes.password - Password or app password (LOGIN)
+ * @param {string} changes.accessToken - OAuth2 access token (XOAUTH2)
+ * @param {string} changes.host - IMAP host (custom provider only)
+ * @param {number} changes.port - IMAP port (custom provider only)
+ * @param {boolean} changes.tls - Use implicit TLS (custom provider only)
+ * @returns {Promise<Object>} The updated account
+ * @throws {Error} If user or account not found, a field can't be changed for
+ *   this account or login fails
+ */
+export async function updateAccount(emailAddress, accountId, changes) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const account = await MailAccount.findOne({
+    where: { id: accountId, userId: user.id },
+  });
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  const allowed = ["username"];
+  if (account.authType === "login") allowed.push("password");
+  if (account.authType === "xoauth2" && account.provider !== "gmail") allowed.push("accessToken");
+  if (account.provider === "custom") allowed.push("host", "port", "tls");
+
+  const rejected = Object.keys(changes).filter((field) => !allowed.includes(field));
+  if (rejected.length > 0) {
+    throw new Error(`Unsupported changes for this account: ${rejected.join(", ")}`);
+  }
+
+  account.set(changes);
+  if (changes.accessToken) {
+    account.set({ needsReconsent: false });
+  }
+
+  // Verify the new settings before storing anything
+  let connection;
+  try {
+    connection = await connectAccount(account);
+  } catch (error) {
+    logger.warn("Mail account verification failed", {
+      email: emailAddress,
+      account: account.email,
+      host: account.host,
+      error: error.message,
+    });
+    throw new Error(`Could not log in to ${account.host}: ${error.message}`);
+  } finally {
+    closeConnection(connection);
+  }
+
+  await account.save();
+  // Reconnect a running listener with the new settings
+  stopAccountListener(account.userId, account.id);
+  startAccountListener(account);
+
+  logger.info("Mail account updated", {
+    email: emailAddress,
+    account: account.email,
+    fields: Object.keys(changes),
+  });
+
+  return account;
+}
+
+/**
+ * Disconnects a mail account. Its emails, folders and sync state are removed
+ * with it.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} accountId - The account's database ID
+ * @returns {Promise<void>}
+ * @throws {Error} If user or account not found
+ */
+export async function removeAccount(emailAddress, accountId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const account = await MailAccount.findOne({
+    where: { id: accountId, userId: user.id },
+  });
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  stopAccountListener(user.id, account.id);
+  await account.destroy();
+  releaseClient(account.id);
+
+  logger.info("Mail account removed", {
+    email: emailAddress,
+    account: account.email,
+  });
+}
+
+/**
+ * Moves every account's credentials to the active master key: data keys
+ * wrapped with an older key are re-wrapped, and credentials still stored in
+ * plaintext are encrypted. Once it has run, older keys can be removed from
+ * CREDENTIAL_KEYS.
+ *
+ * @param {Object} options - Rotation options
+ * @param {boolean} options.dryRun - Only count the accounts that need it
+ * @returns {Promise<Object>} `{ keyId, found, rotated, failed }`
+ */
+export async function rotateCredentialKeys(options = {}) {
+  const { dryRun = false } = options;
+  const keyId = getActiveKeyId();
+  const summary = { keyId, found: 0, rotated: 0, failed: 0 };
+
+  let lastId = 0;
+  for (;;) {
+    const accounts = await MailAccount.findAll({
+      where: {
+        id: { [Op.gt]: lastId },
+        [Op.or]: [{ credentialKeyId: null }, { credentialKeyId: { [Op.ne]: keyId } }],
+      },
+      order: [["id", "ASC"]],
+      limit: ROTATION_BATCH_SIZE,
+    });
+    if (accounts.length === 0) break;
+    lastId = accounts[accounts.length - 1].id;
+
+    for (const account of accounts) {
+      const plaintext = CREDENTIAL_FIELDS.filter((field) => {
+        const value = account.getDataValue(field);
+        return value != null && !isEncrypted(value);
+      });
+      const stale = account.credentialKeyId && account.credentialKeyId !== keyId;
+      if (!stale && plaintext.length === 0) continue;
+
+      summary.found++;
+      if (dryRun) continue;
+
+      try {
+        if (stale) {
+          const rewrapped = rewrapDataKey(account.credentialKeyId, account.credentialDataKey);
+          account.set("credentialKeyId", rewrapped.keyId);
+          account.set("credentialDataKey", rewrapped.wrappedKey);
+        }
+        // The setters encrypt, creating a data key if the account has none
+        for (const field of plaintext) {
+          account.set(field, account.getDataValue(field));
+        }
+        await account.save();
+        summary.rotated++;
+      } catch (error) {
+        summary.failed++;
+        logger.error("Failed to rotate account credentials", {
+          accountId: account.id,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  logger.info("Credential key rotation finished", summary);
+  return summary;
+}
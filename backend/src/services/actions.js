@@ -0,0 +1,307 @@
+import {
+  User,
+  MailAccount,
+  Email,
+  Folder,
+  EmailLabel,
+} from "../models/index.js";
+import {
+  closeConnection,
+  moveMessages,
+  locateMessages,
+  removeLabels,
+  deleteMessages,
+} from "./imap.js";
+import { connectAccount } from "./account.js";
+import { relocateEmail } from "./email.js";
+import { refreshThreads } from "./threading.js";
+import { importedSourceKey } from "./import.js";
+import { deleteBlob } from "./storage.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Message Actions Service - Archives, moves, trashes and deletes messages on
+ * the server and keeps the stored emails in step
+ */
+
+/**
+ * Actions accepted by applyMessageAction.
+ */
+export const MESSAGE_ACTIONS = ["archive", "move", "trash", "delete"];
+
+const isInbox = (path) => path.toUpperCase() === "INBOX";
+
+/**
+ * Finds the account folder with the given special-use attribute.
+ *
+ * @param {Array} folders - The account's folders
+ * @param {string} specialUse - e.g. "\\Trash"
+ * @param {string} name - Folder name for the error message
+ * @returns {Object} Folder
+ * @throws {Error} If the account has no such folder
+ */
+function requireSpecialFolder(folders, specialUse, name) {
+  const folder = folders.find((f) => f.specialUse === specialUse);
+  if (!folder) {
+    throw new Error(`This account has no ${name} folder`);
+  }
+  return folder;
+}
+
+/**
+ * Points stored emails at the mailbox and UID they now have on the server.
+ * Emails that couldn't be found there are removed; the next sync of that
+ * mailbox will pick them up again. Emails whose new copy is already stored
+ * are merged into it.
+ *
+ * @param {Array} rows - Email instances that were moved
+ * @param {Object} source - Folder they were moved from, if known
+ * @param {Object} destination - Folder they were moved to
+ * @param {Map} located - Old UID to new UID
+ * @returns {Promise<void>}
+ */
+async function relocateRows(rows, source, destination, located) {
+  for (const row of rows) {
+    const uid = located.get(Number(row.uid));
+    if (!uid) {
+      await row.destroy();
+      continue;
+    }
+
+    await relocateEmail(row, source, destination, uid);
+  }
+}
+
+/**
+ * Moves emails that share a mailbox to another folder.
+ *
+ * @param {Object} connection - Open imap-simple connection
+ * @param {Array} folders - The account's folders
+ * @param {string} mailbox - Mailbox the emails are stored under
+ * @param {Array} rows - Email instances
+ * @param {Object} destination - Folder to move them to
+ * @returns {Promise<void>}
+ */
+async function moveRows(connection, folders, mailbox, rows, destination) {
+  if (mailbox === destination.path) return;
+
+  const located = await moveMessages(
+    connection,
+    mailbox,
+    rows.map((row) => Number(row.uid)),
+    destination.path
+  );
+  const source = folders.find((f) => f.path === mailbox);
+
+  await relocateRows(rows, source, destination, located);
+}
+
+/**
+ * Runs one action on emails that belong to the same account and mailbox.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} connection - Open imap-simple connection
+ * @param {Array} folders - The account's folders
+ * @param {string} mailbox - Mailbox the emails are stored under
+ * @param {Array} rows - Email instances
+ * @param {string} action - One of MESSAGE_ACTIONS
+ * @param {Object|null} target - Destination folder for "move"
+ * @returns {Promise<Array>} Emails a "delete" could only flag \Deleted; they
+ *   are kept until the mailbox is expunged
+ */
+async function runOnMailbox(account, connection, folders, mailbox, rows, action, target) {
+  const uids = rows.map((row) => Number(row.uid));
+  const isGmail = account.provider === "gmail";
+
+  switch (action) {
+    case "archive": {
+      if (!isGmail) {
+        const archive = requireSpecialFolder(folders, "\\Archive", "Archive");
+        await moveRows(connection, folders, mailbox, rows, archive);
+        return [];
+      }
+
+      // Gmail archives by removing the Inbox label; the message stays in
+      // All Mail and under its other labels
+      await removeLabels(connection, mailbox, uids, ["\\Inbox"]);
+      const inbox = folders.find((f) => isInbox(f.path));
+      if (inbox) {
+        await EmailLabel.destroy({
+          where: { emailId: rows.map((row) => row.id), folderId: inbox.id },
+        });
+      }
+
+      if (isInbox(mailbox)) {
+        const allMail = requireSpecialFolder(folders, "\\All", "All Mail");
+        const located = await locateMessages(
+          connection,
+          allMail.path,
+          rows.map((row) => ({ uid: Number(row.uid), gmMsgId: row.gmMsgId }))
+        );
+        await relocateRows(rows, null, allMail, located);
+      }
+      return [];
+    }
+
+    case "move":
+      await moveRows(connection, folders, mailbox, rows, target);
+      return [];
+
+    case "trash": {
+      const trash = requireSpecialFolder(folders, "\\Trash", "Trash");
+      await moveRows(connection, folders, mailbox, rows, trash);
+      return [];
+    }
+
+    case "delete": {
+      // Deleting from a Gmail label only removes the label, so the message
+      // has to go through Trash to be removed for good
+      const trash = isGmail
+        ? requireSpecialFolder(folders, "\\Trash", "Trash")
+        : null;
+
+      let expunged;
+      if (trash && mailbox !== trash.path) {
+        const located = await moveMessages(connection, mailbox, uids, trash.path);
+        const trashUids = [...located.values()].filter(Boolean);
+        expunged =
+          trashUids.length === 0 ||
+          (await deleteMessages(connection, trash.path, trashUids));
+        if (!expunged) {
+          const source = folders.find((f) => f.path === mailbox);
+          await relocateRows(rows, source, trash, located);
+        }
+      } else {
+        expunged = await deleteMessages(connection, mailbox, uids);
+      }
+
+      // Without UIDPLUS the messages are only flagged \Deleted, and still
+      // there until some client expunges the mailbox; the next sync after
+      // that removes them here
+      if (!expunged) return rows;
+
+      await Email.destroy({ where: { id: rows.map((row) => row.id) } });
+      return [];
+    }
+
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}
+
+/**
+ * Archives, moves, trashes or permanently deletes one or more emails. Emails
+ * are grouped by account and mailbox so each group is a single IMAP command,
+ * whatever the number of messages.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Array<number>} ids - Database IDs of the emails
+ * @param {string} action - One of MESSAGE_ACTIONS
+ * @param {Object} options - Action options
+ * @param {number} options.folderId - Destination folder for "move"
+ * @returns {Promise<Object>} `{ action, count, ids, pendingIds }`: the
+ *   processed emails, and the emails a "delete" could only flag \Deleted
+ *   because the server lacks UIDPLUS
+ * @throws {Error} If user, emails or folder not found, or the server refuses
+ */
+export async function applyMessageAction(emailAddress, ids, action, options = {}) {
+  if (!MESSAGE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown action: ${action}`);
+  }
+
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const emails = await Email.findAll({
+    where: { id: ids, userId: user.id },
+  });
+  if (emails.length === 0) {
+    throw new Error("Email not found");
+  }
+
+  // Imported emails only exist here, so deleting them is all that's possible
+  const imported = emails.filter((email) => email.source === "imported");
+  if (imported.length > 0 && action !== "delete") {
+    throw new Error(
+      "An imported email has no copy on the mail server; it can only be deleted"
+    );
+  }
+
+  let target = null;
+  if (action === "move") {
+    target = await Folder.findOne({
+      where: { id: options.folderId, userId: user.id },
+    });
+    if (!target) {
+      throw new Error("Folder not found");
+    }
+    if (emails.some((email) => email.accountId !== target.accountId)) {
+      throw new Error("Folder belongs to a different account than the email");
+    }
+  }
+
+  for (const email of imported) {
+    await email.destroy();
+    await deleteBlob(importedSourceKey(email));
+  }
+
+  const pending = new Set();
+  const byAccount = new Map();
+  for (const email of emails) {
+    if (email.source === "imported") continue;
+    if (!byAccount.has(email.accountId)) byAccount.set(email.accountId, []);
+    byAccount.get(email.accountId).push(email);
+  }
+
+  for (const [accountId, accountEmails] of byAccount) {
+    const account = await MailAccount.findByPk(accountId);
+    const folders = await Folder.findAll({ where: { accountId } });
+
+    const byMailbox = new Map();
+    for (const email of accountEmails) {
+      if (!byMailbox.has(email.mailbox)) byMailbox.set(email.mailbox, []);
+      byMailbox.get(email.mailbox).push(email);
+    }
+
+    let connection;
+    try {
+      connection = await connectAccount(account);
+      for (const [mailbox, rows] of byMailbox) {
+        const kept = await runOnMailbox(
+          account,
+          connection,
+          folders,
+          mailbox,
+          rows,
+          action,
+          target
+        );
+        kept.forEach((row) => pending.add(row.id));
+      }
+    } finally {
+      closeConnection(connection);
+    }
+  }
+
+  // Deleted emails leave their threads
+  await refreshThreads(emails.map((email) => email.threadId));
+
+  const processedIds = emails
+    .map((email) => email.id)
+    .filter((id) => !pending.has(id));
+  logger.info("Applied message action", {
+    email: emailAddress,
+    action,
+    count: processedIds.length,
+    pending: pending.size,
+  });
+
+  return {
+    action,
+    count: processedIds.length,
+    ids: processedIds,
+    pendingIds: [...pending],
+  };
+}
@@ -0,0 +1,404 @@
+import { Readable, Transform, finished } from "stream";
+import { pipeline } from "stream/promises";
+import crypto from "crypto";
+import { simpleParser } from "mailparser";
+import { User, MailAccount, Email, Attachment } from "../models/index.js";
+import {
+  closeConnection,
+  fetchMessageSource,
+  streamMessagePart,
+} from "./imap.js";
+import { connectAccount } from "./account.js";
+import { readImportedSource } from "./import.js";
+import {
+  writeBlob,
+  blobExists,
+  blobSize,
+  createBlobReadStream,
+  createBlobWriteStream,
+  moveBlob,
+  deleteBlob,
+} from "./storage.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Attachment Service - Stores attachment metadata and serves attachment content
+ */
+
+/**
+ * With ATTACHMENT_STORAGE=local attachment content is written to blob storage
+ * when it is first seen; otherwise it is downloaded from IMAP on every request.
+ */
+const storeLocally = () => process.env.ATTACHMENT_STORAGE === "local";
+
+/**
+ * Blob key for an attachment. Keyed by checksum so identical files sent to
+ * the same user are only stored once.
+ */
+const attachmentKey = (userId, checksum) => `attachments/${userId}/${checksum}`;
+
+/**
+ * Stores the attachment metadata of a newly synced email, and the content
+ * too when local storage is enabled.
+ *
+ * @param {Object} email - Email model instance
+ * @param {Array} attachments - Attachment data from the IMAP service
+ * @returns {Promise<Array>} Created Attachment instances
+ */
+export async function saveAttachments(email, attachments) {
+  const rows = [];
+
+  for (const { content, ...metadata } of attachments) {
+    let storageKey = null;
+
+    if (storeLocally() && content && metadata.checksum) {
+      storageKey = attachmentKey(email.userId, metadata.checksum);
+      if (!(await blobExists(storageKey))) {
+        await writeBlob(storageKey, content);
+      }
+    }
+
+    rows.push({
+      ...metadata,
+      emailId: email.id,
+      userId: email.userId,
+      storageKey,
+    });
+  }
+
+  return rows.length > 0 ? Attachment.bulkCreate(rows) : [];
+}
+
+/**
+ * Picks the parsed attachment that belongs to a stored row: by Content-ID,
+ * then by part ID, then by filename and finally by position. Mailparser
+ * numbers parts the way BODYSTRUCTURE does for ordinary nesting, so rows that
+ * share a filename still get their own content.
+ *
+ * @param {Object} row - Attachment model instance
+ * @param {number} index - Position of the row among the email's attachments
+ * @param {Array} attachments - Parsed attachments
+ * @param {Set} unmatched - Parsed attachments not yet matched to a row
+ * @returns {Object|undefined} The parsed attachment
+ */
+function findParsedAttachment(row, index, attachments, unmatched) {
+  const candidates = attachments.filter((candidate) => unmatched.has(candidate));
+
+  return (
+    (row.contentId && candidates.find((candidate) => candidate.contentId === row.contentId)) ||
+    (row.partId && candidates.find((candidate) => candidate.partId === row.partId)) ||
+    (row.filename && candidates.find((candidate) => candidate.filename === row.filename)) ||
+    (unmatched.has(attachments[index]) ? attachments[index] : undefined)
+  );
+}
+
+/**
+ * Fills in what the BODYSTRUCTURE couldn't tell us once a message's full
+ * source has been parsed: the checksum, Content-ID and decoded size of each
+ * attachment (BODYSTRUCTURE sizes are of the encoded part), plus its content
+ * when local storage is enabled. Emails synced before attachment metadata
+ * existed get their rows created here.
+ *
+ * @param {Object} email - Email model instance
+ * @param {Array} attachments - Attachment data parsed from the full source
+ * @returns {Promise<void>}
+ */
+export async function storeAttachmentContent(email, attachments) {
+  const rows = await Attachment.findAll({
+    where: { emailId: email.id },
+    order: [["id", "ASC"]],
+  });
+
+  if (rows.length === 0) {
+    // Parts are only downloaded by BODYSTRUCTURE part IDs; mailparser's can
+    // differ for nested multiparts
+    await saveAttachments(
+      email,
+      attachments.map(({ partId, ...attachment }) => attachment)
+    );
+    return;
+  }
+
+  const unmatched = new Set(attachments);
+  for (const [index, row] of rows.entries()) {
+    const match = findParsedAttachment(row, index, attachments, unmatched);
+    if (!match) continue;
+    unmatched.delete(match);
+
+    const updates = {
+      checksum: match.checksum,
+      contentId: row.contentId || match.contentId,
+      size: match.size ?? row.size,
+    };
+
+    if (storeLocally() && match.content && match.checksum) {
+      updates.storageKey = attachmentKey(email.userId, match.checksum);
+      if (!(await blobExists(updates.storageKey))) {
+        await writeBlob(updates.storageKey, match.content);
+      }
+    }
+
+    await row.update(updates);
+  }
+}
+
+/**
+ * Finds an email owned by the user with the given address.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @returns {Promise<Object>} Email model instance
+ * @throws {Error} If user or email not found
+ */
+async function findUserEmail(emailAddress, emailId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const email = await Email.findOne({ where: { id: emailId, userId: user.id } });
+  if (!email) {
+    throw new Error("Email not found");
+  }
+
+  return email;
+}
+
+/**
+ * Lists the attachments of an email.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @returns {Promise<Array>} Attachment instances
+ * @throws {Error} If user or email not found
+ */
+export async function listAttachments(emailAddress, emailId) {
+  const email = await findUserEmail(emailAddress, emailId);
+
+  return Attachment.findAll({
+    where: { emailId: email.id },
+    attributes: { exclude: ["storageKey"] },
+    order: [["id", "ASC"]],
+  });
+}
+
+/**
+ * Parses a message source and returns the content of the attachment with
+ * the given checksum.
+ *
+ * @param {Buffer} source - Raw message source
+ * @param {Object} attachment - Attachment model instance
+ * @returns {Promise<Buffer>} Decoded attachment content
+ * @throws {Error} If the message has no such attachment
+ */
+async function findPartByChecksum(source, attachment) {
+  const parsed = await simpleParser(source);
+
+  const part = (parsed.attachments || []).find(
+    (candidate) => candidate.checksum === attachment.checksum
+  );
+  if (!part) {
+    throw new Error("Attachment not found in message");
+  }
+
+  return part.content;
+}
+
+/**
+ * Wraps content that had to be read into memory as a stream.
+ *
+ * @param {Buffer} content - Decoded attachment content
+ * @returns {Object} `{ stream, size }`
+ */
+const bufferedContent = (content) => ({
+  stream: Readable.from([content]),
+  size: content.length,
+});
+
+/**
+ * Opens a stream of an attachment from the mailbox. Attachments synced from
+ * the BODYSTRUCTURE know their part ID and are streamed from the server as
+ * they are decoded; the connection is closed once the stream ends. Imported
+ * emails and older rows fall back to parsing the message source and
+ * matching by checksum.
+ *
+ * @param {Object} email - Email model instance
+ * @param {Object} attachment - Attachment model instance
+ * @returns {Promise<Object>} `{ stream, size }` of the decoded content; size
+ *   is null while a part is still being streamed
+ * @throws {Error} If the message or part no longer exists
+ */
+async function streamFromMailbox(email, attachment) {
+  // Imported emails aren't on any server; their source is kept locally
+  if (email.source === "imported") {
+    const source = await readImportedSource(email);
+    return bufferedContent(await findPartByChecksum(source, attachment));
+  }
+
+  const account = await MailAccount.findByPk(email.accountId);
+
+  let connection;
+  try {
+    connection = await connectAccount(account);
+
+    if (!attachment.partId) {
+      const source = await fetchMessageSource(connection, email.mailbox, email.uid);
+      return bufferedContent(await findPartByChecksum(source, attachment));
+    }
+
+    const stream = await streamMessagePart(
+      connection,
+      email.mailbox,
+      email.uid,
+      attachment
+    );
+    // The connection stays open until the part has been read
+    const open = connection;
+    connection = null;
+    finished(stream, () => closeConnection(open));
+    return { stream, size: null };
+  } finally {
+    closeConnection(connection);
+  }
+}
+
+/**
+ * Passes content through while recording its MD5 checksum and byte length.
+ * `stream.measured` resolves to `{ checksum, size }` once it has all been
+ * read.
+ *
+ * @returns {Transform}
+ */
+function createMeasuringStream() {
+  const hash = crypto.createHash("md5");
+  let size = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      size += chunk.length;
+      callback(null, chunk);
+    },
+  });
+  stream.measured = new Promise((resolve) => {
+    stream.once("end", () => resolve({ checksum: hash.digest("hex"), size }));
+  });
+
+  return stream;
+}
+
+/**
+ * Saves the checksum and decoded size measured while downloading an
+ * attachment. Rows created from the BODYSTRUCTURE have no checksum and the
+ * encoded size until then.
+ *
+ * @param {Object} attachment - Attachment model instance
+ * @param {Object} measured - `{ checksum, size }` of the content
+ * @returns {Promise<void>}
+ */
+async function saveMeasurements(attachment, { checksum, size }) {
+  const updates = {};
+  if (!attachment.checksum) updates.checksum = checksum;
+  if (attachment.size !== size) updates.size = size;
+  if (Object.keys(updates).length > 0) {
+    await attachment.update(updates);
+  }
+}
+
+/**
+ * Downloads an attachment from the mailbox into local blob storage, keyed by
+ * its checksum. Content is written under a temporary key first when the
+ * checksum isn't known yet.
+ *
+ * @param {Object} email - Email model instance
+ * @param {Object} attachment - Attachment model instance
+ * @returns {Promise<string>} Blob key of the stored content
+ * @throws {Error} If the message or part no longer exists
+ */
+async function storeFromMailbox(email, attachment) {
+  if (attachment.checksum) {
+    const storageKey = attachmentKey(email.userId, attachment.checksum);
+    // Identical content from another email is already stored
+    if (await blobExists(storageKey)) return storageKey;
+  }
+
+  const pendingKey = attachmentKey(email.userId, `pending-${attachment.id}`);
+  const measuring = createMeasuringStream();
+  try {
+    const { stream } = await streamFromMailbox(email, attachment);
+    await pipeline(
+      stream,
+      measuring,
+      await createBlobWriteStream(pendingKey)
+    );
+  } catch (error) {
+    await deleteBlob(pendingKey);
+    throw error;
+  }
+
+  const measured = await measuring.measured;
+  await saveMeasurements(attachment, measured);
+
+  const storageKey = attachmentKey(email.userId, attachment.checksum);
+  await moveBlob(pendingKey, storageKey);
+  return storageKey;
+}
+
+/**
+ * Gets an attachment and a stream of its content, from local blob storage
+ * when available and from the mailbox otherwise. With local storage enabled
+ * the content is stored first and served from there.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @param {number} attachmentId - The attachment's database ID
+ * @returns {Promise<Object>} `{ attachment, stream, size }`, where size is the
+ *   byte length of the decoded content in the stream, or null when a part is
+ *   streamed from the mailbox and its length isn't known yet
+ * @throws {Error} If user, email or attachment not found
+ */
+export async function getAttachmentDownload(emailAddress, emailId, attachmentId) {
+  const email = await findUserEmail(emailAddress, emailId);
+
+  const attachment = await Attachment.findOne({
+    where: { id: attachmentId, emailId: email.id },
+  });
+  if (!attachment) {
+    throw new Error("Attachment not found");
+  }
+
+  let storageKey = attachment.storageKey;
+  if (!storageKey || !(await blobExists(storageKey))) {
+    logger.info("Downloading attachment from mailbox", {
+      email: emailAddress,
+      emailId: email.id,
+      attachmentId: attachment.id,
+    });
+
+    if (!storeLocally()) {
+      const { stream, size } = await streamFromMailbox(email, attachment);
+      const measuring = createMeasuringStream();
+      // Errors reach the caller through the measuring stream, and destroying
+      // it stops the download
+      pipeline(stream, measuring).catch(() => {});
+      measuring.measured
+        .then((measured) => saveMeasurements(attachment, measured))
+        .catch((error) => {
+          logger.error("Failed to save attachment checksum", {
+            attachmentId: attachment.id,
+            error: error.message,
+          });
+        });
+      return { attachment, stream: measuring, size };
+    }
+
+    storageKey = await storeFromMailbox(email, attachment);
+    await attachment.update({ storageKey });
+  }
+
+  return {
+    attachment,
+    stream: createBlobReadStream(storageKey),
+    size: await blobSize(storageKey),
+  };
+}
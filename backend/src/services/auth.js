@@ -1,19 +1,91 @@
+import crypto from "crypto";
 import oauth2Client from "../config/oauth.js";
-import { User } from "../models/index.js";
+import providers from "../config/providers.js";
+import { User, MailAccount } from "../models/index.js";
+import { signValue, unsignValue } from "./session.js";
 import logger from "../utils/logger.js";
 
 /**
  * Auth Service - Handles all authentication-related business logic
  */
 
+/**
+ * Name of the cookie that binds a login attempt's state and PKCE code
+ * verifier to the browser that started it.
+ */
+export const LOGIN_COOKIE = "oauth_login";
+
+const LOGIN_TTL = 600000; // 10 minutes
+
+/**
+ * Frontend paths a login may return to. Anything else returns to the
+ * dashboard.
+ */
+const RETURN_TO_PATHS = ["/dashboard", "/accounts"];
+const DEFAULT_RETURN_TO = "/dashboard";
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || "http://localhost:3000";
+
+/**
+ * Checks a post-login return path against the allow-list. Only paths on the
+ * frontend are accepted, so the login can't redirect to another site.
+ *
+ * @param {string} returnTo - Path with optional query, e.g. "/dashboard?folderId=3"
+ * @returns {string} The path, or the default path if it isn't allowed
+ */
+export function sanitizeReturnTo(returnTo) {
+  if (typeof returnTo !== "string" || !returnTo.startsWith("/") || returnTo.startsWith("//")) {
+    return DEFAULT_RETURN_TO;
+  }
+
+  const base = new URL(getFrontendUrl());
+  let url;
+  try {
+    url = new URL(returnTo, base);
+  } catch {
+    return DEFAULT_RETURN_TO;
+  }
+
+  if (url.origin !== base.origin || !RETURN_TO_PATHS.includes(url.pathname)) {
+    return DEFAULT_RETURN_TO;
+  }
+  return url.pathname + url.search;
+}
+
+/**
+ * Options for setting and clearing the login attempt cookie. It's only sent
+ * back to the /auth routes.
+ *
+ * @returns {Object} Options for res.cookie / res.clearCookie
+ */
+export function loginCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/auth",
+  };
+}
+
 /**
  * Generates an OAuth2 consent URL for the client to authenticate with Google.
  * The scopes allow full access to Gmail via IMAP along with basic profile and
  * email scope to identify the user.
+ *
+ * Each login attempt gets a random state and a PKCE code verifier. Both go
+ * into the returned login cookie, signed, and are checked by
+ * handleOAuthCallback, so a callback only completes in the browser that
+ * started the login.
  * 
- * @returns {string} The authorization URL
+ * @param {string} returnTo - Optional frontend path to return to after login
+ * @returns {Promise<Object>} `{ url, loginCookie, expiresAt }`: the
+ *   authorization URL, the signed login cookie value and its expiry
  */
-export function generateAuthUrl() {
+export async function generateAuthUrl(returnTo) {
+  const state = crypto.randomBytes(32).toString("base64url");
+  const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
+  const expiresAt = new Date(Date.now() + LOGIN_TTL);
+
   const url = oauth2Client.generateAuthUrl({
     access_type: "offline",
     prompt: "consent",
@@ -23,27 +95,80 @@ export function generateAuthUrl() {
       "https://www.googleapis.com/auth/userinfo.email",
       "https://www.googleapis.com/auth/userinfo.profile"
     ],
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
   });
-  return url;
+
+  const attempt = {
+    state,
+    codeVerifier,
+    returnTo: sanitizeReturnTo(returnTo),
+    expiresAt: expiresAt.getTime(),
+  };
+  const loginCookie = signValue(Buffer.from(JSON.stringify(attempt)).toString("base64url"));
+
+  return { url, loginCookie, expiresAt };
 }
 
 /**
- * Handles the OAuth2 callback by exchanging the authorization code for tokens
- * and storing the user's credentials in the database.
+ * Reads a login attempt from its cookie and checks it against the state
+ * Google sent back.
+ *
+ * @param {string} loginCookie - Signed login cookie value
+ * @param {string} state - The state query parameter of the callback
+ * @returns {Object} The attempt's codeVerifier and returnTo
+ * @throws {Error} If the cookie is missing, forged or expired, or the state doesn't match
+ */
+function verifyLoginAttempt(loginCookie, state) {
+  const token = unsignValue(loginCookie);
+  if (!token) {
+    throw new Error("Invalid login state; please sign in again");
+  }
+
+  let attempt;
+  try {
+    attempt = JSON.parse(Buffer.from(token, "base64url").toString());
+  } catch {
+    throw new Error("Invalid login state; please sign in again");
+  }
+
+  if (!attempt.expiresAt || attempt.expiresAt < Date.now()) {
+    throw new Error("Login attempt expired; please sign in again");
+  }
+
+  const expected = Buffer.from(String(attempt.state));
+  const given = Buffer.from(String(state || ""));
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error("Invalid login state; please sign in again");
+  }
+
+  return { codeVerifier: attempt.codeVerifier, returnTo: sanitizeReturnTo(attempt.returnTo) };
+}
+
+/**
+ * Handles the OAuth2 callback by verifying the login attempt, exchanging the
+ * authorization code for tokens, creating the user if needed and storing the
+ * tokens on their Gmail account.
  * 
  * @param {string} code - The authorization code from Google
- * @returns {Promise<Object>} Object containing email and redirect URL
- * @throws {Error} If code is missing or token exchange fails
+ * @param {Object} options - Callback details
+ * @param {string} options.state - The state query parameter from Google
+ * @param {string} options.loginCookie - The login cookie set by generateAuthUrl
+ * @returns {Promise<Object>} Object containing the user, their email and the
+ *   redirect URL
+ * @throws {Error} If code is missing, the login state doesn't match or token exchange fails
  */
-export async function handleOAuthCallback(code) {
+export async function handleOAuthCallback(code, options = {}) {
   if (!code) {
     throw new Error("Missing authorization code");
   }
 
   try {
+    const { codeVerifier, returnTo } = verifyLoginAttempt(options.loginCookie, options.state);
+
     // Exchange authorization code for tokens
-    const { tokens } = await oauth2Client.getToken(code);
-    oauth2Client.setCredentials(tokens);
+    const { tokens } = await oauth2Client.getToken({ code, codeVerifier });
 
     // Decode the ID token to get the user's email address
     const jwt = JSON.parse(
@@ -51,66 +176,41 @@ export async function handleOAuthCallback(code) {
     );
     const email = jwt.email;
 
-    // Store or update the user in the database
-    await User.upsert({
-      email,
-      accessToken: tokens.access_token,
-      refreshToken: tokens.refresh_token,
+    // Store the user, then their Gmail account with the fresh tokens
+    const [user] = await User.findOrCreate({ where: { email } });
+
+    const account = await MailAccount.findOne({
+      where: { userId: user.id, email },
     });
+    const credentials = {
+      accessToken: tokens.access_token,
+      tokenExpiresAt: tokens.expiry_date ? new Date(tokens.expiry_date) : null,
+      // Google only returns a refresh token on consent; keep the old one otherwise
+      ...(tokens.refresh_token && { refreshToken: tokens.refresh_token }),
+      needsReconsent: false,
+    };
+
+    if (account) {
+      await account.update({ authType: "xoauth2", ...credentials });
+    } else {
+      await MailAccount.create({
+        userId: user.id,
+        provider: "gmail",
+        email,
+        ...providers.gmail.imap,
+        authType: "xoauth2",
+        ...credentials,
+      });
+    }
 
     return {
+      user,
       email,
-      redirectUrl: `http://localhost:3000/dashboard?email=${encodeURIComponent(email)}`,
+      // The session cookie identifies the user; the URL no longer does
+      redirectUrl: `${getFrontendUrl()}${returnTo}`,
     };
   } catch (error) {
     logger.error("OAuth callback error", { error: error.message, stack: error.stack });
     throw new Error(`Authentication failed: ${error.message}`);
   }
 }
-
-/**
- * Refreshes the access token for a user if needed
- * 
- * @param {Object} user - User object with tokens
- * @returns {Promise<string>} Fresh access token
- * @throws {Error} If token refresh fails
- */
-export async function refreshAccessToken(user) {
-  if (!user.refreshToken) {
-    throw new Error("No refresh token available; re-authentication required");
-  }
-
-  const mask = (s) => (s ? s.slice(0, 8) + "..." + s.slice(-8) : "<empty>");
-  logger.info("Refreshing access token", { email: user.email });
-
-  // Set credentials on the OAuth2 client so it can refresh the access token
-  oauth2Client.setCredentials({
-    access_token: user.accessToken,
-    refresh_token: user.refreshToken,
-  });
-
-  try {
-    const tokenResponse = await oauth2Client.getAccessToken();
-    const freshAccessToken =
-      tokenResponse && tokenResponse.token
-        ? tokenResponse.token
-        : tokenResponse;
-
-    logger.info("Token refreshed successfully", { email: user.email });
-
-    if (!freshAccessToken) {
-      throw new Error("Unable to obtain access token");
-    }
-
-    // Persist new access token if it changed
-    if (freshAccessToken !== user.accessToken) {
-      logger.info("Persisting new access token", { email: user.email });
-      await user.update({ accessToken: freshAccessToken });
-    }
-
-    return freshAccessToken;
-  } catch (error) {
-    logger.error("Token refresh error", { email: user.email, error: error.message });
-    throw new Error(`Failed to refresh access token: ${error.message}`);
-  }
-}
@@ -0,0 +1,397 @@
+import nodemailer from "nodemailer";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import providers from "../config/providers.js";
+import { User, MailAccount, Email, EmailRecipient } from "../models/index.js";
+import { getAccessToken } from "./account.js";
+import { getEmailContent } from "./content.js";
+import { getAttachmentDownload } from "./attachment.js";
+import { updateEmailFlags } from "./email.js";
+import { sanitizeEmailHtml } from "./sanitizer.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Compose Service - Builds and sends new messages, replies and forwards
+ */
+
+const isMessageId = (value) => /^<[^<>\s]+>$/.test(value || "");
+
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Builds the SMTP settings for an account. A relay configured with
+ * SMTP_HOST is used for every account; otherwise the provider's own server
+ * is used with the account's credentials (XOAUTH2 token or password).
+ *
+ * @param {Object} account - MailAccount model instance
+ * @returns {Promise<Object>} nodemailer transport options
+ * @throws {Error} If the account has no SMTP server or no usable credentials
+ */
+async function smtpOptionsFor(account) {
+  if (process.env.SMTP_HOST) {
+    return {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    };
+  }
+
+  const smtp = providers[account.provider]?.smtp;
+  if (!smtp) {
+    throw new Error("No SMTP server configured for this account");
+  }
+
+  const user = account.username || account.email;
+  const accessToken = await getAccessToken(account);
+
+  return {
+    ...smtp,
+    auth: accessToken
+      ? { type: "OAuth2", user, accessToken }
+      : { user, pass: account.password },
+  };
+}
+
+/**
+ * Formats the sender of a stored email as "Name <address>".
+ */
+function senderOf(email) {
+  if (email.fromName && email.fromAddress) {
+    return `${email.fromName} <${email.fromAddress}>`;
+  }
+  return email.fromAddress || email.from || "";
+}
+
+/**
+ * Prefixes a subject with "Re:" or "Fwd:" unless it already has it.
+ */
+function prefixSubject(prefix, subject) {
+  const pattern = new RegExp(`^${prefix}:`, "i");
+  return pattern.test(subject || "") ? subject : `${prefix}: ${subject || ""}`.trim();
+}
+
+/**
+ * Converts a payload attachment (base64 content) for nodemailer.
+ */
+function toMailAttachment(attachment) {
+  return {
+    filename: attachment.filename,
+    contentType: attachment.contentType,
+    content: Buffer.from(attachment.content, "base64"),
+  };
+}
+
+/**
+ * Builds the reply to a stored email: recipients, "Re:" subject, threading
+ * headers and the quoted original below the new text.
+ *
+ * @param {Object} original - Stored email with `recipients`
+ * @param {Object} content - Its content (`body`, `bodyHtml`)
+ * @param {Object} reply - What the user wrote
+ * @param {string} reply.text - Plain text of the reply
+ * @param {string} reply.html - HTML of the reply, if written in HTML
+ * @param {boolean} reply.replyAll - Also reply to the other recipients
+ * @param {string} ownAddress - Address of the account replying
+ * @returns {Object} nodemailer message fields
+ */
+export function buildReply(original, content, reply, ownAddress) {
+  const recipients = original.recipients || [];
+  const replyTo = recipients.filter((r) => r.kind === "replyTo").map((r) => r.address);
+  const to = replyTo.length > 0 ? replyTo : [original.fromAddress || original.from];
+
+  const self = (ownAddress || "").toLowerCase();
+  const cc = reply.replyAll
+    ? recipients
+        .filter((r) => r.kind === "to" || r.kind === "cc")
+        .map((r) => r.address)
+        .filter((address) => address.toLowerCase() !== self && !to.includes(address))
+    : [];
+
+  const references = (original.referenceIds || "").split(" ").filter(isMessageId);
+  if (isMessageId(original.messageId)) references.push(original.messageId);
+
+  const attribution = `On ${new Date(original.date).toUTCString()}, ${senderOf(original)} wrote:`;
+  const quotedText = (content.body || "")
+    .split(/\r?\n/)
+    .map((line) => `> ${line}`)
+    .join("\n");
+
+  const message = {
+    to,
+    cc: [...new Set(cc)],
+    subject: prefixSubject("Re", original.subject),
+    inReplyTo: isMessageId(original.messageId) ? original.messageId : undefined,
+    references: references.length > 0 ? references.join(" ") : undefined,
+    text: `${reply.text || ""}\n\n${attribution}\n${quotedText}`,
+  };
+
+  if (reply.html) {
+    const quotedHtml = content.bodyHtml
+      ? sanitizeEmailHtml(content.bodyHtml)
+      : escapeHtml(content.body || "").replace(/\r?\n/g, "<br>");
+    message.html =
+      `${reply.html}<br><div class="quote">${escapeHtml(attribution)}<br>` +
+      `<blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">` +
+      `${quotedHtml}</blockquote></div>`;
+  }
+
+  return message;
+}
+
+/**
+ * Builds the forward of a stored email: "Fwd:" subject and the original
+ * headers and body below the new text. Recipients are up to the caller.
+ *
+ * @param {Object} original - Stored email with `recipients`
+ * @param {Object} content - Its content (`body`, `bodyHtml`)
+ * @param {Object} forward - What the user wrote
+ * @param {string} forward.text - Plain text above the forwarded message
+ * @param {string} forward.html - HTML above it, if written in HTML
+ * @returns {Object} nodemailer message fields
+ */
+export function buildForward(original, content, forward) {
+  const to = (original.recipients || [])
+    .filter((r) => r.kind === "to")
+    .map((r) => r.address)
+    .join(", ");
+
+  const headerLines = [
+    "---------- Forwarded message ---------",
+    `From: ${senderOf(original)}`,
+    `Date: ${new Date(original.date).toUTCString()}`,
+    `Subject: ${original.subject || ""}`,
+    `To: ${to}`,
+  ];
+
+  const message = {
+    subject: prefixSubject("Fwd", original.subject),
+    text: `${forward.text || ""}\n\n${headerLines.join("\n")}\n\n${content.body || ""}`,
+  };
+
+  if (forward.html) {
+    const originalHtml = content.bodyHtml
+      ? sanitizeEmailHtml(content.bodyHtml)
+      : escapeHtml(content.body || "").replace(/\r?\n/g, "<br>");
+    message.html =
+      `${forward.html}<br><div class="forward">` +
+      `${headerLines.map(escapeHtml).join("<br>")}<br><br>${originalHtml}</div>`;
+  }
+
+  return message;
+}
+
+/**
+ * Builds the raw RFC 822 source of a message without sending it, e.g. to
+ * store it in a mailbox. Bcc is kept so drafts don't lose it.
+ *
+ * @param {Object} account - MailAccount the message is from
+ * @param {Object} message - nodemailer message fields (from is set here)
+ * @returns {Promise<Buffer>} Raw message
+ */
+export function buildMimeMessage(account, message) {
+  const mail = new MailComposer({ ...message, from: account.email }).compile();
+  mail.keepBcc = true;
+
+  return new Promise((resolve, reject) => {
+    mail.build((err, source) => (err ? reject(err) : resolve(source)));
+  });
+}
+
+/**
+ * Sends a message from an account over SMTP.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} message - nodemailer message fields (from is set here)
+ * @returns {Promise<Object>} `{ messageId, accepted, rejected }`
+ * @throws {Error} If the SMTP server refuses the login or the message
+ */
+export async function sendMessage(account, message) {
+  const transporter = nodemailer.createTransport(await smtpOptionsFor(account));
+
+  try {
+    const info = await transporter.sendMail({ ...message, from: account.email });
+
+    logger.info("Email sent", {
+      account: account.email,
+      messageId: info.messageId,
+      recipients: info.accepted.length,
+    });
+
+    return {
+      messageId: info.messageId,
+      accepted: info.accepted,
+      rejected: info.rejected,
+    };
+  } catch (error) {
+    logger.error("SMTP send error", { account: account.email, error: error.message });
+    throw new Error(`Failed to send email: ${error.message}`);
+  } finally {
+    transporter.close();
+  }
+}
+
+/**
+ * Finds the user and one of their stored emails with its recipients.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @returns {Promise<Object>} `{ user, original, account }`
+ * @throws {Error} If user or email not found
+ */
+async function loadOriginal(emailAddress, emailId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const original = await Email.findOne({
+    where: { id: emailId, userId: user.id },
+    include: [{ model: EmailRecipient, as: "recipients" }],
+  });
+  if (!original) {
+    throw new Error("Email not found");
+  }
+
+  const account = await MailAccount.findByPk(original.accountId);
+  return { user, original, account };
+}
+
+/**
+ * Sends a new message.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} payload - Message to send
+ * @param {number} payload.accountId - Account to send from (default: the first)
+ * @param {Array<string>} payload.to - Recipients
+ * @param {Array<string>} payload.cc - Cc recipients
+ * @param {Array<string>} payload.bcc - Bcc recipients
+ * @param {string} payload.subject - Subject
+ * @param {string} payload.text - Plain text body
+ * @param {string} payload.html - HTML body, sent as an alternative to text
+ * @param {string} payload.inReplyTo - Message-ID this answers, e.g. for
+ *   replies started as drafts in another client
+ * @param {string} payload.references - References header to go with it
+ * @param {Array} payload.attachments - `[{ filename, contentType, content }]`
+ *   with base64 content
+ * @returns {Promise<Object>} `{ messageId, accepted, rejected }`
+ * @throws {Error} If user or account not found, or sending fails
+ */
+export async function sendEmail(emailAddress, payload) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const account = await MailAccount.findOne({
+    where: payload.accountId
+      ? { id: payload.accountId, userId: user.id }
+      : { userId: user.id },
+    order: [["createdAt", "ASC"]],
+  });
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  return sendMessage(account, {
+    to: payload.to,
+    cc: payload.cc,
+    bcc: payload.bcc,
+    subject: payload.subject,
+    text: payload.text,
+    html: payload.html,
+    inReplyTo: payload.inReplyTo,
+    references: payload.references,
+    attachments: (payload.attachments || []).map(toMailAttachment),
+  });
+}
+
+/**
+ * Replies to a stored email from the account it was received on, and marks
+ * the original as answered.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email being replied to
+ * @param {Object} payload - The reply
+ * @param {string} payload.text - Plain text of the reply
+ * @param {string} payload.html - HTML of the reply
+ * @param {boolean} payload.replyAll - Also reply to the other recipients
+ * @param {Array<string>} payload.cc - Extra Cc recipients
+ * @param {Array<string>} payload.bcc - Bcc recipients
+ * @param {Array} payload.attachments - `[{ filename, contentType, content }]`
+ * @returns {Promise<Object>} `{ messageId, accepted, rejected }`
+ * @throws {Error} If user or email not found, or sending fails
+ */
+export async function replyToEmail(emailAddress, emailId, payload) {
+  const { original, account } = await loadOriginal(emailAddress, emailId);
+  const content = await getEmailContent(original);
+
+  const message = buildReply(original, content, payload, account.email);
+  const result = await sendMessage(account, {
+    ...message,
+    cc: [...message.cc, ...(payload.cc || [])],
+    bcc: payload.bcc,
+    attachments: (payload.attachments || []).map(toMailAttachment),
+  });
+
+  // The reply went out; a failed flag update shouldn't turn it into an error
+  try {
+    await updateEmailFlags(emailAddress, original.id, { answered: true });
+  } catch (error) {
+    logger.warn("Failed to mark email as answered", {
+      emailId: original.id,
+      error: error.message,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Forwards a stored email, with its attachments unless told otherwise.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email being forwarded
+ * @param {Object} payload - The forward
+ * @param {Array<string>} payload.to - Recipients
+ * @param {Array<string>} payload.cc - Cc recipients
+ * @param {Array<string>} payload.bcc - Bcc recipients
+ * @param {string} payload.text - Plain text above the forwarded message
+ * @param {string} payload.html - HTML above the forwarded message
+ * @param {boolean} payload.includeAttachments - Forward the original's
+ *   attachments (default: true)
+ * @param {Array} payload.attachments - Extra `[{ filename, contentType, content }]`
+ * @returns {Promise<Object>} `{ messageId, accepted, rejected }`
+ * @throws {Error} If user or email not found, or sending fails
+ */
+export async function forwardEmail(emailAddress, emailId, payload) {
+  const { original, account } = await loadOriginal(emailAddress, emailId);
+  const content = await getEmailContent(original);
+
+  const attachments = (payload.attachments || []).map(toMailAttachment);
+  if (payload.includeAttachments !== false) {
+    const forwarded = await original.getAttachments();
+    for (const attachment of forwarded.filter((a) => a.filename)) {
+      const { stream } = await getAttachmentDownload(emailAddress, original.id, attachment.id);
+      attachments.push({
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+        content: stream,
+      });
+    }
+  }
+
+  return sendMessage(account, {
+    ...buildForward(original, content, payload),
+    to: payload.to,
+    cc: payload.cc,
+    bcc: payload.bcc,
+    attachments,
+  });
+}
@@ -0,0 +1,206 @@
+import zlib from "zlib";
+import { promisify } from "util";
+import { Op } from "sequelize";
+import { MailAccount, Email, EmailContent } from "../models/index.js";
+import {
+  closeConnection,
+  fetchMessageSource,
+  parseMessageSource,
+} from "./imap.js";
+import { connectAccount } from "./account.js";
+import { storeAttachmentContent } from "./attachment.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Content Service - Stores full message bodies compressed in EmailContent
+ */
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Maximum characters stored per body (text and HTML each). Longer bodies are
+ * cut and the content is flagged as truncated.
+ */
+const BODY_LIMIT = parseInt(process.env.EMAIL_BODY_LIMIT, 10) || 5 * 1024 * 1024;
+
+const compress = async (text) => (text ? gzip(Buffer.from(text, "utf8")) : null);
+const decompress = async (data) => (data ? (await gunzip(data)).toString("utf8") : "");
+
+/**
+ * Stores the bodies of an email, replacing any stored before.
+ *
+ * @param {Object} email - Email instance
+ * @param {Object} content - Parsed content
+ * @param {string} content.body - Plain text body
+ * @param {string} content.bodyHtml - HTML body
+ * @param {string|null} content.charset - Charset of the body part
+ * @param {string|null} content.transferEncoding - Its Content-Transfer-Encoding
+ * @returns {Promise<Object>} EmailContent instance
+ */
+export async function saveEmailContent(email, content) {
+  const body = content.body || "";
+  const bodyHtml = content.bodyHtml || "";
+  const truncated = body.length > BODY_LIMIT || bodyHtml.length > BODY_LIMIT;
+
+  if (truncated) {
+    logger.warn("Email body exceeds EMAIL_BODY_LIMIT, truncating", {
+      emailId: email.id,
+      length: body.length + bodyHtml.length,
+      limit: BODY_LIMIT,
+    });
+  }
+
+  const values = {
+    emailId: email.id,
+    body: await compress(body.substring(0, BODY_LIMIT)),
+    bodyHtml: await compress(bodyHtml.substring(0, BODY_LIMIT)),
+    charset: content.charset || null,
+    transferEncoding: content.transferEncoding || null,
+    length: body.length + bodyHtml.length,
+    truncated,
+  };
+
+  const [row] = await EmailContent.upsert(values);
+  return row;
+}
+
+/**
+ * Reads the stored bodies of an email.
+ *
+ * @param {Object} email - Email instance
+ * @returns {Promise<Object|null>} `{ body, bodyHtml, charset,
+ *   transferEncoding, truncated }`, or null if the body wasn't fetched yet
+ */
+export async function loadEmailContent(email) {
+  const row = await EmailContent.findOne({ where: { emailId: email.id } });
+  if (!row) return null;
+
+  return {
+    body: await decompress(row.body),
+    bodyHtml: await decompress(row.bodyHtml),
+    charset: row.charset,
+    transferEncoding: row.transferEncoding,
+    truncated: row.truncated,
+  };
+}
+
+/**
+ * Downloads the source of an email and stores its bodies and attachments.
+ *
+ * @param {Object} connection - Open imap-simple connection
+ * @param {Object} email - Email instance
+ * @returns {Promise<Object>} `{ attachments }` count of attachments found
+ * @throws {Error} If the message no longer exists on the server
+ */
+export async function fetchEmailContent(connection, email) {
+  const source = await fetchMessageSource(connection, email.mailbox, email.uid);
+  const { attachments, hasAttachments, ...content } = await parseMessageSource(source);
+
+  await saveEmailContent(email, content);
+  await email.update({ hasAttachments, bodyFetchedAt: new Date() });
+  await storeAttachmentContent(email, attachments);
+
+  return { attachments: attachments.length };
+}
+
+/**
+ * Gets the stored bodies of an email, downloading them from the mailbox if
+ * the email wasn't opened before or was opened before bodies were kept in
+ * EmailContent.
+ *
+ * @param {Object} email - Email instance
+ * @returns {Promise<Object>} Content as returned by loadEmailContent
+ * @throws {Error} If the message can't be fetched
+ */
+export async function getEmailContent(email) {
+  const stored = email.bodyFetchedAt ? await loadEmailContent(email) : null;
+  if (stored) return stored;
+
+  const account = await MailAccount.findByPk(email.accountId);
+
+  let connection;
+  try {
+    connection = await connectAccount(account);
+    const { attachments } = await fetchEmailContent(connection, email);
+
+    logger.info("Fetched email body", {
+      emailId: email.id,
+      attachments,
+    });
+  } finally {
+    closeConnection(connection);
+  }
+
+  return loadEmailContent(email);
+}
+
+/**
+ * Re-fetches the bodies of emails that were opened before full bodies were
+ * stored, or that were truncated at a lower EMAIL_BODY_LIMIT. Emails are
+ * processed per account over a single connection; failures are logged and
+ * skipped.
+ *
+ * @param {Object} options - Backfill options
+ * @param {number} options.limit - Maximum number of emails (default: all)
+ * @param {boolean} options.dryRun - Only count the emails
+ * @returns {Promise<Object>} `{ found, updated, failed }`
+ */
+export async function backfillContent(options = {}) {
+  const { limit = null, dryRun = false } = options;
+
+  const emails = await Email.findAll({
+    where: {
+      bodyFetchedAt: { [Op.ne]: null },
+      [Op.or]: [
+        { "$content.id$": null },
+        { "$content.truncated$": true },
+      ],
+    },
+    include: [{ model: EmailContent, as: "content", attributes: ["id", "truncated"] }],
+    order: [["id", "ASC"]],
+    ...(limit ? { limit, subQuery: false } : {}),
+  });
+
+  const summary = { found: emails.length, updated: 0, failed: 0 };
+  if (dryRun || emails.length === 0) return summary;
+
+  const byAccount = new Map();
+  for (const email of emails) {
+    if (!byAccount.has(email.accountId)) byAccount.set(email.accountId, []);
+    byAccount.get(email.accountId).push(email);
+  }
+
+  for (const [accountId, accountEmails] of byAccount) {
+    const account = await MailAccount.findByPk(accountId);
+    if (!account) continue;
+
+    let connection;
+    try {
+      connection = await connectAccount(account);
+      for (const email of accountEmails) {
+        try {
+          await fetchEmailContent(connection, email);
+          summary.updated++;
+        } catch (error) {
+          summary.failed++;
+          logger.warn("Failed to backfill email body", {
+            emailId: email.id,
+            error: error.message,
+          });
+        }
+      }
+    } catch (error) {
+      summary.failed += accountEmails.length;
+      logger.error("Failed to connect for body backfill", {
+        accountId,
+        error: error.message,
+      });
+    } finally {
+      closeConnection(connection);
+    }
+  }
+
+  logger.info("Backfilled email bodies", summary);
+  return summary;
+}
@@ -0,0 +1,426 @@
+import crypto from "crypto";
+import { simpleParser } from "mailparser";
+import { User, MailAccount, Email, EmailRecipient, Folder, Draft } from "../models/index.js";
+import {
+  closeConnection,
+  listMailboxMessages,
+  appendMessage,
+  deleteMessages,
+  fetchMessageSource,
+} from "./imap.js";
+import { connectAccount } from "./account.js";
+import { refreshFolders } from "./folder.js";
+import { buildReply, buildForward, buildMimeMessage } from "./compose.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Drafts Service - Keeps drafts in the database and a copy of each in the
+ * account's Drafts mailbox, so a draft started in the app can be finished in
+ * another client and the other way round
+ */
+
+/**
+ * Fields of a draft the user edits.
+ */
+const EDITABLE_FIELDS = ["to", "cc", "bcc", "subject", "text", "html"];
+
+/**
+ * Finds a user by email address.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @returns {Promise<Object>} User instance
+ * @throws {Error} If the user doesn't exist
+ */
+async function requireUser(emailAddress) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+  return user;
+}
+
+/**
+ * Finds the account's Drafts folder, refreshing the folder list once if it
+ * isn't known yet.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} connection - Open imap-simple connection
+ * @returns {Promise<Object>} Folder
+ * @throws {Error} If the account has no Drafts folder
+ */
+async function requireDraftsFolder(account, connection) {
+  const where = { accountId: account.id, specialUse: "\\Drafts" };
+  let folder = await Folder.findOne({ where });
+
+  if (!folder) {
+    await refreshFolders(account, connection);
+    folder = await Folder.findOne({ where });
+  }
+
+  if (!folder) {
+    throw new Error("This account has no Drafts folder");
+  }
+  return folder;
+}
+
+/**
+ * Creates a Message-ID for a new draft on the account's domain.
+ */
+function createMessageId(account) {
+  const domain = account.email.split("@")[1] || "localhost";
+  return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * Replaces the mailbox copy of a draft: the new version is appended first
+ * and the previous one deleted afterwards, so a failure never loses both.
+ * Failures are recorded on the draft rather than thrown; the draft itself is
+ * already saved and the next save tries again.
+ *
+ * @param {Object} draft - Draft instance
+ * @param {Object} account - MailAccount model instance
+ * @returns {Promise<Object>} The draft
+ */
+async function storeDraftCopy(draft, account) {
+  let connection;
+  try {
+    connection = await connectAccount(account);
+    const folder = await requireDraftsFolder(account, connection);
+
+    const source = await buildMimeMessage(account, {
+      to: draft.to || [],
+      cc: draft.cc || [],
+      bcc: draft.bcc || [],
+      subject: draft.subject || "",
+      text: draft.text || "",
+      html: draft.html || undefined,
+      messageId: draft.messageId,
+      inReplyTo: draft.inReplyTo || undefined,
+      references: draft.references || undefined,
+    });
+
+    const uid = await appendMessage(connection, folder.path, source, {
+      flags: ["\\Draft", "\\Seen"],
+      messageId: draft.messageId,
+    });
+
+    if (draft.uid && draft.mailbox) {
+      try {
+        await deleteMessages(connection, draft.mailbox, [Number(draft.uid)]);
+      } catch (error) {
+        logger.warn("Failed to remove previous draft copy", {
+          draftId: draft.id,
+          error: error.message,
+        });
+      }
+    }
+
+    await draft.update({
+      mailbox: folder.path,
+      uid,
+      syncedAt: new Date(),
+      syncError: null,
+    });
+  } catch (error) {
+    logger.warn("Failed to store draft in mailbox", {
+      draftId: draft.id,
+      account: account.email,
+      error: error.message,
+    });
+    await draft.update({ syncError: error.message.substring(0, 512) });
+  } finally {
+    closeConnection(connection);
+  }
+
+  return draft;
+}
+
+/**
+ * Reads the fields of a draft from its mailbox copy.
+ *
+ * @param {Buffer} source - Raw message source
+ * @returns {Promise<Object>} Draft fields
+ */
+async function parseDraftSource(source) {
+  const parsed = await simpleParser(source);
+  const addresses = (field) =>
+    (field ? [].concat(field) : [])
+      .flatMap((list) => list.value || [])
+      .map((entry) => entry.address)
+      .filter(Boolean);
+  const references = parsed.references ? [].concat(parsed.references).join(" ") : null;
+
+  return {
+    to: addresses(parsed.to),
+    cc: addresses(parsed.cc),
+    bcc: addresses(parsed.bcc),
+    subject: parsed.subject || "",
+    // MIME adds a line break at the end; don't let it grow with every round trip
+    text: (parsed.text || "").replace(/\r?\n$/, ""),
+    html: parsed.html || null,
+    messageId: parsed.messageId || null,
+    inReplyTo: parsed.inReplyTo || null,
+    references,
+  };
+}
+
+/**
+ * Brings the drafts of one account in line with its Drafts mailbox: drafts
+ * written in other clients are added, drafts edited there are updated, and
+ * drafts whose copy was sent or deleted elsewhere are removed. Drafts whose
+ * last save didn't reach the mailbox are kept.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} connection - Open imap-simple connection
+ * @returns {Promise<Object>} `{ added, updated, removed }`
+ */
+export async function syncDrafts(account, connection) {
+  const folder = await requireDraftsFolder(account, connection);
+  const messages = await listMailboxMessages(connection, folder.path);
+  const drafts = await Draft.findAll({ where: { accountId: account.id } });
+  const summary = { added: 0, updated: 0, removed: 0 };
+
+  const byUid = new Map(
+    drafts
+      .filter((draft) => draft.mailbox === folder.path && draft.uid)
+      .map((draft) => [Number(draft.uid), draft])
+  );
+  const seen = new Set();
+
+  for (const message of messages) {
+    const known = byUid.get(Number(message.uid));
+    if (known) {
+      seen.add(known);
+      continue;
+    }
+
+    const source = await fetchMessageSource(connection, folder.path, message.uid);
+    const fields = await parseDraftSource(source);
+    const values = { ...fields, mailbox: folder.path, uid: message.uid, syncedAt: new Date() };
+
+    // Same Message-ID: a draft from here that was edited in another client
+    const edited = fields.messageId
+      ? drafts.find((draft) => !seen.has(draft) && draft.messageId === fields.messageId)
+      : null;
+
+    if (edited) {
+      await edited.update({ ...values, syncError: null });
+      seen.add(edited);
+      summary.updated++;
+    } else {
+      seen.add(
+        await Draft.create({
+          ...values,
+          userId: account.userId,
+          accountId: account.id,
+          messageId: fields.messageId || createMessageId(account),
+        })
+      );
+      summary.added++;
+    }
+  }
+
+  for (const draft of drafts) {
+    if (seen.has(draft) || draft.mailbox !== folder.path || !draft.uid) continue;
+
+    if (draft.syncError) {
+      // Unsaved changes: the copy is gone, so the next save appends a new one
+      await draft.update({ uid: null });
+    } else {
+      await draft.destroy();
+      summary.removed++;
+    }
+  }
+
+  if (summary.added || summary.updated || summary.removed) {
+    logger.info("Synced drafts", { account: account.email, ...summary });
+  }
+  return summary;
+}
+
+/**
+ * Lists a user's drafts, most recently edited first.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} options - List options
+ * @param {boolean} options.refresh - Sync with the Drafts mailboxes first
+ * @returns {Promise<Array>} Drafts
+ * @throws {Error} If the user doesn't exist
+ */
+export async function listDrafts(emailAddress, options = {}) {
+  const user = await requireUser(emailAddress);
+
+  if (options.refresh) {
+    const accounts = await MailAccount.findAll({ where: { userId: user.id } });
+    for (const account of accounts) {
+      let connection;
+      try {
+        connection = await connectAccount(account);
+        await syncDrafts(account, connection);
+      } catch (error) {
+        logger.warn("Failed to sync drafts", {
+          account: account.email,
+          error: error.message,
+        });
+      } finally {
+        closeConnection(connection);
+      }
+    }
+  }
+
+  return Draft.findAll({
+    where: { userId: user.id },
+    order: [["updatedAt", "DESC"]],
+  });
+}
+
+/**
+ * Creates a draft and stores its copy in the Drafts mailbox. Replies and
+ * forwards start with the recipients, subject and threading headers of the
+ * email they answer; the quoted original is added when they're sent.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} payload - The draft
+ * @param {number} payload.accountId - Account to save it in (default: the
+ *   original's account, or the first)
+ * @param {string} payload.kind - "new", "reply", "replyAll" or "forward"
+ * @param {number} payload.emailId - Email being replied to or forwarded
+ * @param {Array<string>} payload.to - Recipients
+ * @param {Array<string>} payload.cc - Cc recipients
+ * @param {Array<string>} payload.bcc - Bcc recipients
+ * @param {string} payload.subject - Subject
+ * @param {string} payload.text - Plain text body
+ * @param {string} payload.html - HTML body
+ * @returns {Promise<Object>} The draft, with `syncError` set if the mailbox
+ *   copy couldn't be stored
+ * @throws {Error} If user, account or email not found
+ */
+export async function createDraft(emailAddress, payload) {
+  const user = await requireUser(emailAddress);
+  const kind = payload.kind || "new";
+
+  let original = null;
+  if (payload.emailId) {
+    original = await Email.findOne({
+      where: { id: payload.emailId, userId: user.id },
+      include: [{ model: EmailRecipient, as: "recipients" }],
+    });
+    if (!original) {
+      throw new Error("Email not found");
+    }
+  }
+
+  let accountWhere = { userId: user.id };
+  if (payload.accountId) accountWhere = { id: payload.accountId, userId: user.id };
+  else if (original) accountWhere = { id: original.accountId, userId: user.id };
+
+  const account = await MailAccount.findOne({
+    where: accountWhere,
+    order: [["createdAt", "ASC"]],
+  });
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  let defaults = {};
+  if (original && kind === "forward") {
+    defaults = { subject: buildForward(original, {}, {}).subject };
+  } else if (original) {
+    const reply = buildReply(original, {}, { replyAll: kind === "replyAll" }, account.email);
+    defaults = {
+      to: reply.to,
+      cc: reply.cc,
+      subject: reply.subject,
+      inReplyTo: reply.inReplyTo || null,
+      references: reply.references || null,
+    };
+  }
+
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => payload[field] !== undefined).map((field) => [
+      field,
+      payload[field],
+    ])
+  );
+
+  const draft = await Draft.create({
+    to: [],
+    cc: [],
+    bcc: [],
+    ...defaults,
+    ...fields,
+    userId: user.id,
+    accountId: account.id,
+    kind,
+    emailId: original ? original.id : null,
+    messageId: createMessageId(account),
+  });
+
+  return storeDraftCopy(draft, account);
+}
+
+/**
+ * Saves changes to a draft and replaces its mailbox copy.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} draftId - The draft's ID
+ * @param {Object} changes - Any of to, cc, bcc, subject, text, html
+ * @returns {Promise<Object>} The draft, with `syncError` set if the mailbox
+ *   copy couldn't be stored
+ * @throws {Error} If user or draft not found
+ */
+export async function updateDraft(emailAddress, draftId, changes) {
+  const user = await requireUser(emailAddress);
+
+  const draft = await Draft.findOne({ where: { id: draftId, userId: user.id } });
+  if (!draft) {
+    throw new Error("Draft not found");
+  }
+
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => changes[field] !== undefined).map((field) => [
+      field,
+      changes[field],
+    ])
+  );
+  await draft.update(fields);
+
+  const account = await MailAccount.findByPk(draft.accountId);
+  return storeDraftCopy(draft, account);
+}
+
+/**
+ * Deletes a draft and its mailbox copy. If the copy can't be removed it
+ * comes back on the next refresh rather than being lost.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} draftId - The draft's ID
+ * @returns {Promise<void>}
+ * @throws {Error} If user or draft not found
+ */
+export async function deleteDraft(emailAddress, draftId) {
+  const user = await requireUser(emailAddress);
+
+  const draft = await Draft.findOne({ where: { id: draftId, userId: user.id } });
+  if (!draft) {
+    throw new Error("Draft not found");
+  }
+
+  if (draft.uid && draft.mailbox) {
+    const account = await MailAccount.findByPk(draft.accountId);
+    let connection;
+    try {
+      connection = await connectAccount(account);
+      await deleteMessages(connection, draft.mailbox, [Number(draft.uid)]);
+    } catch (error) {
+      logger.warn("Failed to delete draft from mailbox", {
+        draftId: draft.id,
+        error: error.message,
+      });
+    } finally {
+      closeConnection(connection);
+    }
+  }
+
+  await draft.destroy();
+}
@@ -1,6 +1,31 @@
-import { User, Email } from "../models/index.js";
-import fetchEmails from "./imap.js";
-import { refreshAccessToken } from "./auth.js";
+import {
+  sequelize,
+  User,
+  MailAccount,
+  Email,
+  SyncState,
+  Folder,
+  EmailLabel,
+  Attachment,
+  EmailRecipient,
+} from "../models/index.js";
+import { Op } from "sequelize";
+import {
+  SYSTEM_FLAGS,
+  closeConnection,
+  syncMailbox,
+  flagsToFields,
+  storeFlags,
+  searchUids,
+  locateMessages,
+} from "./imap.js";
+import { connectAccount } from "./account.js";
+import { refreshFolders, resolveLabelFolderIds } from "./folder.js";
+import { saveAttachments } from "./attachment.js";
+import { getEmailContent } from "./content.js";
+import { assignThreads, refreshThreads } from "./threading.js";
+import { prepareRemoteContent, imagesAllowedFor } from "./remoteContent.js";
+import { publishMailEvent } from "./events.js";
 import logger from "../utils/logger.js";
 
 /**
@@ -8,13 +33,38 @@ import logger from "../utils/logger.js";
  */
 
 /**
- * Fetches emails for a given user from their Gmail inbox via IMAP
+ * Emails looked up in other mailboxes per sync of a folder when they went
+ * missing from it; the rest are removed straight away.
+ */
+const RELOCATE_LIMIT = 100;
+
+/**
+ * Special-use folders searched first for messages missing from a mailbox.
+ */
+const RELOCATE_ORDER = ["\\All", "\\Trash", "\\Archive", "\\Junk"];
+
+/**
+ * UIDs per query when comparing and updating remote flag changes.
+ */
+const FLAG_UPDATE_BATCH_SIZE = 500;
+
+/**
+ * Fetches new emails for a given user from every connected mail account,
+ * and brings stored emails in line with messages deleted or moved on the
+ * server. A failing account doesn't stop the others from syncing; the error
+ * is only raised when no account could be synced at all.
  * 
  * @param {string} emailAddress - The user's email address
- * @returns {Promise<Array>} Array of email objects
+ * @param {Object} options - Fetch options
+ * @param {Function} options.onProgress - Called with `{ accountsDone,
+ *   accountsTotal, emails, removed, moved }` after each account
+ * @returns {Promise<Object>} `{ emails, removed, moved }`: newly stored
+ *   Email instances, and how many stored emails were removed or moved
  * @throws {Error} If user not found or fetch fails
  */
-export async function fetchUserEmails(emailAddress) {
+export async function fetchUserEmails(emailAddress, options = {}) {
+  const { onProgress = () => {} } = options;
+
   if (!emailAddress) {
     throw new Error("Email address is required");
   }
@@ -25,48 +75,464 @@ export async function fetchUserEmails(emailAddress) {
     throw new Error("User not found");
   }
 
+  const accounts = await MailAccount.findAll({ where: { userId: user.id } });
+  if (accounts.length === 0) {
+    throw new Error("No mail accounts connected; re-authentication required");
+  }
+
+  const emails = [];
+  const changes = { removed: 0, moved: 0 };
+  let failed = 0;
+  let lastError = null;
+
+  for (const account of accounts) {
+    try {
+      const synced = await syncAccount(account);
+      emails.push(...synced.emails);
+      changes.removed += synced.removed;
+      changes.moved += synced.moved;
+    } catch (error) {
+      failed++;
+      lastError = error;
+      logger.error("Error fetching emails", {
+        email: emailAddress,
+        account: account.email,
+        error: error.message,
+      });
+    }
+
+    await onProgress({
+      accountsDone: accounts.indexOf(account) + 1,
+      accountsTotal: accounts.length,
+      emails: emails.length,
+      ...changes,
+    });
+  }
+
+  if (failed === accounts.length) {
+    throw new Error(`Failed to fetch emails: ${lastError.message}`);
+  }
+
+  logger.info("Successfully fetched emails", {
+    email: emailAddress,
+    count: emails.length,
+    ...changes,
+  });
+  return { emails, ...changes };
+}
+
+/**
+ * Syncs one mail account. The folder list is refreshed with IMAP LIST first,
+ * then each synced folder is brought up to date over the same connection.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @returns {Promise<Object>} `{ emails, removed, moved }` as for syncFolder
+ */
+async function syncAccount(account) {
+  let connection;
   try {
-    // Refresh access token if needed
-    const freshAccessToken = await refreshAccessToken(user);
+    connection = await connectAccount(account);
+    const folders = await refreshFolders(account, connection);
+
+    const summary = { emails: [], removed: 0, moved: 0 };
+    for (const folder of folders) {
+      if (!folder.syncEnabled || !folder.selectable) continue;
+      const synced = await syncFolder(account, connection, folder, folders);
+      summary.emails.push(...synced.emails);
+      summary.removed += synced.removed;
+      summary.moved += synced.moved;
+    }
 
-    // Fetch emails via IMAP using the valid access token
-    logger.info("Fetching emails from IMAP", { email: emailAddress });
-    const emails = await fetchEmails(freshAccessToken, emailAddress);
-    logger.info("Successfully fetched emails", { email: emailAddress, count: emails.length });
+    return summary;
+  } finally {
+    closeConnection(connection);
+  }
+}
 
-    // Save each email's metadata into the database
-    await saveEmailsToDatabase(emails, user.id);
+/**
+ * Syncs one mailbox of an account over an already open connection, e.g. when
+ * the mail listener is told about new mail. Reconciling opens the account's
+ * other mailboxes, so the connection is left on whichever was opened last.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} connection - Open imap-simple connection
+ * @param {string} mailbox - Path of the mailbox to sync
+ * @returns {Promise<Array>} Newly stored Email instances
+ */
+export async function syncAccountMailbox(account, connection, mailbox) {
+  const folders = await Folder.findAll({ where: { accountId: account.id } });
+  const folder = folders.find((f) => f.path === mailbox);
+  if (!folder) {
+    return [];
+  }
 
-    return emails;
-  } catch (error) {
-    logger.error("Error fetching emails", { email: emailAddress, error: error.message });
-    throw new Error(`Failed to fetch emails: ${error.message}`);
+  const { emails } = await syncFolder(account, connection, folder, folders);
+  return emails;
+}
+
+/**
+ * Syncs a single folder over an open connection. Stored emails that are no
+ * longer in the mailbox are reconciled first, so a message that was moved
+ * into another synced folder is found there instead of being stored twice.
+ * Then only messages that arrived since the last sync are downloaded; the
+ * sync position is kept per mailbox in the SyncState table.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} connection - Open imap-simple connection
+ * @param {Object} folder - Folder to sync
+ * @param {Array} folders - All of the account's folders, for label mapping
+ * @returns {Promise<Object>} `{ emails, removed, moved }`: newly stored Email
+ *   instances, and how many stored emails were removed or moved
+ */
+async function syncFolder(account, connection, folder, folders) {
+  const mailbox = folder.path;
+  const storedState = await SyncState.findOne({
+    where: { accountId: account.id, mailbox },
+  });
+
+  const { removed, moved } = storedState
+    ? await reconcileMailbox(account, connection, folder, folders, storedState)
+    : { removed: 0, moved: 0 };
+
+  logger.info("Fetching emails from IMAP", {
+    email: account.email,
+    mailbox,
+    highestUid: storedState?.highestUid,
+  });
+  const { emails, flagUpdates, syncState, fullResync } = await syncMailbox(
+    connection,
+    mailbox,
+    storedState ? storedState.get({ plain: true }) : null,
+    { limit: parseInt(process.env.IMAP_SYNC_LIMIT) || 50 }
+  );
+
+  // A UIDVALIDITY change invalidates every UID we stored for this mailbox
+  if (fullResync && storedState) {
+    logger.warn("UIDVALIDITY changed, discarding stored emails", {
+      email: account.email,
+      mailbox,
+      previous: storedState.uidValidity,
+      current: syncState.uidValidity,
+    });
+    const stale = await Email.findAll({
+      where: { accountId: account.id, mailbox },
+      attributes: ["threadId"],
+    });
+    await Email.destroy({ where: { accountId: account.id, mailbox } });
+    await refreshThreads(stale.map((email) => email.threadId));
+  }
+
+  // Save each email's metadata into the database
+  const saved = await saveEmailsToDatabase(emails, account, folders);
+  await applyFlagUpdates(account, mailbox, flagUpdates);
+
+  // Only advance the sync position once the emails are safely stored,
+  // otherwise the next sync would skip them
+  if (saved) {
+    await SyncState.upsert({
+      userId: account.userId,
+      accountId: account.id,
+      mailbox,
+      ...syncState,
+      lastSyncedAt: new Date(),
+    });
+    await assignThreads(account, saved);
+  }
+
+  return { emails: saved || [], removed, moved };
+}
+
+/**
+ * Points a stored email at the mailbox and UID its message has now. When
+ * that mailbox's copy is already stored, e.g. because the folder was synced
+ * after the move, the email's labels are merged into the stored copy and the
+ * email itself is removed, as the unique (account, mailbox, UID) index allows
+ * only one of them.
+ *
+ * @param {Object} row - Email instance that was moved
+ * @param {Object|null} source - Folder it was moved from, if known
+ * @param {Object} destination - Folder it was moved to
+ * @param {number} uid - UID of the message in the destination
+ * @returns {Promise<Object|null>} The email that was removed in favour of the
+ *   stored copy, or null if the email was moved
+ */
+export async function relocateEmail(row, source, destination, uid) {
+  const existing = await Email.findOne({
+    where: { accountId: row.accountId, mailbox: destination.path, uid },
+    attributes: ["id"],
+  });
+
+  if (existing && existing.id !== row.id) {
+    const labels = await EmailLabel.findAll({
+      where: { emailId: row.id },
+      attributes: ["folderId"],
+    });
+    const folderIds = labels
+      .map((label) => label.folderId)
+      .filter((folderId) => !source || folderId !== source.id);
+
+    await EmailLabel.bulkCreate(
+      [...new Set([...folderIds, destination.id])].map((folderId) => ({
+        emailId: existing.id,
+        folderId,
+      })),
+      { ignoreDuplicates: true }
+    );
+    await row.destroy();
+    return row;
+  }
+
+  await row.update({ mailbox: destination.path, uid });
+  if (source) {
+    await EmailLabel.destroy({ where: { emailId: row.id, folderId: source.id } });
+  }
+  await EmailLabel.bulkCreate(
+    [{ emailId: row.id, folderId: destination.id }],
+    { ignoreDuplicates: true }
+  );
+  return null;
+}
+
+/**
+ * Finds stored emails whose message was expunged from a mailbox, e.g.
+ * deleted, moved or (on Gmail) archived in another client. Each one is
+ * looked up in the account's other mailboxes, All Mail, Trash and Archive
+ * first: if it's found, the email is moved to that folder, otherwise it is
+ * removed. Only emails stored under this mailbox are checked; Gmail label
+ * changes on messages stored under another mailbox aren't detected.
+ *
+ * Servers with CONDSTORE bump HIGHESTMODSEQ on every expunge, so a mailbox
+ * whose modseq didn't change is skipped without a search.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} connection - Open imap-simple connection
+ * @param {Object} folder - Folder being synced
+ * @param {Array} folders - All of the account's folders
+ * @param {Object} storedState - The mailbox's SyncState
+ * @returns {Promise<Object>} `{ removed, moved }` counts
+ */
+async function reconcileMailbox(account, connection, folder, folders, storedState) {
+  const mailbox = folder.path;
+  const changes = { removed: 0, moved: 0 };
+
+  const box = await connection.openBox(mailbox);
+  // A new UIDVALIDITY discards the stored emails anyway
+  if (Number(box.uidvalidity) !== Number(storedState.uidValidity)) return changes;
+  if (box.highestmodseq && String(box.highestmodseq) === storedState.highestModseq) {
+    return changes;
+  }
+
+  const rows = await Email.findAll({
+    where: { accountId: account.id, mailbox, uid: { [Op.ne]: null } },
+    attributes: ["id", "userId", "accountId", "uid", "gmMsgId", "messageId", "threadId"],
+  });
+  if (rows.length === 0) return changes;
+
+  const onServer = new Set(await searchUids(connection, ["ALL"]));
+  const missing = rows.filter((row) => !onServer.has(Number(row.uid)));
+  if (missing.length === 0) return changes;
+
+  // Look where messages most likely went first, then in the synced folders
+  const rank = (f) => {
+    const index = RELOCATE_ORDER.indexOf(f.specialUse);
+    return index === -1 ? RELOCATE_ORDER.length : index;
+  };
+  const candidates = folders
+    .filter((f) => f.selectable && f.path !== mailbox)
+    .filter((f) => f.syncEnabled || rank(f) < RELOCATE_ORDER.length)
+    .sort((a, b) => rank(a) - rank(b));
+
+  let unresolved = missing.slice(0, RELOCATE_LIMIT);
+  const moved = [];
+  const merged = [];
+  for (const candidate of candidates) {
+    if (unresolved.length === 0) break;
+
+    const located = await locateMessages(
+      connection,
+      candidate.path,
+      unresolved.map((row) => ({
+        uid: Number(row.uid),
+        gmMsgId: row.gmMsgId,
+        messageIdHeader: row.messageId,
+      }))
+    );
+
+    const stillMissing = [];
+    for (const row of unresolved) {
+      const uid = located.get(Number(row.uid));
+      if (!uid) {
+        stillMissing.push(row);
+        continue;
+      }
+
+      if (await relocateEmail(row, folder, candidate, uid)) {
+        merged.push(row);
+      } else {
+        moved.push(row.id);
+      }
+    }
+    unresolved = stillMissing;
+  }
+
+  // Beyond RELOCATE_LIMIT emails are removed without a lookup; if they went
+  // to a synced folder, its sync stores them again
+  const removed = [...unresolved, ...missing.slice(RELOCATE_LIMIT)];
+  if (removed.length > 0) {
+    await Email.destroy({ where: { id: removed.map((row) => row.id) } });
+  }
+  // Emails merged into an already stored copy are gone as well
+  const gone = [...removed, ...merged];
+  if (gone.length > 0) {
+    await refreshThreads(gone.map((row) => row.threadId));
+    publishMailEvent(account.userId, {
+      type: "deleted",
+      accountId: account.id,
+      ids: gone.map((row) => row.id),
+    });
+  }
+  if (moved.length > 0) {
+    publishMailEvent(account.userId, { type: "moved", accountId: account.id, ids: moved });
+  }
+
+  changes.removed = removed.length;
+  changes.moved = moved.length + merged.length;
+  logger.info("Reconciled mailbox with the server", {
+    email: account.email,
+    mailbox,
+    ...changes,
+  });
+  return changes;
+}
+
+/**
+ * Stores emails fetched outside of a regular sync, e.g. remote search hits,
+ * and threads them.
+ *
+ * @param {Object} account - MailAccount the emails belong to
+ * @param {Array} emails - Parsed emails from the IMAP service
+ * @returns {Promise<Array>} Newly stored Email instances
+ * @throws {Error} If the emails couldn't be saved
+ */
+export async function storeFetchedEmails(account, emails) {
+  const folders = await Folder.findAll({ where: { accountId: account.id } });
+
+  const created = await saveEmailsToDatabase(emails, account, folders);
+  if (!created) {
+    throw new Error("Failed to save emails");
+  }
+
+  await assignThreads(account, created);
+  return created;
+}
+
+/**
+ * Applies flag changes made in other clients to the stored emails. Without
+ * CONDSTORE the server reports the flags of every message, so they're
+ * compared with the stored ones first, and emails that end up with the same
+ * flags are updated with one query.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {string} mailbox - Mailbox the updates came from
+ * @param {Array} updates - `[{ uid, flags }]` from the IMAP service
+ * @returns {Promise<void>}
+ */
+async function applyFlagUpdates(account, mailbox, updates) {
+  const fields = Object.keys(SYSTEM_FLAGS);
+  // flags as JSON -> { values, uids }
+  const changes = new Map();
+  let changed = 0;
+
+  for (let i = 0; i < updates.length; i += FLAG_UPDATE_BATCH_SIZE) {
+    const batch = updates.slice(i, i + FLAG_UPDATE_BATCH_SIZE);
+    const stored = await Email.findAll({
+      where: { accountId: account.id, mailbox, uid: batch.map(({ uid }) => uid) },
+      attributes: ["uid", ...fields],
+      raw: true,
+    });
+    const storedByUid = new Map(stored.map((email) => [Number(email.uid), email]));
+
+    for (const { uid, flags } of batch) {
+      const email = storedByUid.get(Number(uid));
+      const values = flagsToFields(flags);
+      if (!email || fields.every((field) => Boolean(email[field]) === values[field])) continue;
+
+      const key = JSON.stringify(values);
+      if (!changes.has(key)) changes.set(key, { values, uids: [] });
+      changes.get(key).uids.push(uid);
+      changed++;
+    }
+  }
+
+  for (const { values, uids } of changes.values()) {
+    for (let i = 0; i < uids.length; i += FLAG_UPDATE_BATCH_SIZE) {
+      await Email.update(values, {
+        where: { accountId: account.id, mailbox, uid: uids.slice(i, i + FLAG_UPDATE_BATCH_SIZE) },
+      });
+    }
+  }
+
+  if (changed > 0) {
+    logger.info("Applied remote flag changes", {
+      email: account.email,
+      mailbox,
+      count: changed,
+    });
   }
 }
 
 /**
- * Saves email metadata to the database
+ * Saves email metadata to the database and links each email to its labels.
+ * Gmail exposes the same message once per label, so a message whose
+ * X-GM-MSGID is already stored only has its labels updated.
  * 
  * @param {Array} emails - Array of email objects
- * @param {number} userId - The user's database ID
- * @returns {Promise<void>}
+ * @param {Object} account - The MailAccount the emails belong to
+ * @param {Array} folders - The account's folders, for label mapping
+ * @returns {Promise<Array|null>} The newly created Email instances, or null if saving failed
  */
-async function saveEmailsToDatabase(emails, userId) {
+async function saveEmailsToDatabase(emails, account, folders) {
+  const { userId, id: accountId } = account;
   try {
-    let savedCount = 0;
+    const created = [];
     let skippedCount = 0;
     
     for (const email of emails) {
-      const [instance, created] = await Email.findOrCreate({
-        where: { 
-          userId: userId,
-          messageId: email.messageId 
-        },
-        defaults: { ...email, userId },
-      });
+      const { attachments = [], recipients = [], gmLabels, ...fields } = email;
+
+      let instance = email.gmMsgId
+        ? await Email.findOne({ where: { accountId, gmMsgId: email.gmMsgId } })
+        : null;
+      let isNew = false;
+
+      if (!instance) {
+        [instance, isNew] = await Email.findOrCreate({
+          where: { 
+            accountId,
+            mailbox: email.mailbox,
+            uid: email.uid,
+          },
+          defaults: { ...fields, userId, accountId },
+        });
+
+        if (isNew) {
+          await saveAttachments(instance, attachments);
+          await EmailRecipient.bulkCreate(
+            recipients.map((recipient) => ({ ...recipient, emailId: instance.id }))
+          );
+        }
+      }
+
+      const folderIds = resolveLabelFolderIds(email, folders);
+      if (folderIds.length > 0) {
+        await EmailLabel.bulkCreate(
+          folderIds.map((folderId) => ({ emailId: instance.id, folderId })),
+          { ignoreDuplicates: true }
+        );
+      }
       
-      if (created) {
-        savedCount++;
+      if (isNew) {
+        created.push(instance);
       } else {
         skippedCount++;
       }
@@ -74,16 +540,161 @@ async function saveEmailsToDatabase(emails, userId) {
     
     logger.info("Saved emails to database", { 
       userId, 
+      accountId,
       total: emails.length,
-      saved: savedCount,
+      saved: created.length,
       skipped: skippedCount
     });
+    return created;
   } catch (error) {
     logger.error("Error saving emails to database", { userId, error: error.message });
-    // Don't throw - we still want to return emails even if DB save fails
+    // Don't throw - the sync position simply isn't advanced
+    return null;
+  }
+}
+
+/**
+ * Where clause matching emails with a recipient whose address or name
+ * contains the term.
+ *
+ * @param {Object} Op - Sequelize operators
+ * @param {string} term - Search term
+ * @returns {Object} Where clause on Email.id
+ */
+function recipientClause(Op, term) {
+  const pattern = sequelize.escape(`%${term}%`);
+  return {
+    id: {
+      [Op.in]: sequelize.literal(
+        `(SELECT emailId FROM EmailRecipients WHERE address LIKE ${pattern} OR name LIKE ${pattern})`
+      ),
+    },
+  };
+}
+
+/**
+ * Sets `addressedTo` on each email to "to", "cc" or "bcc" depending on how
+ * one of the user's own accounts received it, or null (e.g. mailing lists).
+ *
+ * @param {Object} user - User model instance
+ * @param {Array} emails - Email instances
+ * @returns {Promise<void>}
+ */
+async function markAddressedTo(user, emails) {
+  if (emails.length === 0) return;
+
+  const accounts = await MailAccount.findAll({
+    where: { userId: user.id },
+    attributes: ["email", "username"],
+  });
+  const ownAddresses = [
+    ...new Set(
+      accounts
+        .flatMap((account) => [account.email, account.username])
+        .filter(Boolean)
+        .map((address) => address.toLowerCase())
+    ),
+  ];
+
+  const rows = await EmailRecipient.findAll({
+    where: {
+      emailId: emails.map((email) => email.id),
+      address: ownAddresses,
+      kind: ["to", "cc", "bcc"],
+    },
+    attributes: ["emailId", "kind"],
+  });
+
+  const priority = ["to", "cc", "bcc"];
+  for (const email of emails) {
+    const kinds = rows
+      .filter((row) => row.emailId === email.id)
+      .map((row) => row.kind)
+      .sort((a, b) => priority.indexOf(a) - priority.indexOf(b));
+    email.setDataValue("addressedTo", kinds[0] || null);
   }
 }
 
+/**
+ * Builds the where clause and include that select a user's stored emails by
+ * the filters of the email list.
+ *
+ * @param {Object} user - User model instance
+ * @param {Object} filters - List filters
+ * @param {string} filters.search - Search query for sender, recipients or subject
+ * @param {string} filters.recipient - Only emails sent to this address or name
+ * @param {number} filters.folderId - Only emails in this folder/label
+ * @param {number} filters.accountId - Only emails from this mail account
+ * @param {Date} filters.since - Only emails dated on or after this
+ * @param {Date} filters.before - Only emails dated before this
+ * @param {string} filters.source - Only emails with this source ("imap" or "imported")
+ * @returns {Promise<Object>} `{ where, include }` for Email queries
+ */
+export async function buildEmailFilter(user, filters = {}) {
+  const {
+    search = '',
+    recipient = '',
+    folderId = null,
+    accountId = null,
+    since = null,
+    before = null,
+    source = null,
+  } = filters;
+
+  // Import Sequelize operators
+  const { Op } = await import('sequelize');
+
+  // Build where clause with proper search logic
+  const ownerClause = accountId
+    ? { userId: user.id, accountId }
+    : { userId: user.id };
+  const conditions = [ownerClause];
+
+  if (search && search.trim()) {
+    // Match the sender, the subject or any To/Cc/Bcc/Reply-To address
+    conditions.push({
+      [Op.or]: [
+        { from: { [Op.like]: `%${search}%` } },
+        { subject: { [Op.like]: `%${search}%` } },
+        recipientClause(Op, search)
+      ]
+    });
+  }
+
+  if (recipient && recipient.trim()) {
+    conditions.push(recipientClause(Op, recipient));
+  }
+
+  if (since) {
+    conditions.push({ date: { [Op.gte]: since } });
+  }
+
+  if (before) {
+    conditions.push({ date: { [Op.lt]: before } });
+  }
+
+  if (source) {
+    conditions.push({ source });
+  }
+
+  const where = conditions.length > 1 ? { [Op.and]: conditions } : ownerClause;
+
+  // Restrict to a single folder/label through the EmailLabel join table
+  const include = folderId
+    ? [
+        {
+          model: Folder,
+          as: "labels",
+          where: { id: folderId, userId: user.id },
+          attributes: [],
+          through: { attributes: [] },
+        },
+      ]
+    : [];
+
+  return { where, include };
+}
+
 /**
  * Gets emails from database for a user with pagination and search
  * 
@@ -91,9 +702,13 @@ async function saveEmailsToDatabase(emails, userId) {
  * @param {Object} options - Query options
  * @param {number} options.page - Page number (default: 1)
  * @param {number} options.limit - Items per page (default: 20)
- * @param {string} options.search - Search query for from/subject
+ * @param {string} options.search - Search query for sender, recipients or subject
+ * @param {string} options.recipient - Only return emails sent to this address or name
  * @param {string} options.sortBy - Sort field (default: 'date')
  * @param {string} options.sortOrder - Sort order 'ASC' or 'DESC' (default: 'DESC')
+ * @param {number} options.folderId - Only return emails in this folder/label
+ * @param {number} options.accountId - Only return emails from this mail account
+ * @param {string} options.source - Only return emails with this source
  * @returns {Promise<Object>} Object with emails array and pagination metadata
  */
 export async function getStoredEmails(emailAddress, options = {}) {
@@ -107,47 +722,43 @@ export async function getStoredEmails(emailAddress, options = {}) {
     limit = 20,
     search = '',
     sortBy = 'date',
-    sortOrder = 'DESC'
+    sortOrder = 'DESC',
+    folderId = null,
+    accountId = null,
+    recipient = '',
+    source = null
   } = options;
 
   // Calculate offset
   const offset = (page - 1) * limit;
 
-  // Import Sequelize operators
-  const { Op } = await import('sequelize');
-
-  // Build where clause with proper search logic
-  let whereClause;
-  
-  if (search && search.trim()) {
-    // When search is provided, combine userId AND (from LIKE search OR subject LIKE search)
-    whereClause = {
-      [Op.and]: [
-        { userId: user.id },
-        {
-          [Op.or]: [
-            { from: { [Op.like]: `%${search}%` } },
-            { subject: { [Op.like]: `%${search}%` } }
-          ]
-        }
-      ]
-    };
-  } else {
-    // When no search, just filter by userId
-    whereClause = { userId: user.id };
-  }
+  const { where: whereClause, include } = await buildEmailFilter(user, {
+    search,
+    recipient,
+    folderId,
+    accountId,
+    source,
+  });
 
   // Get total count for pagination
-  const totalCount = await Email.count({ where: whereClause });
+  const totalCount = await Email.count({
+    where: whereClause,
+    include,
+    distinct: true,
+    col: "id",
+  });
 
   // Fetch emails with pagination
   const emails = await Email.findAll({
     where: whereClause,
+    include,
     order: [[sortBy, sortOrder.toUpperCase()]],
     limit: parseInt(limit),
     offset: parseInt(offset),
   });
 
+  await markAddressedTo(user, emails);
+
   // Calculate pagination metadata
   const totalPages = Math.ceil(totalCount / limit);
   const hasNextPage = page < totalPages;
@@ -158,6 +769,8 @@ export async function getStoredEmails(emailAddress, options = {}) {
     page,
     limit,
     search,
+    folderId,
+    accountId,
     totalCount,
     totalPages
   });
@@ -174,3 +787,108 @@ export async function getStoredEmails(emailAddress, options = {}) {
     }
   };
 }
+
+/**
+ * Gets a single email with its body and attachments. List syncs only store
+ * headers, so the first time a message is opened its source is downloaded
+ * from the mailbox and the full body is saved, compressed, in EmailContent.
+ * The response carries `body`, `bodyHtml`, the body's original `charset` and
+ * `transferEncoding`, and whether it was `truncated`. `bodyHtml` is returned
+ * sanitized, and `remoteContent` tells how many remote images and trackers
+ * were blocked in it.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @returns {Promise<Object>} Email instance including Attachments
+ * @throws {Error} If user or email not found, or the body can't be fetched
+ */
+export async function getEmailDetail(emailAddress, emailId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const email = await Email.findOne({ where: { id: emailId, userId: user.id } });
+  if (!email) {
+    throw new Error("Email not found");
+  }
+
+  const content = await getEmailContent(email);
+
+  await email.reload({
+    include: [
+      {
+        model: Attachment,
+        attributes: { exclude: ["storageKey"] },
+      },
+      {
+        model: EmailRecipient,
+        as: "recipients",
+        attributes: ["kind", "name", "address"],
+      },
+    ],
+  });
+
+  // The stored HTML is kept as received and only ever served sanitized, with
+  // remote images blocked unless the user allowed them
+  const imagesAllowed = await imagesAllowedFor(email);
+  const { html, blockedImages, blockedTrackers } = prepareRemoteContent(
+    content.bodyHtml,
+    { loadImages: imagesAllowed }
+  );
+  email.setDataValue("body", content.body);
+  email.setDataValue("bodyHtml", html);
+  email.setDataValue("charset", content.charset);
+  email.setDataValue("transferEncoding", content.transferEncoding);
+  email.setDataValue("truncated", content.truncated);
+  email.setDataValue("remoteContent", { imagesAllowed, blockedImages, blockedTrackers });
+
+  return email;
+}
+
+/**
+ * Changes the flags of an email on the server and in the database. The
+ * server is updated first so a failed STORE leaves both sides unchanged.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @param {Object} changes - Any of `{ seen, flagged, answered, draft }`
+ * @returns {Promise<Object>} Updated Email instance
+ * @throws {Error} If user or email not found, or the STORE fails
+ */
+export async function updateEmailFlags(emailAddress, emailId, changes) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const email = await Email.findOne({
+    where: { id: emailId, userId: user.id },
+  });
+  if (!email) {
+    throw new Error("Email not found");
+  }
+
+  // Imported emails have no server copy to update
+  if (email.source !== "imported") {
+    const account = await MailAccount.findByPk(email.accountId);
+
+    let connection;
+    try {
+      connection = await connectAccount(account);
+      await storeFlags(connection, email.mailbox, email.uid, changes);
+    } finally {
+      closeConnection(connection);
+    }
+  }
+
+  await email.update(changes);
+
+  logger.info("Updated email flags", {
+    email: emailAddress,
+    emailId: email.id,
+    changes,
+  });
+
+  return email;
+}
@@ -0,0 +1,205 @@
+import crypto from "crypto";
+import logger from "../utils/logger.js";
+
+/**
+ * Encryption Service - Envelope encryption for stored credentials. Each row
+ * gets its own random data key, which encrypts the row's secrets with
+ * AES-256-GCM; the data key itself is stored encrypted ("wrapped") with a
+ * master key from CREDENTIAL_KEYS, along with that key's id. Rotating the
+ * master key only re-wraps the data keys.
+ *
+ * CREDENTIAL_KEYS lists the master keys as comma-separated `id:base64key`
+ * pairs (32-byte keys); CREDENTIAL_KEY_ID picks the one new data keys are
+ * wrapped with and defaults to the last listed.
+ */
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+/**
+ * Prefix of encrypted values. Values without it are plaintext stored before
+ * encryption was introduced, and are read as they are.
+ */
+const ENCRYPTED_PREFIX = "enc:v1:";
+
+let temporaryKeyring = null;
+
+// Environments where a missing CREDENTIAL_KEYS falls back to a temporary key
+const TEMPORARY_KEY_ENVIRONMENTS = ["development", "test"];
+
+/**
+ * Parses the master keys from the environment. Without CREDENTIAL_KEYS a
+ * random key is used in development and tests, so credentials stored by this
+ * process can't be read after a restart; anywhere else that would lose data,
+ * so it's an error.
+ *
+ * @returns {Object} `{ keys: Map<id, Buffer>, activeKeyId }`
+ * @throws {Error} If CREDENTIAL_KEYS is missing outside development and
+ *   tests, a key is malformed or CREDENTIAL_KEY_ID isn't listed
+ */
+function getKeyring() {
+  const source = (process.env.CREDENTIAL_KEYS || "").trim();
+
+  if (!source) {
+    if (!TEMPORARY_KEY_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      throw new Error("CREDENTIAL_KEYS must be set to store credentials");
+    }
+    if (!temporaryKeyring) {
+      logger.warn("CREDENTIAL_KEYS is not set; using a temporary key, stored credentials won't survive a restart");
+      temporaryKeyring = {
+        keys: new Map([["temporary", crypto.randomBytes(KEY_LENGTH)]]),
+        activeKeyId: "temporary",
+      };
+    }
+    return temporaryKeyring;
+  }
+
+  const keys = new Map();
+  for (const entry of source.split(",")) {
+    const index = entry.indexOf(":");
+    const id = entry.slice(0, index).trim();
+    const key = Buffer.from(entry.slice(index + 1).trim(), "base64");
+    if (index === -1 || !id || key.length !== KEY_LENGTH) {
+      throw new Error("CREDENTIAL_KEYS must list id:base64key pairs of 32-byte keys");
+    }
+    keys.set(id, key);
+  }
+
+  const activeKeyId = process.env.CREDENTIAL_KEY_ID || [...keys.keys()].pop();
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Credential key ${activeKeyId} is not listed in CREDENTIAL_KEYS`);
+  }
+  return { keys, activeKeyId };
+}
+
+/**
+ * Gets a master key by id.
+ *
+ * @param {string} keyId - Master key id
+ * @returns {Buffer} The key
+ * @throws {Error} If the key is not configured
+ */
+function getMasterKey(keyId) {
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Credential key ${keyId} is not configured`);
+  }
+  return key;
+}
+
+/**
+ * Encrypts with AES-256-GCM.
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @returns {string} "iv.tag.ciphertext", base64url encoded
+ */
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString("base64url")).join(".");
+}
+
+/**
+ * Decrypts a value sealed by seal() and checks its authentication tag.
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {string} sealed - "iv.tag.ciphertext"
+ * @returns {Buffer} The plaintext
+ * @throws {Error} If the value is malformed, tampered with or sealed with another key
+ */
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split(".").map((part) => Buffer.from(part, "base64url"));
+  if (!iv || !tag || !ciphertext) {
+    throw new Error("Malformed encrypted value");
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  } catch {
+    throw new Error("Failed to decrypt credential; wrong key or corrupted value");
+  }
+}
+
+/**
+ * Id of the master key new data keys are wrapped with. Also checks the key
+ * configuration, so the server can refuse to start without it.
+ *
+ * @returns {string} Master key id
+ * @throws {Error} If the master keys are missing or malformed
+ */
+export function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+/**
+ * Creates a random data key, wrapped with the active master key.
+ *
+ * @returns {Object} `{ keyId, wrappedKey }` to store with the row
+ */
+export function createDataKey() {
+  const keyId = getActiveKeyId();
+  return { keyId, wrappedKey: seal(getMasterKey(keyId), crypto.randomBytes(KEY_LENGTH)) };
+}
+
+/**
+ * Re-wraps a data key with the active master key. The row's values stay
+ * encrypted with the same data key, so they don't need to be touched.
+ *
+ * @param {string} keyId - Id of the master key the data key is wrapped with
+ * @param {string} wrappedKey - The wrapped data key
+ * @returns {Object} `{ keyId, wrappedKey }` wrapped with the active key
+ * @throws {Error} If the old master key is not configured
+ */
+export function rewrapDataKey(keyId, wrappedKey) {
+  const dataKey = open(getMasterKey(keyId), wrappedKey);
+  const activeKeyId = getActiveKeyId();
+  return { keyId: activeKeyId, wrappedKey: seal(getMasterKey(activeKeyId), dataKey) };
+}
+
+/**
+ * Whether a stored value is encrypted, as opposed to legacy plaintext.
+ *
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypts a secret with a row's data key.
+ *
+ * @param {string} plaintext - The secret
+ * @param {string} keyId - Id of the master key the data key is wrapped with
+ * @param {string} wrappedKey - The row's wrapped data key
+ * @returns {string} Encrypted value to store
+ */
+export function encryptValue(plaintext, keyId, wrappedKey) {
+  const dataKey = open(getMasterKey(keyId), wrappedKey);
+  return ENCRYPTED_PREFIX + seal(dataKey, Buffer.from(String(plaintext), "utf8"));
+}
+
+/**
+ * Decrypts a stored secret with a row's data key. Legacy plaintext values
+ * are returned as they are.
+ *
+ * @param {string} value - Stored value
+ * @param {string} keyId - Id of the master key the data key is wrapped with
+ * @param {string} wrappedKey - The row's wrapped data key
+ * @returns {string} The secret
+ * @throws {Error} If the key is missing or the value can't be decrypted
+ */
+export function decryptValue(value, keyId, wrappedKey) {
+  if (!isEncrypted(value)) return value;
+  if (!keyId || !wrappedKey) {
+    throw new Error("Encrypted credential has no data key");
+  }
+
+  const dataKey = open(getMasterKey(keyId), wrappedKey);
+  return open(dataKey, value.slice(ENCRYPTED_PREFIX.length)).toString("utf8");
+}
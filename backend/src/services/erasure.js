@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import {
+  User,
+  MailAccount,
+  Email,
+  Folder,
+  SyncState,
+  Thread,
+  ImageAllowance,
+  Draft,
+  MailImport,
+  Job,
+  Session,
+  AuditLog,
+} from "../models/index.js";
+import { createOAuthClient } from "../config/oauth.js";
+import { releaseClient } from "./tokens.js";
+import { stopUserListeners } from "./listener.js";
+import { deleteBlobPrefix } from "./storage.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Erasure Service - Deletes a user and everything stored for them, for
+ * account deletion and GDPR erasure requests. Google grants are revoked
+ * first, then the database rows and stored blobs are removed, and an audit
+ * record is written. The shared remote image cache is keyed by URL only and
+ * holds nothing per user.
+ */
+
+// Tables with a userId column, deleted before the accounts and the user
+const USER_TABLES = [Job, Session, Draft, MailImport, ImageAllowance, Email, Folder, SyncState];
+
+// Blob key prefixes holding a user's content, followed by the user's ID
+const USER_BLOB_PREFIXES = ["attachments", "raw", "imports"];
+
+/**
+ * Hash that identifies a user in audit records without storing their address.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @returns {string} Hex SHA-256
+ */
+export function auditSubjectHash(emailAddress) {
+  return crypto.createHash("sha256").update(emailAddress.trim().toLowerCase()).digest("hex");
+}
+
+/**
+ * Revokes the Google grants of a user's Gmail accounts, so the app can no
+ * longer access the mailboxes even with a copy of the tokens.
+ *
+ * @param {Array} accounts - The user's MailAccount instances
+ * @returns {Promise<Object>} `{ revoked, failed }` counts
+ */
+async function revokeGoogleGrants(accounts) {
+  const result = { revoked: 0, failed: 0 };
+
+  for (const account of accounts) {
+    if (account.provider !== "gmail" || account.authType !== "xoauth2") continue;
+
+    try {
+      // Revoking the refresh token ends the whole grant
+      const token = account.refreshToken || account.accessToken;
+      if (!token) continue;
+
+      await createOAuthClient().revokeToken(token);
+      result.revoked++;
+    } catch (error) {
+      // The data is deleted either way; the user can still revoke access in
+      // their Google account settings
+      result.failed++;
+      logger.warn("Failed to revoke Google grant", {
+        accountId: account.id,
+        error: error.message,
+      });
+    } finally {
+      releaseClient(account.id);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Deletes a user with all their mail accounts, stored emails, attachments,
+ * drafts, imports, jobs and sessions, and records the deletion in the audit
+ * log.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} options - Erasure options
+ * @param {string} options.actor - Who requested it: "user" or "admin" (default: "user")
+ * @returns {Promise<Object>} `{ accounts, emails, revoked, revokeFailed }`
+ * @throws {Error} If user not found
+ */
+export async function eraseUser(emailAddress, options = {}) {
+  const { actor = "user" } = options;
+
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const accounts = await MailAccount.findAll({ where: { userId: user.id } });
+  const emails = await Email.count({ where: { userId: user.id } });
+
+  stopUserListeners(user.id);
+  const grants = await revokeGoogleGrants(accounts);
+
+  for (const model of USER_TABLES) {
+    await model.destroy({ where: { userId: user.id } });
+  }
+  if (accounts.length > 0) {
+    await Thread.destroy({ where: { accountId: accounts.map((account) => account.id) } });
+  }
+  await MailAccount.destroy({ where: { userId: user.id } });
+  await user.destroy();
+
+  for (const prefix of USER_BLOB_PREFIXES) {
+    await deleteBlobPrefix(`${prefix}/${user.id}`);
+  }
+
+  const summary = {
+    accounts: accounts.length,
+    emails,
+    revoked: grants.revoked,
+    revokeFailed: grants.failed,
+  };
+
+  await AuditLog.create({
+    action: "account.deleted",
+    userId: user.id,
+    subjectHash: auditSubjectHash(emailAddress),
+    actor,
+    details: summary,
+  });
+
+  logger.info("User account deleted", { userId: user.id, actor, ...summary });
+  return summary;
+}
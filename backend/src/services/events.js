@@ -0,0 +1,35 @@
+import { EventEmitter } from "events";
+
+/**
+ * Mail Events - In-process pub/sub for mailbox changes
+ * The mail listener publishes new, deleted and flag-changed messages here,
+ * syncs publish messages deleted or moved on the server, and every open event
+ * stream of the same user receives them.
+ */
+
+const emitter = new EventEmitter();
+
+// One listener per open event stream; don't warn for busy users
+emitter.setMaxListeners(0);
+
+/**
+ * Publishes a mailbox event to all of a user's subscribers.
+ *
+ * @param {number} userId - The user's database ID
+ * @param {Object} event - Event payload with a `type` field
+ */
+export function publishMailEvent(userId, event) {
+  emitter.emit(`user:${userId}`, event);
+}
+
+/**
+ * Subscribes to a user's mailbox events.
+ *
+ * @param {number} userId - The user's database ID
+ * @param {Function} handler - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToMailEvents(userId, handler) {
+  emitter.on(`user:${userId}`, handler);
+  return () => emitter.off(`user:${userId}`, handler);
+}
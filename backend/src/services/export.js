@@ -0,0 +1,270 @@
+import { once } from "events";
+import { Op } from "sequelize";
+import archiver from "archiver";
+import { User, MailAccount, Email } from "../models/index.js";
+import { closeConnection, fetchMessageSource } from "./imap.js";
+import { connectAccount } from "./account.js";
+import { buildEmailFilter } from "./email.js";
+import { readImportedSource } from "./import.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Export Service - Gives back the original RFC 822 source of stored emails,
+ * one at a time as .eml or many at once as an mbox file or a zip of .eml
+ * files. Sources are downloaded from the mailbox one message at a time and
+ * written straight to the output, so an export never holds more than one
+ * message in memory.
+ */
+
+/**
+ * Export formats accepted by streamExport.
+ */
+export const EXPORT_FORMATS = ["mbox", "zip"];
+
+/**
+ * Emails loaded from the database per query while exporting.
+ */
+const BATCH_SIZE = 100;
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Builds a file name for an email: date, ID and a readable part of the
+ * subject, e.g. "2024-03-01-42-quarterly-report.eml".
+ *
+ * @param {Object} email - Email instance
+ * @returns {string} File name
+ */
+export function emlFilename(email) {
+  const date = email.date ? new Date(email.date).toISOString().slice(0, 10) : "undated";
+  const subject = (email.subject || "")
+    .normalize("NFKD")
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .replace(/[\s_]+/g, "-")
+    .toLowerCase()
+    .slice(0, 60);
+
+  return `${date}-${email.id}${subject ? `-${subject}` : ""}.eml`;
+}
+
+/**
+ * Converts a message source to an mbox entry (mboxrd): a "From " separator
+ * line, LF line endings, and every line that starts with ">*From " quoted
+ * with one more ">" so readers can restore the original.
+ *
+ * @param {Object} email - Email instance, for the separator line
+ * @param {Buffer} source - Raw message source
+ * @returns {Buffer} mbox entry, ending with a blank line
+ */
+export function toMboxEntry(email, source) {
+  const date = new Date(email.date || Date.now());
+  const pad = (value) => String(value).padStart(2, "0");
+  const asctime =
+    `${DAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ` +
+    `${String(date.getUTCDate()).padStart(2, " ")} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} ` +
+    `${date.getUTCFullYear()}`;
+
+  // latin1 maps every byte to one character, so 8-bit content survives
+  const body = source
+    .toString("latin1")
+    .replace(/\r\n/g, "\n")
+    .replace(/^(>*From )/gm, ">$1")
+    .replace(/\n*$/, "\n");
+
+  return Buffer.from(`From ${email.fromAddress || "MAILER-DAEMON"} ${asctime}\n${body}\n`, "latin1");
+}
+
+/**
+ * Downloads the original source of one stored email.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @returns {Promise<Object>} `{ filename, source }`
+ * @throws {Error} If user or email not found, or the message is no longer
+ *   on the server
+ */
+export async function getRawEmail(emailAddress, emailId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const email = await Email.findOne({ where: { id: emailId, userId: user.id } });
+  if (!email) {
+    throw new Error("Email not found");
+  }
+
+  if (email.source === "imported") {
+    return { filename: emlFilename(email), source: await readImportedSource(email) };
+  }
+
+  const account = await MailAccount.findByPk(email.accountId);
+
+  let connection;
+  try {
+    connection = await connectAccount(account);
+    const source = await fetchMessageSource(connection, email.mailbox, email.uid);
+    return { filename: emlFilename(email), source };
+  } finally {
+    closeConnection(connection);
+  }
+}
+
+/**
+ * Opens one IMAP connection per account on first use and closes them all
+ * at the end of an export.
+ */
+function createConnectionPool() {
+  const connections = new Map();
+
+  return {
+    async get(accountId) {
+      if (!connections.has(accountId)) {
+        // Remember failures so an unreachable account isn't retried per message
+        const connecting = MailAccount.findByPk(accountId).then((account) => {
+          if (!account) throw new Error("Account not found");
+          return connectAccount(account);
+        });
+        connecting.catch(() => {});
+        connections.set(accountId, connecting);
+      }
+      return connections.get(accountId);
+    },
+
+    async closeAll() {
+      for (const connecting of connections.values()) {
+        closeConnection(await connecting.catch(() => null));
+      }
+    },
+  };
+}
+
+/**
+ * Writes an mbox file to the output.
+ */
+function createMboxWriter(output) {
+  return {
+    async add(email, source) {
+      if (!output.write(toMboxEntry(email, source))) {
+        await once(output, "drain");
+      }
+    },
+    async finish() {
+      output.end();
+    },
+  };
+}
+
+/**
+ * Writes a zip of .eml files to the output. Each entry is awaited so the
+ * archive never queues more than one message.
+ */
+function createZipWriter(output) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  archive.on("warning", (error) => logger.warn("Export archive warning", { error: error.message }));
+  archive.pipe(output);
+
+  let failure = null;
+  archive.on("error", (error) => {
+    failure = error;
+  });
+
+  return {
+    async add(email, source) {
+      if (failure) throw failure;
+      const added = once(archive, "entry");
+      archive.append(source, {
+        name: emlFilename(email),
+        date: email.date ? new Date(email.date) : new Date(),
+      });
+      await added;
+    },
+    async finish() {
+      if (failure) throw failure;
+      await archive.finalize();
+    },
+  };
+}
+
+/**
+ * Streams a user's stored emails, or the ones matching the filters, to an
+ * output as a single mbox file or a zip of .eml files. Messages that can't
+ * be downloaded (deleted on the server, account unreachable) are skipped
+ * and counted; an export that has started can't report errors any other
+ * way.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} options - Export options
+ * @param {string} options.format - "mbox" or "zip"
+ * @param {string} options.search - Search query, as for the email list
+ * @param {string} options.recipient - Recipient filter, as for the email list
+ * @param {number} options.folderId - Only emails in this folder/label
+ * @param {number} options.accountId - Only emails from this mail account
+ * @param {Date} options.since - Only emails dated on or after this
+ * @param {Date} options.before - Only emails dated before this
+ * @param {Object} output - Writable stream, e.g. the HTTP response
+ * @returns {Promise<Object>} `{ exported, failed }`
+ * @throws {Error} If the user doesn't exist; nothing was written then
+ */
+export async function streamExport(emailAddress, options, output) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const { format = "mbox", ...filters } = options;
+  const { where, include } = await buildEmailFilter(user, filters);
+  const writer = format === "zip" ? createZipWriter(output) : createMboxWriter(output);
+  const pool = createConnectionPool();
+  const summary = { exported: 0, failed: 0 };
+
+  try {
+    let lastId = 0;
+    for (;;) {
+      const emails = await Email.findAll({
+        where: { [Op.and]: [where, { id: { [Op.gt]: lastId } }] },
+        include,
+        attributes: [
+          "id", "userId", "accountId", "source", "mailbox", "uid", "date", "subject", "fromAddress",
+        ],
+        order: [["id", "ASC"]],
+        limit: BATCH_SIZE,
+      });
+      if (emails.length === 0) break;
+      lastId = emails[emails.length - 1].id;
+
+      for (const email of emails) {
+        if (output.destroyed) {
+          throw new Error("Export cancelled by the client");
+        }
+
+        let source;
+        try {
+          if (email.source === "imported") {
+            source = await readImportedSource(email);
+          } else {
+            const connection = await pool.get(email.accountId);
+            source = await fetchMessageSource(connection, email.mailbox, email.uid);
+          }
+        } catch (error) {
+          summary.failed++;
+          logger.warn("Skipping email in export", { emailId: email.id, error: error.message });
+          continue;
+        }
+
+        await writer.add(email, source);
+        summary.exported++;
+      }
+    }
+
+    await writer.finish();
+  } finally {
+    await pool.closeAll();
+  }
+
+  logger.info("Exported emails", { email: emailAddress, format, ...summary });
+  return summary;
+}
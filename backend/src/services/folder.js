@@ -0,0 +1,220 @@
+import { Op } from "sequelize";
+import { User, MailAccount, Folder } from "../models/index.js";
+import { listMailboxes, closeConnection } from "./imap.js";
+import { connectAccount } from "./account.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Folder Service - Handles mailbox listing, folder selection and label mapping
+ */
+
+/**
+ * Fallback special-use detection for servers that don't advertise
+ * SPECIAL-USE (RFC 6154), keyed by lower-cased mailbox name.
+ */
+const SPECIAL_USE_BY_NAME = {
+  sent: "\\Sent",
+  "sent items": "\\Sent",
+  "sent mail": "\\Sent",
+  drafts: "\\Drafts",
+  trash: "\\Trash",
+  "deleted items": "\\Trash",
+  junk: "\\Junk",
+  spam: "\\Junk",
+  archive: "\\Archive",
+};
+
+/**
+ * Gmail system labels as they appear in X-GM-LABELS, mapped to the
+ * special-use attribute of the mailbox that represents them.
+ */
+const GMAIL_SYSTEM_LABELS = {
+  "\\Sent": "\\Sent",
+  "\\Starred": "\\Flagged",
+  "\\Important": "\\Important",
+  "\\Draft": "\\Drafts",
+  "\\Trash": "\\Trash",
+  "\\Spam": "\\Junk",
+};
+
+const isInbox = (path) => path.toUpperCase() === "INBOX";
+
+/**
+ * Refreshes the stored folder list from IMAP LIST. New folders are created
+ * with sync disabled (except INBOX), folders that no longer exist on the
+ * server are removed along with their labels.
+ *
+ * @param {Object} account - MailAccount the connection belongs to
+ * @param {Object} connection - Open imap-simple connection
+ * @returns {Promise<Array>} The account's folders
+ */
+export async function refreshFolders(account, connection) {
+  const { userId, id: accountId } = account;
+  const mailboxes = await listMailboxes(connection);
+
+  for (const mailbox of mailboxes) {
+    const specialUse =
+      mailbox.specialUse ||
+      SPECIAL_USE_BY_NAME[mailbox.name.toLowerCase()] ||
+      null;
+
+    const [folder, created] = await Folder.findOrCreate({
+      where: { accountId, path: mailbox.path },
+      defaults: {
+        ...mailbox,
+        specialUse,
+        userId,
+        accountId,
+        syncEnabled: isInbox(mailbox.path),
+      },
+    });
+
+    if (!created) {
+      await folder.update({
+        name: mailbox.name,
+        delimiter: mailbox.delimiter,
+        specialUse,
+        selectable: mailbox.selectable,
+      });
+    }
+  }
+
+  const removed = await Folder.destroy({
+    where: {
+      accountId,
+      path: { [Op.notIn]: mailboxes.map((mailbox) => mailbox.path) },
+    },
+  });
+
+  logger.info("Refreshed folder list", {
+    accountId,
+    total: mailboxes.length,
+    removed,
+  });
+
+  return Folder.findAll({ where: { accountId }, order: [["path", "ASC"]] });
+}
+
+/**
+ * Works out which folders an email belongs to: the mailbox it was synced
+ * from, plus every Gmail label it carries.
+ *
+ * @param {Object} email - Parsed email with `mailbox` and `gmLabels`
+ * @param {Array} folders - The account's folders
+ * @returns {Array<number>} Folder IDs
+ */
+export function resolveLabelFolderIds(email, folders) {
+  const ids = new Set();
+
+  const byPath = (path) =>
+    folders.find((folder) =>
+      isInbox(path) ? isInbox(folder.path) : folder.path === path
+    );
+  const bySpecialUse = (specialUse) =>
+    folders.find((folder) => folder.specialUse === specialUse);
+
+  const source = byPath(email.mailbox);
+  if (source) ids.add(source.id);
+
+  for (const label of email.gmLabels || []) {
+    let folder;
+    if (label === "\\Inbox") {
+      folder = byPath("INBOX");
+    } else if (GMAIL_SYSTEM_LABELS[label]) {
+      folder = bySpecialUse(GMAIL_SYSTEM_LABELS[label]);
+    } else {
+      folder = byPath(label);
+    }
+
+    if (folder) ids.add(folder.id);
+  }
+
+  return [...ids];
+}
+
+/**
+ * Gets the folders of all of a user's accounts. When `refresh` is set, or an
+ * account has nothing listed yet, its list is refreshed from the server first.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} options - Query options
+ * @param {boolean} options.refresh - Re-run IMAP LIST before returning
+ * @returns {Promise<Array>} The user's folders
+ * @throws {Error} If user not found or the IMAP listing fails
+ */
+export async function getUserFolders(emailAddress, options = {}) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const accounts = await MailAccount.findAll({ where: { userId: user.id } });
+  const folders = [];
+
+  for (const account of accounts) {
+    const stored = await Folder.findAll({
+      where: { accountId: account.id },
+      order: [["path", "ASC"]],
+    });
+
+    if (stored.length > 0 && !options.refresh) {
+      folders.push(...stored);
+      continue;
+    }
+
+    let connection;
+    try {
+      connection = await connectAccount(account);
+      folders.push(...(await refreshFolders(account, connection)));
+    } catch (error) {
+      logger.error("Error listing folders", {
+        email: emailAddress,
+        account: account.email,
+        error: error.message,
+      });
+      throw new Error(`Failed to list folders: ${error.message}`);
+    } finally {
+      closeConnection(connection);
+    }
+  }
+
+  return folders;
+}
+
+/**
+ * Updates a folder's settings (currently whether it is synced).
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} folderId - The folder's database ID
+ * @param {Object} changes - Fields to update
+ * @param {boolean} changes.syncEnabled - Whether the folder should be synced
+ * @returns {Promise<Object>} The updated folder
+ * @throws {Error} If user or folder not found
+ */
+export async function updateFolder(emailAddress, folderId, changes) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const folder = await Folder.findOne({
+    where: { id: folderId, userId: user.id },
+  });
+  if (!folder) {
+    throw new Error("Folder not found");
+  }
+
+  if (changes.syncEnabled && !folder.selectable) {
+    throw new Error("Folder cannot be synced because it is not selectable");
+  }
+
+  await folder.update({ syncEnabled: changes.syncEnabled });
+
+  logger.info("Updated folder", {
+    email: emailAddress,
+    folder: folder.path,
+    syncEnabled: folder.syncEnabled,
+  });
+
+  return folder;
+}
@@ -1,9 +1,13 @@
+import { PassThrough } from "stream";
 import imaps from "imap-simple";
 import { simpleParser } from "mailparser";
+import libbase64 from "libbase64";
+import libqp from "libqp";
 import logger from "../utils/logger.js";
 
 /**
- * Builds the XOAUTH2 token string in the format required by Gmail IMAP.
+ * Builds the XOAUTH2 token string in the SASL format used by Gmail and
+ * Microsoft 365 IMAP.
  * Format: user={email}\x01auth=Bearer {accessToken}\x01\x01
  * This string is then base64 encoded.
  */
@@ -31,163 +35,1057 @@ function htmlToText(html) {
 }
 
 /**
- * Connects to Gmail via IMAP using an OAuth2 access token and fetches all email
- * metadata and body content from the inbox. Returns an array of objects for each email.
+ * Builds the imap-simple connection config for a mail account. XOAUTH2
+ * accounts authenticate with the given access token, LOGIN accounts with
+ * their stored username and (app) password.
  *
- * @param {string} accessToken - The OAuth2 access token for the Gmail account.
- * @param {string} emailAddress - The email address to connect as (used for username).
- * @param {number} limit - Maximum number of emails to fetch (default: 50)
- * @returns {Promise<Array>} An array of email objects with metadata and body.
+ * @param {Object} account - MailAccount with server settings and credentials
+ * @param {string|null} accessToken - OAuth2 access token for XOAUTH2 accounts
+ * @param {Object} options - Connection options
+ * @param {boolean} options.idle - Keep the connection alive with IDLE instead of NOOP
+ * @returns {Object} imap-simple connection options
  */
-async function fetchEmails(accessToken, emailAddress, limit = 50) {
-  const xoauth2token = buildXOAuth2Token(emailAddress, accessToken);
+function createImapConfig(account, accessToken, options = {}) {
+  const user = account.username || account.email;
+  const auth =
+    account.authType === "xoauth2"
+      ? { xoauth2: buildXOAuth2Token(user, accessToken) }
+      : { password: account.password };
 
-  const config = {
+  return {
     imap: {
-      user: emailAddress,
-      xoauth2: xoauth2token,
-      host: "imap.gmail.com", // Gmail IMAP server (required)
-      port: 993, // SSL/TLS port (required by Gmail)
-      tls: true, // Enable SSL/TLS encryption (required by Gmail)
+      user,
+      ...auth,
+      host: account.host,
+      port: account.port,
+      tls: account.tls, // Implicit SSL/TLS (port 993 on most providers)
       authTimeout: 30000, // 30 seconds authentication timeout
       tlsOptions: {
         // In production, set to true for maximum security
         // Set to false only if encountering certificate issues in development
         rejectUnauthorized: process.env.NODE_ENV === "production",
         minVersion: "TLSv1.2", // Enforce minimum TLS version
+        servername: account.host,
       },
       connTimeout: 10000, // 10 seconds connection timeout
-      keepalive: {
-        interval: 10000, // Send keepalive every 10 seconds
-        idleInterval: 300000, // Close idle connections after 5 minutes
-        forceNoop: true, // Force NOOP command to keep connection alive
-      },
+      keepalive: options.idle
+        ? {
+            interval: 10000, // Check the IDLE state every 10 seconds
+            idleInterval: 300000, // Re-issue IDLE every 5 minutes, well before servers drop it
+            forceNoop: false, // Use IDLE so the server pushes new mail
+          }
+        : {
+            interval: 10000, // Send keepalive every 10 seconds
+            idleInterval: 300000, // Close idle connections after 5 minutes
+            forceNoop: true, // Force NOOP command to keep connection alive
+          },
     },
   };
+}
 
-  let connection;
-  try {
-    logger.info("Connecting to Gmail IMAP", { email: emailAddress });
-    
-    // Establish a connection to Gmail's IMAP server
-    connection = await imaps.connect(config);
-    await connection.openBox("INBOX");
-
-    logger.info("Successfully connected to Gmail IMAP", { email: emailAddress });
-
-    // Define the search criteria and options
-    const searchCriteria = ["ALL"];
-    const fetchOptions = {
-      bodies: ["HEADER", "TEXT", ""], // Fetch headers, text, and full message
-      struct: true,
-      markSeen: false, // Don't mark emails as read
-    };
+/**
+ * Runs a UID SEARCH on the currently open mailbox without fetching anything.
+ * imap-simple's search() always downloads the matches, which is exactly what
+ * we want to avoid when all we need is the list of UIDs.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {Array} criteria - node-imap search criteria
+ * @returns {Promise<Array<number>>} Matching UIDs in ascending order
+ */
+export function searchUids(connection, criteria) {
+  return new Promise((resolve, reject) => {
+    connection.imap.search(criteria, (err, uids) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      resolve(uids.sort((a, b) => a - b));
+    });
+  });
+}
+
+/**
+ * Maps a mailparser attachment to the fields stored in the Attachment table.
+ * The decoded `content` is kept so it can be written to blob storage, and
+ * mailparser's part number so it can be matched to a BODYSTRUCTURE part.
+ *
+ * @param {Object} attachment - mailparser attachment
+ * @returns {Object} Attachment data
+ */
+export function toAttachmentData(attachment) {
+  return {
+    filename: attachment.filename || null,
+    contentType: attachment.contentType,
+    size: attachment.size,
+    contentId: attachment.cid || null,
+    checksum: attachment.checksum,
+    partId: attachment.partId || null,
+    content: attachment.content,
+  };
+}
+
+/**
+ * System flags mirrored on the Email model, keyed by column name.
+ */
+export const SYSTEM_FLAGS = {
+  seen: "\\Seen",
+  flagged: "\\Flagged",
+  answered: "\\Answered",
+  draft: "\\Draft",
+};
+
+/**
+ * Maps an IMAP flag list to the boolean flag columns of the Email model.
+ *
+ * @param {Array<string>} flags - e.g. ["\\Seen", "\\Flagged"]
+ * @returns {Object} `{ seen, flagged, answered, draft }`
+ */
+export function flagsToFields(flags = []) {
+  const set = new Set(flags.map((flag) => flag.toLowerCase()));
+  return Object.fromEntries(
+    Object.entries(SYSTEM_FLAGS).map(([field, flag]) => [
+      field,
+      set.has(flag.toLowerCase()),
+    ])
+  );
+}
+
+/**
+ * Extracts the `<id@host>` message IDs from a Message-ID, In-Reply-To or
+ * References header value.
+ *
+ * @param {string|Array<string>} value - Header value(s)
+ * @returns {Array<string>} Message IDs in header order
+ */
+export function parseMessageIds(value) {
+  const text = Array.isArray(value) ? value.join(" ") : value || "";
+  return text.match(/<[^<>\s]+>/g) || [];
+}
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Walks a BODYSTRUCTURE and picks out the parts that matter for the message
+ * list: the first text/plain and text/html body parts, and every part that
+ * mailparser would treat as an attachment.
+ *
+ * @param {Array} struct - node-imap `attributes.struct`
+ * @returns {Object} `{ textPart, htmlPart, attachments }`
+ */
+export function describeStructure(struct) {
+  const result = { textPart: null, htmlPart: null, attachments: [] };
+
+  for (const part of imaps.getParts(struct || [])) {
+    const type = (part.type || "").toLowerCase();
+    const subtype = (part.subtype || "").toLowerCase();
+    const disposition = part.disposition?.type?.toLowerCase();
+    const filename =
+      part.disposition?.params?.filename || part.params?.name || null;
+
+    const isBody =
+      type === "text" &&
+      (subtype === "plain" || subtype === "html") &&
+      disposition !== "attachment";
 
-    const messages = await connection.search(searchCriteria, fetchOptions);
-    
-    // Limit the number of messages processed
-    const limitedMessages = messages.slice(0, limit);
-    
-    logger.info(`Fetched ${limitedMessages.length} emails from IMAP`, {
-      email: emailAddress,
-      total: messages.length,
-      limited: limitedMessages.length,
+    if (isBody) {
+      if (subtype === "plain" && !result.textPart) result.textPart = part;
+      if (subtype === "html" && !result.htmlPart) result.htmlPart = part;
+      continue;
+    }
+
+    if (type === "multipart") continue;
+
+    result.attachments.push({
+      partId: part.partID,
+      filename,
+      contentType: `${type}/${subtype}`,
+      size: part.size,
+      contentId: part.id ? part.id.replace(/^<|>$/g, "") : null,
+      encoding: part.encoding,
     });
+  }
 
-    // Process messages to extract metadata and body
-    const emailPromises = limitedMessages.map(async (message) => {
-      try {
-        const all = message.parts.find((part) => part.which === "");
-        const header = message.parts.find((part) => part.which === "HEADER");
-
-        let emailData = {
-          messageId: message.attributes.uid,
-          from: "",
-          subject: "",
-          date: new Date(),
-          body: "",
-          bodyHtml: "",
-          hasAttachments: false,
-        };
-
-        // Parse headers
-        if (header && header.body) {
-          emailData.from = header.body.from?.[0] || "";
-          emailData.subject = header.body.subject?.[0] || "";
-          emailData.date = header.body.date?.[0]
-            ? new Date(header.body.date[0])
-            : new Date();
-        }
-
-        // Parse full message body
-        if (all && all.body) {
-          try {
-            const parsed = await simpleParser(all.body);
-            
-            // Extract plain text body
-            if (parsed.text) {
-              emailData.body = parsed.text.substring(0, 5000); // Limit to 5000 chars
-            } else if (parsed.html) {
-              emailData.body = htmlToText(parsed.html).substring(0, 5000);
-            }
-
-            // Store HTML version if available
-            if (parsed.html) {
-              emailData.bodyHtml = parsed.html.substring(0, 10000);
-            }
-
-            // Check for attachments
-            emailData.hasAttachments =
-              parsed.attachments && parsed.attachments.length > 0;
-          } catch (parseErr) {
-            logger.warn("Failed to parse email body", {
-              messageId: emailData.messageId,
-              error: parseErr.message,
-            });
-          }
-        }
+  return result;
+}
+
+/**
+ * Address headers stored for each email, keyed by their mailparser field.
+ */
+const RECIPIENT_HEADERS = {
+  to: "to",
+  cc: "cc",
+  bcc: "bcc",
+  replyTo: "reply-to",
+};
+
+/**
+ * Parses the From, To, Cc, Bcc and Reply-To headers into individual
+ * addresses. The headers are handed to mailparser so quoted names, groups
+ * and encoded words are handled the same way as in full message bodies.
+ *
+ * @param {Object} headers - Header map from imap-simple, values are arrays
+ * @returns {Promise<Object>} `{ fromName, fromAddress, recipients }` where
+ *   recipients is `[{ kind, name, address }]`
+ */
+export async function parseAddressHeaders(headers = {}) {
+  const names = ["from", ...Object.values(RECIPIENT_HEADERS)];
+  const lines = names
+    .filter((name) => headers[name]?.length)
+    .map((name) => `${name}: ${headers[name].join(", ")}\r\n`);
+
+  const parsed = lines.length > 0 ? await simpleParser(lines.join("") + "\r\n") : {};
+
+  // mailparser returns one object per header line, with groups nested
+  const addresses = (field) =>
+    [].concat(parsed[field] || [])
+      .flatMap((header) => header.value || [])
+      .flatMap((entry) => (entry.group ? entry.group : [entry]))
+      .filter((entry) => entry.address)
+      .map((entry) => ({
+        name: entry.name || null,
+        address: entry.address.toLowerCase(),
+      }));
+
+  const [sender] = addresses("from");
+
+  return {
+    fromName: sender?.name || null,
+    fromAddress: sender?.address || null,
+    recipients: Object.keys(RECIPIENT_HEADERS).flatMap((kind) =>
+      addresses(kind).map((entry) => ({ kind, ...entry }))
+    ),
+  };
+}
+
+/**
+ * Parses a header-only message returned by imap-simple into the shape stored
+ * in the Email table. The body isn't downloaded during list syncs; the text
+ * part to build a snippet from is returned as `snippetPart`.
+ *
+ * @param {Object} message - imap-simple message with attributes and parts
+ * @returns {Promise<Object>} Email data
+ */
+async function parseMessage(message) {
+  const header = message.parts.find((part) => part.which === "HEADER");
+  const structure = describeStructure(message.attributes.struct);
+
+  let emailData = {
+    messageId: String(message.attributes.uid),
+    inReplyTo: null,
+    referenceIds: null,
+    uid: message.attributes.uid,
+    from: "",
+    fromName: null,
+    fromAddress: null,
+    recipients: [],
+    subject: "",
+    date: new Date(),
+    size: message.attributes.size || null,
+    snippet: "",
+    ...flagsToFields(message.attributes.flags),
+    hasAttachments: structure.attachments.length > 0,
+    attachments: structure.attachments,
+    snippetPart: structure.textPart || structure.htmlPart,
+    gmMsgId: message.attributes["x-gm-msgid"]
+      ? String(message.attributes["x-gm-msgid"])
+      : null,
+    gmThrId: message.attributes["x-gm-thrid"]
+      ? String(message.attributes["x-gm-thrid"])
+      : null,
+    gmLabels: message.attributes["x-gm-labels"] || [],
+  };
+
+  // Parse headers
+  if (header && header.body) {
+    const [messageId] = parseMessageIds(header.body["message-id"]);
+    const references = parseMessageIds(header.body.references);
+    const [inReplyTo] = parseMessageIds(header.body["in-reply-to"]);
+
+    emailData.messageId = messageId || emailData.messageId;
+    emailData.inReplyTo = inReplyTo || null;
+    emailData.referenceIds = references.length > 0 ? references.join(" ") : null;
+    Object.assign(emailData, await parseAddressHeaders(header.body));
+    emailData.from = header.body.from?.[0] || "";
+    emailData.subject = header.body.subject?.[0] || "";
+    emailData.date = header.body.date?.[0]
+      ? new Date(header.body.date[0])
+      : new Date();
+  }
+
+  return emailData;
+}
+
+/**
+ * Decodes a single body part fetched on its own. The part is wrapped in a
+ * minimal MIME entity so mailparser can undo the transfer encoding and
+ * charset for us.
+ *
+ * @param {Object} part - BODYSTRUCTURE part
+ * @param {string} data - Raw part content
+ * @returns {Promise<string>} Decoded text
+ */
+async function decodePart(part, data) {
+  const charset = part.params?.charset || "utf-8";
+  const entity =
+    `Content-Type: ${part.type}/${part.subtype}; charset="${charset}"\r\n` +
+    `Content-Transfer-Encoding: ${part.encoding || "7bit"}\r\n\r\n` +
+    data;
+
+  const parsed = await simpleParser(entity);
+  return parsed.text || htmlToText(parsed.html || "");
+}
 
-        return emailData;
+/**
+ * Fills in `snippet` for freshly listed messages by fetching only their
+ * first text part, never the attachments. Messages are grouped by part ID
+ * so each group is one FETCH.
+ *
+ * @param {Object} connection - imap-simple connection with the mailbox open
+ * @param {Array} emails - Parsed emails with `snippetPart`
+ * @returns {Promise<void>}
+ */
+async function loadSnippets(connection, emails) {
+  const groups = new Map();
+  for (const email of emails) {
+    if (!email.snippetPart) continue;
+    const partId = email.snippetPart.partID;
+    if (!groups.has(partId)) groups.set(partId, []);
+    groups.get(partId).push(email);
+  }
+
+  for (const [partId, group] of groups) {
+    const byUid = new Map(group.map((email) => [email.uid, email]));
+    const messages = await connection.search(
+      [["UID", [...byUid.keys()].join(",")]],
+      { bodies: [partId], markSeen: false }
+    );
+
+    for (const message of messages) {
+      const email = byUid.get(message.attributes.uid);
+      const part = message.parts.find((p) => p.which === partId);
+      if (!email || !part) continue;
+
+      try {
+        const text = await decodePart(email.snippetPart, part.body);
+        email.snippet = text.replace(/\s+/g, " ").trim().substring(0, SNIPPET_LENGTH);
       } catch (err) {
-        logger.error("Error processing individual email", {
-          messageId: message.attributes.uid,
+        logger.warn("Failed to build snippet", {
+          uid: email.uid,
           error: err.message,
         });
-        return null;
       }
+    }
+  }
+}
+
+/**
+ * Finds the charset and Content-Transfer-Encoding of the part the body text
+ * is read from: the first text/plain part that isn't an attachment, else the
+ * first text/html part.
+ *
+ * @param {Buffer} source - Raw message source
+ * @returns {Object} `{ charset, transferEncoding }`, null when unknown
+ */
+export function describeBodyEncoding(source) {
+  const parts = [];
+
+  const walk = (raw, depth) => {
+    const split = raw.search(/\r?\n\r?\n/);
+    const head = (split === -1 ? raw : raw.slice(0, split)).replace(/\r?\n[ \t]+/g, " ");
+    const header = (name) =>
+      new RegExp(`^${name}:[ \\t]*(.*)$`, "im").exec(head)?.[1].trim() || "";
+    const contentType = header("content-type");
+    const param = (name) =>
+      new RegExp(`;\\s*${name}\\s*=\\s*"?([^";]+)"?`, "i").exec(contentType)?.[1] || null;
+    const type = (contentType.split(";")[0].trim() || "text/plain").toLowerCase();
+
+    if (type.startsWith("multipart/")) {
+      const boundary = param("boundary");
+      if (!boundary || split === -1 || depth > 10) return;
+      raw
+        .slice(split)
+        .split(`--${boundary}`)
+        .slice(1, -1)
+        .forEach((part) => walk(part.replace(/^\r?\n/, ""), depth + 1));
+      return;
+    }
+
+    parts.push({
+      type,
+      charset: param("charset"),
+      transferEncoding: header("content-transfer-encoding") || "7bit",
+      attachment: /^attachment/i.test(header("content-disposition")),
     });
+  };
 
-    const emails = (await Promise.all(emailPromises)).filter(
-      (email) => email !== null
-    );
+  // latin1 keeps every byte, whatever the charset of the headers
+  walk(source.toString("latin1"), 0);
+
+  const bodyPart =
+    parts.find((part) => !part.attachment && part.type === "text/plain") ||
+    parts.find((part) => !part.attachment && part.type === "text/html");
+
+  return {
+    charset: bodyPart?.charset?.toLowerCase() || null,
+    transferEncoding: bodyPart?.transferEncoding.toLowerCase() || null,
+  };
+}
+
+/**
+ * Parses a complete RFC 822 message into body content and attachments.
+ * Bodies are returned whole; limits are applied when they're stored.
+ *
+ * @param {Buffer} source - Raw message source
+ * @returns {Promise<Object>} `{ body, bodyHtml, charset, transferEncoding,
+ *   hasAttachments, attachments }`
+ */
+export async function parseMessageSource(source) {
+  const parsed = await simpleParser(source);
+  const content = {
+    body: parsed.text || htmlToText(parsed.html || ""),
+    bodyHtml: parsed.html || "",
+    ...describeBodyEncoding(source),
+    hasAttachments: false,
+    attachments: [],
+  };
+
+  // Check for attachments
+  content.attachments = (parsed.attachments || []).map(toAttachmentData);
+  content.hasAttachments = content.attachments.length > 0;
+
+  return content;
+}
+
+/**
+ * Opens an IMAP connection for the given mail account.
+ *
+ * @param {Object} account - MailAccount with server settings and credentials
+ * @param {string|null} accessToken - OAuth2 access token for XOAUTH2 accounts
+ * @param {Object} options - Connection options, see createImapConfig
+ * @returns {Promise<Object>} imap-simple connection
+ */
+export async function openConnection(account, accessToken = null, options = {}) {
+  logger.info("Connecting to IMAP", { email: account.email, host: account.host });
+
+  const connection = await imaps.connect(
+    createImapConfig(account, accessToken, options)
+  );
 
-    // Close the connection
+  logger.info("Successfully connected to IMAP", { email: account.email });
+  return connection;
+}
+
+/**
+ * Closes an IMAP connection, logging rather than throwing on failure.
+ *
+ * @param {Object} connection - imap-simple connection
+ */
+export function closeConnection(connection) {
+  if (!connection) return;
+  try {
     connection.end();
+  } catch (closeErr) {
+    logger.error("Error closing IMAP connection", {
+      error: closeErr.message,
+    });
+  }
+}
+
+/**
+ * Downloads the complete RFC 822 source of a single message. node-imap is
+ * used directly because imap-simple decodes bodies as UTF-8 strings, which
+ * corrupts 8-bit content in other charsets.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox containing the message
+ * @param {number} uid - UID of the message
+ * @returns {Promise<Buffer>} Raw message source
+ * @throws {Error} If the message no longer exists
+ */
+export async function fetchMessageSource(connection, mailbox, uid) {
+  await connection.openBox(mailbox);
 
-    logger.info(`Successfully processed ${emails.length} emails`, {
-      email: emailAddress,
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let found = false;
+
+    const fetch = connection.imap.fetch(uid, { bodies: "", markSeen: false });
+
+    fetch.on("message", (message) => {
+      found = true;
+      message.on("body", (stream) => {
+        stream.on("data", (chunk) => chunks.push(chunk));
+      });
+    });
+    fetch.once("error", reject);
+    fetch.once("end", () => {
+      if (!found) {
+        reject(new Error(`Message ${uid} not found in ${mailbox}`));
+        return;
+      }
+      resolve(Buffer.concat(chunks));
     });
+  });
+}
 
-    return emails;
-  } catch (error) {
-    if (connection) {
-      try {
-        connection.end();
-      } catch (closeErr) {
-        logger.error("Error closing IMAP connection", {
-          error: closeErr.message,
-        });
+/**
+ * Creates a stream that undoes a part's Content-Transfer-Encoding.
+ *
+ * @param {string} encoding - BODYSTRUCTURE encoding, e.g. "BASE64"
+ * @returns {Transform} Decoding stream
+ */
+function createPartDecoder(encoding) {
+  switch ((encoding || "").toLowerCase()) {
+    case "base64":
+      return new libbase64.Decoder();
+    case "quoted-printable":
+      return new libqp.Decoder();
+    default:
+      return new PassThrough();
+  }
+}
+
+/**
+ * Streams a single attachment part without fetching the rest of the
+ * message, decoding it as it arrives. The returned promise resolves once the
+ * server starts sending the part; the connection has to stay open until the
+ * stream ends.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox containing the message
+ * @param {number} uid - UID of the message
+ * @param {Object} part - Attachment metadata with partId and encoding
+ * @returns {Promise<Readable>} Decoded part content
+ * @throws {Error} If the message or part no longer exists
+ */
+export async function streamMessagePart(connection, mailbox, uid, part) {
+  await connection.openBox(mailbox);
+
+  const decoded = createPartDecoder(part.encoding);
+
+  await new Promise((resolve, reject) => {
+    let found = false;
+
+    const fetch = connection.imap.fetch(uid, {
+      bodies: [part.partId],
+      markSeen: false,
+    });
+
+    fetch.on("message", (message) => {
+      message.once("body", (stream) => {
+        found = true;
+        stream.once("error", (error) => decoded.destroy(error));
+        stream.pipe(decoded);
+        resolve();
+      });
+    });
+    fetch.once("error", (error) => {
+      if (found) decoded.destroy(error);
+      else reject(error);
+    });
+    fetch.once("end", () => {
+      if (!found) {
+        reject(new Error(`Part ${part.partId} of message ${uid} not found in ${mailbox}`));
       }
+    });
+  });
+
+  return decoded;
+}
+
+/**
+ * Writes flag changes for a single message back to the server (UID STORE).
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox containing the message
+ * @param {number} uid - UID of the message
+ * @param {Object} changes - Flag columns to change, e.g. `{ seen: true }`
+ * @returns {Promise<void>}
+ */
+export async function storeFlags(connection, mailbox, uid, changes) {
+  const add = [];
+  const remove = [];
+  for (const [field, value] of Object.entries(changes)) {
+    if (!SYSTEM_FLAGS[field]) continue;
+    (value ? add : remove).push(SYSTEM_FLAGS[field]);
+  }
+
+  await connection.openBox(mailbox);
+  if (add.length > 0) await connection.addFlags(uid, add);
+  if (remove.length > 0) await connection.delFlags(uid, remove);
+}
+
+/**
+ * Reads what's needed to find messages again after they've been moved: the
+ * Gmail X-GM-MSGID when available, the Message-ID header otherwise.
+ *
+ * @param {Object} connection - imap-simple connection with the mailbox open
+ * @param {Array<number>} uids - UIDs of the messages
+ * @returns {Promise<Array>} `[{ uid, gmMsgId, messageIdHeader }]`
+ */
+async function fetchIdentities(connection, uids) {
+  const messages = await connection.search([["UID", uids.join(",")]], {
+    bodies: ["HEADER.FIELDS (MESSAGE-ID)"],
+    markSeen: false,
+  });
+
+  return messages.map((message) => {
+    const header = message.parts.find((part) => /^HEADER/.test(part.which));
+    return {
+      uid: message.attributes.uid,
+      gmMsgId: message.attributes["x-gm-msgid"]
+        ? String(message.attributes["x-gm-msgid"])
+        : null,
+      messageIdHeader: header?.body?.["message-id"]?.[0] || null,
+    };
+  });
+}
+
+/**
+ * Finds the UIDs messages have in another mailbox, by X-GM-MSGID on Gmail
+ * and by Message-ID header elsewhere.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox to look in
+ * @param {Array} identities - `[{ uid, gmMsgId, messageIdHeader }]`
+ * @returns {Promise<Map>} Old UID to UID in `mailbox`, or null when not found
+ */
+export async function locateMessages(connection, mailbox, identities) {
+  await connection.openBox(mailbox);
+  const located = new Map();
+
+  for (const { uid, gmMsgId, messageIdHeader } of identities) {
+    let criteria = null;
+    if (gmMsgId) {
+      criteria = [["X-GM-MSGID", gmMsgId]];
+    } else if (messageIdHeader) {
+      criteria = [["HEADER", "MESSAGE-ID", messageIdHeader]];
+    }
+
+    const matches = criteria ? await searchUids(connection, criteria) : [];
+    located.set(uid, matches.length > 0 ? matches[matches.length - 1] : null);
+  }
+
+  return located;
+}
+
+/**
+ * Moves messages to another mailbox. node-imap uses MOVE when the server
+ * supports it and falls back to COPY + \Deleted + EXPUNGE otherwise. Since
+ * neither reports the new UIDs, the messages are looked up again afterwards.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox containing the messages
+ * @param {Array<number>} uids - UIDs of the messages
+ * @param {string} destination - Mailbox to move them to
+ * @returns {Promise<Map>} Old UID to UID in `destination`, or null when not found
+ */
+export async function moveMessages(connection, mailbox, uids, destination) {
+  await connection.openBox(mailbox);
+  const identities = await fetchIdentities(connection, uids);
+
+  await connection.moveMessage(uids, destination);
+
+  return locateMessages(connection, destination, identities);
+}
+
+/**
+ * Removes Gmail labels from messages (UID STORE -X-GM-LABELS). Removing
+ * \Inbox is how Gmail archives a message.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Any mailbox containing the messages
+ * @param {Array<number>} uids - UIDs of the messages
+ * @param {Array<string>} labels - Labels to remove
+ * @returns {Promise<void>}
+ */
+export async function removeLabels(connection, mailbox, uids, labels) {
+  await connection.openBox(mailbox);
+
+  await new Promise((resolve, reject) => {
+    connection.imap.delLabels(uids, labels, (err) =>
+      err ? reject(err) : resolve()
+    );
+  });
+}
+
+/**
+ * Permanently deletes messages: flags them \Deleted and expunges them with
+ * UID EXPUNGE. Servers without UIDPLUS only have a plain EXPUNGE, which
+ * would also remove every other message flagged \Deleted in the mailbox, so
+ * there the messages are left flagged \Deleted for the next expunge.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox containing the messages
+ * @param {Array<number>} uids - UIDs of the messages
+ * @returns {Promise<boolean>} Whether the messages were expunged
+ */
+export async function deleteMessages(connection, mailbox, uids) {
+  await connection.openBox(mailbox);
+  await connection.addFlags(uids, "\\Deleted");
+
+  if (!connection.imap.serverSupports("UIDPLUS")) {
+    logger.info("Server lacks UIDPLUS, leaving messages flagged \\Deleted", {
+      mailbox,
+      count: uids.length,
+    });
+    return false;
+  }
+
+  await new Promise((resolve, reject) => {
+    connection.imap.expunge(uids, (err) => (err ? reject(err) : resolve()));
+  });
+  return true;
+}
+
+/**
+ * Lists the messages of a mailbox with their Message-ID headers. Messages
+ * flagged \Deleted are left out: without UIDPLUS deleteMessages can't
+ * expunge them, and they'd otherwise show up again as if still present.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox to list
+ * @returns {Promise<Array>} `[{ uid, gmMsgId, messageIdHeader }]`
+ */
+export async function listMailboxMessages(connection, mailbox) {
+  await connection.openBox(mailbox);
+  const uids = await searchUids(connection, ["UNDELETED"]);
+  return uids.length > 0 ? fetchIdentities(connection, uids) : [];
+}
+
+/**
+ * Stores a message in a mailbox (APPEND). The new UID comes from the
+ * APPENDUID response on servers with UIDPLUS; elsewhere the message is
+ * looked up by its Message-ID header.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox to store the message in
+ * @param {Buffer} source - Raw RFC 822 message
+ * @param {Object} options - Append options
+ * @param {Array<string>} options.flags - Flags to set, e.g. ["\\Draft"]
+ * @param {string} options.messageId - Message-ID header of the message
+ * @returns {Promise<number|null>} UID of the stored message, null if unknown
+ */
+export async function appendMessage(connection, mailbox, source, options = {}) {
+  const { flags = [], messageId = null } = options;
+
+  const uid = await new Promise((resolve, reject) => {
+    connection.imap.append(source, { mailbox, flags }, (err, appendUid) =>
+      err ? reject(err) : resolve(appendUid)
+    );
+  });
+  if (uid) return Number(uid);
+  if (!messageId) return null;
+
+  const located = await locateMessages(connection, mailbox, [
+    { uid: 0, gmMsgId: null, messageIdHeader: messageId },
+  ]);
+  return located.get(0);
+}
+
+/**
+ * Fetches the current flags of already stored messages on the open mailbox.
+ * With CONDSTORE only messages changed since `changedSince` are returned;
+ * otherwise every message up to `highestUid` is.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {number} highestUid - Highest UID already stored
+ * @param {string|null} changedSince - MODSEQ of the last sync, if known
+ * @returns {Promise<Array>} `[{ uid, flags }]`
+ */
+function fetchFlags(connection, highestUid, changedSince) {
+  return new Promise((resolve, reject) => {
+    const updates = [];
+    const options = { bodies: [] };
+    if (changedSince) {
+      options.modifiers = { changedsince: changedSince };
     }
-    
-    logger.error("IMAP fetch error", {
-      email: emailAddress,
-      error: error.message,
-      stack: error.stack,
+
+    const fetch = connection.imap.fetch(`1:${highestUid}`, options);
+
+    fetch.on("message", (message) => {
+      message.once("attributes", (attrs) => {
+        updates.push({ uid: attrs.uid, flags: attrs.flags || [] });
+      });
     });
-    
-    throw error;
+    fetch.once("error", reject);
+    fetch.once("end", () => resolve(updates));
+  });
+}
+
+/**
+ * Lists every mailbox on the server (IMAP LIST) as a flat array.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @returns {Promise<Array>} Mailboxes with path, name, delimiter, specialUse and selectable
+ */
+export async function listMailboxes(connection) {
+  const boxes = await connection.getBoxes();
+  const mailboxes = [];
+
+  const walk = (tree, parentPath) => {
+    for (const [name, box] of Object.entries(tree || {})) {
+      const path = parentPath ? `${parentPath}${box.delimiter}${name}` : name;
+      const attribs = (box.attribs || []).map((attrib) => attrib.toUpperCase());
+
+      mailboxes.push({
+        path,
+        name,
+        delimiter: box.delimiter,
+        specialUse: box.special_use_attrib || null,
+        selectable: !attribs.includes("\\NOSELECT"),
+      });
+
+      walk(box.children, path);
+    }
+  };
+
+  walk(boxes, "");
+  return mailboxes;
+}
+
+/**
+ * Downloads the list view of messages: headers, flags and BODYSTRUCTURE,
+ * plus a snippet of the text part. The body is fetched the first time a
+ * message is opened.
+ *
+ * @param {Object} connection - imap-simple connection with the mailbox open
+ * @param {string} mailbox - Mailbox the UIDs belong to
+ * @param {Array<number>} uids - UIDs to fetch
+ * @returns {Promise<Array>} Parsed emails
+ */
+export async function fetchMessageSummaries(connection, mailbox, uids) {
+  if (uids.length === 0) return [];
+
+  const fetchOptions = {
+    bodies: ["HEADER"],
+    struct: true,
+    size: true,
+    markSeen: false, // Don't mark emails as read
+  };
+
+  const messages = await connection.search(
+    [["UID", uids.join(",")]],
+    fetchOptions
+  );
+
+  // Process messages to extract metadata
+  const parsed = [];
+  for (const message of messages) {
+    try {
+      parsed.push(await parseMessage(message));
+    } catch (err) {
+      logger.error("Error processing individual email", {
+        messageId: message.attributes.uid,
+        error: err.message,
+      });
+    }
+  }
+
+  await loadSnippets(connection, parsed);
+
+  return parsed.map(({ snippetPart, ...email }) => ({
+    ...email,
+    mailbox,
+  }));
+}
+
+/**
+ * Search operators understood by buildSearchCriteria, mapped to node-imap
+ * criteria builders.
+ */
+const SEARCH_OPERATORS = {
+  from: (value) => ["FROM", value],
+  to: (value) => ["TO", value],
+  cc: (value) => ["CC", value],
+  bcc: (value) => ["BCC", value],
+  subject: (value) => ["SUBJECT", value],
+  before: (value) => ["BEFORE", parseSearchDate(value)],
+  after: (value) => ["SINCE", parseSearchDate(value)],
+  since: (value) => ["SINCE", parseSearchDate(value)],
+  larger: (value) => ["LARGER", parseSearchSize(value)],
+  smaller: (value) => ["SMALLER", parseSearchSize(value)],
+  is: (value) => {
+    const flags = {
+      unread: "UNSEEN",
+      read: "SEEN",
+      starred: "FLAGGED",
+      flagged: "FLAGGED",
+      answered: "ANSWERED",
+      draft: "DRAFT",
+    };
+    if (!flags[value.toLowerCase()]) {
+      throw new Error(`Unsupported search term: is:${value}`);
+    }
+    return flags[value.toLowerCase()];
+  },
+  // IMAP can't search by attachment; multipart/mixed is the usual container
+  has: (value) => {
+    if (value.toLowerCase() !== "attachment") {
+      throw new Error(`Unsupported search term: has:${value}`);
+    }
+    return ["HEADER", "CONTENT-TYPE", "multipart/mixed"];
+  },
+};
+
+/**
+ * Parses the date of a before:/after: term (YYYY-MM-DD or YYYY/MM/DD).
+ */
+function parseSearchDate(value) {
+  const date = new Date(value.replace(/\//g, "-"));
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid search date: ${value}`);
+  }
+  return date;
+}
+
+/**
+ * Parses the size of a larger:/smaller: term, e.g. 500, 20k or 5M.
+ */
+function parseSearchSize(value) {
+  const match = /^(\d+)([kKmM]?)$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid search size: ${value}`);
+  }
+  const unit = { k: 1024, m: 1024 * 1024 }[match[2].toLowerCase()] || 1;
+  return Number(match[1]) * unit;
+}
+
+/**
+ * Translates a Gmail-style query such as
+ * `from:billing@acme.com subject:"invoice" before:2022-01-01 paid` into
+ * IMAP SEARCH criteria. Words without an operator are matched against the
+ * whole message with TEXT; every term has to match.
+ *
+ * @param {string} query - Search query
+ * @returns {Array} node-imap search criteria
+ * @throws {Error} If the query is empty or uses an unsupported term
+ */
+export function buildSearchCriteria(query) {
+  const criteria = [];
+  const pattern = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+
+  for (const match of (query || "").matchAll(pattern)) {
+    const [, operator, operand, phrase, word] = match;
+    const unquote = (value) => value.replace(/^"|"$/g, "");
+
+    if (operator && SEARCH_OPERATORS[operator.toLowerCase()]) {
+      criteria.push(SEARCH_OPERATORS[operator.toLowerCase()](unquote(operand)));
+    } else if (operator) {
+      criteria.push(["TEXT", `${operator}:${unquote(operand)}`]);
+    } else if (phrase || word) {
+      criteria.push(["TEXT", phrase || word]);
+    }
   }
+
+  if (criteria.length === 0) {
+    throw new Error("Search query is empty");
+  }
+
+  return criteria;
 }
 
-export default fetchEmails;
\ No newline at end of file
+/**
+ * Incrementally syncs a single mailbox on an open connection.
+ *
+ * Only messages with a UID above the stored `highestUid` are downloaded,
+ * oldest first and at most `limit` per sync. When the server reports a
+ * different UIDVALIDITY than the stored one, every UID we know about is
+ * meaningless, so a full resync is performed instead. Servers that advertise
+ * CONDSTORE also give us HIGHESTMODSEQ, which lets us skip the search entirely
+ * when nothing in the mailbox has changed.
+ *
+ * The flags of already stored messages are fetched too, so that messages
+ * read or starred in another client are updated locally. With CONDSTORE only
+ * the messages whose flags changed since the last sync are returned.
+ *
+ * @param {Object} connection - imap-simple connection
+ * @param {string} mailbox - Mailbox to sync (e.g. "INBOX")
+ * @param {Object|null} syncState - Previously stored sync state, if any
+ * @param {number} syncState.uidValidity - UIDVALIDITY at the last sync
+ * @param {number} syncState.highestUid - Highest UID already stored
+ * @param {string|null} syncState.highestModseq - HIGHESTMODSEQ at the last sync
+ * @param {Object} options - Sync options
+ * @param {number} options.limit - Maximum number of messages to download (default: 50)
+ * @returns {Promise<Object>} `{ emails, flagUpdates, syncState, fullResync }`
+ */
+export async function syncMailbox(connection, mailbox, syncState, options = {}) {
+  const { limit = 50 } = options;
+
+  const box = await connection.openBox(mailbox);
+  const uidValidity = Number(box.uidvalidity);
+  const highestModseq = box.highestmodseq ? String(box.highestmodseq) : null;
+
+  const fullResync =
+    !syncState || Number(syncState.uidValidity) !== uidValidity;
+  const lastUid = fullResync ? 0 : Number(syncState.highestUid) || 0;
+
+  const nextState = {
+    uidValidity,
+    highestUid: lastUid,
+    highestModseq,
+  };
+  let flagUpdates = [];
+
+  if (!fullResync) {
+    const modseqUnchanged =
+      highestModseq && syncState.highestModseq === highestModseq;
+
+    if (modseqUnchanged) {
+      logger.info("Mailbox unchanged since last sync", { mailbox, lastUid });
+      return { emails: [], flagUpdates, syncState: nextState, fullResync };
+    }
+
+    if (lastUid > 0) {
+      flagUpdates = await fetchFlags(
+        connection,
+        lastUid,
+        highestModseq ? syncState.highestModseq : null
+      );
+    }
+
+    if (box.uidnext && box.uidnext - 1 <= lastUid) {
+      logger.info("No new messages since last sync", {
+        mailbox,
+        lastUid,
+        flagUpdates: flagUpdates.length,
+      });
+      return { emails: [], flagUpdates, syncState: nextState, fullResync };
+    }
+  }
+
+  // "UID n:*" always matches the last message, even when its UID is below n
+  const criteria = fullResync ? ["ALL"] : [["UID", `${lastUid + 1}:*`]];
+  const uids = (await searchUids(connection, criteria)).filter(
+    (uid) => uid > lastUid
+  );
+
+  if (uids.length === 0) {
+    return { emails: [], flagUpdates, syncState: nextState, fullResync };
+  }
+
+  // Download oldest first and only advance the sync position past what was
+  // fetched, so a mailbox larger than the limit is caught up over several
+  // syncs instead of skipping everything below the newest messages
+  const uidsToFetch = uids.slice(0, limit);
+  nextState.highestUid = uidsToFetch[uidsToFetch.length - 1];
+
+  // HIGHESTMODSEQ covers the whole mailbox; storing it while messages are
+  // still pending would make the next sync think nothing changed
+  const remaining = uids.length - uidsToFetch.length;
+  if (remaining > 0) {
+    nextState.highestModseq = fullResync ? null : syncState.highestModseq;
+  }
+
+  const emails = await fetchMessageSummaries(connection, mailbox, uidsToFetch);
+
+  logger.info(`Fetched ${emails.length} emails from IMAP`, {
+    mailbox,
+    fullResync,
+    newMessages: uids.length,
+    fetched: emails.length,
+    remaining,
+  });
+
+  return { emails, flagUpdates, syncState: nextState, fullResync };
+}
@@ -0,0 +1,453 @@
+import crypto from "crypto";
+import path from "path";
+import readline from "readline";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import { simpleParser } from "mailparser";
+import { User, MailAccount, Email, EmailRecipient, MailImport } from "../models/index.js";
+import { parseMessageIds, parseAddressHeaders, parseMessageSource } from "./imap.js";
+import { saveAttachments } from "./attachment.js";
+import { saveEmailContent } from "./content.js";
+import { assignThreads } from "./threading.js";
+import { registerJobHandler, enqueueJob } from "./queue.js";
+import {
+  writeBlob,
+  readBlob,
+  deleteBlob,
+  blobSize,
+  createBlobReadStream,
+  createBlobWriteStream,
+} from "./storage.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Import Service - Loads mbox and .eml archives (Thunderbird, Google
+ * Takeout) into a user's stored mailbox. Imported emails are filed under one
+ * of the user's accounts with source "imported", are indexed like synced
+ * mail, and keep their raw source in blob storage since no server has it.
+ */
+
+/**
+ * Mailbox name imported emails are stored under.
+ */
+export const IMPORTED_MAILBOX = "Imported";
+
+/**
+ * Job type of queued imports.
+ */
+const IMPORT_JOB = "import";
+
+/**
+ * Imported emails are threaded in batches of this size.
+ */
+const THREAD_BATCH_SIZE = 50;
+
+/**
+ * Progress is written to the MailImport row at most this often.
+ */
+const PROGRESS_INTERVAL_MS = 1000;
+
+const SNIPPET_LENGTH = 200;
+
+/**
+ * Largest archive accepted for import, in bytes (default: 2 GB).
+ */
+export const MAX_IMPORT_SIZE =
+  parseInt(process.env.IMPORT_MAX_BYTES, 10) || 2 * 1024 * 1024 * 1024;
+
+/**
+ * Blob key of the raw source of an imported email.
+ *
+ * @param {Object} email - Email instance
+ * @returns {string} Blob key
+ */
+export function importedSourceKey(email) {
+  return `raw/${email.userId}/${email.id}.eml`;
+}
+
+/**
+ * Reads the raw source of an imported email.
+ *
+ * @param {Object} email - Email instance with source "imported"
+ * @returns {Promise<Buffer>} Raw message source
+ */
+export function readImportedSource(email) {
+  return readBlob(importedSourceKey(email));
+}
+
+/**
+ * Tells mbox files from single messages by their first line.
+ *
+ * @param {string} filename - Original file name
+ * @param {Buffer} head - First bytes of the file
+ * @returns {string} "mbox" or "eml"
+ */
+export function detectFormat(filename, head) {
+  if (/\.eml$/i.test(filename || "")) return "eml";
+  return head.toString("latin1").startsWith("From ") ? "mbox" : "eml";
+}
+
+/**
+ * Splits an mbox stream into messages. Lines starting with "From " after a
+ * blank line (or at the start) separate messages; ">From " quoting is undone
+ * (mboxrd), which also reads mboxo files the way most clients do.
+ *
+ * @param {Object} input - Readable stream of the mbox file
+ * @param {Function} onMessage - Called with each message source (Buffer) and
+ *   the bytes read so far; awaited before reading on
+ * @returns {Promise<number>} Number of messages found
+ */
+export async function readMbox(input, onMessage) {
+  // latin1 maps every byte to one character, so 8-bit content survives
+  input.setEncoding("latin1");
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let current = null;
+  let previousBlank = true;
+  let bytesRead = 0;
+  let count = 0;
+
+  const flush = async () => {
+    if (!current) return;
+    // Drop the blank line that separates messages
+    if (current.length > 0 && current[current.length - 1] === "") current.pop();
+    count++;
+    await onMessage(Buffer.from(current.join("\r\n") + "\r\n", "latin1"), bytesRead);
+  };
+
+  for await (const line of lines) {
+    bytesRead += line.length + 1;
+
+    if (previousBlank && line.startsWith("From ")) {
+      await flush();
+      current = [];
+    } else if (current) {
+      current.push(line.replace(/^>(>*From )/, "$1"));
+    }
+    previousBlank = line === "";
+  }
+  await flush();
+
+  return count;
+}
+
+/**
+ * Builds the header map parseAddressHeaders expects from mailparser's raw
+ * header lines.
+ */
+function headerMap(headerLines = []) {
+  const headers = {};
+  for (const { key, line } of headerLines) {
+    const value = line.slice(line.indexOf(":") + 1).trim();
+    (headers[key] = headers[key] || []).push(value);
+  }
+  return headers;
+}
+
+/**
+ * Stores one message from an archive, unless an email with the same
+ * Message-ID is already stored for the user.
+ *
+ * @param {Object} account - MailAccount the email is filed under
+ * @param {Buffer} source - Raw message source
+ * @returns {Promise<Object|null>} Created Email instance, or null for a duplicate
+ */
+export async function importMessage(account, source) {
+  // Headers only; the full parse below handles bodies and attachments
+  const split = source.indexOf("\r\n\r\n");
+  const parsed = await simpleParser(split === -1 ? source : source.subarray(0, split + 4));
+  const headers = headerMap(parsed.headerLines);
+
+  // Messages without a Message-ID get a stable one so re-imports dedupe too
+  const [messageId = `<${crypto.createHash("sha256").update(source).digest("hex")}@imported>`] =
+    parseMessageIds(headers["message-id"]);
+
+  const existing = await Email.findOne({
+    where: { userId: account.userId, messageId },
+    attributes: ["id"],
+  });
+  if (existing) return null;
+
+  const { attachments, hasAttachments, ...content } = await parseMessageSource(source);
+  const { fromName, fromAddress, recipients } = await parseAddressHeaders(headers);
+  const references = parseMessageIds(headers.references);
+  const [inReplyTo] = parseMessageIds(headers["in-reply-to"]);
+
+  const email = await Email.create({
+    userId: account.userId,
+    accountId: account.id,
+    source: "imported",
+    mailbox: IMPORTED_MAILBOX,
+    uid: null,
+    messageId,
+    inReplyTo: inReplyTo || null,
+    referenceIds: references.length > 0 ? references.join(" ") : null,
+    from: (headers.from?.[0] || "").substring(0, 255),
+    fromName,
+    fromAddress,
+    subject: (parsed.subject || "").substring(0, 255),
+    date: parsed.date || new Date(),
+    size: source.length,
+    snippet: (content.body || "").replace(/\s+/g, " ").trim().substring(0, SNIPPET_LENGTH),
+    seen: true,
+    hasAttachments,
+    bodyFetchedAt: new Date(),
+  });
+
+  await EmailRecipient.bulkCreate(
+    recipients.map((recipient) => ({ ...recipient, emailId: email.id }))
+  );
+  await writeBlob(importedSourceKey(email), source);
+  await saveEmailContent(email, content);
+  await saveAttachments(email, attachments);
+
+  return email;
+}
+
+/**
+ * Runs an import: reads the uploaded file, stores each new message and
+ * keeps the MailImport row's counters and processed bytes up to date. The
+ * upload is removed once the import is done.
+ *
+ * @param {number} importId - The MailImport's ID
+ * @param {Object} options - Run options
+ * @param {Function} options.onProgress - Called with the MailImport after
+ *   each progress update, e.g. to print progress from the CLI
+ * @returns {Promise<Object>} The finished MailImport
+ * @throws {Error} If the import doesn't exist
+ */
+export async function runImport(importId, options = {}) {
+  const { onProgress = () => {} } = options;
+
+  const mailImport = await MailImport.findByPk(importId);
+  if (!mailImport) {
+    throw new Error("Import not found");
+  }
+
+  const account = await MailAccount.findByPk(mailImport.accountId);
+  const counts = { imported: 0, duplicates: 0, failed: 0 };
+  let pending = [];
+  let processedBytes = 0;
+  let lastUpdate = 0;
+
+  const reportProgress = async (force = false) => {
+    if (!force && Date.now() - lastUpdate < PROGRESS_INTERVAL_MS) return;
+    lastUpdate = Date.now();
+    await mailImport.update({ ...counts, processedBytes });
+    onProgress(mailImport);
+  };
+
+  const threadPending = async () => {
+    if (pending.length === 0) return;
+    await assignThreads(account, pending);
+    pending = [];
+  };
+
+  const handleMessage = async (source, bytesRead) => {
+    processedBytes = bytesRead;
+    try {
+      const email = await importMessage(account, source);
+      if (email) {
+        counts.imported++;
+        pending.push(email);
+      } else {
+        counts.duplicates++;
+      }
+    } catch (error) {
+      counts.failed++;
+      logger.warn("Failed to import message", {
+        importId: mailImport.id,
+        error: error.message,
+      });
+    }
+
+    if (pending.length >= THREAD_BATCH_SIZE) await threadPending();
+    await reportProgress();
+  };
+
+  await mailImport.update({ status: "running" });
+
+  try {
+    if (mailImport.format === "mbox") {
+      await readMbox(createBlobReadStream(mailImport.storageKey), handleMessage);
+    } else {
+      await handleMessage(await readBlob(mailImport.storageKey), mailImport.totalBytes);
+    }
+    await threadPending();
+
+    processedBytes = mailImport.totalBytes;
+    await mailImport.update({ status: "completed", finishedAt: new Date() });
+  } catch (error) {
+    logger.error("Import failed", { importId: mailImport.id, error: error.message });
+    await mailImport.update({
+      status: "failed",
+      error: error.message.substring(0, 512),
+      finishedAt: new Date(),
+    });
+  } finally {
+    await reportProgress(true);
+    await deleteBlob(mailImport.storageKey);
+  }
+
+  logger.info("Import finished", {
+    importId: mailImport.id,
+    status: mailImport.status,
+    ...counts,
+  });
+  return mailImport;
+}
+
+/**
+ * Finds the user and the account imported emails are filed under.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number|null} accountId - Account to use (default: the first)
+ * @returns {Promise<Object>} `{ user, account }`
+ * @throws {Error} If user or account not found
+ */
+async function resolveTarget(emailAddress, accountId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const account = await MailAccount.findOne({
+    where: accountId ? { id: accountId, userId: user.id } : { userId: user.id },
+    order: [["createdAt", "ASC"]],
+  });
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  return { user, account };
+}
+
+/**
+ * Passes data through, failing once more than maxBytes have gone by. Stops
+ * an upload that turns out larger than announced before it fills the disk.
+ *
+ * @param {number} maxBytes - Largest accepted size
+ * @returns {Transform} Counting stream
+ */
+function limitSize(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        callback(new Error(`The uploaded file is too large; the limit is ${maxBytes} bytes`));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+}
+
+/**
+ * Stores an uploaded archive and creates its MailImport. The file is
+ * streamed to blob storage, so uploads use little memory; anything over
+ * MAX_IMPORT_SIZE is refused and the partial file deleted.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} input - Readable stream of the file, e.g. the request
+ * @param {Object} options - Import options
+ * @param {string} options.filename - Original file name
+ * @param {number} options.accountId - Account to file the emails under
+ * @param {number} options.maxBytes - Largest accepted size (default: MAX_IMPORT_SIZE)
+ * @returns {Promise<Object>} The pending MailImport
+ * @throws {Error} If user or account not found, or the file is empty or too large
+ */
+export async function createImport(emailAddress, input, options = {}) {
+  const { user, account } = await resolveTarget(emailAddress, options.accountId);
+  const filename = path.basename(options.filename || "upload");
+
+  const storageKey = `imports/${user.id}/${crypto.randomUUID()}`;
+  try {
+    const output = await createBlobWriteStream(storageKey);
+    const limiter = limitSize(options.maxBytes || MAX_IMPORT_SIZE);
+    // Piped rather than passed to pipeline(), which would destroy the request
+    // and with it the connection an error response goes out on
+    input.on("error", (error) => limiter.destroy(error));
+    input.pipe(limiter);
+    await pipeline(limiter, output);
+  } catch (error) {
+    await deleteBlob(storageKey);
+    throw error;
+  }
+
+  const size = await blobSize(storageKey);
+  if (size === 0) {
+    await deleteBlob(storageKey);
+    throw new Error("The uploaded file is empty");
+  }
+
+  const chunks = [];
+  for await (const chunk of createBlobReadStream(storageKey, { start: 0, end: 4 })) {
+    chunks.push(chunk);
+  }
+  const head = Buffer.concat(chunks);
+
+  return MailImport.create({
+    userId: user.id,
+    accountId: account.id,
+    filename,
+    format: detectFormat(filename, head),
+    storageKey,
+    totalBytes: size,
+  });
+}
+
+/**
+ * Queues an import to run in the background. Failures end up on the
+ * MailImport; the upload is gone after a run, so imports aren't retried.
+ *
+ * @param {Object} mailImport - Pending MailImport
+ * @returns {Promise<Object>} Queued Job instance
+ */
+export function startImport(mailImport) {
+  return enqueueJob(IMPORT_JOB, {
+    userId: mailImport.userId,
+    payload: { importId: mailImport.id },
+    maxAttempts: 1,
+  });
+}
+
+/**
+ * Registers the handler that runs queued imports, one at a time.
+ */
+export function registerImportJobs() {
+  registerJobHandler(IMPORT_JOB, (job, reportProgress) =>
+    runImport(job.payload.importId, {
+      onProgress: ({ processedBytes, totalBytes, imported }) =>
+        reportProgress({ processedBytes, totalBytes, imported }),
+    }).then(({ status, imported, duplicates, failed }) => ({
+      status,
+      imported,
+      duplicates,
+      failed,
+    }))
+  );
+}
+
+/**
+ * Gets one of a user's imports, for progress reporting.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} importId - The MailImport's ID
+ * @returns {Promise<Object>} MailImport
+ * @throws {Error} If user or import not found
+ */
+export async function getImport(emailAddress, importId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const mailImport = await MailImport.findOne({
+    where: { id: importId, userId: user.id },
+    attributes: { exclude: ["storageKey"] },
+  });
+  if (!mailImport) {
+    throw new Error("Import not found");
+  }
+  return mailImport;
+}
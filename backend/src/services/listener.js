@@ -0,0 +1,336 @@
+import { User, MailAccount, Email } from "../models/index.js";
+import { closeConnection, searchUids, flagsToFields } from "./imap.js";
+import { connectAccount } from "./account.js";
+import { syncAccountMailbox } from "./email.js";
+import { refreshThreads } from "./threading.js";
+import { publishMailEvent, subscribeToMailEvents } from "./events.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Mail Listener Service - Keeps an IMAP IDLE connection open per account of
+ * every user with an open event stream, stores new messages as they arrive
+ * and publishes mailbox changes as mail events.
+ */
+
+const LISTENED_MAILBOX = "INBOX";
+const RECONNECT_MIN_DELAY = 5000; // 5 seconds
+const RECONNECT_MAX_DELAY = 300000; // 5 minutes
+
+// userId -> { subscribers, listeners: Array, ready: Promise }
+const activeUsers = new Map();
+
+/**
+ * Creates an IDLE listener for one mail account. The listener keeps the
+ * sequence-number-to-UID map of the mailbox in memory so that EXPUNGE and
+ * FETCH updates, which only carry sequence numbers, can be matched to stored
+ * emails. Dropped connections are re-established with exponential backoff.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @returns {Object} Listener with the `accountId` and a `stop()` method
+ */
+function createAccountListener(account) {
+  let connection = null;
+  let uids = [];
+  let stopped = false;
+  let reconnectDelay = RECONNECT_MIN_DELAY;
+  let reconnectTimer = null;
+  let syncing = Promise.resolve();
+
+  const log = { email: account.email, mailbox: LISTENED_MAILBOX };
+
+  const scheduleReconnect = () => {
+    if (stopped || reconnectTimer) return;
+
+    logger.warn("Mail listener disconnected, reconnecting", {
+      ...log,
+      delay: reconnectDelay,
+    });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, reconnectDelay);
+    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_DELAY);
+  };
+
+  // New mail: run an incremental sync and publish what was stored. Syncs are
+  // chained so a burst of EXISTS responses doesn't run them concurrently.
+  // The sync gets a connection of its own: reconciling opens other mailboxes,
+  // which would leave the IDLE connection on the wrong one and apply its
+  // EXPUNGE and FETCH updates to the wrong UIDs.
+  const onMail = () => {
+    syncing = syncing.then(async () => {
+      if (stopped) return;
+
+      let syncConnection;
+      try {
+        syncConnection = await connectAccount(account);
+        const emails = await syncAccountMailbox(
+          account,
+          syncConnection,
+          LISTENED_MAILBOX
+        );
+
+        if (connection) {
+          uids = await searchUids(connection, ["ALL"]);
+        }
+
+        if (emails.length > 0) {
+          publishMailEvent(account.userId, {
+            type: "new",
+            accountId: account.id,
+            emails: emails.map((email) => ({
+              id: email.id,
+              from: email.from,
+              fromName: email.fromName,
+              fromAddress: email.fromAddress,
+              subject: email.subject,
+              snippet: email.snippet,
+              date: email.date,
+            })),
+          });
+        }
+      } catch (error) {
+        logger.error("Mail listener sync failed", { ...log, error: error.message });
+      } finally {
+        closeConnection(syncConnection);
+      }
+    });
+  };
+
+  const onExpunge = async (seqno) => {
+    const [uid] = uids.splice(seqno - 1, 1);
+    if (!uid) return;
+
+    try {
+      const email = await Email.findOne({
+        where: { accountId: account.id, mailbox: LISTENED_MAILBOX, uid },
+      });
+      if (!email) return;
+
+      await email.destroy();
+      await refreshThreads([email.threadId]);
+      publishMailEvent(account.userId, {
+        type: "deleted",
+        accountId: account.id,
+        ids: [email.id],
+      });
+    } catch (error) {
+      logger.error("Mail listener expunge failed", { ...log, uid, error: error.message });
+    }
+  };
+
+  const onUpdate = async (seqno, info) => {
+    const uid = info.uid || uids[seqno - 1];
+    if (!uid || !info.flags) return;
+
+    try {
+      const email = await Email.findOne({
+        where: { accountId: account.id, mailbox: LISTENED_MAILBOX, uid },
+      });
+      if (!email) return;
+
+      const flags = flagsToFields(info.flags);
+      await email.update(flags);
+
+      publishMailEvent(account.userId, {
+        type: "flags",
+        accountId: account.id,
+        id: email.id,
+        flags,
+      });
+    } catch (error) {
+      logger.error("Mail listener flag update failed", { ...log, uid, error: error.message });
+    }
+  };
+
+  const connect = async () => {
+    try {
+      connection = await connectAccount(account, { idle: true });
+      connection.on("mail", onMail);
+      connection.on("expunge", onExpunge);
+      connection.on("update", onUpdate);
+      connection.on("error", (error) => {
+        logger.error("Mail listener connection error", { ...log, error: error.message });
+      });
+      connection.on("close", () => {
+        connection = null;
+        scheduleReconnect();
+      });
+
+      if (stopped) {
+        closeConnection(connection);
+        return;
+      }
+
+      await connection.openBox(LISTENED_MAILBOX);
+      uids = await searchUids(connection, ["ALL"]);
+      reconnectDelay = RECONNECT_MIN_DELAY;
+
+      logger.info("Mail listener started", { ...log, messages: uids.length });
+
+      // Catch up on anything that arrived while we weren't listening
+      onMail();
+    } catch (error) {
+      logger.error("Mail listener failed to connect", { ...log, error: error.message });
+      closeConnection(connection);
+      connection = null;
+      scheduleReconnect();
+    }
+  };
+
+  connect();
+
+  return {
+    accountId: account.id,
+    stop() {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      closeConnection(connection);
+      logger.info("Mail listener stopped", log);
+    },
+  };
+}
+
+/**
+ * Starts listening for new mail on all of a user's accounts. Calls are
+ * reference counted; the IDLE connections stay open until every caller has
+ * called the returned stop function. The entry is registered before the
+ * accounts are loaded, so concurrent callers share one set of listeners and
+ * all wait until it's there.
+ *
+ * @param {number} userId - The user's database ID
+ * @returns {Promise<Function>} Stops this caller's interest in the user's mail
+ */
+async function startListening(userId) {
+  let entry = activeUsers.get(userId);
+
+  if (!entry) {
+    const created = { subscribers: 0, listeners: [] };
+    created.ready = MailAccount.findAll({ where: { userId } }).then((accounts) => {
+      // Stopped while the accounts were loading
+      if (activeUsers.get(userId) !== created) return;
+      created.listeners = accounts.map(createAccountListener);
+    });
+    activeUsers.set(userId, created);
+    entry = created;
+  }
+
+  entry.subscribers++;
+
+  try {
+    await entry.ready;
+  } catch (error) {
+    entry.subscribers--;
+    if (activeUsers.get(userId) === entry) {
+      activeUsers.delete(userId);
+    }
+    throw error;
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+
+    entry.subscribers--;
+    if (entry.subscribers === 0) {
+      entry.listeners.forEach((listener) => listener.stop());
+      entry.listeners = [];
+      if (activeUsers.get(userId) === entry) {
+        activeUsers.delete(userId);
+      }
+    }
+  };
+}
+
+/**
+ * Stops a user's IDLE listeners right away, whoever is still subscribed,
+ * e.g. because the user's account is being deleted. Listeners that are
+ * still being set up are never started.
+ *
+ * @param {number} userId - The user's database ID
+ */
+export function stopUserListeners(userId) {
+  const entry = activeUsers.get(userId);
+  if (!entry) return;
+
+  activeUsers.delete(userId);
+  entry.listeners.forEach((listener) => listener.stop());
+  entry.listeners = [];
+}
+
+/**
+ * Starts listening on an account that was just connected, if its user has
+ * an open event stream. Accounts connected later are picked up when the
+ * next stream opens.
+ *
+ * @param {Object} account - MailAccount model instance
+ */
+export function startAccountListener(account) {
+  const entry = activeUsers.get(account.userId);
+  if (!entry) return;
+
+  // The accounts loaded while setting up may or may not include this one
+  entry.ready.then(
+    () => {
+      if (activeUsers.get(account.userId) !== entry) return;
+      if (entry.listeners.some((listener) => listener.accountId === account.id)) return;
+      entry.listeners.push(createAccountListener(account));
+    },
+    () => {}
+  );
+}
+
+/**
+ * Stops the IDLE listener of one account, e.g. because the account was
+ * disconnected. The user's other listeners keep running.
+ *
+ * @param {number} userId - The user's database ID
+ * @param {number} accountId - The account's database ID
+ */
+export function stopAccountListener(userId, accountId) {
+  const entry = activeUsers.get(userId);
+  if (!entry) return;
+
+  const stop = () => {
+    entry.listeners = entry.listeners.filter((listener) => {
+      if (listener.accountId !== accountId) return true;
+      listener.stop();
+      return false;
+    });
+  };
+  stop();
+  // Listeners still being set up may include the account
+  entry.ready.then(stop, () => {});
+}
+
+/**
+ * Opens a mail event stream for a user: subscribes to their mail events and
+ * makes sure the IDLE listener is running while the stream is open.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Function} onEvent - Called with each mail event
+ * @returns {Promise<Function>} Closes the stream
+ * @throws {Error} If user not found
+ */
+export async function openMailEventStream(emailAddress, onEvent) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const unsubscribe = subscribeToMailEvents(user.id, onEvent);
+  let stopListening;
+  try {
+    stopListening = await startListening(user.id);
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  return () => {
+    unsubscribe();
+    stopListening();
+  };
+}
+
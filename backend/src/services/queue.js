@@ -0,0 +1,293 @@
+import { Op } from "sequelize";
+import { sequelize, Job } from "../models/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Job Queue Service - Runs background work from the Job table. Jobs are
+ * claimed with a conditional UPDATE, so several server processes can share
+ * the queue; each job type has its own concurrency limit, and failed
+ * attempts are retried with exponential backoff.
+ */
+
+const POLL_INTERVAL = parseInt(process.env.QUEUE_POLL_INTERVAL, 10) || 2000;
+const RETRY_BASE_DELAY = 30000; // 30 seconds
+const RETRY_MAX_DELAY = 1800000; // 30 minutes
+
+/**
+ * Running jobs refresh their lock this often. A job whose lock is older than
+ * LOCK_TIMEOUT is assumed to belong to a worker that died, and is queued
+ * again; the poll loop checks for those every RECOVER_INTERVAL.
+ */
+const HEARTBEAT_INTERVAL = 60000; // 1 minute
+const LOCK_TIMEOUT = 300000; // 5 minutes
+const RECOVER_INTERVAL = 60000; // 1 minute
+
+// type -> { handler, concurrency, running }
+const handlers = new Map();
+let pollTimer = null;
+let polling = false;
+let lastRecovery = 0;
+
+/**
+ * Delay before the next attempt of a job that failed.
+ *
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), RETRY_MAX_DELAY);
+}
+
+/**
+ * Registers the function that runs jobs of a type. The handler is called
+ * with the job and a `reportProgress(progress)` function, and its return
+ * value is stored as the job's result.
+ *
+ * @param {string} type - Job type
+ * @param {Function} handler - async (job, reportProgress) => result
+ * @param {Object} options - Handler options
+ * @param {number} options.concurrency - Jobs of this type run at once (default: 1)
+ */
+export function registerJobHandler(type, handler, options = {}) {
+  const { concurrency = 1 } = options;
+  handlers.set(type, { handler, concurrency, running: 0 });
+}
+
+/**
+ * Adds a job to the queue.
+ *
+ * @param {string} type - Job type
+ * @param {Object} options - Job options
+ * @param {number} options.userId - User the job belongs to
+ * @param {Object} options.payload - Data for the handler
+ * @param {Date} options.runAt - Earliest start (default: now)
+ * @param {number} options.maxAttempts - Attempts before the job fails (default: 3)
+ * @returns {Promise<Object>} Queued Job instance
+ */
+export async function enqueueJob(type, options = {}) {
+  const { userId = null, payload = null, runAt = new Date(), maxAttempts = 3 } = options;
+
+  const job = await Job.create({ type, userId, payload, runAt, maxAttempts });
+
+  logger.info("Queued job", { jobId: job.id, type, userId });
+  // Start right away if a worker is free
+  if (pollTimer) pollSoon();
+  return job;
+}
+
+/**
+ * Claims the next due job of a type. The UPDATE only succeeds while the job
+ * is still queued, so a job is never claimed twice.
+ *
+ * @param {string} type - Job type
+ * @returns {Promise<Object|null>} Claimed Job instance, or null
+ */
+async function claimJob(type) {
+  const candidates = await Job.findAll({
+    where: { type, status: "queued", runAt: { [Op.lte]: new Date() } },
+    order: [["runAt", "ASC"]],
+    limit: 5,
+  });
+
+  for (const job of candidates) {
+    const [claimed] = await Job.update(
+      { status: "running", lockedAt: new Date(), attempts: job.attempts + 1 },
+      { where: { id: job.id, status: "queued" } }
+    );
+    if (claimed === 1) {
+      return job.reload();
+    }
+  }
+  return null;
+}
+
+/**
+ * Runs a claimed job and records the outcome: completed with its result,
+ * queued again after a backoff delay, or failed after the last attempt.
+ * While the handler runs, the job's lock is refreshed on every progress
+ * report and at least every HEARTBEAT_INTERVAL, so long jobs aren't mistaken
+ * for ones whose worker died.
+ *
+ * @param {Object} job - Claimed Job instance
+ * @param {Function} handler - The type's handler
+ * @returns {Promise<Object>} The Job after the attempt
+ */
+export async function runJob(job, handler) {
+  const reportProgress = (progress) =>
+    job.update({ progress, lockedAt: new Date() }).catch((error) => {
+      logger.warn("Failed to save job progress", { jobId: job.id, error: error.message });
+    });
+
+  const heartbeat = setInterval(() => {
+    job.update({ lockedAt: new Date() }).catch((error) => {
+      logger.warn("Failed to refresh job lock", { jobId: job.id, error: error.message });
+    });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  try {
+    const result = await handler(job, reportProgress);
+    clearInterval(heartbeat);
+    await job.update({
+      status: "completed",
+      result: result ?? null,
+      error: null,
+      lockedAt: null,
+      finishedAt: new Date(),
+    });
+    logger.info("Job completed", { jobId: job.id, type: job.type });
+  } catch (error) {
+    clearInterval(heartbeat);
+    const retry = job.attempts < job.maxAttempts;
+    await job.update({
+      status: retry ? "queued" : "failed",
+      error: error.message.substring(0, 512),
+      lockedAt: null,
+      runAt: retry ? new Date(Date.now() + retryDelay(job.attempts)) : job.runAt,
+      finishedAt: retry ? null : new Date(),
+    });
+    logger.error(retry ? "Job failed, retrying" : "Job failed", {
+      jobId: job.id,
+      type: job.type,
+      attempts: job.attempts,
+      error: error.message,
+    });
+  }
+
+  return job;
+}
+
+/**
+ * Queues stale jobs again every RECOVER_INTERVAL, then starts as many due
+ * jobs as the free worker slots allow.
+ */
+async function poll() {
+  // One poll at a time, or two could fill the same free slot
+  if (polling) return;
+  polling = true;
+
+  try {
+    if (Date.now() - lastRecovery >= RECOVER_INTERVAL) {
+      lastRecovery = Date.now();
+      await recoverStaleJobs().catch((error) => {
+        logger.error("Failed to recover stale jobs", { error: error.message });
+      });
+    }
+    await claimDueJobs();
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Claims and starts due jobs of every type until its slots are full.
+ */
+async function claimDueJobs() {
+  for (const [type, entry] of handlers) {
+    while (entry.running < entry.concurrency) {
+      let job;
+      try {
+        job = await claimJob(type);
+      } catch (error) {
+        logger.error("Failed to claim job", { type, error: error.message });
+        break;
+      }
+      if (!job) break;
+
+      entry.running++;
+      runJob(job, entry.handler)
+        .catch((error) => {
+          logger.error("Failed to record job outcome", { jobId: job.id, error: error.message });
+        })
+        .finally(() => {
+          entry.running--;
+          if (pollTimer) pollSoon();
+        });
+    }
+  }
+}
+
+/**
+ * Polls on the next tick instead of waiting for the interval.
+ */
+function pollSoon() {
+  setImmediate(() => {
+    poll().catch((error) => logger.error("Job queue poll failed", { error: error.message }));
+  });
+}
+
+/**
+ * Queues jobs again whose worker stopped without finishing them, e.g.
+ * because the server restarted or crashed. Jobs that were on their last
+ * attempt are failed instead, so a job that takes its worker down can't
+ * keep doing so.
+ *
+ * @returns {Promise<number>} Number of jobs queued again
+ */
+export async function recoverStaleJobs() {
+  const stale = {
+    status: "running",
+    lockedAt: { [Op.lt]: new Date(Date.now() - LOCK_TIMEOUT) },
+  };
+
+  const [failed] = await Job.update(
+    {
+      status: "failed",
+      error: "The worker stopped without finishing the job",
+      lockedAt: null,
+      finishedAt: new Date(),
+    },
+    { where: { ...stale, attempts: { [Op.gte]: sequelize.col("maxAttempts") } } }
+  );
+  const [count] = await Job.update(
+    { status: "queued", lockedAt: null, runAt: new Date() },
+    { where: stale }
+  );
+
+  if (count > 0 || failed > 0) {
+    logger.warn("Recovered stale jobs", { queued: count, failed });
+  }
+  return count;
+}
+
+/**
+ * Deletes finished jobs older than the given age.
+ *
+ * @param {number} maxAge - Age in milliseconds
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+export async function purgeFinishedJobs(maxAge) {
+  return Job.destroy({
+    where: {
+      status: ["completed", "failed"],
+      finishedAt: { [Op.lt]: new Date(Date.now() - maxAge) },
+    },
+  });
+}
+
+/**
+ * Starts the workers. Due jobs are picked up every QUEUE_POLL_INTERVAL
+ * milliseconds, and immediately when one is queued in this process. Jobs
+ * left running by a worker that died are queued again at startup and then
+ * while polling.
+ *
+ * @returns {Promise<void>}
+ */
+export async function startQueue() {
+  if (pollTimer) return;
+
+  await recoverStaleJobs();
+  lastRecovery = Date.now();
+  pollTimer = setInterval(pollSoon, POLL_INTERVAL);
+  pollSoon();
+
+  logger.info("Job queue started", { types: [...handlers.keys()] });
+}
+
+/**
+ * Stops picking up new jobs. Jobs already running are left to finish.
+ */
+export function stopQueue() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
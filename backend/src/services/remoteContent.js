@@ -0,0 +1,418 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { Op } from "sequelize";
+import { User, Email, ImageAllowance } from "../models/index.js";
+import { sanitizeEmailHtml } from "./sanitizer.js";
+import {
+  writeBlob,
+  readBlob,
+  blobExists,
+  createBlobReadStream,
+} from "./storage.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Remote Content Service - Blocks remote images and tracking pixels in email
+ * HTML and serves the images a user chose to load through a signed proxy, so
+ * senders never see the user's IP address, cookies or referrer.
+ */
+
+/**
+ * Path of the image proxy route, relative to the API root.
+ */
+const PROXY_PATH = "/email/image-proxy";
+
+/**
+ * Largest image the proxy downloads.
+ */
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Redirects followed per image; each hop is checked like the first URL.
+ */
+const MAX_REDIRECTS = 3;
+
+/**
+ * Image URLs used by the common open-tracking services.
+ */
+const TRACKER_URL = /\/(?:open|track|tracking|pixel|beacon)(?:[/._?-]|$)|[?&](?:open|track)=/i;
+
+/**
+ * Addresses the proxy refuses to connect to: loopback, private networks,
+ * link-local (cloud metadata) and multicast. IPv4-mapped IPv6 addresses are
+ * checked against the IPv4 ranges by BlockList itself; listing ::ffff:0:0/96
+ * would block every IPv4 address.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+BLOCKED_ADDRESSES.addSubnet("0.0.0.0", 8, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("10.0.0.0", 8, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("100.64.0.0", 10, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("127.0.0.0", 8, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("169.254.0.0", 16, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("172.16.0.0", 12, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("192.168.0.0", 16, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("224.0.0.0", 3, "ipv4");
+BLOCKED_ADDRESSES.addSubnet("::", 127, "ipv6");
+BLOCKED_ADDRESSES.addSubnet("fc00::", 7, "ipv6");
+BLOCKED_ADDRESSES.addSubnet("fe80::", 10, "ipv6");
+BLOCKED_ADDRESSES.addSubnet("ff00::", 8, "ipv6");
+
+let proxySecret = process.env.IMAGE_PROXY_SECRET;
+
+/**
+ * Secret the proxy URLs are signed with. Without IMAGE_PROXY_SECRET a random
+ * one is used, so proxy URLs only stay valid until the server restarts.
+ */
+function getProxySecret() {
+  if (!proxySecret) {
+    logger.warn("IMAGE_PROXY_SECRET is not set; using a temporary secret");
+    proxySecret = crypto.randomBytes(32).toString("hex");
+  }
+  return proxySecret;
+}
+
+/**
+ * Signs an image URL for the proxy.
+ *
+ * @param {string} url - Remote image URL
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+export function signImageUrl(url) {
+  return crypto.createHmac("sha256", getProxySecret()).update(url).digest("hex");
+}
+
+/**
+ * Checks a proxy signature in constant time.
+ *
+ * @param {string} url - Remote image URL
+ * @param {string} signature - Signature from the proxy URL
+ * @returns {boolean}
+ */
+export function verifyImageSignature(url, signature) {
+  const expected = Buffer.from(signImageUrl(url), "hex");
+  const given = Buffer.from(signature || "", "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Builds the proxy URL that serves a remote image.
+ *
+ * @param {string} url - Remote image URL
+ * @returns {string} Proxy URL relative to the API root
+ */
+export function proxyImageUrl(url) {
+  return `${PROXY_PATH}?url=${encodeURIComponent(url)}&sig=${signImageUrl(url)}`;
+}
+
+/**
+ * Recognizes tracking pixels: images of at most 1px, hidden images, and
+ * URLs of known open-tracking endpoints.
+ *
+ * @param {Object} attribs - Attributes of the <img>
+ * @returns {boolean}
+ */
+export function isTrackingPixel(attribs) {
+  const tiny = (value) => value !== undefined && parseInt(value, 10) <= 1;
+  if (tiny(attribs.width) || tiny(attribs.height)) return true;
+
+  const style = (attribs.style || "").toLowerCase().replace(/\s+/g, "");
+  if (/display:none|visibility:hidden|(?:^|;)(?:width|height):[01](?:px)?(?:;|$)/.test(style)) {
+    return true;
+  }
+
+  return TRACKER_URL.test(attribs.src || "");
+}
+
+/**
+ * Sanitizes email HTML and deals with its remote images. Tracking pixels are
+ * always removed. Other remote images lose their `src` unless the user
+ * allowed images for this email, in which case they're routed through the
+ * image proxy. Inline (cid:) and data: images are left alone.
+ *
+ * @param {string|null} html - HTML body as received
+ * @param {Object} options - Options
+ * @param {boolean} options.loadImages - Whether remote images may be shown
+ * @returns {Object} `{ html, blockedImages, blockedTrackers }`
+ */
+export function prepareRemoteContent(html, options = {}) {
+  const { loadImages = false } = options;
+  let blockedImages = 0;
+  let blockedTrackers = 0;
+
+  const rewriteImage = (attribs) => {
+    const src = (attribs.src || "").trim();
+    const url = src.startsWith("//") ? `https:${src}` : src;
+    if (!/^https?:\/\//i.test(url)) return attribs;
+
+    if (isTrackingPixel({ ...attribs, src: url })) {
+      blockedTrackers++;
+      return null;
+    }
+
+    if (!loadImages) {
+      blockedImages++;
+      const { src: _blocked, ...rest } = attribs;
+      return rest;
+    }
+
+    return { ...attribs, src: proxyImageUrl(url) };
+  };
+
+  return {
+    html: sanitizeEmailHtml(html, { rewriteImage }),
+    blockedImages,
+    blockedTrackers,
+  };
+}
+
+/**
+ * Whether the user allowed remote images for an email, either for the email
+ * itself or for its sender.
+ *
+ * @param {Object} email - Email instance
+ * @returns {Promise<boolean>}
+ */
+export async function imagesAllowedFor(email) {
+  const scopes = [{ emailId: email.id }];
+  if (email.fromAddress) scopes.push({ senderAddress: email.fromAddress });
+
+  const count = await ImageAllowance.count({
+    where: { userId: email.userId, [Op.or]: scopes },
+  });
+  return count > 0;
+}
+
+/**
+ * Finds the user's email and the allowance fields for a scope.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @param {string} scope - "message" or "sender"
+ * @returns {Promise<Object>} Allowance `where` clause
+ * @throws {Error} If user or email not found, or the email has no sender
+ */
+async function allowanceFor(emailAddress, emailId, scope) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const email = await Email.findOne({
+    where: { id: emailId, userId: user.id },
+    attributes: ["id", "fromAddress"],
+  });
+  if (!email) {
+    throw new Error("Email not found");
+  }
+
+  if (scope === "sender") {
+    if (!email.fromAddress) {
+      throw new Error("Email has no sender address");
+    }
+    return { userId: user.id, senderAddress: email.fromAddress };
+  }
+  return { userId: user.id, emailId: email.id };
+}
+
+/**
+ * Allows remote images for one email, or for every email from its sender.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @param {string} scope - "message" or "sender"
+ * @returns {Promise<Object>} `{ scope, emailId, senderAddress }`
+ * @throws {Error} If user or email not found, or the email has no sender
+ */
+export async function allowImages(emailAddress, emailId, scope) {
+  const where = await allowanceFor(emailAddress, emailId, scope);
+  await ImageAllowance.findOrCreate({ where });
+
+  logger.info("Allowed remote images", { email: emailAddress, emailId, scope });
+
+  return {
+    scope,
+    emailId: where.emailId || null,
+    senderAddress: where.senderAddress || null,
+  };
+}
+
+/**
+ * Blocks remote images again for one email or its sender.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} emailId - The email's database ID
+ * @param {string} scope - "message" or "sender"
+ * @returns {Promise<number>} Number of allowances removed
+ * @throws {Error} If user or email not found, or the email has no sender
+ */
+export async function revokeImages(emailAddress, emailId, scope) {
+  const where = await allowanceFor(emailAddress, emailId, scope);
+  return ImageAllowance.destroy({ where });
+}
+
+/**
+ * Whether an address is on the server's own network.
+ *
+ * @param {string} address - IP address
+ * @param {number} family - 4 or 6
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address, family) =>
+  BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+
+/**
+ * Refuses URLs that aren't http(s) or name a private IP address. Host names
+ * are checked by publicLookup when the connection is made.
+ *
+ * @param {URL} url - URL about to be fetched
+ * @throws {Error} If the URL isn't allowed
+ */
+function assertPublicUrl(url) {
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error("Image URL not allowed");
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && isBlockedAddress(host, net.isIP(host))) {
+    throw new Error("Image URL not allowed");
+  }
+}
+
+/**
+ * dns.lookup for image requests that refuses private addresses. The socket
+ * connects to exactly the addresses checked here, so a host that resolves
+ * to a public address once and a private one on the next lookup (DNS
+ * rebinding) can't get through.
+ *
+ * @param {string} hostname - Host to resolve
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (
+      addresses.length === 0 ||
+      addresses.some(({ address, family }) => isBlockedAddress(address, family))
+    ) {
+      callback(new Error("Image URL not allowed"));
+      return;
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+/**
+ * Sends a GET for an image without cookies, referrer or client headers.
+ * Redirects aren't followed. Each request gets its own connection, so it's
+ * never sent over a socket opened without publicLookup.
+ *
+ * @param {URL} url - Image URL
+ * @returns {Promise<Object>} The http.IncomingMessage
+ */
+function requestImage(url) {
+  const client = url.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(
+      url,
+      {
+        agent: false,
+        lookup: publicLookup,
+        headers: { "User-Agent": "Mozilla/5.0 (compatible; ImageProxy)" },
+        timeout: 10000,
+      },
+      resolve
+    );
+    request.on("timeout", () => request.destroy(new Error("Image request timed out")));
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Downloads an image without cookies, referrer or client headers.
+ *
+ * @param {string} url - Remote image URL
+ * @returns {Promise<Object>} `{ contentType, data }`
+ * @throws {Error} If the host isn't allowed, or the response isn't a
+ *   reasonably sized image
+ */
+async function downloadImage(url) {
+  let current = new URL(url);
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertPublicUrl(current);
+
+    const response = await requestImage(current);
+    const { statusCode, headers } = response;
+
+    try {
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        current = new URL(headers.location, current);
+        continue;
+      }
+
+      if (statusCode < 200 || statusCode >= 300) {
+        throw new Error(`Image request failed with status ${statusCode}`);
+      }
+
+      const contentType = (headers["content-type"] || "").split(";")[0].trim();
+      if (!contentType.startsWith("image/")) {
+        throw new Error("Image URL did not return an image");
+      }
+
+      if (Number(headers["content-length"]) > MAX_IMAGE_BYTES) {
+        throw new Error("Image too large");
+      }
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response) {
+        size += chunk.length;
+        if (size > MAX_IMAGE_BYTES) {
+          throw new Error("Image too large");
+        }
+        chunks.push(chunk);
+      }
+
+      return { contentType, data: Buffer.concat(chunks) };
+    } finally {
+      response.destroy();
+    }
+  }
+
+  throw new Error("Image request redirected too many times");
+}
+
+/**
+ * Gets a remote image for the proxy, from the cache when it was loaded
+ * before. Images are cached by URL for as long as the blob store keeps them.
+ *
+ * @param {string} url - Remote image URL
+ * @returns {Promise<Object>} `{ contentType, size, stream }`
+ * @throws {Error} If the image can't be downloaded
+ */
+export async function getProxiedImage(url) {
+  const hash = crypto.createHash("sha256").update(url).digest("hex");
+  const key = `image-cache/${hash.slice(0, 2)}/${hash}`;
+
+  if (!(await blobExists(`${key}.json`))) {
+    const { contentType, data } = await downloadImage(url);
+    await writeBlob(key, data);
+    await writeBlob(`${key}.json`, JSON.stringify({ contentType, size: data.length }));
+  }
+
+  const { contentType, size } = JSON.parse(await readBlob(`${key}.json`));
+  return { contentType, size, stream: createBlobReadStream(key) };
+}
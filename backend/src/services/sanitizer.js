@@ -0,0 +1,175 @@
+import sanitizeHtml from "sanitize-html";
+
+/**
+ * Sanitizer Service - Makes email HTML safe to display
+ *
+ * Email HTML is stored as received and sanitized whenever it's served, so a
+ * stricter policy applies to old messages too.
+ */
+
+/**
+ * Tags kept in email HTML. Scripts, forms, frames, embeds and <style> blocks
+ * are dropped; layout is expected to come from tables and inline styles.
+ */
+const ALLOWED_TAGS = [
+  ...sanitizeHtml.defaults.allowedTags,
+  "img",
+  "center",
+  "font",
+  "del",
+  "ins",
+  "u",
+  "s",
+  "strike",
+  "small",
+  "big",
+];
+
+/**
+ * Presentational attributes of legacy email layouts. `style` is filtered
+ * separately through ALLOWED_STYLES.
+ */
+const LAYOUT_ATTRIBUTES = [
+  "style",
+  "align",
+  "valign",
+  "width",
+  "height",
+  "bgcolor",
+  "border",
+  "cellpadding",
+  "cellspacing",
+  "colspan",
+  "rowspan",
+  "dir",
+  "lang",
+  "title",
+];
+
+const ALLOWED_ATTRIBUTES = {
+  "*": LAYOUT_ATTRIBUTES,
+  a: ["href", "name", "target", "rel"],
+  img: ["src", "alt"],
+  font: ["color", "face", "size"],
+  ol: ["start", "type"],
+  ul: ["type"],
+  td: ["nowrap"],
+  th: ["nowrap", "scope"],
+  col: ["span"],
+  colgroup: ["span"],
+};
+
+/**
+ * CSS values without url(), expression() or anything that could close the
+ * attribute. Remote resources are never loaded from styles.
+ */
+const SAFE_CSS_VALUE = /^(?!.*(?:url\s*\(|expression\s*\(|javascript:|@import))[^<>"\\]*$/i;
+
+const ALLOWED_STYLES = {
+  "*": Object.fromEntries(
+    [
+      "color",
+      "background",
+      "background-color",
+      "font",
+      "font-family",
+      "font-size",
+      "font-style",
+      "font-weight",
+      "line-height",
+      "letter-spacing",
+      "text-align",
+      "text-decoration",
+      "text-transform",
+      "vertical-align",
+      "white-space",
+      "word-break",
+      "display",
+      "width",
+      "max-width",
+      "min-width",
+      "height",
+      "max-height",
+      "min-height",
+      "margin",
+      "margin-top",
+      "margin-right",
+      "margin-bottom",
+      "margin-left",
+      "padding",
+      "padding-top",
+      "padding-right",
+      "padding-bottom",
+      "padding-left",
+      "border",
+      "border-top",
+      "border-right",
+      "border-bottom",
+      "border-left",
+      "border-color",
+      "border-style",
+      "border-width",
+      "border-radius",
+      "border-collapse",
+      "border-spacing",
+      "table-layout",
+      "float",
+      "clear",
+      "overflow",
+      "list-style-type",
+    ].map((property) => [property, [SAFE_CSS_VALUE]])
+  ),
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: ALLOWED_ATTRIBUTES,
+  allowedStyles: ALLOWED_STYLES,
+  allowedSchemes: ["http", "https", "mailto", "tel"],
+  // Inline images reference attachments by Content-ID
+  allowedSchemesByTag: { img: ["http", "https", "cid", "data"] },
+  allowProtocolRelative: false,
+  nonTextTags: ["style", "script", "textarea", "option", "noscript", "title", "head"],
+  transformTags: {
+    // Links open outside the viewer and don't leak the page they came from
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: { ...attribs, target: "_blank", rel: "noopener noreferrer" },
+    }),
+  },
+};
+
+/**
+ * Strips everything from email HTML that could run code, submit data or
+ * navigate the page: scripts, event handlers, forms, frames and javascript:
+ * or other unknown URL schemes. Tables, inline styles and images are kept so
+ * newsletters keep their layout.
+ *
+ * @param {string|null} html - HTML body as received
+ * @param {Object} options - Sanitizer options
+ * @param {Function} options.rewriteImage - Called with the attributes of
+ *   every <img>; returns the attributes to keep, or null to drop the image
+ * @returns {string} Sanitized HTML, or an empty string
+ */
+export function sanitizeEmailHtml(html, options = {}) {
+  if (!html) return "";
+
+  const { rewriteImage } = options;
+  if (!rewriteImage) {
+    return sanitizeHtml(html, SANITIZE_OPTIONS);
+  }
+
+  return sanitizeHtml(html, {
+    ...SANITIZE_OPTIONS,
+    transformTags: {
+      ...SANITIZE_OPTIONS.transformTags,
+      img: (tagName, attribs) => ({
+        tagName,
+        attribs: rewriteImage(attribs) || {},
+      }),
+    },
+    // Dropped images are left without attributes and removed here
+    exclusiveFilter: (frame) =>
+      frame.tag === "img" && Object.keys(frame.attribs).length === 0,
+  });
+}
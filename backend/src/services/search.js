@@ -0,0 +1,261 @@
+import { Op } from "sequelize";
+import { User, MailAccount, Email, Folder } from "../models/index.js";
+import {
+  closeConnection,
+  searchUids,
+  buildSearchCriteria,
+  fetchMessageSummaries,
+} from "./imap.js";
+import { connectAccount } from "./account.js";
+import { storeFetchedEmails } from "./email.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Search Service - Searches the live mailbox for mail that hasn't been synced
+ */
+
+/**
+ * Picks the mailbox to search: the requested folder, Gmail's All Mail, or
+ * INBOX.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object|null} folder - Folder chosen by the user
+ * @returns {Promise<string>} Mailbox path
+ */
+async function searchMailboxFor(account, folder) {
+  if (folder) return folder.path;
+
+  if (account.provider === "gmail") {
+    const allMail = await Folder.findOne({
+      where: { accountId: account.id, specialUse: "\\All" },
+    });
+    if (allMail) return allMail.path;
+  }
+
+  return "INBOX";
+}
+
+/**
+ * Looks up which hits are already stored and returns their database IDs.
+ * Gmail messages are matched by X-GM-MSGID since the stored copy may come
+ * from another label.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Array} hits - Parsed emails from the IMAP service
+ * @returns {Promise<Map>} UID to Email ID
+ */
+async function findStoredIds(account, hits) {
+  const gmMsgIds = hits.map((hit) => hit.gmMsgId).filter(Boolean);
+  const rows = await Email.findAll({
+    where: {
+      accountId: account.id,
+      [Op.or]: [
+        { mailbox: hits[0]?.mailbox, uid: hits.map((hit) => hit.uid) },
+        ...(gmMsgIds.length > 0 ? [{ gmMsgId: gmMsgIds }] : []),
+      ],
+    },
+    attributes: ["id", "mailbox", "uid", "gmMsgId"],
+  });
+
+  const ids = new Map();
+  for (const hit of hits) {
+    const row = rows.find(
+      (candidate) =>
+        (hit.gmMsgId && candidate.gmMsgId === hit.gmMsgId) ||
+        (candidate.mailbox === hit.mailbox && Number(candidate.uid) === hit.uid)
+    );
+    ids.set(hit.uid, row ? row.id : null);
+  }
+  return ids;
+}
+
+/**
+ * Shapes a search hit for the API response. `id` is the stored Email ID, or
+ * null when the message hasn't been saved locally.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object} hit - Parsed email from the IMAP service
+ * @param {Map} storedIds - UID to Email ID
+ * @returns {Object} Search result
+ */
+function toSearchResult(account, hit, storedIds) {
+  return {
+    id: storedIds.get(hit.uid),
+    accountId: account.id,
+    mailbox: hit.mailbox,
+    uid: hit.uid,
+    messageId: hit.messageId,
+    from: hit.from,
+    fromName: hit.fromName,
+    fromAddress: hit.fromAddress,
+    subject: hit.subject,
+    date: hit.date,
+    snippet: hit.snippet,
+    size: hit.size,
+    hasAttachments: hit.hasAttachments,
+    seen: hit.seen,
+    flagged: hit.flagged,
+  };
+}
+
+/**
+ * Runs a search against one account's live mailbox.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Object|null} folder - Folder to search, or null for the default
+ * @param {string} query - Search query
+ * @param {number} page - Page number
+ * @param {number} limit - Hits per page
+ * @returns {Promise<Object>} `{ results, totalCount }`
+ */
+async function searchAccount(account, folder, query, page, limit) {
+  const mailbox = await searchMailboxFor(account, folder);
+
+  // Gmail understands its own search syntax; everyone else gets IMAP SEARCH
+  const criteria =
+    account.provider === "gmail"
+      ? [["X-GM-RAW", query]]
+      : buildSearchCriteria(query);
+
+  let connection;
+  try {
+    connection = await connectAccount(account);
+    await connection.openBox(mailbox);
+
+    // Newest first; UIDs grow with arrival time
+    const uids = (await searchUids(connection, criteria)).reverse();
+    const pageUids = uids.slice((page - 1) * limit, page * limit);
+
+    const hits = await fetchMessageSummaries(connection, mailbox, pageUids);
+    hits.sort((a, b) => b.uid - a.uid);
+
+    const storedIds = hits.length > 0 ? await findStoredIds(account, hits) : new Map();
+
+    return {
+      results: hits.map((hit) => toSearchResult(account, hit, storedIds)),
+      totalCount: uids.length,
+    };
+  } finally {
+    closeConnection(connection);
+  }
+}
+
+/**
+ * Searches the user's live mailboxes, including mail that was never synced.
+ * Results aren't stored; use saveRemoteHits to keep the ones the user opens.
+ * With several accounts, each page holds up to `limit` hits per account.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} options - Search options
+ * @param {string} options.query - Gmail-style search query
+ * @param {number} options.accountId - Only search this mail account
+ * @param {number} options.folderId - Search this folder instead of the default
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Hits per page (default: 20)
+ * @returns {Promise<Object>} Object with results array and pagination metadata
+ * @throws {Error} If user, account or folder not found, or the search fails
+ */
+export async function searchRemote(emailAddress, options = {}) {
+  const { query, accountId = null, folderId = null, page = 1, limit = 20 } = options;
+
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  let folder = null;
+  if (folderId) {
+    folder = await Folder.findOne({ where: { id: folderId, userId: user.id } });
+    if (!folder) {
+      throw new Error("Folder not found");
+    }
+  }
+
+  const where = { userId: user.id };
+  if (folder) where.id = folder.accountId;
+  else if (accountId) where.id = accountId;
+
+  const accounts = await MailAccount.findAll({ where });
+  if (accounts.length === 0) {
+    throw new Error("Account not found");
+  }
+
+  let results = [];
+  let totalCount = 0;
+  for (const account of accounts) {
+    const found = await searchAccount(account, folder, query, page, limit);
+    results = results.concat(found.results);
+    totalCount += found.totalCount;
+  }
+  results.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  logger.info("Remote search completed", {
+    email: emailAddress,
+    query,
+    accounts: accounts.length,
+    totalCount,
+  });
+
+  const totalPages = Math.ceil(totalCount / (limit * accounts.length));
+
+  return {
+    results,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Stores remote search hits so they can be opened, threaded and acted on
+ * like synced mail.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} hits - Which messages to store
+ * @param {number} hits.accountId - Mail account the messages belong to
+ * @param {string} hits.mailbox - Mailbox they were found in
+ * @param {Array<number>} hits.uids - Their UIDs
+ * @returns {Promise<Array>} `[{ uid, id }]` mapping each UID to its Email ID
+ * @throws {Error} If user or account not found
+ */
+export async function saveRemoteHits(emailAddress, { accountId, mailbox, uids }) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const account = await MailAccount.findOne({
+    where: { id: accountId, userId: user.id },
+  });
+  if (!account) {
+    throw new Error("Account not found");
+  }
+
+  let connection;
+  let emails;
+  try {
+    connection = await connectAccount(account);
+    await connection.openBox(mailbox);
+    emails = await fetchMessageSummaries(connection, mailbox, uids);
+  } finally {
+    closeConnection(connection);
+  }
+
+  const created = await storeFetchedEmails(account, emails);
+  const storedIds = emails.length > 0 ? await findStoredIds(account, emails) : new Map();
+
+  logger.info("Saved remote search hits", {
+    email: emailAddress,
+    accountId,
+    mailbox,
+    requested: uids.length,
+    created: created.length,
+  });
+
+  return emails.map((email) => ({ uid: email.uid, id: storedIds.get(email.uid) }));
+}
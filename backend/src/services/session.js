@@ -0,0 +1,163 @@
+import crypto from "crypto";
+import { Op } from "sequelize";
+import { User, Session } from "../models/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Session Service - Signs browsers in with an httpOnly session cookie. The
+ * cookie carries a random token plus an HMAC of it; the token's hash is
+ * looked up in the Session table, so sessions can be ended server-side.
+ */
+
+/**
+ * Name of the session cookie.
+ */
+export const SESSION_COOKIE = "sid";
+
+const SESSION_TTL = (parseInt(process.env.SESSION_TTL_DAYS, 10) || 7) * 24 * 3600000;
+
+// lastSeenAt is only written when it's older than this
+const TOUCH_INTERVAL = 300000; // 5 minutes
+
+let sessionSecret = process.env.SESSION_SECRET;
+
+/**
+ * Secret cookies are signed with. Without SESSION_SECRET a random one is
+ * used, so everyone is signed out when the server restarts.
+ */
+function getSessionSecret() {
+  if (!sessionSecret) {
+    logger.warn("SESSION_SECRET is not set; using a temporary secret");
+    sessionSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return sessionSecret;
+}
+
+const sign = (token) =>
+  crypto.createHmac("sha256", getSessionSecret()).update(token).digest("hex");
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Appends an HMAC to a value so it can be handed to the browser.
+ *
+ * @param {string} token - Value without dots, e.g. base64url
+ * @returns {string} "token.signature"
+ */
+export function signValue(token) {
+  return `${token}.${sign(token)}`;
+}
+
+/**
+ * Checks the signature of a signed cookie value and returns its token.
+ *
+ * @param {string} value - Cookie value, "token.signature"
+ * @returns {string|null} Token, or null if the signature doesn't match
+ */
+export function unsignValue(value) {
+  const [token, signature] = (value || "").split(".");
+  if (!token || !signature) return null;
+
+  const expected = Buffer.from(sign(token), "hex");
+  const given = Buffer.from(signature, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+    ? token
+    : null;
+}
+
+/**
+ * Reads one cookie from a Cookie header.
+ *
+ * @param {string} header - The request's Cookie header
+ * @param {string} name - Cookie name
+ * @returns {string|null} Decoded value
+ */
+export function readCookie(header, name) {
+  for (const pair of (header || "").split(";")) {
+    const index = pair.indexOf("=");
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Options for setting and clearing the session cookie.
+ *
+ * @returns {Object} Options for res.cookie / res.clearCookie
+ */
+export function sessionCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: process.env.NODE_ENV === "production",
+    path: "/",
+  };
+}
+
+/**
+ * Starts a session for a user.
+ *
+ * @param {Object} user - User model instance
+ * @param {Object} options - Session options
+ * @param {string} options.userAgent - The browser's User-Agent, for the user's reference
+ * @returns {Promise<Object>} `{ cookie, expiresAt }`: the signed cookie value and its expiry
+ */
+export async function createSession(user, options = {}) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL);
+
+  await Session.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    lastSeenAt: new Date(),
+    userAgent: (options.userAgent || "").substring(0, 255) || null,
+  });
+
+  logger.info("Session started", { userId: user.id });
+  return { cookie: signValue(token), expiresAt };
+}
+
+/**
+ * Finds the session and user a session cookie belongs to.
+ *
+ * @param {string} cookie - Signed cookie value
+ * @returns {Promise<Object|null>} `{ session, user }`, or null if the cookie
+ *   is invalid or the session ended
+ */
+export async function resolveSession(cookie) {
+  const token = unsignValue(cookie);
+  if (!token) return null;
+
+  const session = await Session.findOne({
+    where: { tokenHash: hashToken(token), expiresAt: { [Op.gt]: new Date() } },
+    include: [{ model: User }],
+  });
+  if (!session || !session.User) return null;
+
+  if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > TOUCH_INTERVAL) {
+    await session.update({ lastSeenAt: new Date() });
+  }
+
+  return { session, user: session.User };
+}
+
+/**
+ * Ends the session a cookie belongs to. Unknown cookies are ignored.
+ *
+ * @param {string} cookie - Signed cookie value
+ * @returns {Promise<boolean>} Whether a session was ended
+ */
+export async function destroySession(cookie) {
+  const token = unsignValue(cookie);
+  if (!token) return false;
+
+  const removed = await Session.destroy({ where: { tokenHash: hashToken(token) } });
+  return removed > 0;
+}
@@ -0,0 +1,133 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Storage Service - Local blob storage for message content kept outside the
+ * database (attachments, raw messages). Blobs are addressed by a relative
+ * key such as "attachments/12/3f2a..." under STORAGE_DIR.
+ */
+
+const storageRoot = path.resolve(
+  process.env.STORAGE_DIR || path.join(process.cwd(), "storage")
+);
+
+/**
+ * Resolves a blob key to a path inside the storage root, refusing keys that
+ * would escape it.
+ *
+ * @param {string} key - Blob key
+ * @returns {string} Absolute file path
+ */
+function resolveKey(key) {
+  const filePath = path.resolve(storageRoot, key);
+  if (!filePath.startsWith(storageRoot + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+}
+
+/**
+ * Writes a blob, creating parent directories as needed.
+ *
+ * @param {string} key - Blob key
+ * @param {Buffer|string} data - Content to store
+ * @returns {Promise<void>}
+ */
+export async function writeBlob(key, data) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+}
+
+/**
+ * Checks whether a blob exists.
+ *
+ * @param {string} key - Blob key
+ * @returns {Promise<boolean>}
+ */
+export async function blobExists(key) {
+  try {
+    await fs.promises.access(resolveKey(key));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Reads a whole blob into memory.
+ *
+ * @param {string} key - Blob key
+ * @returns {Promise<Buffer>}
+ */
+export async function readBlob(key) {
+  return fs.promises.readFile(resolveKey(key));
+}
+
+/**
+ * Opens a read stream for a blob.
+ *
+ * @param {string} key - Blob key
+ * @param {Object} options - fs.createReadStream options, e.g. `{ start, end }`
+ * @returns {fs.ReadStream}
+ */
+export function createBlobReadStream(key, options = {}) {
+  return fs.createReadStream(resolveKey(key), options);
+}
+
+/**
+ * Opens a write stream for a blob, creating parent directories as needed.
+ *
+ * @param {string} key - Blob key
+ * @returns {Promise<fs.WriteStream>}
+ */
+export async function createBlobWriteStream(key) {
+  const filePath = resolveKey(key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  return fs.createWriteStream(filePath);
+}
+
+/**
+ * Gets the size of a blob.
+ *
+ * @param {string} key - Blob key
+ * @returns {Promise<number>} Size in bytes
+ */
+export async function blobSize(key) {
+  const { size } = await fs.promises.stat(resolveKey(key));
+  return size;
+}
+
+/**
+ * Renames a blob, replacing any blob already stored under the new key.
+ *
+ * @param {string} fromKey - Current blob key
+ * @param {string} toKey - New blob key
+ * @returns {Promise<void>}
+ */
+export async function moveBlob(fromKey, toKey) {
+  const toPath = resolveKey(toKey);
+  await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+  await fs.promises.rename(resolveKey(fromKey), toPath);
+}
+
+/**
+ * Deletes a blob. Missing blobs are ignored.
+ *
+ * @param {string} key - Blob key
+ * @returns {Promise<void>}
+ */
+export async function deleteBlob(key) {
+  await fs.promises.rm(resolveKey(key), { force: true });
+}
+
+/**
+ * Deletes every blob under a key prefix, e.g. "attachments/12" for all of a
+ * user's attachments. Missing prefixes are ignored.
+ *
+ * @param {string} prefix - Key prefix (a directory)
+ * @returns {Promise<void>}
+ */
+export async function deleteBlobPrefix(prefix) {
+  await fs.promises.rm(resolveKey(prefix), { recursive: true, force: true });
+}
@@ -0,0 +1,169 @@
+import { Op } from "sequelize";
+import { User, MailAccount, Job } from "../models/index.js";
+import { fetchUserEmails } from "./email.js";
+import { registerJobHandler, enqueueJob, purgeFinishedJobs } from "./queue.js";
+import { reconsentError } from "./tokens.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Sync Service - Runs mailbox syncs as background jobs, on request and on a
+ * schedule that syncs every user's accounts each SYNC_INTERVAL_MINUTES
+ */
+
+/**
+ * Job type of mailbox syncs.
+ */
+export const SYNC_JOB = "sync";
+
+// 0 turns the schedule off; syncs then only run on request
+const SYNC_INTERVAL =
+  parseInt(process.env.SYNC_INTERVAL_MINUTES ?? "15", 10) * 60000 || 0;
+const SYNC_CONCURRENCY = parseInt(process.env.SYNC_CONCURRENCY, 10) || 2;
+const SCHEDULE_CHECK_INTERVAL = 60000; // 1 minute
+const FINISHED_JOB_MAX_AGE = 7 * 24 * 3600000; // 7 days
+
+let scheduleTimer = null;
+
+/**
+ * Runs a sync job: fetches new mail for every account of the job's user.
+ *
+ * @param {Object} job - Claimed Job instance
+ * @param {Function} reportProgress - Saves the job's progress
+ * @returns {Promise<Object>} `{ count, removed, moved }`: newly stored
+ *   emails, and stored emails removed or moved because they changed on the
+ *   server
+ * @throws {Error} If the user is gone or no account could be synced
+ */
+export async function runSyncJob(job, reportProgress) {
+  const user = await User.findByPk(job.userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const { emails, removed, moved } = await fetchUserEmails(user.email, {
+    onProgress: reportProgress,
+  });
+  return { count: emails.length, removed, moved };
+}
+
+/**
+ * Queues a sync of all of a user's accounts. A sync that is already queued
+ * or running for the user is returned instead of queuing another one.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @returns {Promise<Object>} Job instance
+ * @throws {Error} If user not found, the user has no mail accounts, or all of
+ *   them need re-consent (code RECONSENT_REQUIRED)
+ */
+export async function enqueueSync(emailAddress) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const accounts = await MailAccount.count({ where: { userId: user.id } });
+  if (accounts === 0) {
+    throw new Error("No mail accounts connected; re-authentication required");
+  }
+
+  // Don't queue a sync that can't sign in to any account
+  const usable = await MailAccount.count({ where: { userId: user.id, needsReconsent: false } });
+  if (usable === 0) {
+    throw reconsentError(user.email);
+  }
+
+  const pending = await Job.findOne({
+    where: { type: SYNC_JOB, userId: user.id, status: ["queued", "running"] },
+    order: [["createdAt", "DESC"]],
+  });
+  if (pending) return pending;
+
+  return enqueueJob(SYNC_JOB, { userId: user.id });
+}
+
+/**
+ * Gets one of a user's sync jobs, for status and progress reporting.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} jobId - The job's ID
+ * @returns {Promise<Object>} Job instance
+ * @throws {Error} If user or job not found
+ */
+export async function getSyncJob(emailAddress, jobId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const job = await Job.findOne({
+    where: { id: jobId, userId: user.id, type: SYNC_JOB },
+    attributes: { exclude: ["payload", "lockedAt"] },
+  });
+  if (!job) {
+    throw new Error("Sync job not found");
+  }
+  return job;
+}
+
+/**
+ * Queues a sync for every user with usable mail accounts whose last sync
+ * was queued more than SYNC_INTERVAL_MINUTES ago. Accounts waiting for the
+ * user to re-consent are left out. Scheduled syncs aren't retried; the next
+ * scheduled one takes their place.
+ *
+ * @returns {Promise<number>} Number of syncs queued
+ */
+export async function scheduleSyncs() {
+  const accounts = await MailAccount.findAll({
+    where: { needsReconsent: false },
+    attributes: ["userId"],
+    group: ["userId"],
+  });
+  const recent = await Job.findAll({
+    where: {
+      type: SYNC_JOB,
+      [Op.or]: [
+        { status: ["queued", "running"] },
+        { createdAt: { [Op.gte]: new Date(Date.now() - SYNC_INTERVAL) } },
+      ],
+    },
+    attributes: ["userId"],
+    group: ["userId"],
+  });
+
+  const upToDate = new Set(recent.map((job) => job.userId));
+  const due = accounts.map((account) => account.userId).filter((id) => !upToDate.has(id));
+
+  for (const userId of due) {
+    await enqueueJob(SYNC_JOB, { userId, payload: { scheduled: true }, maxAttempts: 1 });
+  }
+
+  if (due.length > 0) {
+    logger.info("Scheduled mailbox syncs", { count: due.length });
+  }
+  return due.length;
+}
+
+/**
+ * Registers the sync job handler and starts the periodic schedule, unless
+ * SYNC_INTERVAL_MINUTES is 0. Old finished jobs are purged on the way.
+ */
+export function startSyncScheduler() {
+  registerJobHandler(SYNC_JOB, runSyncJob, { concurrency: SYNC_CONCURRENCY });
+
+  if (!SYNC_INTERVAL || scheduleTimer) return;
+
+  const check = async () => {
+    try {
+      await scheduleSyncs();
+      await purgeFinishedJobs(FINISHED_JOB_MAX_AGE);
+    } catch (error) {
+      logger.error("Sync schedule check failed", { error: error.message });
+    }
+  };
+
+  scheduleTimer = setInterval(check, SCHEDULE_CHECK_INTERVAL);
+  check();
+
+  logger.info("Sync schedule started", { intervalMinutes: SYNC_INTERVAL / 60000 });
+}
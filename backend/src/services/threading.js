@@ -0,0 +1,436 @@
+import { Op } from "sequelize";
+import { User, Email, Thread, Folder } from "../models/index.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Threading Service - Groups stored emails into conversations
+ */
+
+/**
+ * Email columns needed to thread a message.
+ */
+const THREAD_ATTRIBUTES = [
+  "id",
+  "messageId",
+  "inReplyTo",
+  "referenceIds",
+  "gmThrId",
+  "threadId",
+];
+
+/**
+ * Messages without a Message-ID header are stored under their UID, which
+ * can't be referenced by other messages.
+ */
+const isMessageId = (value) => /^<[^<>\s]+>$/.test(value || "");
+
+/**
+ * Groups messages into threads with the container algorithm described by
+ * Jamie Zawinski (https://www.jwz.org/doc/threading.html). The References
+ * chain of every message is linked parent-to-child, In-Reply-To is used when
+ * References is missing, and every tree under a root becomes one thread.
+ *
+ * The subject-gathering step is left out: it merges unrelated messages that
+ * happen to share a subject like "Invoice" or "Hello".
+ *
+ * @param {Array} messages - `[{ key, messageId, inReplyTo, referenceIds }]`
+ *   where referenceIds is an array of message IDs
+ * @returns {Array<Array>} Thread groups, each an array of message keys
+ */
+export function buildThreads(messages) {
+  const containers = new Map();
+  const standalone = [];
+
+  const getContainer = (id) => {
+    if (!containers.has(id)) {
+      containers.set(id, { message: null, parent: null, children: new Set() });
+    }
+    return containers.get(id);
+  };
+
+  // Whether `ancestor` is `node` or one of its ancestors
+  const isAncestor = (ancestor, node) => {
+    for (let current = node; current; current = current.parent) {
+      if (current === ancestor) return true;
+    }
+    return false;
+  };
+
+  const setParent = (child, parent) => {
+    if (child.parent) child.parent.children.delete(child);
+    child.parent = parent;
+    if (parent) parent.children.add(child);
+  };
+
+  for (const message of messages) {
+    let container;
+    if (isMessageId(message.messageId) && !getContainer(message.messageId).message) {
+      container = getContainer(message.messageId);
+    } else {
+      // No usable Message-ID, or a duplicate one: thread it on its own
+      container = { message: null, parent: null, children: new Set() };
+      standalone.push(container);
+    }
+    container.message = message;
+
+    const references = (message.referenceIds || []).filter(isMessageId);
+    if (
+      isMessageId(message.inReplyTo) &&
+      references[references.length - 1] !== message.inReplyTo
+    ) {
+      references.push(message.inReplyTo);
+    }
+
+    // Link the References chain, without overriding links made earlier
+    let previous = null;
+    for (const reference of references) {
+      const current = getContainer(reference);
+      if (
+        previous &&
+        !current.parent &&
+        !isAncestor(current, previous)
+      ) {
+        setParent(current, previous);
+      }
+      previous = current;
+    }
+
+    // The last reference is this message's parent, whatever was linked before
+    if (previous && !isAncestor(container, previous)) {
+      setParent(container, previous);
+    } else if (!previous && container.parent) {
+      setParent(container, null);
+    }
+  }
+
+  const collect = (container, keys) => {
+    if (container.message) keys.push(container.message.key);
+    for (const child of container.children) collect(child, keys);
+    return keys;
+  };
+
+  return [...containers.values(), ...standalone]
+    .filter((container) => !container.parent)
+    .map((root) => collect(root, []))
+    .filter((keys) => keys.length > 0);
+}
+
+/**
+ * Recomputes the subject, last activity and message count of threads, and
+ * removes threads that no longer have any emails.
+ *
+ * @param {Iterable<number>} threadIds - Threads to refresh
+ * @returns {Promise<void>}
+ */
+export async function refreshThreads(threadIds) {
+  for (const threadId of new Set(threadIds)) {
+    if (!threadId) continue;
+
+    const emails = await Email.findAll({
+      where: { threadId },
+      attributes: ["subject", "date"],
+      order: [["date", "ASC"]],
+    });
+
+    if (emails.length === 0) {
+      await Thread.destroy({ where: { id: threadId } });
+      continue;
+    }
+
+    await Thread.update(
+      {
+        subject: emails[0].subject,
+        lastMessageAt: emails[emails.length - 1].date,
+        messageCount: emails.length,
+      },
+      { where: { id: threadId } }
+    );
+  }
+}
+
+/**
+ * Puts Gmail emails into the thread named by their X-GM-THRID.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Array} emails - Newly stored Email instances
+ * @returns {Promise<Set<number>>} IDs of the threads that changed
+ */
+async function assignGmailThreads(account, emails) {
+  const touched = new Set();
+  const byThread = new Map();
+  for (const email of emails) {
+    if (!byThread.has(email.gmThrId)) byThread.set(email.gmThrId, []);
+    byThread.get(email.gmThrId).push(email);
+  }
+
+  for (const [gmThrId, members] of byThread) {
+    const [thread] = await Thread.findOrCreate({
+      where: { accountId: account.id, gmThrId },
+      defaults: { userId: account.userId, subject: members[0].subject },
+    });
+
+    await Email.update(
+      { threadId: thread.id },
+      { where: { id: members.map((email) => email.id) } }
+    );
+    touched.add(thread.id);
+  }
+
+  return touched;
+}
+
+/**
+ * Threads emails by their headers. Only the neighbourhood of the new emails
+ * is rethreaded: the messages they reference, the messages that reference
+ * them, and every email already in the threads of those.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Array} emails - Newly stored Email instances
+ * @returns {Promise<Set<number>>} IDs of the threads that changed
+ */
+async function assignHeaderThreads(account, emails) {
+  const touched = new Set();
+
+  const ownIds = emails.map((email) => email.messageId).filter(isMessageId);
+  const referencedIds = emails.flatMap((email) => [
+    ...(email.referenceIds ? email.referenceIds.split(" ") : []),
+    ...(email.inReplyTo ? [email.inReplyTo] : []),
+  ]);
+
+  const related = await Email.findAll({
+    where: {
+      accountId: account.id,
+      [Op.or]: [
+        { messageId: [...ownIds, ...referencedIds] },
+        { inReplyTo: ownIds },
+        ...ownIds.map((id) => ({ referenceIds: { [Op.like]: `%${id}%` } })),
+      ],
+    },
+    attributes: THREAD_ATTRIBUTES,
+  });
+
+  const existingThreadIds = [
+    ...new Set(related.map((email) => email.threadId).filter(Boolean)),
+  ];
+  const threadMembers = existingThreadIds.length
+    ? await Email.findAll({
+        where: { threadId: existingThreadIds },
+        attributes: THREAD_ATTRIBUTES,
+      })
+    : [];
+
+  const candidates = new Map();
+  for (const email of [...threadMembers, ...related, ...emails]) {
+    candidates.set(email.id, email);
+  }
+
+  const groups = buildThreads(
+    [...candidates.values()].map((email) => ({
+      key: email.id,
+      messageId: email.messageId,
+      inReplyTo: email.inReplyTo,
+      referenceIds: email.referenceIds ? email.referenceIds.split(" ") : [],
+    }))
+  );
+
+  for (const keys of groups) {
+    const members = keys.map((key) => candidates.get(key));
+    const currentIds = members.map((email) => email.threadId).filter(Boolean);
+
+    // Keep the oldest existing thread so thread IDs stay stable
+    let threadId = currentIds.length > 0 ? Math.min(...currentIds) : null;
+    if (!threadId) {
+      const thread = await Thread.create({
+        userId: account.userId,
+        accountId: account.id,
+      });
+      threadId = thread.id;
+    }
+
+    const moving = members.filter((email) => email.threadId !== threadId);
+    if (moving.length > 0) {
+      await Email.update(
+        { threadId },
+        { where: { id: moving.map((email) => email.id) } }
+      );
+    }
+
+    touched.add(threadId);
+    currentIds.forEach((id) => touched.add(id));
+  }
+
+  return touched;
+}
+
+/**
+ * Assigns newly stored emails to threads: by X-GM-THRID on Gmail and with
+ * JWZ threading on everything else. Thread summaries are refreshed.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @param {Array} emails - Newly stored Email instances
+ * @returns {Promise<void>}
+ */
+export async function assignThreads(account, emails) {
+  if (emails.length === 0) return;
+
+  const gmail = emails.filter((email) => email.gmThrId);
+  const others = emails.filter((email) => !email.gmThrId);
+
+  const touched = new Set([
+    ...(gmail.length > 0 ? await assignGmailThreads(account, gmail) : []),
+    ...(others.length > 0 ? await assignHeaderThreads(account, others) : []),
+  ]);
+
+  await refreshThreads(touched);
+
+  logger.info("Threaded emails", {
+    accountId: account.id,
+    emails: emails.length,
+    threads: touched.size,
+  });
+}
+
+/**
+ * Distinct senders of a thread's messages, in order of first appearance.
+ *
+ * @param {Array} messages - Email instances
+ * @returns {Array<Object>} `[{ name, address }]`
+ */
+function participantsOf(messages) {
+  const participants = new Map();
+  for (const email of messages) {
+    const address = email.fromAddress || email.from;
+    if (!participants.has(address)) {
+      participants.set(address, { name: email.fromName, address });
+    }
+  }
+  return [...participants.values()];
+}
+
+/**
+ * Lists the user's threads, most recent activity first. Each thread comes
+ * with the participants, unread count and snippet of its latest message.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Threads per page (default: 20)
+ * @param {number} options.folderId - Only threads with an email in this folder/label
+ * @param {number} options.accountId - Only threads of this mail account
+ * @returns {Promise<Object>} Object with threads array and pagination metadata
+ * @throws {Error} If user not found
+ */
+export async function getUserThreads(emailAddress, options = {}) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const { page = 1, limit = 20, folderId = null, accountId = null } = options;
+  const where = accountId
+    ? { userId: user.id, accountId }
+    : { userId: user.id };
+
+  if (folderId) {
+    const inFolder = await Email.findAll({
+      where: { userId: user.id, threadId: { [Op.ne]: null } },
+      attributes: ["threadId"],
+      include: [
+        {
+          model: Folder,
+          as: "labels",
+          where: { id: folderId, userId: user.id },
+          attributes: [],
+          through: { attributes: [] },
+        },
+      ],
+      raw: true,
+    });
+    where.id = [...new Set(inFolder.map((row) => row.threadId))];
+  }
+
+  const { count, rows } = await Thread.findAndCountAll({
+    where,
+    order: [
+      ["lastMessageAt", "DESC"],
+      ["id", "DESC"],
+    ],
+    limit: parseInt(limit),
+    offset: (page - 1) * limit,
+  });
+
+  const emails = rows.length
+    ? await Email.findAll({
+        where: { threadId: rows.map((thread) => thread.id) },
+        attributes: [
+          "id",
+          "threadId",
+          "from",
+          "fromName",
+          "fromAddress",
+          "snippet",
+          "date",
+          "seen",
+          "flagged",
+        ],
+        order: [["date", "ASC"]],
+      })
+    : [];
+
+  const threads = rows.map((thread) => {
+    const messages = emails.filter((email) => email.threadId === thread.id);
+    const latest = messages[messages.length - 1];
+
+    return {
+      ...thread.toJSON(),
+      participants: participantsOf(messages),
+      unreadCount: messages.filter((email) => !email.seen).length,
+      flagged: messages.some((email) => email.flagged),
+      snippet: latest?.snippet || "",
+    };
+  });
+
+  const totalPages = Math.ceil(count / limit);
+
+  return {
+    threads,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalCount: count,
+      limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+}
+
+/**
+ * Gets a thread with all of its emails, oldest first. Bodies are left out;
+ * they're loaded per email when opened.
+ *
+ * @param {string} emailAddress - The user's email address
+ * @param {number} threadId - The thread's database ID
+ * @returns {Promise<Object>} Thread with an `emails` array
+ * @throws {Error} If user or thread not found
+ */
+export async function getThread(emailAddress, threadId) {
+  const user = await User.findOne({ where: { email: emailAddress } });
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const thread = await Thread.findOne({
+    where: { id: threadId, userId: user.id },
+  });
+  if (!thread) {
+    throw new Error("Thread not found");
+  }
+
+  const emails = await Email.findAll({
+    where: { threadId: thread.id },
+    order: [["date", "ASC"]],
+  });
+
+  return { ...thread.toJSON(), emails };
+}
@@ -0,0 +1,148 @@
+import { createOAuthClient } from "../config/oauth.js";
+import logger from "../utils/logger.js";
+
+/**
+ * Token Service - Manages the Google access tokens of Gmail accounts. Each
+ * account gets its own OAuth2 client, so concurrent requests of different
+ * users never share credentials. Stored tokens are used until they are
+ * about to expire, and concurrent refreshes of one account share a single
+ * request to Google.
+ */
+
+/**
+ * Error code of accounts whose Google grant was revoked or expired; the
+ * user has to sign in with Google again to consent.
+ */
+export const RECONSENT_REQUIRED = "RECONSENT_REQUIRED";
+
+// Refresh tokens this long before they expire
+const EXPIRY_MARGIN = 300000; // 5 minutes
+
+// account ID -> OAuth2 client
+const clients = new Map();
+// account ID -> Promise of the access token being refreshed
+const refreshes = new Map();
+
+/**
+ * Builds the error reported for accounts that need re-consent.
+ *
+ * @param {string} emailAddress - The Google account's address
+ * @returns {Error} Error with code RECONSENT_REQUIRED
+ */
+export function reconsentError(emailAddress) {
+  const error = new Error(
+    `Google access for ${emailAddress} was revoked or has expired; re-authentication required`
+  );
+  error.code = RECONSENT_REQUIRED;
+  return error;
+}
+
+/**
+ * Whether a token request failed because the refresh token is no longer
+ * valid.
+ */
+function isInvalidGrant(error) {
+  return error.response?.data?.error === "invalid_grant" || error.message === "invalid_grant";
+}
+
+/**
+ * Gets the OAuth2 client of an account, creating it on first use.
+ *
+ * @param {number} accountId - The account's ID
+ * @returns {Object} google.auth.OAuth2 client
+ */
+function getClient(accountId) {
+  let client = clients.get(accountId);
+  if (!client) {
+    client = createOAuthClient();
+    clients.set(accountId, client);
+  }
+  return client;
+}
+
+/**
+ * Drops the OAuth2 client of an account, e.g. when it is removed.
+ *
+ * @param {number} accountId - The account's ID
+ */
+export function releaseClient(accountId) {
+  clients.delete(accountId);
+}
+
+/**
+ * Refreshes an account's access token and stores it with its expiry. An
+ * invalid_grant answer marks the account as needing re-consent.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @returns {Promise<string>} Fresh access token
+ * @throws {Error} With code RECONSENT_REQUIRED if Google rejects the refresh token
+ */
+async function refreshToken(account) {
+  const client = getClient(account.id);
+  client.setCredentials({ refresh_token: account.refreshToken });
+
+  logger.info("Refreshing access token", { account: account.email });
+
+  let token;
+  try {
+    ({ token } = await client.getAccessToken());
+  } catch (error) {
+    if (isInvalidGrant(error)) {
+      logger.warn("Google grant revoked; account needs re-consent", { account: account.email });
+      releaseClient(account.id);
+      await account.update({ needsReconsent: true, accessToken: null, tokenExpiresAt: null });
+      throw reconsentError(account.email);
+    }
+
+    logger.error("Token refresh error", { account: account.email, error: error.message });
+    throw new Error(`Failed to refresh access token: ${error.message}`);
+  }
+
+  if (!token) {
+    throw new Error("Failed to refresh access token: Unable to obtain access token");
+  }
+
+  const { expiry_date: expiryDate, refresh_token: newRefreshToken } = client.credentials;
+  await account.update({
+    accessToken: token,
+    tokenExpiresAt: expiryDate ? new Date(expiryDate) : null,
+    // Google may hand out a new refresh token along with the access token
+    ...(newRefreshToken &&
+      newRefreshToken !== account.refreshToken && { refreshToken: newRefreshToken }),
+  });
+
+  logger.info("Token refreshed successfully", { account: account.email });
+  return token;
+}
+
+/**
+ * Gets a usable Google access token for a Gmail account. The stored token
+ * is returned while it has more than a few minutes left; otherwise it is
+ * refreshed, sharing the refresh with any other caller waiting on it.
+ *
+ * @param {Object} account - MailAccount model instance
+ * @returns {Promise<string>} Access token
+ * @throws {Error} If the account needs re-consent (code RECONSENT_REQUIRED),
+ *   has no refresh token, or the refresh fails
+ */
+export async function getGoogleAccessToken(account) {
+  if (account.needsReconsent) {
+    throw reconsentError(account.email);
+  }
+
+  const expiresAt = account.tokenExpiresAt ? new Date(account.tokenExpiresAt).getTime() : 0;
+  if (account.accessToken && expiresAt - Date.now() > EXPIRY_MARGIN) {
+    return account.accessToken;
+  }
+
+  if (!account.refreshToken) {
+    throw new Error("No refresh token available; re-authentication required");
+  }
+
+  let refresh = refreshes.get(account.id);
+  if (!refresh) {
+    refresh = refreshToken(account).finally(() => refreshes.delete(account.id));
+    refreshes.set(account.id, refresh);
+  }
+  return refresh;
+}
@@ -1,11 +1,12 @@
 import { BrowserRouter, Routes, Route } from "react-router-dom";
 import Home from "./pages/Home";
 import Dashboard from "./pages/Dashboard";
+import Accounts from "./pages/Accounts";
 
 /**
  * Root component for the frontend application. Defines the routing structure
- * using React Router and provides two routes: the home page and the
- * dashboard page.
+ * using React Router and provides three routes: the home page, the
+ * dashboard page and the mail accounts page.
  */
 function App() {
   return (
@@ -13,6 +14,7 @@ function App() {
       <Routes>
         <Route path="/" element={<Home />} />
         <Route path="/dashboard" element={<Dashboard />} />
+        <Route path="/accounts" element={<Accounts />} />
       </Routes>
     </BrowserRouter>
   );
@@ -0,0 +1,53 @@
+import { useEffect, useState } from "react";
+import {
+  getAttachments,
+  getAttachmentUrl,
+  formatFileSize,
+} from "../services/emailService";
+
+/**
+ * Lists the attachments of an email with download links. Inline parts that
+ * are only referenced from the HTML body (e.g. logos) are left out.
+ */
+export default function AttachmentList({ emailId }) {
+  const [attachments, setAttachments] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getAttachments(emailId)
+      .then((list) => setAttachments(list || []))
+      .catch((error) => setError(error.message || "Failed to load attachments"));
+  }, [emailId]);
+
+  if (error) {
+    return <span className="text-red-600">{error}</span>;
+  }
+
+  if (!attachments) {
+    return <span className="text-gray-500">Loading attachments...</span>;
+  }
+
+  const files = attachments.filter((a) => a.filename || !a.contentId);
+
+  return (
+    <ul className="space-y-1">
+      {files.map((a) => (
+        <li key={a.id}>
+          <a
+            href={getAttachmentUrl(emailId, a.id)}
+            onClick={(e) => e.stopPropagation()}
+            className="flex items-center text-blue-600 hover:underline"
+          >
+            <svg className="w-4 h-4 mr-1 flex-shrink-0" fill="currentColor" viewBox="0 0 20 20">
+              <path fillRule="evenodd" d="M8 4a3 3 0 00-3 3v4a5 5 0 0010 0V7a1 1 0 112 0v4a7 7 0 11-14 0V7a5 5 0 0110 0v4a3 3 0 11-6 0V7a1 1 0 012 0v4a1 1 0 102 0V7a3 3 0 00-3-3z" clipRule="evenodd" />
+            </svg>
+            <span className="truncate">{a.filename || "Untitled attachment"}</span>
+            <span className="ml-2 text-xs text-gray-500 flex-shrink-0">
+              {formatFileSize(a.size)}
+            </span>
+          </a>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,236 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  sendEmail,
+  replyToEmail,
+  forwardEmail,
+  createDraft,
+  updateDraft,
+  deleteDraft,
+  readAttachmentFile,
+  parseAddressList,
+  formatFileSize,
+} from "../services/emailService";
+
+const TITLES = {
+  new: "New message",
+  reply: "Reply",
+  replyAll: "Reply all",
+  forward: "Forward",
+};
+
+/**
+ * How long typing has to pause before the draft is saved.
+ */
+const AUTOSAVE_DELAY = 2000;
+
+/**
+ * Form for writing a new message, a reply or a forward. Replies go to the
+ * sender (and the other recipients for "reply all") with the original quoted
+ * by the server; forwards include the original's attachments.
+ *
+ * What's typed is saved as a draft (also in the mailbox's Drafts folder) and
+ * the draft is removed once the message is sent. Reply drafts keep only the
+ * text and forwards keep the subject of the original. Pass `draft` to
+ * continue an existing draft.
+ */
+export default function ComposeForm({ mode, original, draft, onSent, onCancel }) {
+  const [to, setTo] = useState((draft?.to || []).join(", "));
+  const [cc, setCc] = useState((draft?.cc || []).join(", "));
+  const [subject, setSubject] = useState(draft?.subject || "");
+  const [text, setText] = useState(draft?.text || "");
+  const [files, setFiles] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [draftStatus, setDraftStatus] = useState(draft ? "Draft" : null);
+  const draftId = useRef(draft?.id || null);
+  const edited = useRef(false);
+
+  const isReply = mode === "reply" || mode === "replyAll";
+
+  // Save the draft once typing pauses
+  useEffect(() => {
+    if (!edited.current) return;
+
+    const timeoutId = setTimeout(async () => {
+      const changes = { text };
+      if (!isReply) {
+        changes.to = parseAddressList(to);
+        changes.cc = parseAddressList(cc);
+      }
+      if (mode === "new") changes.subject = subject;
+
+      try {
+        setDraftStatus("Saving...");
+        const saved = draftId.current
+          ? await updateDraft(draftId.current, changes)
+          : await createDraft({ kind: mode, emailId: original?.id, ...changes });
+        draftId.current = saved.id;
+        setDraftStatus(saved.syncError ? "Draft saved here only" : "Draft saved");
+      } catch (error) {
+        setDraftStatus("Draft not saved");
+      }
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeoutId);
+  }, [to, cc, subject, text]);
+
+  const edit = (setter) => (event) => {
+    edited.current = true;
+    setter(event.target.value);
+  };
+
+  const handleDiscard = async () => {
+    edited.current = false;
+    if (draftId.current) {
+      try {
+        await deleteDraft(draftId.current);
+      } catch (error) {
+        setError(error.message || "Failed to discard draft");
+        return;
+      }
+    }
+    onCancel?.();
+  };
+
+  const handleFiles = async (event) => {
+    try {
+      const picked = await Promise.all([...event.target.files].map(readAttachmentFile));
+      setFiles((current) => [...current, ...picked]);
+    } catch (error) {
+      setError(error.message);
+    }
+    event.target.value = "";
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setSending(true);
+    setError(null);
+    edited.current = false;
+
+    const message = {
+      cc: parseAddressList(cc),
+      text,
+      attachments: files,
+    };
+
+    try {
+      let result;
+      if (isReply) {
+        result = await replyToEmail(original.id, { ...message, replyAll: mode === "replyAll" });
+      } else if (mode === "forward") {
+        result = await forwardEmail(original.id, { ...message, to: parseAddressList(to) });
+      } else {
+        result = await sendEmail({
+          ...message,
+          to: parseAddressList(to),
+          subject,
+          // Drafts started as replies in another client keep their thread
+          inReplyTo: draft?.inReplyTo || undefined,
+          references: draft?.references || undefined,
+        });
+      }
+      if (draftId.current) {
+        await deleteDraft(draftId.current).catch(() => {});
+      }
+      onSent?.(result);
+    } catch (error) {
+      setError(error.message || "Failed to send email");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      onClick={(event) => event.stopPropagation()}
+      className="mt-3 p-4 space-y-2 bg-white border border-gray-200 rounded-lg text-sm"
+    >
+      <p className="font-medium text-gray-700">
+        {TITLES[mode]}
+        {original && `: ${original.subject || "(No Subject)"}`}
+        {draftStatus && <span className="ml-2 text-xs font-normal text-gray-500">{draftStatus}</span>}
+      </p>
+      {!isReply && (
+        <input
+          type="text"
+          value={to}
+          onChange={edit(setTo)}
+          placeholder="To (comma separated)"
+          required
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+        />
+      )}
+      <input
+        type="text"
+        value={cc}
+        onChange={edit(setCc)}
+        placeholder="Cc"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+      />
+      {mode === "new" && (
+        <input
+          type="text"
+          value={subject}
+          onChange={edit(setSubject)}
+          placeholder="Subject"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+        />
+      )}
+      <textarea
+        value={text}
+        onChange={edit(setText)}
+        rows={6}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+      />
+      {files.length > 0 && (
+        <ul className="space-y-1 text-gray-600">
+          {files.map((file, index) => (
+            <li key={index} className="flex items-center gap-2">
+              <span className="truncate">{file.filename}</span>
+              <span className="text-xs text-gray-500">
+                {formatFileSize(Math.floor((file.content.length * 3) / 4))}
+              </span>
+              <button
+                type="button"
+                onClick={() => setFiles((current) => current.filter((_, i) => i !== index))}
+                className="text-xs text-red-600 hover:text-red-700"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {error && <p className="text-red-600">{error}</p>}
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          disabled={sending}
+          className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg disabled:opacity-50"
+        >
+          {sending ? "Sending..." : "Send"}
+        </button>
+        <label className="px-4 py-2 text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg cursor-pointer">
+          Attach
+          <input type="file" multiple onChange={handleFiles} className="hidden" />
+        </label>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg"
+        >
+          Close
+        </button>
+        <button
+          type="button"
+          onClick={handleDiscard}
+          className="px-4 py-2 text-red-600 hover:bg-red-50 rounded-lg"
+        >
+          Discard
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,61 @@
+import { useEffect, useState } from "react";
+import { getDrafts, formatEmailDate } from "../services/emailService";
+
+/**
+ * Lists the user's drafts, including those started in other mail clients.
+ * The list is synced with the Drafts mailboxes when it's opened.
+ */
+export default function DraftList({ onOpen, onClose }) {
+  const [drafts, setDrafts] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getDrafts(true)
+      .then((list) => setDrafts(list || []))
+      .catch((error) => setError(error.message || "Failed to load drafts"));
+  }, []);
+
+  return (
+    <div className="card p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-900">Drafts</h2>
+        <button onClick={onClose} className="text-sm text-blue-600 hover:text-blue-700">
+          Close
+        </button>
+      </div>
+      {error ? (
+        <p className="text-red-600">{error}</p>
+      ) : !drafts ? (
+        <p className="text-gray-500">Loading drafts...</p>
+      ) : drafts.length === 0 ? (
+        <p className="text-gray-500">No drafts.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {drafts.map((draft) => (
+            <li key={draft.id}>
+              <button
+                onClick={() => onOpen(draft)}
+                className="w-full py-2 text-left hover:bg-gray-50"
+              >
+                <div className="flex items-center justify-between text-sm">
+                  <span className="font-medium text-gray-900 truncate">
+                    {draft.subject || "(No Subject)"}
+                  </span>
+                  <span className="ml-2 text-xs text-gray-500 flex-shrink-0">
+                    {formatEmailDate(draft.updatedAt)}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 truncate">
+                  {(draft.to || []).join(", ") || "No recipients"}
+                  {draft.syncError && (
+                    <span className="ml-2 text-yellow-700">Not in the Drafts folder yet</span>
+                  )}
+                </p>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
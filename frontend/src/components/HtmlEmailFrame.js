@@ -0,0 +1,61 @@
+import { useRef, useState } from "react";
+import { API_BASE_URL } from "../services/api";
+
+/**
+ * Content-Security-Policy of the message document. Nothing may run or be
+ * submitted, and images only load from the backend (attachments and the
+ * image proxy), so a sender's server is never contacted directly.
+ */
+const FRAME_CSP = [
+  "default-src 'none'",
+  `img-src ${API_BASE_URL} data:`,
+  "style-src 'unsafe-inline'",
+  "form-action 'none'",
+].join("; ");
+
+/**
+ * Wraps the message body in a document of its own with the CSP applied.
+ */
+function buildDocument(html) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="${FRAME_CSP}">
+<base target="_blank">
+<style>body { margin: 0; font-family: sans-serif; font-size: 14px; color: #374151; word-wrap: break-word; } img { max-width: 100%; height: auto; }</style>
+</head>
+<body>${html}</body>
+</html>`;
+}
+
+/**
+ * Renders the (already sanitized) HTML body of an email in a sandboxed
+ * iframe, so its styles can't leak into the app and nothing in it can run.
+ * Scripts stay disabled; allow-same-origin is only there so the frame can be
+ * sized to its content.
+ */
+export default function HtmlEmailFrame({ html, title = "Email content" }) {
+  const frameRef = useRef(null);
+  const [height, setHeight] = useState(150);
+
+  const handleLoad = () => {
+    const document = frameRef.current?.contentDocument;
+    if (document) {
+      setHeight(document.documentElement.scrollHeight);
+    }
+  };
+
+  return (
+    <iframe
+      ref={frameRef}
+      title={title}
+      sandbox="allow-same-origin allow-popups allow-popups-to-escape-sandbox"
+      referrerPolicy="no-referrer"
+      srcDoc={buildDocument(html)}
+      onLoad={handleLoad}
+      className="w-full border-0 bg-white"
+      style={{ height }}
+    />
+  );
+}
@@ -0,0 +1,87 @@
+import { useEffect, useState } from "react";
+import { importMailFile, getImport } from "../services/emailService";
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Uploads an mbox or .eml file and follows the import until it's done.
+ * Calls onImported once the imported emails are stored.
+ */
+export default function ImportForm({ onImported }) {
+  const [mailImport, setMailImport] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const running = mailImport && ["pending", "running"].includes(mailImport.status);
+
+  useEffect(() => {
+    if (!running) return;
+
+    const timer = setTimeout(() => {
+      getImport(mailImport.id)
+        .then((updated) => {
+          setMailImport(updated);
+          if (updated.status === "completed") onImported();
+        })
+        .catch((error) => setError(error.message || "Failed to check the import"));
+    }, POLL_INTERVAL_MS);
+    return () => clearTimeout(timer);
+  }, [mailImport, running, onImported]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setError(null);
+    setUploading(true);
+    try {
+      setMailImport(await importMailFile(file));
+    } catch (error) {
+      setError(error.message || "Failed to upload the file");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const percent = mailImport?.totalBytes
+    ? Math.floor((mailImport.processedBytes / mailImport.totalBytes) * 100)
+    : 0;
+
+  return (
+    <div className="mt-4 px-3 text-xs text-gray-500">
+      <label className="block mb-1">
+        Import mbox or .eml:
+        <input
+          type="file"
+          accept=".mbox,.eml,application/mbox,message/rfc822"
+          onChange={handleFile}
+          disabled={uploading || running}
+          className="block mt-1 w-full text-xs"
+        />
+      </label>
+      {uploading && <p>Uploading...</p>}
+      {running && (
+        <div>
+          <div className="h-1.5 bg-gray-200 rounded">
+            <div className="h-1.5 bg-blue-600 rounded" style={{ width: `${percent}%` }} />
+          </div>
+          <p className="mt-1">
+            {percent}% - {mailImport.imported} imported
+          </p>
+        </div>
+      )}
+      {mailImport?.status === "completed" && (
+        <p className="text-green-700">
+          Imported {mailImport.imported} emails
+          {mailImport.duplicates > 0 && `, ${mailImport.duplicates} already stored`}
+          {mailImport.failed > 0 && `, ${mailImport.failed} failed`}
+        </p>
+      )}
+      {mailImport?.status === "failed" && (
+        <p className="text-red-600">Import failed: {mailImport.error}</p>
+      )}
+      {error && <p className="text-red-600">{error}</p>}
+    </div>
+  );
+}
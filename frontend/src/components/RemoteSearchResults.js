@@ -0,0 +1,154 @@
+import { useEffect, useState } from "react";
+import {
+  searchRemoteEmails,
+  saveRemoteHits,
+  getEmail,
+  formatEmailDate,
+  getEmailInitials,
+  getSenderName,
+} from "../services/emailService";
+
+/**
+ * Shows the results of a search run on the mail server itself. Hits that
+ * aren't stored yet are saved when opened, then loaded like any other email.
+ */
+export default function RemoteSearchResults({ query, folderId, onClose }) {
+  const [results, setResults] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openKey, setOpenKey] = useState(null);
+  const [bodies, setBodies] = useState({});
+
+  useEffect(() => {
+    setPage(1);
+  }, [query, folderId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setOpenKey(null);
+    searchRemoteEmails(query, { page, folderId })
+      .then((result) => {
+        setResults(result?.results || []);
+        setPagination(result?.pagination || null);
+        setError(null);
+      })
+      .catch((error) => setError(error.message || "Failed to search the server"))
+      .finally(() => setLoading(false));
+  }, [query, folderId, page]);
+
+  const keyOf = (hit) => `${hit.accountId}:${hit.mailbox}:${hit.uid}`;
+
+  const handleToggleHit = async (hit) => {
+    const key = keyOf(hit);
+    if (openKey === key) {
+      setOpenKey(null);
+      return;
+    }
+
+    setOpenKey(key);
+    if (bodies[key]) return;
+
+    try {
+      let id = hit.id;
+      if (!id) {
+        const [saved] = await saveRemoteHits(hit.accountId, hit.mailbox, [hit.uid]);
+        id = saved?.id;
+        setResults((current) =>
+          current.map((r) => (keyOf(r) === key ? { ...r, id } : r))
+        );
+      }
+
+      const detail = await getEmail(id);
+      setBodies((current) => ({ ...current, [key]: detail.body || "(No content)" }));
+    } catch (error) {
+      setBodies((current) => ({ ...current, [key]: error.message || "Failed to load message" }));
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 flex items-center justify-between">
+        <p className="text-gray-600">
+          {loading ? (
+            <>Searching the server for "{query}"...</>
+          ) : (
+            <>
+              Found <span className="font-semibold text-gray-900">{pagination?.totalCount || 0}</span> {pagination?.totalCount === 1 ? "email" : "emails"} on the server matching "{query}"
+            </>
+          )}
+        </p>
+        <button onClick={onClose} className="text-sm text-blue-600 hover:text-blue-700">
+          Back to stored emails
+        </button>
+      </div>
+
+      {error && <p className="text-red-600 text-center py-12">{error}</p>}
+
+      {!loading && !error && results.length === 0 && (
+        <p className="text-gray-600 text-center py-12">No emails on the server match this search.</p>
+      )}
+
+      {!loading && !error && (
+        <div className="space-y-3">
+          {results.map((hit) => (
+            <div key={keyOf(hit)} className="email-card" onClick={() => handleToggleHit(hit)}>
+              <div className="flex items-start space-x-4">
+                <div className="flex-shrink-0">
+                  <div className="w-12 h-12 bg-gradient-to-br from-blue-400 to-blue-600 rounded-full flex items-center justify-center text-white font-semibold shadow-md">
+                    {getEmailInitials(hit.fromName, hit.fromAddress || hit.from)}
+                  </div>
+                </div>
+
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-start justify-between mb-1">
+                    <p className={`text-sm text-gray-900 truncate ${hit.seen ? "font-normal" : "font-bold"}`}>
+                      {getSenderName(hit)}
+                    </p>
+                    <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
+                      {!hit.id && <span className="mr-2 text-gray-400">Not synced</span>}
+                      {formatEmailDate(hit.date)}
+                    </span>
+                  </div>
+                  <p className={`text-base text-gray-800 mb-1 truncate ${hit.seen ? "font-medium" : "font-bold"}`}>
+                    {hit.subject || "(No Subject)"}
+                  </p>
+                  {openKey === keyOf(hit) ? (
+                    <p className="mt-2 text-sm text-gray-700 whitespace-pre-wrap break-words">
+                      {bodies[keyOf(hit)] || "Loading message..."}
+                    </p>
+                  ) : (
+                    hit.snippet && <p className="text-sm text-gray-500 truncate">{hit.snippet}</p>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="mt-8 flex items-center justify-center space-x-4">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={!pagination.hasPrevPage || loading}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.hasNextPage || loading}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
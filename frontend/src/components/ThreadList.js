@@ -0,0 +1,179 @@
+import { useEffect, useState } from "react";
+import {
+  getThreads,
+  getThread,
+  getEmail,
+  formatEmailDate,
+  formatFullDate,
+  getEmailInitials,
+  getSenderName,
+} from "../services/emailService";
+
+/**
+ * Lists conversations the way Gmail does: one row per thread with its
+ * participants, message count and latest snippet. Expanding a thread shows
+ * its messages, and expanding a message loads its body.
+ */
+export default function ThreadList({ folderId }) {
+  const [threads, setThreads] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openThread, setOpenThread] = useState(null);
+  const [openEmailId, setOpenEmailId] = useState(null);
+  const [bodies, setBodies] = useState({});
+
+  useEffect(() => {
+    setPage(1);
+  }, [folderId]);
+
+  useEffect(() => {
+    setLoading(true);
+    setOpenThread(null);
+    getThreads({ page, folderId })
+      .then((result) => {
+        setThreads(result?.threads || []);
+        setPagination(result?.pagination || null);
+        setError(null);
+      })
+      .catch((error) => setError(error.message || "Failed to load conversations"))
+      .finally(() => setLoading(false));
+  }, [folderId, page]);
+
+  const handleToggleThread = async (threadId) => {
+    if (openThread?.id === threadId) {
+      setOpenThread(null);
+      return;
+    }
+
+    try {
+      const thread = await getThread(threadId);
+      setOpenThread(thread);
+      setOpenEmailId(null);
+    } catch (error) {
+      setError(error.message || "Failed to load conversation");
+    }
+  };
+
+  const handleToggleEmail = async (emailId) => {
+    if (openEmailId === emailId) {
+      setOpenEmailId(null);
+      return;
+    }
+
+    setOpenEmailId(emailId);
+    if (bodies[emailId]) return;
+
+    try {
+      const detail = await getEmail(emailId);
+      setBodies((current) => ({ ...current, [emailId]: detail.body || "(No content)" }));
+    } catch (error) {
+      setBodies((current) => ({ ...current, [emailId]: error.message || "Failed to load message" }));
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-600 text-center py-12">Loading conversations...</p>;
+  }
+
+  if (error) {
+    return <p className="text-red-600 text-center py-12">{error}</p>;
+  }
+
+  if (threads.length === 0) {
+    return <p className="text-gray-600 text-center py-12">No conversations found.</p>;
+  }
+
+  return (
+    <div>
+      <div className="space-y-3">
+        {threads.map((t) => (
+          <div key={t.id} className="email-card" onClick={() => handleToggleThread(t.id)}>
+            <div className="flex items-start space-x-4">
+              <div className="flex-shrink-0">
+                <div className="w-12 h-12 bg-gradient-to-br from-blue-400 to-blue-600 rounded-full flex items-center justify-center text-white font-semibold shadow-md">
+                  {getEmailInitials(t.participants[0]?.name, t.participants[0]?.address)}
+                </div>
+              </div>
+
+              <div className="flex-1 min-w-0">
+                <div className="flex items-start justify-between mb-1">
+                  <p className={`text-sm text-gray-900 truncate ${t.unreadCount > 0 ? "font-bold" : "font-normal"}`}>
+                    {t.participants.map((p) => p.name || p.address).join(", ")}
+                    {t.messageCount > 1 && (
+                      <span className="ml-1 text-gray-500 font-normal">({t.messageCount})</span>
+                    )}
+                  </p>
+                  <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
+                    {t.flagged && <span className="text-yellow-400 mr-1">{"★"}</span>}
+                    {formatEmailDate(t.lastMessageAt)}
+                  </span>
+                </div>
+                <p className={`text-base text-gray-800 mb-1 truncate ${t.unreadCount > 0 ? "font-bold" : "font-medium"}`}>
+                  {t.subject || "(No Subject)"}
+                </p>
+                {openThread?.id !== t.id && t.snippet && (
+                  <p className="text-sm text-gray-500 truncate">{t.snippet}</p>
+                )}
+
+                {openThread?.id === t.id && (
+                  <div className="mt-3 pt-3 border-t border-gray-200 space-y-2 animate-fadeIn">
+                    {openThread.emails.map((e) => (
+                      <div
+                        key={e.id}
+                        className="bg-gray-50 rounded-lg p-3"
+                        onClick={(event) => {
+                          event.stopPropagation();
+                          handleToggleEmail(e.id);
+                        }}
+                      >
+                        <div className="flex items-start justify-between text-sm">
+                          <span className={`truncate ${e.seen ? "text-gray-700" : "font-semibold text-gray-900"}`}>
+                            {getSenderName(e)}
+                          </span>
+                          <span className="text-xs text-gray-500 ml-2 flex-shrink-0" title={formatFullDate(e.date)}>
+                            {formatEmailDate(e.date)}
+                          </span>
+                        </div>
+                        {openEmailId === e.id ? (
+                          <p className="mt-2 text-sm text-gray-700 whitespace-pre-wrap break-words">
+                            {bodies[e.id] || "Loading message..."}
+                          </p>
+                        ) : (
+                          <p className="text-sm text-gray-500 truncate">{e.snippet}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="mt-8 flex items-center justify-center space-x-4">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+          <span className="text-sm text-gray-500">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={!pagination.hasNextPage}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
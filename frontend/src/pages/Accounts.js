@@ -0,0 +1,253 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  getProviders,
+  getAccounts,
+  addAccount,
+  removeAccount,
+} from "../services/accountService";
+import { deleteAccount } from "../services/authService";
+
+const emptyForm = {
+  provider: "outlook",
+  email: "",
+  username: "",
+  password: "",
+  host: "",
+  port: 993,
+  tls: true,
+};
+
+/**
+ * Accounts page. Lists the mail accounts the user has connected and lets
+ * them add more from a provider preset or a custom IMAP server, using a
+ * username and app password.
+ */
+export default function Accounts() {
+  const [providers, setProviders] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [providerList, accountList] = await Promise.all([
+          getProviders(),
+          getAccounts(),
+        ]);
+        setProviders(providerList || []);
+        setAccounts(accountList || []);
+      } catch (error) {
+        setError(error.message || "Failed to load accounts");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, []);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === "checkbox" ? e.target.checked : e.target.value;
+    setForm((current) => ({ ...current, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    const details = {
+      provider: form.provider,
+      email: form.email,
+      authType: "login",
+      password: form.password,
+      ...(form.username && { username: form.username }),
+      ...(form.provider === "custom" && {
+        host: form.host,
+        port: Number(form.port),
+        tls: form.tls,
+      }),
+    };
+
+    try {
+      const account = await addAccount(details);
+      setAccounts((current) => [...current, account]);
+      setForm(emptyForm);
+    } catch (error) {
+      setError(error.message || "Failed to add account");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = async (account) => {
+    if (!window.confirm(`Disconnect ${account.email}? Its stored emails will be removed.`)) {
+      return;
+    }
+
+    try {
+      await removeAccount(account.id);
+      setAccounts((current) => current.filter((a) => a.id !== account.id));
+    } catch (error) {
+      setError(error.message || "Failed to remove account");
+    }
+  };
+
+  const handleDeleteAccount = async () => {
+    const confirmEmail = window.prompt(
+      "This revokes Google access and permanently deletes all your stored mail. Type your email address to confirm."
+    );
+    if (!confirmEmail) return;
+
+    try {
+      await deleteAccount(confirmEmail);
+      window.location.href = "/";
+    } catch (error) {
+      setError(error.message || "Failed to delete account");
+    }
+  };
+
+  const providerName = (id) => providers.find((p) => p.id === id)?.name || id;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-slate-100">
+      <main className="max-w-2xl mx-auto px-4 py-8">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-2xl font-bold text-gray-900">Mail Accounts</h1>
+          <Link
+            to="/dashboard"
+            className="text-sm font-medium text-blue-600 hover:underline"
+          >
+            Back to inbox
+          </Link>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="card p-6 mb-6">
+          {loading ? (
+            <p className="text-gray-600">Loading accounts...</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {accounts.map((account) => (
+                <li key={account.id} className="py-3 flex items-center justify-between">
+                  <div>
+                    <p className="text-sm font-semibold text-gray-900">{account.email}</p>
+                    <p className="text-xs text-gray-500">
+                      {providerName(account.provider)} · {account.host}
+                    </p>
+                    {account.needsReconsent && (
+                      <p className="text-xs text-yellow-700">
+                        Google access was revoked or has expired; sign in with Google again
+                      </p>
+                    )}
+                  </div>
+                  <button
+                    onClick={() => handleRemove(account)}
+                    className="text-sm text-red-600 hover:underline"
+                  >
+                    Disconnect
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="card p-6 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900">Add an account</h2>
+
+          <select
+            value={form.provider}
+            onChange={handleChange("provider")}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+          >
+            {providers
+              .filter((p) => p.authTypes.includes("login"))
+              .map((p) => (
+                <option key={p.id} value={p.id}>{p.name}</option>
+              ))}
+          </select>
+
+          <input
+            type="email"
+            required
+            placeholder="Email address"
+            value={form.email}
+            onChange={handleChange("email")}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <input
+            type="text"
+            placeholder="Username (if different from the email address)"
+            value={form.username}
+            onChange={handleChange("username")}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+          />
+          <input
+            type="password"
+            required
+            placeholder="App password"
+            value={form.password}
+            onChange={handleChange("password")}
+            className="w-full px-4 py-2 border border-gray-300 rounded-lg"
+          />
+
+          {form.provider === "custom" && (
+            <div className="flex gap-4">
+              <input
+                type="text"
+                required
+                placeholder="IMAP host"
+                value={form.host}
+                onChange={handleChange("host")}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+              />
+              <input
+                type="number"
+                required
+                value={form.port}
+                onChange={handleChange("port")}
+                className="w-24 px-4 py-2 border border-gray-300 rounded-lg"
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input type="checkbox" checked={form.tls} onChange={handleChange("tls")} />
+                <span>TLS</span>
+              </label>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="btn-primary w-full disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? "Verifying..." : "Connect account"}
+          </button>
+        </form>
+
+        <div className="card p-6 mt-6">
+          <h2 className="text-lg font-semibold text-gray-900">Delete your account</h2>
+          <p className="text-sm text-gray-600 mt-1 mb-4">
+            Revokes this app's access to your Google account and deletes all stored
+            emails, attachments and connected accounts. This can't be undone.
+          </p>
+          <button
+            onClick={handleDeleteAccount}
+            className="text-sm font-medium text-red-600 hover:underline"
+          >
+            Delete account and data
+          </button>
+        </div>
+      </main>
+    </div>
+  );
+}
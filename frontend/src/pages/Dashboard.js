@@ -1,75 +1,112 @@
-import { useEffect, useState, useRef } from "react";
+import { useEffect, useState, useRef, useCallback } from "react";
+import { Link } from "react-router-dom";
 import { 
   fetchEmails, 
   getStoredEmails,
+  getEmail,
+  setEmailFlags,
+  applyEmailAction,
+  getFolders,
+  setFolderSync,
+  subscribeToMailEvents,
   formatEmailDate, 
   formatFullDate, 
-  getEmailInitials 
+  getEmailInitials,
+  getSenderName,
+  formatRecipients,
+  resolveImageSources,
+  allowEmailImages,
+  blockEmailImages,
+  getRawEmailUrl,
+  getExportUrl
 } from "../services/emailService";
-import { getUserEmailFromUrl, logout, storeUserEmail } from "../services/authService";
+import { getCurrentUser, initiateLogin, logout, redirectToLogin } from "../services/authService";
+import AttachmentList from "../components/AttachmentList";
+import ThreadList from "../components/ThreadList";
+import HtmlEmailFrame from "../components/HtmlEmailFrame";
+import RemoteSearchResults from "../components/RemoteSearchResults";
+import ComposeForm from "../components/ComposeForm";
+import DraftList from "../components/DraftList";
+import ImportForm from "../components/ImportForm";
 
 /**
- * Dashboard component. Fetches and displays the user's Gmail inbox using
+ * Dashboard component. Fetches and displays the user's Gmail mailboxes using
  * the email service. Provides an enhanced UI with loading states, error handling,
- * pagination, search, and interactive email cards.
+ * a folder/label sidebar, pagination, search, and interactive email cards.
  */
 export default function Dashboard() {
   const [emails, setEmails] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedEmail, setSelectedEmail] = useState(null);
+  const [emailDetails, setEmailDetails] = useState({});
+  const [checkedIds, setCheckedIds] = useState([]);
+  const [actionPending, setActionPending] = useState(false);
+  const [viewMode, setViewMode] = useState("messages");
   const [searchQuery, setSearchQuery] = useState("");
+  const [remoteQuery, setRemoteQuery] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [pagination, setPagination] = useState(null);
   const [isSearching, setIsSearching] = useState(false);
+  const [folders, setFolders] = useState([]);
+  const [selectedFolderId, setSelectedFolderId] = useState(null);
+  const [showFolderSettings, setShowFolderSettings] = useState(false);
+  const [composer, setComposer] = useState(null);
+  const [showDrafts, setShowDrafts] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null);
+  const [user, setUser] = useState(null);
+  const [needsReconsent, setNeedsReconsent] = useState(false);
   const initialLoadDone = useRef(false);
+  const listState = useRef({});
 
-  // Extract the email address from the URL query parameters
-  const email = getUserEmailFromUrl();
+  const email = user?.email;
 
   // Fetch emails on component mount
   useEffect(() => {
     const loadEmails = async () => {
-      if (!email) {
-        setError("No email address provided");
-        setLoading(false);
-        return;
-      }
-
       try {
         setLoading(true);
         setError(null);
         
-        // Store email for future use
-        storeUserEmail(email);
+        // The session cookie set at sign-in identifies the user
+        const currentUser = await getCurrentUser();
+        if (!currentUser) {
+          redirectToLogin();
+          return;
+        }
+        setUser(currentUser);
         
         // Fetch fresh emails from IMAP first time
-        await fetchEmails(email);
+        await fetchEmails(setSyncProgress);
+        setFolders((await getFolders()) || []);
         
         // Then load from database with pagination
-        await loadStoredEmails(1, "");
+        await loadStoredEmails(1, "", null);
         initialLoadDone.current = true;
       } catch (error) {
         console.error("Failed to load emails:", error);
+        setNeedsReconsent(error.code === "RECONSENT_REQUIRED");
         setError(error.message || "Failed to load emails. Please try refreshing the page.");
       } finally {
+        setSyncProgress(null);
         setLoading(false);
       }
     };
     
     loadEmails();
-  }, [email]);
+  }, []);
 
-  // Load stored emails with pagination and search
-  const loadStoredEmails = async (page = 1, search = "") => {
+  // Load stored emails with pagination, search and folder filter
+  const loadStoredEmails = async (page = 1, search = "", folderId = selectedFolderId) => {
     try {
       setIsSearching(!!search);
-      const result = await getStoredEmails(email, {
+      const result = await getStoredEmails({
         page,
         limit: 10,
         search,
         sortBy: 'date',
-        sortOrder: 'DESC'
+        sortOrder: 'DESC',
+        folderId
       });
       
       setEmails(result.emails || []);
@@ -81,8 +118,38 @@ export default function Dashboard() {
     }
   };
 
+  // Keep the latest list position for the mail event handlers
+  listState.current = { currentPage, searchQuery, selectedFolderId };
+
+  // Update the list as the backend pushes mailbox changes
+  useEffect(() => {
+    if (!email) return;
+
+    const reloadCurrentPage = () => {
+      if (!initialLoadDone.current) return;
+      const { currentPage, searchQuery, selectedFolderId } = listState.current;
+      loadStoredEmails(currentPage, searchQuery, selectedFolderId).catch(() => {});
+    };
+
+    return subscribeToMailEvents({
+      new: reloadCurrentPage,
+      deleted: ({ ids }) => {
+        setEmails((current) => current.filter((e) => !ids.includes(e.id)));
+        setSelectedEmail(null);
+      },
+      moved: reloadCurrentPage,
+      flags: ({ id, flags }) => {
+        setEmails((current) =>
+          current.map((e) => (e.id === id ? { ...e, ...flags } : e))
+        );
+      },
+    });
+  }, [email]);
+
   // Handle search with debounce
   useEffect(() => {
+    if (!searchQuery) setRemoteQuery(null);
+
     // Only run search after initial load is complete
     if (email && initialLoadDone.current) {
       const timeoutId = setTimeout(() => {
@@ -101,12 +168,15 @@ export default function Dashboard() {
     setSearchQuery("");
     initialLoadDone.current = false;
     try {
-      await fetchEmails(email);
+      await fetchEmails(setSyncProgress);
+      setFolders((await getFolders()) || []);
       await loadStoredEmails(1, "");
       initialLoadDone.current = true;
     } catch (error) {
+      setNeedsReconsent(error.code === "RECONSENT_REQUIRED");
       setError(error.message || "Failed to refresh emails");
     } finally {
+      setSyncProgress(null);
       setLoading(false);
     }
   };
@@ -122,6 +192,152 @@ export default function Dashboard() {
     }
   };
 
+  const handleFolderSelect = async (folderId) => {
+    setSelectedFolderId(folderId);
+    setSelectedEmail(null);
+    setLoading(true);
+    try {
+      await loadStoredEmails(1, searchQuery, folderId);
+    } catch (error) {
+      setError(error.message || "Failed to load folder");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Flags are updated optimistically and rolled back if the server refuses
+  const updateFlags = async (id, flags) => {
+    const previous = emails.find((e) => e.id === id);
+    setEmails((current) =>
+      current.map((e) => (e.id === id ? { ...e, ...flags } : e))
+    );
+    try {
+      await setEmailFlags(id, flags);
+    } catch (error) {
+      const rollback = Object.fromEntries(
+        Object.keys(flags).map((key) => [key, previous?.[key]])
+      );
+      setEmails((current) =>
+        current.map((e) => (e.id === id ? { ...e, ...rollback } : e))
+      );
+      setError(error.message || "Failed to update message");
+    }
+  };
+
+  const handleToggleChecked = (event, id) => {
+    event.stopPropagation();
+    setCheckedIds((current) =>
+      current.includes(id) ? current.filter((c) => c !== id) : [...current, id]
+    );
+  };
+
+  // Archive/move/trash/delete; processed emails leave the current view
+  const handleAction = async (action, ids, folderId) => {
+    if (action === "delete" && !window.confirm(`Permanently delete ${ids.length === 1 ? "this email" : `${ids.length} emails`}?`)) {
+      return;
+    }
+
+    setActionPending(true);
+    try {
+      const result = await applyEmailAction(ids, action, folderId);
+      setEmails((current) => current.filter((e) => !result.ids.includes(e.id)));
+      setCheckedIds((current) => current.filter((id) => !result.ids.includes(id)));
+      setSelectedEmail(null);
+      if (result.pendingIds?.length > 0) {
+        setError(
+          `${result.pendingIds.length === 1 ? "1 email was" : `${result.pendingIds.length} emails were`} only marked as deleted; ` +
+            "the mail server removes them once another mail client cleans up the folder"
+        );
+      }
+    } catch (error) {
+      setError(error.message || `Failed to ${action} emails`);
+    } finally {
+      setActionPending(false);
+    }
+  };
+
+  const handleToggleStar = (event, e) => {
+    event.stopPropagation();
+    updateFlags(e.id, { flagged: !e.flagged });
+  };
+
+  // Bodies aren't part of the list; load one the first time it's expanded
+  const handleToggleEmail = async (index) => {
+    if (selectedEmail === index) {
+      setSelectedEmail(null);
+      return;
+    }
+
+    setSelectedEmail(index);
+    const { id, seen } = emails[index];
+    if (!seen) {
+      updateFlags(id, { seen: true });
+    }
+    if (emailDetails[id] && !emailDetails[id].error) return;
+
+    try {
+      const detail = await getEmail(id);
+      setEmailDetails((current) => ({ ...current, [id]: detail }));
+    } catch (error) {
+      setEmailDetails((current) => ({
+        ...current,
+        [id]: { error: error.message || "Failed to load message" },
+      }));
+    }
+  };
+
+  // Allows or blocks remote images, then reloads the body so it's rewritten
+  const handleImageSetting = async (emailId, scope, allow) => {
+    try {
+      if (allow) {
+        await allowEmailImages(emailId, scope);
+      } else {
+        await blockEmailImages(emailId, scope);
+      }
+      const detail = await getEmail(emailId);
+      setEmailDetails((current) => ({ ...current, [emailId]: detail }));
+    } catch (error) {
+      setError(error.message || "Failed to change image settings");
+    }
+  };
+
+  // Replies mark the original as answered on the server as well
+  const handleSent = () => {
+    if (composer?.mode === "reply" || composer?.mode === "replyAll") {
+      const answeredId = composer.emailId || composer.draft?.emailId;
+      setEmails((current) =>
+        current.map((e) => (e.id === answeredId ? { ...e, answered: true } : e))
+      );
+    }
+    setComposer(null);
+  };
+
+  // Show imported emails as soon as the import is done
+  const handleImported = useCallback(() => {
+    const { currentPage, searchQuery, selectedFolderId } = listState.current;
+    loadStoredEmails(currentPage, searchQuery, selectedFolderId).catch(() => {});
+  }, []);
+
+  // Replies and forwards continue with their original, others as new messages
+  const handleOpenDraft = (draft) => {
+    const mode = draft.emailId ? draft.kind : "new";
+    setShowDrafts(false);
+    setComposer({ mode, draft });
+  };
+
+  const handleFolderSyncToggle = async (folder) => {
+    try {
+      const updated = await setFolderSync(folder.id, !folder.syncEnabled);
+      setFolders((current) =>
+        current.map((f) => (f.id === updated.id ? updated : f))
+      );
+    } catch (error) {
+      setError(error.message || "Failed to update folder");
+    }
+  };
+
+  const selectedFolder = folders.find((f) => f.id === selectedFolderId);
+
   const handleLogout = () => {
     logout();
   };
@@ -139,22 +355,142 @@ export default function Dashboard() {
                 </svg>
               </div>
               <div>
-                <h1 className="text-2xl font-bold text-gray-900">Inbox</h1>
+                <h1 className="text-2xl font-bold text-gray-900">
+                  {selectedFolder ? selectedFolder.name : "All Mail"}
+                </h1>
                 <p className="text-sm text-gray-500">{email}</p>
               </div>
             </div>
-            <button
-              onClick={handleLogout}
-              className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
-            >
-              Sign Out
-            </button>
+            <div className="flex items-center space-x-2">
+              <Link
+                to="/accounts"
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                Accounts
+              </Link>
+              <button
+                onClick={handleLogout}
+                className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900 hover:bg-gray-100 rounded-lg transition-colors"
+              >
+                Sign Out
+              </button>
+            </div>
           </div>
         </div>
       </header>
 
       {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 flex gap-8">
+        {/* Folder Sidebar */}
+        <aside className="w-56 flex-shrink-0">
+          <button
+            onClick={() => setComposer({ mode: "new" })}
+            className="w-full mb-4 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium rounded-lg transition-colors"
+          >
+            Compose
+          </button>
+          <nav className="space-y-1">
+            <button
+              onClick={() => setShowDrafts(!showDrafts)}
+              className={`w-full text-left px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                showDrafts ? "bg-blue-100 text-blue-700" : "text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              Drafts
+            </button>
+            <button
+              onClick={() => handleFolderSelect(null)}
+              className={`w-full text-left px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                selectedFolderId === null ? "bg-blue-100 text-blue-700" : "text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              All Mail
+            </button>
+            {folders
+              .filter((f) => f.syncEnabled)
+              .map((f) => (
+                <button
+                  key={f.id}
+                  onClick={() => handleFolderSelect(f.id)}
+                  className={`w-full text-left px-3 py-2 rounded-lg text-sm font-medium truncate transition-colors ${
+                    selectedFolderId === f.id ? "bg-blue-100 text-blue-700" : "text-gray-700 hover:bg-gray-100"
+                  }`}
+                >
+                  {f.name}
+                </button>
+              ))}
+          </nav>
+
+          <button
+            onClick={() => setShowFolderSettings(!showFolderSettings)}
+            className="mt-4 px-3 text-xs font-medium text-blue-600 hover:underline"
+          >
+            {showFolderSettings ? "Done" : "Choose folders to sync"}
+          </button>
+          {showFolderSettings && (
+            <div className="mt-2 card p-3 space-y-2 max-h-96 overflow-y-auto">
+              {folders.map((f) => (
+                <label
+                  key={f.id}
+                  className={`flex items-center space-x-2 text-sm ${f.selectable ? "text-gray-700" : "text-gray-400"}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={f.syncEnabled}
+                    disabled={!f.selectable}
+                    onChange={() => handleFolderSyncToggle(f)}
+                  />
+                  <span className="truncate" title={f.path}>{f.path}</span>
+                </label>
+              ))}
+              <p className="text-xs text-gray-500 pt-2 border-t border-gray-200">
+                Newly selected folders are synced on the next refresh.
+              </p>
+            </div>
+          )}
+
+          <div className="mt-4 px-3 text-xs text-gray-500">
+            <span className="block mb-1">
+              Export {searchQuery ? "search results" : selectedFolder ? selectedFolder.name : "all mail"}:
+            </span>
+            {["mbox", "zip"].map((format) => (
+              <a
+                key={format}
+                href={getExportUrl(format, { folderId: selectedFolderId, search: searchQuery })}
+                className="mr-3 font-medium text-blue-600 hover:underline"
+              >
+                {format === "zip" ? ".eml (zip)" : "mbox"}
+              </a>
+            ))}
+          </div>
+          <ImportForm onImported={handleImported} />
+        </aside>
+
+        <div className="flex-1 min-w-0">
+        {showDrafts && (
+          <DraftList
+           
+            onOpen={handleOpenDraft}
+            onClose={() => setShowDrafts(false)}
+          />
+        )}
+        {composer && !composer.emailId && (
+          <div className="mb-6">
+            <ComposeForm
+              key={composer.draft?.id || "new"}
+             
+              mode={composer.mode}
+              draft={composer.draft}
+              original={
+                composer.draft?.emailId
+                  ? { id: composer.draft.emailId, subject: composer.draft.subject }
+                  : undefined
+              }
+              onSent={handleSent}
+              onCancel={() => setComposer(null)}
+            />
+          </div>
+        )}
         {loading ? (
           <div className="flex flex-col items-center justify-center py-20">
             <svg className="animate-spin h-12 w-12 text-blue-600 mb-4" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -171,13 +507,26 @@ export default function Dashboard() {
               </svg>
             </div>
             <h2 className="text-xl font-semibold text-gray-900 mb-2">Error Loading Emails</h2>
-            <p className="text-gray-600 mb-6">{error}</p>
-            <button
-              onClick={() => window.location.reload()}
-              className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
-            >
-              Retry
-            </button>
+            <p className="text-gray-600 mb-6">
+              {needsReconsent
+                ? "Google access to your mailbox was revoked or has expired. Sign in again to grant it."
+                : error}
+            </p>
+            {needsReconsent ? (
+              <button
+                onClick={() => initiateLogin("/dashboard")}
+                className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+              >
+                Sign in with Google again
+              </button>
+            ) : (
+              <button
+                onClick={() => window.location.reload()}
+                className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+              >
+                Retry
+              </button>
+            )}
           </div>
         ) : (
           <div>
@@ -215,6 +564,12 @@ export default function Dashboard() {
                   </button>
                 )}
               </div>
+              <button
+                onClick={() => setViewMode(viewMode === "threads" ? "messages" : "threads")}
+                className="px-4 py-3 text-sm font-medium text-gray-700 hover:bg-gray-100 rounded-xl transition-colors"
+              >
+                {viewMode === "threads" ? "Show messages" : "Show conversations"}
+              </button>
               <button
                 onClick={handleRefresh}
                 disabled={loading}
@@ -223,16 +578,37 @@ export default function Dashboard() {
                 <svg className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
                 </svg>
-                <span>Refresh</span>
+                <span>
+                  {syncProgress
+                    ? `Syncing ${syncProgress.accountsDone}/${syncProgress.accountsTotal}`
+                    : "Refresh"}
+                </span>
               </button>
             </div>
 
+            {remoteQuery ? (
+              <RemoteSearchResults
+               
+                query={remoteQuery}
+                folderId={selectedFolderId}
+                onClose={() => setRemoteQuery(null)}
+              />
+            ) : viewMode === "threads" ? (
+              <ThreadList folderId={selectedFolderId} />
+            ) : (
+            <>
             {/* Email Count and Results Info */}
             <div className="mb-6 flex items-center justify-between">
               <p className="text-gray-600">
                 {isSearching && searchQuery ? (
                   <>
                     Found <span className="font-semibold text-gray-900">{pagination?.totalCount || 0}</span> {pagination?.totalCount === 1 ? 'email' : 'emails'} matching "{searchQuery}"
+                    <button
+                      onClick={() => setRemoteQuery(searchQuery)}
+                      className="ml-3 text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      Search all mail on server
+                    </button>
                   </>
                 ) : (
                   <>
@@ -247,6 +623,53 @@ export default function Dashboard() {
               )}
             </div>
 
+            {/* Bulk Actions */}
+            {checkedIds.length > 0 && (
+              <div className="mb-4 flex items-center gap-2 card px-4 py-3">
+                <span className="text-sm text-gray-700 mr-2">
+                  {checkedIds.length} selected
+                </span>
+                <button
+                  onClick={() => handleAction("archive", checkedIds)}
+                  disabled={actionPending}
+                  className="px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+                >
+                  Archive
+                </button>
+                <button
+                  onClick={() => handleAction("trash", checkedIds)}
+                  disabled={actionPending}
+                  className="px-3 py-1.5 text-sm text-gray-700 hover:bg-gray-100 rounded-lg disabled:opacity-50"
+                >
+                  Trash
+                </button>
+                <button
+                  onClick={() => handleAction("delete", checkedIds)}
+                  disabled={actionPending}
+                  className="px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg disabled:opacity-50"
+                >
+                  Delete
+                </button>
+                <select
+                  value=""
+                  onChange={(event) => handleAction("move", checkedIds, Number(event.target.value))}
+                  disabled={actionPending}
+                  className="px-2 py-1.5 text-sm border border-gray-300 rounded-lg"
+                >
+                  <option value="" disabled>Move to...</option>
+                  {folders.filter((f) => f.selectable).map((f) => (
+                    <option key={f.id} value={f.id}>{f.path}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => setCheckedIds([])}
+                  className="ml-auto text-sm text-gray-500 hover:text-gray-700"
+                >
+                  Clear
+                </button>
+              </div>
+            )}
+
             {/* Email List or Empty State */}
             {emails.length === 0 ? (
               <div className="card p-12 text-center">
@@ -262,12 +685,20 @@ export default function Dashboard() {
                     : "Your inbox is empty or no emails were fetched."}
                 </p>
                 {searchQuery && (
-                  <button
-                    onClick={() => setSearchQuery("")}
-                    className="mt-4 px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
-                  >
-                    Clear Search
-                  </button>
+                  <div className="mt-4 flex items-center justify-center gap-3">
+                    <button
+                      onClick={() => setRemoteQuery(searchQuery)}
+                      className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+                    >
+                      Search all mail on server
+                    </button>
+                    <button
+                      onClick={() => setSearchQuery("")}
+                      className="px-6 py-2 border border-gray-300 text-gray-700 hover:bg-gray-50 rounded-lg transition-colors"
+                    >
+                      Clear Search
+                    </button>
+                  </div>
                 )}
               </div>
             ) : (
@@ -277,29 +708,69 @@ export default function Dashboard() {
                   key={i}
                   className="email-card"
                   style={{ animationDelay: `${i * 0.05}s` }}
-                  onClick={() => setSelectedEmail(selectedEmail === i ? null : i)}
+                  onClick={() => handleToggleEmail(i)}
                 >
                   <div className="flex items-start space-x-4">
+                    <input
+                      type="checkbox"
+                      checked={checkedIds.includes(e.id)}
+                      onClick={(event) => handleToggleChecked(event, e.id)}
+                      onChange={() => {}}
+                      className="mt-4 h-4 w-4 text-blue-600 rounded"
+                    />
                     {/* Avatar */}
                     <div className="flex-shrink-0">
                       <div className="w-12 h-12 bg-gradient-to-br from-blue-400 to-blue-600 rounded-full flex items-center justify-center text-white font-semibold shadow-md">
-                        {getEmailInitials(e.from)}
+                        {getEmailInitials(e.fromName, e.fromAddress || e.from)}
                       </div>
                     </div>
 
                     {/* Email Content */}
                     <div className="flex-1 min-w-0">
                       <div className="flex items-start justify-between mb-1">
-                        <p className="text-sm font-semibold text-gray-900 truncate">
-                          {e.from}
+                        <p className={`text-sm text-gray-900 truncate ${e.seen ? "font-normal" : "font-bold"}`}>
+                          {getSenderName(e)}
+                          {e.addressedTo && e.addressedTo !== "to" && (
+                            <span className="ml-2 px-1.5 py-0.5 text-xs font-normal text-gray-600 bg-gray-100 rounded">
+                              {e.addressedTo}
+                            </span>
+                          )}
                         </p>
-                        <span className="text-xs text-gray-500 ml-2 flex-shrink-0">
-                          {formatEmailDate(e.date)}
-                        </span>
+                        <div className="flex items-center ml-2 flex-shrink-0">
+                          {e.source === "imported" && (
+                            <span
+                              className="mr-2 px-1.5 py-0.5 text-xs text-purple-700 bg-purple-50 rounded"
+                              title="Imported from an mbox or .eml file; not on the mail server"
+                            >
+                              Imported
+                            </span>
+                          )}
+                          {emailDetails[e.id]?.remoteContent?.blockedTrackers > 0 && (
+                            <span
+                              className="mr-2 px-1.5 py-0.5 text-xs text-green-700 bg-green-50 rounded"
+                              title="Tracking pixels removed from this email"
+                            >
+                              {emailDetails[e.id].remoteContent.blockedTrackers} {emailDetails[e.id].remoteContent.blockedTrackers === 1 ? "tracker" : "trackers"} blocked
+                            </span>
+                          )}
+                          <span className={`text-xs ${e.seen ? "text-gray-500" : "text-gray-900 font-semibold"}`}>
+                            {formatEmailDate(e.date)}
+                          </span>
+                          <button
+                            onClick={(event) => handleToggleStar(event, e)}
+                            className={`ml-2 text-lg leading-none ${e.flagged ? "text-yellow-400" : "text-gray-300 hover:text-gray-400"}`}
+                            title={e.flagged ? "Unstar" : "Star"}
+                          >
+                            {e.flagged ? "\u2605" : "\u2606"}
+                          </button>
+                        </div>
                       </div>
-                      <p className="text-base font-medium text-gray-800 mb-1 truncate">
+                      <p className={`text-base text-gray-800 mb-1 truncate ${e.seen ? "font-medium" : "font-bold"}`}>
                         {e.subject || "(No Subject)"}
                       </p>
+                      {selectedEmail !== i && e.snippet && (
+                        <p className="text-sm text-gray-500 truncate">{e.snippet}</p>
+                      )}
                       {selectedEmail === i && (
                         <div className="mt-3 pt-3 border-t border-gray-200 animate-fadeIn">
                           <div className="space-y-2 text-sm text-gray-600">
@@ -307,6 +778,15 @@ export default function Dashboard() {
                               <span className="font-medium text-gray-700 min-w-[80px]">From:</span>
                               <span className="break-all">{e.from}</span>
                             </div>
+                            {["to", "cc", "bcc"].map((kind) => {
+                              const list = formatRecipients(emailDetails[e.id]?.recipients, kind);
+                              return list ? (
+                                <div key={kind} className="flex items-start">
+                                  <span className="font-medium text-gray-700 min-w-[80px]">{kind === "to" ? "To" : kind === "cc" ? "Cc" : "Bcc"}:</span>
+                                  <span className="break-all">{list}</span>
+                                </div>
+                              ) : null;
+                            })}
                             <div className="flex items-start">
                               <span className="font-medium text-gray-700 min-w-[80px]">Date:</span>
                               <span>{formatFullDate(e.date)}</span>
@@ -318,24 +798,135 @@ export default function Dashboard() {
                             {e.hasAttachments && (
                               <div className="flex items-start">
                                 <span className="font-medium text-gray-700 min-w-[80px]">Attachments:</span>
-                                <span className="flex items-center text-blue-600">
-                                  <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20">
-                                    <path fillRule="evenodd" d="M8 4a3 3 0 00-3 3v4a5 5 0 0010 0V7a1 1 0 112 0v4a7 7 0 11-14 0V7a5 5 0 0110 0v4a3 3 0 11-6 0V7a1 1 0 012 0v4a1 1 0 102 0V7a3 3 0 00-3-3z" clipRule="evenodd" />
-                                  </svg>
-                                  Has attachments
-                                </span>
+                                <AttachmentList emailId={e.id} />
                               </div>
                             )}
-                            {e.body && (
-                              <div className="mt-4 pt-4 border-t border-gray-200">
-                                <span className="font-medium text-gray-700 block mb-2">Message:</span>
-                                <div className="bg-gray-50 p-4 rounded-lg max-h-96 overflow-y-auto">
+                            <div className="flex items-center gap-2 pt-2" onClick={(event) => event.stopPropagation()}>
+                              {[["reply", "Reply"], ["replyAll", "Reply all"], ["forward", "Forward"]].map(([mode, label]) => (
+                                <button
+                                  key={mode}
+                                  onClick={() => setComposer({ mode, emailId: e.id })}
+                                  className="px-3 py-1 text-xs text-blue-700 bg-blue-50 hover:bg-blue-100 rounded-lg"
+                                >
+                                  {label}
+                                </button>
+                              ))}
+                              {e.source !== "imported" && (
+                                <button
+                                  onClick={() => handleAction("archive", [e.id])}
+                                  disabled={actionPending}
+                                  className="px-3 py-1 text-xs text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg disabled:opacity-50"
+                                >
+                                  Archive
+                                </button>
+                              )}
+                              {e.source !== "imported" && (
+                                <button
+                                  onClick={() => handleAction("trash", [e.id])}
+                                  disabled={actionPending}
+                                  className="px-3 py-1 text-xs text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg disabled:opacity-50"
+                                >
+                                  Trash
+                                </button>
+                              )}
+                              <button
+                                onClick={() => handleAction("delete", [e.id])}
+                                disabled={actionPending}
+                                className="px-3 py-1 text-xs text-red-600 bg-red-50 hover:bg-red-100 rounded-lg disabled:opacity-50"
+                              >
+                                Delete
+                              </button>
+                              <a
+                                href={getRawEmailUrl(e.id)}
+                                className="px-3 py-1 text-xs text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-lg"
+                              >
+                                Download .eml
+                              </a>
+                            </div>
+                            {composer?.emailId === e.id && (
+                              <ComposeForm
+                                key={composer.mode}
+                               
+                                mode={composer.mode}
+                                original={e}
+                                onSent={handleSent}
+                                onCancel={() => setComposer(null)}
+                              />
+                            )}
+                            <div className="mt-4 pt-4 border-t border-gray-200">
+                              <span className="font-medium text-gray-700 block mb-2">Message:</span>
+                              {emailDetails[e.id]?.truncated && (
+                                <p className="mb-2 text-sm text-gray-500">
+                                  This message is longer than the storage limit and was shortened.
+                                </p>
+                              )}
+                              {emailDetails[e.id]?.remoteContent?.blockedImages > 0 && (
+                                <div
+                                  className="mb-2 flex items-center gap-3 text-sm text-gray-600 bg-yellow-50 px-3 py-2 rounded-lg"
+                                  onClick={(event) => event.stopPropagation()}
+                                >
+                                  <span>
+                                    {emailDetails[e.id].remoteContent.blockedImages} remote {emailDetails[e.id].remoteContent.blockedImages === 1 ? "image is" : "images are"} hidden.
+                                  </span>
+                                  <button
+                                    onClick={() => handleImageSetting(e.id, "message", true)}
+                                    className="text-blue-600 hover:text-blue-700"
+                                  >
+                                    Show images
+                                  </button>
+                                  {e.fromAddress && (
+                                    <button
+                                      onClick={() => handleImageSetting(e.id, "sender", true)}
+                                      className="text-blue-600 hover:text-blue-700"
+                                    >
+                                      Always show images from {e.fromAddress}
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                              {emailDetails[e.id]?.remoteContent?.imagesAllowed && (
+                                <div
+                                  className="mb-2 flex items-center gap-3 text-sm text-gray-600"
+                                  onClick={(event) => event.stopPropagation()}
+                                >
+                                  <span>Images are shown through the image proxy.</span>
+                                  <button
+                                    onClick={() => handleImageSetting(e.id, "message", false)}
+                                    className="text-blue-600 hover:text-blue-700"
+                                  >
+                                    Hide images
+                                  </button>
+                                  {e.fromAddress && (
+                                    <button
+                                      onClick={() => handleImageSetting(e.id, "sender", false)}
+                                      className="text-blue-600 hover:text-blue-700"
+                                    >
+                                      Stop showing images from {e.fromAddress}
+                                    </button>
+                                  )}
+                                </div>
+                              )}
+                              <div className="bg-gray-50 p-4 rounded-lg max-h-96 overflow-y-auto">
+                                {emailDetails[e.id]?.error ? (
+                                  <p className="text-red-600">{emailDetails[e.id].error}</p>
+                                ) : emailDetails[e.id]?.bodyHtml ? (
+                                  <HtmlEmailFrame
+                                    title={e.subject || "Email content"}
+                                    html={resolveImageSources(
+                                      emailDetails[e.id].bodyHtml,
+                                      e.id,
+                                      emailDetails[e.id].Attachments
+                                    )}
+                                  />
+                                ) : emailDetails[e.id] ? (
                                   <p className="text-gray-700 whitespace-pre-wrap break-words">
-                                    {e.body}
+                                    {emailDetails[e.id].body || "(No content)"}
                                   </p>
-                                </div>
+                                ) : (
+                                  <p className="text-gray-500">Loading message...</p>
+                                )}
                               </div>
-                            )}
+                            </div>
                           </div>
                         </div>
                       )}
@@ -430,8 +1021,11 @@ export default function Dashboard() {
                 </button>
               </div>
             )}
+            </>
+            )}
           </div>
         )}
+        </div>
       </main>
     </div>
   );
@@ -6,14 +6,16 @@ import { initiateLogin } from "../services/authService";
  * the Gmail OAuth2 login flow. Uses the auth service for all authentication logic.
  */
 export default function Home() {
+  // A failed login comes back with ?error=, a deep link with ?returnTo=
+  const params = new URLSearchParams(window.location.search);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(params.get("error"));
 
   const handleLogin = async () => {
     setLoading(true);
     setError(null);
     try {
-      await initiateLogin();
+      await initiateLogin(params.get("returnTo"));
     } catch (error) {
       console.error("Failed to initiate login:", error);
       setError(error.message || "Failed to connect to authentication service. Please try again.");
@@ -0,0 +1,64 @@
+import { apiClient, handleApiError } from "./api";
+
+/**
+ * Account Service
+ * Handles all mail-account-related API calls
+ */
+
+/**
+ * Gets the supported mail provider presets
+ * @returns {Promise<Array>} Array of provider presets
+ * @throws {Error} If the request fails
+ */
+export async function getProviders() {
+  try {
+    const response = await apiClient.get("/accounts/providers");
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getProviders");
+  }
+}
+
+/**
+ * Gets the mail accounts connected by the user
+ * @returns {Promise<Array>} Array of account objects
+ * @throws {Error} If the request fails
+ */
+export async function getAccounts() {
+  try {
+    const response = await apiClient.get("/accounts");
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getAccounts");
+  }
+}
+
+/**
+ * Connects a new mail account. The backend verifies the credentials
+ * before storing them.
+ * 
+ * @param {Object} details - Provider, address and credentials
+ * @returns {Promise<Object>} The created account
+ * @throws {Error} If the request fails
+ */
+export async function addAccount(details) {
+  try {
+    const response = await apiClient.post("/accounts", details);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "addAccount");
+  }
+}
+
+/**
+ * Disconnects a mail account
+ * @param {number} accountId - The account's ID
+ * @throws {Error} If the request fails
+ */
+export async function removeAccount(accountId) {
+  try {
+    await apiClient.delete(`/accounts/${accountId}`);
+  } catch (error) {
+    handleApiError(error, "removeAccount");
+  }
+}
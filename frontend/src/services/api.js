@@ -11,6 +11,8 @@ const API_BASE_URL = "http://localhost:5000";
 const apiClient = axios.create({
   baseURL: API_BASE_URL,
   timeout: 30000,
+  // Send the session cookie with every request
+  withCredentials: true,
   headers: {
     "Content-Type": "application/json",
   },
@@ -23,11 +25,13 @@ const handleApiError = (error, context) => {
   console.error(`[API Error - ${context}]:`, error);
   
   if (error.response) {
-    // Server responded with error status
-    throw new Error(
+    // Server responded with error status; keep its error code, if any
+    const apiError = new Error(
       error.response.data?.message || 
       `Server error: ${error.response.status}`
     );
+    apiError.code = error.response.data?.code;
+    throw apiError;
   } else if (error.request) {
     // Request made but no response received
     throw new Error(
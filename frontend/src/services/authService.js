@@ -6,13 +6,17 @@ import { apiClient, handleApiError } from "./api";
  */
 
 /**
- * Gets the OAuth2 login URL from the backend
+ * Gets the OAuth2 login URL from the backend. The response also sets the
+ * cookie the backend checks the login's state against.
+ * @param {string} returnTo - Optional page to return to after login
  * @returns {Promise<string>} The Google OAuth login URL
  * @throws {Error} If the request fails
  */
-export async function getLoginUrl() {
+export async function getLoginUrl(returnTo) {
   try {
-    const response = await apiClient.get("/auth/login");
+    const response = await apiClient.get("/auth/login", {
+      params: returnTo ? { returnTo } : {},
+    });
     return response.data.url;
   } catch (error) {
     handleApiError(error, "getLoginUrl");
@@ -21,11 +25,12 @@ export async function getLoginUrl() {
 
 /**
  * Initiates the login flow by redirecting to Google OAuth
+ * @param {string} returnTo - Optional page to return to after login
  * @throws {Error} If unable to get login URL
  */
-export async function initiateLogin() {
+export async function initiateLogin(returnTo) {
   try {
-    const url = await getLoginUrl();
+    const url = await getLoginUrl(returnTo);
     window.location.href = url;
   } catch (error) {
     throw new Error(`Failed to initiate login: ${error.message}`);
@@ -33,39 +38,60 @@ export async function initiateLogin() {
 }
 
 /**
- * Logs out the user by redirecting to home page
+ * Gets the user signed in with the session cookie
+ * @returns {Promise<Object|null>} The user ({ id, email }), or null if not signed in
+ * @throws {Error} If the request fails for another reason
  */
-export function logout() {
-  // Clear any local storage if needed
-  localStorage.removeItem("userEmail");
-  
-  // Redirect to home
-  window.location.href = "/";
+export async function getCurrentUser() {
+  try {
+    const response = await apiClient.get("/auth/me");
+    return response.data.data;
+  } catch (error) {
+    if (error.response?.status === 401) {
+      return null;
+    }
+    handleApiError(error, "getCurrentUser");
+  }
 }
 
 /**
- * Gets the authenticated user's email from URL params
- * @returns {string|null} The user's email or null if not found
+ * Sends a signed-out user to the home page to sign in, coming back to the
+ * current page afterwards
  */
-export function getUserEmailFromUrl() {
-  const urlParams = new URLSearchParams(window.location.search);
-  return urlParams.get("email");
+export function redirectToLogin() {
+  const returnTo = window.location.pathname + window.location.search;
+  window.location.href = `/?returnTo=${encodeURIComponent(returnTo)}`;
 }
 
 /**
- * Stores user email in local storage
- * @param {string} email - The user's email
+ * Ends the session and redirects to the home page
  */
-export function storeUserEmail(email) {
-  if (email) {
-    localStorage.setItem("userEmail", email);
+export async function logout() {
+  try {
+    await apiClient.post("/auth/logout");
+  } catch (error) {
+    // The session is gone either way once the cookie expires
+    console.error("[API Error - logout]:", error);
   }
+
+  window.location.href = "/";
 }
 
 /**
- * Retrieves stored user email
- * @returns {string|null} The stored email or null
+ * Deletes the signed-in user's account: revokes Google access and removes
+ * all stored mail. The backend only proceeds if the confirmation repeats
+ * the user's email address.
+ * @param {string} confirmEmail - The user's email address, typed to confirm
+ * @returns {Promise<Object>} What was deleted ({ accounts, emails, ... })
+ * @throws {Error} If the confirmation doesn't match or the request fails
  */
-export function getStoredUserEmail() {
-  return localStorage.getItem("userEmail");
+export async function deleteAccount(confirmEmail) {
+  try {
+    const response = await apiClient.delete("/auth/account", {
+      data: { confirmEmail },
+    });
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "deleteAccount");
+  }
 }
@@ -1,4 +1,4 @@
-import { apiClient, handleApiError } from "./api";
+import { apiClient, handleApiError, API_BASE_URL } from "./api";
 
 /**
  * Email Service
@@ -6,25 +6,51 @@ import { apiClient, handleApiError } from "./api";
  */
 
 /**
- * Fetches emails for a given user from the backend
- * This will fetch fresh emails from Gmail via IMAP
+ * How often a running sync is checked on
+ */
+const SYNC_POLL_INTERVAL = 1500;
+
+/**
+ * Syncs the user's mailboxes and waits until the sync is done
+ * The backend runs the sync as a background job and this polls its status
  * 
- * @param {string} email - The user's email address
- * @returns {Promise<Array>} Array of email objects
- * @throws {Error} If the request fails
+ * @param {Function} onProgress - Optional; called with the job's progress
+ * @returns {Promise<Object>} The finished sync job, with its result
+ * @throws {Error} If the request fails or the sync fails
  */
-export async function fetchEmails(email) {
-  if (!email) {
-    throw new Error("Email address is required");
+export async function fetchEmails(onProgress = () => {}) {
+  let jobId;
+  try {
+    const response = await apiClient.get("/email/fetch");
+    jobId = response.data.jobId;
+  } catch (error) {
+    handleApiError(error, "fetchEmails");
+  }
+
+  for (;;) {
+    const job = await getSyncStatus(jobId);
+    if (job.status === "completed") return job;
+    if (job.status === "failed") {
+      throw new Error(job.error || "Failed to sync emails");
+    }
+    if (job.progress) onProgress(job.progress);
+    await new Promise((resolve) => setTimeout(resolve, SYNC_POLL_INTERVAL));
   }
+}
 
+/**
+ * Gets the status, progress and error of a sync job
+ * 
+ * @param {number} jobId - The sync job's ID
+ * @returns {Promise<Object>} Job with status, progress, result and error
+ * @throws {Error} If the request fails
+ */
+export async function getSyncStatus(jobId) {
   try {
-    const response = await apiClient.get("/email/fetch", {
-      params: { email },
-    });
-    return response.data;
+    const response = await apiClient.get(`/email/sync/${jobId}`);
+    return response.data.data;
   } catch (error) {
-    handleApiError(error, "fetchEmails");
+    handleApiError(error, "getSyncStatus");
   }
 }
 
@@ -32,38 +58,35 @@ export async function fetchEmails(email) {
  * Gets stored emails from the database cache with pagination and search
  * This is faster than fetching from IMAP
  * 
- * @param {string} email - The user's email address
  * @param {Object} options - Query options
  * @param {number} options.page - Page number (default: 1)
  * @param {number} options.limit - Items per page (default: 20)
  * @param {string} options.search - Search query
  * @param {string} options.sortBy - Sort field (default: 'date')
  * @param {string} options.sortOrder - Sort order 'ASC' or 'DESC' (default: 'DESC')
+ * @param {number} options.folderId - Only return emails in this folder/label
  * @returns {Promise<Object>} Object with emails array and pagination data
  * @throws {Error} If the request fails
  */
-export async function getStoredEmails(email, options = {}) {
-  if (!email) {
-    throw new Error("Email address is required");
-  }
-
+export async function getStoredEmails(options = {}) {
   const {
     page = 1,
     limit = 20,
     search = '',
     sortBy = 'date',
-    sortOrder = 'DESC'
+    sortOrder = 'DESC',
+    folderId = null
   } = options;
 
   try {
     const response = await apiClient.get("/email/stored", {
       params: { 
-        email,
         page,
         limit,
         search,
         sortBy,
-        sortOrder
+        sortOrder,
+        ...(folderId && { folderId })
       },
     });
     return response.data;
@@ -72,17 +95,553 @@ export async function getStoredEmails(email, options = {}) {
   }
 }
 
+/**
+ * Gets the user's mailboxes and labels
+ * 
+ * @param {boolean} refresh - Re-list the folders from the mail server
+ * @returns {Promise<Array>} Array of folder objects
+ * @throws {Error} If the request fails
+ */
+export async function getFolders(refresh = false) {
+  try {
+    const response = await apiClient.get("/email/folders", {
+      params: { refresh },
+    });
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getFolders");
+  }
+}
+
+/**
+ * Enables or disables syncing for a folder
+ * 
+ * @param {number} folderId - The folder's ID
+ * @param {boolean} syncEnabled - Whether the folder should be synced
+ * @returns {Promise<Object>} The updated folder
+ * @throws {Error} If the request fails
+ */
+export async function setFolderSync(folderId, syncEnabled) {
+  try {
+    const response = await apiClient.patch(`/email/folders/${folderId}`, {
+      syncEnabled,
+    });
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "setFolderSync");
+  }
+}
+
 /**
  * Searches emails in the database
  * 
- * @param {string} email - The user's email address
  * @param {string} query - Search query
  * @param {Object} options - Additional options (page, limit)
  * @returns {Promise<Object>} Object with emails array and pagination data
  * @throws {Error} If the request fails
  */
-export async function searchEmails(email, query, options = {}) {
-  return getStoredEmails(email, { ...options, search: query });
+export async function searchEmails(query, options = {}) {
+  return getStoredEmails({ ...options, search: query });
+}
+
+/**
+ * Searches the live mailboxes on the mail server, including mail that was
+ * never synced. Accepts Gmail-style operators such as from:, subject: and
+ * before:.
+ * 
+ * @param {string} query - Search query
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Hits per page (default: 20)
+ * @param {number} options.folderId - Search this folder instead of the default
+ * @returns {Promise<Object>} Object with results array and pagination metadata
+ * @throws {Error} If the request fails
+ */
+export async function searchRemoteEmails(query, options = {}) {
+  try {
+    const { page = 1, limit = 20, folderId } = options;
+    const params = { q: query, page, limit };
+    if (folderId) params.folderId = folderId;
+
+    const response = await apiClient.get("/email/search/remote", { params });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, "searchRemoteEmails");
+  }
+}
+
+/**
+ * Stores remote search hits locally so they can be opened like synced mail
+ * 
+ * @param {number} accountId - Mail account of the hits
+ * @param {string} mailbox - Mailbox the hits were found in
+ * @param {Array<number>} uids - UIDs of the hits
+ * @returns {Promise<Array>} [{ uid, id }] with the stored email IDs
+ * @throws {Error} If the request fails
+ */
+export async function saveRemoteHits(accountId, mailbox, uids) {
+  try {
+    const response = await apiClient.post("/email/search/remote/save", {
+      accountId,
+      mailbox,
+      uids,
+    });
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "saveRemoteHits");
+  }
+}
+
+/**
+ * Gets the attachment metadata of a stored email
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @returns {Promise<Array>} Array of attachment objects
+ * @throws {Error} If the request fails
+ */
+export async function getAttachments(emailId) {
+  try {
+    const response = await apiClient.get(`/email/${emailId}/attachments`);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getAttachments");
+  }
+}
+
+/**
+ * Gets conversations, most recent activity first
+ * 
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Threads per page (default: 20)
+ * @param {number} options.folderId - Only threads with a message in this folder/label
+ * @returns {Promise<Object>} Object with threads array and pagination metadata
+ * @throws {Error} If the request fails
+ */
+export async function getThreads(options = {}) {
+  try {
+    const { page = 1, limit = 20, folderId } = options;
+    const params = { page, limit };
+    if (folderId) params.folderId = folderId;
+
+    const response = await apiClient.get("/email/threads", { params });
+    return response.data;
+  } catch (error) {
+    handleApiError(error, "getThreads");
+  }
+}
+
+/**
+ * Gets a conversation with all of its emails, oldest first
+ * 
+ * @param {number} threadId - The thread's ID
+ * @returns {Promise<Object>} Thread object with an emails array
+ * @throws {Error} If the request fails
+ */
+export async function getThread(threadId) {
+  try {
+    const response = await apiClient.get(`/email/threads/${threadId}`);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getThread");
+  }
+}
+
+/**
+ * Gets a single email with its body. The backend downloads the body from the
+ * mailbox the first time a message is opened, so this can be slow once.
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @returns {Promise<Object>} Email object with body, bodyHtml and Attachments
+ * @throws {Error} If the request fails
+ */
+export async function getEmail(emailId) {
+  try {
+    const response = await apiClient.get(`/email/${emailId}`);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getEmail");
+  }
+}
+
+/**
+ * Sets or clears flags on an email; the change is written back to the mailbox
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @param {Object} flags - Any of { seen, flagged, answered, draft }
+ * @returns {Promise<Object>} Updated email object
+ * @throws {Error} If the request fails
+ */
+export async function setEmailFlags(emailId, flags) {
+  try {
+    const response = await apiClient.patch(`/email/${emailId}/flags`, flags);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "setEmailFlags");
+  }
+}
+
+/**
+ * Archives, moves, trashes or permanently deletes emails in one request
+ * 
+ * @param {Array<number>} ids - IDs of the stored emails
+ * @param {string} action - "archive", "move", "trash" or "delete"
+ * @param {number} [folderId] - Destination folder, required for "move"
+ * @returns {Promise<Object>} { action, count, ids, pendingIds }: the processed
+ *   emails, and those a server without UIDPLUS could only mark as deleted
+ * @throws {Error} If the request fails
+ */
+export async function applyEmailAction(ids, action, folderId) {
+  try {
+    const body = action === "move" ? { action, ids, folderId } : { action, ids };
+    const response = await apiClient.post("/email/bulk", body);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "applyEmailAction");
+  }
+}
+
+/**
+ * Loads remote images of an email, or of every email from its sender
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @param {string} scope - "message" or "sender"
+ * @returns {Promise<Object>} { scope, emailId, senderAddress }
+ * @throws {Error} If the request fails
+ */
+export async function allowEmailImages(emailId, scope = "message") {
+  try {
+    const response = await apiClient.post(`/email/${emailId}/images`, { scope });
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "allowEmailImages");
+  }
+}
+
+/**
+ * Blocks remote images of an email, or of its sender, again
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @param {string} scope - "message" or "sender"
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails
+ */
+export async function blockEmailImages(emailId, scope = "message") {
+  try {
+    await apiClient.delete(`/email/${emailId}/images`, {
+      params: { scope },
+    });
+  } catch (error) {
+    handleApiError(error, "blockEmailImages");
+  }
+}
+
+/**
+ * Sends a new message
+ * 
+ * @param {Object} message - { to, cc, bcc, subject, text, attachments }
+ * @returns {Promise<Object>} { messageId, accepted, rejected }
+ * @throws {Error} If the request fails
+ */
+export async function sendEmail(message) {
+  try {
+    const response = await apiClient.post("/email/send", message);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "sendEmail");
+  }
+}
+
+/**
+ * Replies to a stored email, quoting it
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @param {Object} reply - { text, replyAll, cc, bcc, attachments }
+ * @returns {Promise<Object>} { messageId, accepted, rejected }
+ * @throws {Error} If the request fails
+ */
+export async function replyToEmail(emailId, reply) {
+  try {
+    const response = await apiClient.post(`/email/${emailId}/reply`, reply);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "replyToEmail");
+  }
+}
+
+/**
+ * Forwards a stored email with its attachments
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @param {Object} forward - { to, cc, bcc, text, includeAttachments, attachments }
+ * @returns {Promise<Object>} { messageId, accepted, rejected }
+ * @throws {Error} If the request fails
+ */
+export async function forwardEmail(emailId, forward) {
+  try {
+    const response = await apiClient.post(`/email/${emailId}/forward`, forward);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "forwardEmail");
+  }
+}
+
+/**
+ * Lists the user's drafts, most recently edited first
+ * 
+ * @param {boolean} refresh - Sync with the Drafts mailboxes first
+ * @returns {Promise<Array>} Drafts
+ * @throws {Error} If the request fails
+ */
+export async function getDrafts(refresh = false) {
+  try {
+    const response = await apiClient.get("/email/drafts", {
+      params: { refresh },
+    });
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getDrafts");
+  }
+}
+
+/**
+ * Saves a new draft
+ * 
+ * @param {Object} draft - { kind, emailId, to, cc, bcc, subject, text }
+ * @returns {Promise<Object>} The draft; syncError is set if it couldn't be
+ *   stored in the mailbox
+ * @throws {Error} If the request fails
+ */
+export async function createDraft(draft) {
+  try {
+    const response = await apiClient.post("/email/drafts", draft);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "createDraft");
+  }
+}
+
+/**
+ * Saves changes to a draft
+ * 
+ * @param {number} draftId - The draft's ID
+ * @param {Object} changes - Any of { to, cc, bcc, subject, text }
+ * @returns {Promise<Object>} The draft
+ * @throws {Error} If the request fails
+ */
+export async function updateDraft(draftId, changes) {
+  try {
+    const response = await apiClient.put(`/email/drafts/${draftId}`, changes);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "updateDraft");
+  }
+}
+
+/**
+ * Discards a draft
+ * 
+ * @param {number} draftId - The draft's ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails
+ */
+export async function deleteDraft(draftId) {
+  try {
+    await apiClient.delete(`/email/drafts/${draftId}`);
+  } catch (error) {
+    handleApiError(error, "deleteDraft");
+  }
+}
+
+/**
+ * Reads a picked file as an attachment for sending
+ * 
+ * @param {File} file - File from an <input type="file">
+ * @returns {Promise<Object>} { filename, contentType, content } with base64 content
+ */
+export function readAttachmentFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      resolve({
+        filename: file.name,
+        contentType: file.type || "application/octet-stream",
+        content: String(reader.result).split(",")[1] || "",
+      });
+    };
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Splits a comma separated list of addresses
+ * 
+ * @param {string} value - e.g. "a@example.com, b@example.com"
+ * @returns {Array<string>} Trimmed addresses
+ */
+export function parseAddressList(value) {
+  return (value || "")
+    .split(/[,;]/)
+    .map((address) => address.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds the download URL of an attachment
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @param {number} attachmentId - The attachment's ID
+ * @returns {string} Download URL
+ */
+export function getAttachmentUrl(emailId, attachmentId) {
+  return `${API_BASE_URL}/email/${emailId}/attachments/${attachmentId}`;
+}
+
+/**
+ * Builds the download URL of the original message source (.eml)
+ * 
+ * @param {number} emailId - The stored email's ID
+ * @returns {string} Download URL
+ */
+export function getRawEmailUrl(emailId) {
+  return `${API_BASE_URL}/email/${emailId}/raw`;
+}
+
+/**
+ * Builds the download URL of a mailbox export
+ * 
+ * @param {string} format - "mbox" or "zip"
+ * @param {Object} filters - Optional { folderId, search }, as for the list
+ * @returns {string} Download URL
+ */
+export function getExportUrl(format, filters = {}) {
+  const params = new URLSearchParams({ format });
+  if (filters.folderId) params.set("folderId", filters.folderId);
+  if (filters.search) params.set("search", filters.search);
+  return `${API_BASE_URL}/email/export?${params}`;
+}
+
+/**
+ * Uploads an mbox or .eml file to be imported into the stored mailbox. The
+ * file is sent as the raw request body, so large archives aren't encoded
+ * 
+ * @param {File} file - The mbox or .eml file
+ * @returns {Promise<Object>} The import, with status "pending"
+ * @throws {Error} If the request fails
+ */
+export async function importMailFile(file) {
+  try {
+    const response = await apiClient.post("/email/import", file, {
+      params: { filename: file.name },
+      headers: { "Content-Type": file.type || "application/octet-stream" },
+    });
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "importMailFile");
+  }
+}
+
+/**
+ * Gets the progress of an import
+ * 
+ * @param {number} importId - The import's ID
+ * @returns {Promise<Object>} Import with status, counters and processed bytes
+ * @throws {Error} If the request fails
+ */
+export async function getImport(importId) {
+  try {
+    const response = await apiClient.get(`/email/imports/${importId}`);
+    return response.data.data;
+  } catch (error) {
+    handleApiError(error, "getImport");
+  }
+}
+
+/**
+ * Points the images of an email's HTML at the backend: inline images
+ * (`src="cid:..."`) at their attachment download URLs, and image proxy paths
+ * at the API
+ * 
+ * @param {string} html - Sanitized HTML body
+ * @param {number} emailId - The stored email's ID
+ * @param {Array} attachments - The email's attachments, with contentId
+ * @returns {string} HTML with image sources resolved
+ */
+export function resolveImageSources(html, emailId, attachments = []) {
+  const proxied = html.replace(/src="\/email\/image-proxy\?/g, `src="${API_BASE_URL}/email/image-proxy?`);
+
+  return proxied.replace(/src="cid:([^"]+)"/gi, (match, contentId) => {
+    const attachment = attachments.find(
+      (a) => a.contentId && a.contentId.replace(/^<|>$/g, "") === contentId
+    );
+    return attachment
+      ? `src="${getAttachmentUrl(emailId, attachment.id)}"`
+      : match;
+  });
+}
+
+/**
+ * Gets the name to show for an email's sender
+ * @param {Object} email - Email object with from, fromName and fromAddress
+ * @returns {string} Display name, address, or the raw From header
+ */
+export function getSenderName(email) {
+  return email.fromName || email.fromAddress || email.from || "(Unknown sender)";
+}
+
+/**
+ * Formats a list of recipients for display
+ * @param {Array} recipients - Recipient objects with kind, name and address
+ * @param {string} kind - "to", "cc", "bcc" or "replyTo"
+ * @returns {string} Comma-separated names and addresses
+ */
+export function formatRecipients(recipients = [], kind) {
+  return recipients
+    .filter((r) => r.kind === kind)
+    .map((r) => (r.name ? `${r.name} <${r.address}>` : r.address))
+    .join(", ");
+}
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size (e.g., "12 KB", "3.4 MB")
+ */
+export function formatFileSize(bytes) {
+  if (!bytes) return "0 B";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Subscribes to real-time mailbox events (new, deleted and flag-changed
+ * messages) pushed by the backend over Server-Sent Events
+ * 
+ * @param {Object} handlers - Callbacks keyed by event type
+ * @param {Function} handlers.new - Called with `{ emails }` when mail arrives
+ * @param {Function} handlers.deleted - Called with `{ ids }` when mail is removed
+ * @param {Function} handlers.flags - Called with `{ id, flags }` when flags change, where flags is `{ seen, flagged, answered, draft }`
+ * @returns {Function} Closes the event stream
+ */
+export function subscribeToMailEvents(handlers) {
+  // The session cookie identifies the user
+  const source = new EventSource(`${API_BASE_URL}/email/events`, {
+    withCredentials: true,
+  });
+
+  Object.entries(handlers).forEach(([type, handler]) => {
+    source.addEventListener(type, (event) => {
+      try {
+        handler(JSON.parse(event.data));
+      } catch (error) {
+        console.error(`[Mail Events - ${type}]:`, error);
+      }
+    });
+  });
+
+  return () => source.close();
 }
 
 /**
@@ -115,18 +674,36 @@ export function formatFullDate(dateString) {
 }
 
 /**
- * Gets initials from an email address for avatar display
- * @param {string} email - The email address
- * @returns {string} Two-letter initials
+ * Gets initials for a sender's avatar: the first letters of the first and
+ * last word of the display name, or of the address when there is no name
+ * @param {string} name - Display name (e.g., "Jane Doe")
+ * @param {string} address - Email address (e.g., "jane.doe@example.com")
+ * @returns {string} Initials (e.g., "JD")
  */
-export function getEmailInitials(email) {
-  if (!email) return "?";
-  
-  const parts = email.split("@")[0].split(".");
+export function getEmailInitials(name, address) {
+  // "Doe, Jane" is "Jane Doe"
+  const displayName = (name || "").includes(",")
+    ? name.split(",").reverse().join(" ")
+    : name || "";
+  const words = displayName
+    .replace(/["'()<>]/g, "")
+    .split(/[\s,]+/)
+    .filter((word) => /^\p{L}/u.test(word));
+
+  if (words.length >= 2) {
+    return (words[0][0] + words[words.length - 1][0]).toUpperCase();
+  }
+  if (words.length === 1) {
+    return words[0].substring(0, 2).toUpperCase();
+  }
+
+  if (!address) return "?";
+
+  const parts = address.split("@")[0].split(/[._-]/).filter(Boolean);
   if (parts.length >= 2) {
     return (parts[0][0] + parts[1][0]).toUpperCase();
   }
-  return email.substring(0, 2).toUpperCase();
+  return address.substring(0, 2).toUpperCase();
 }
 
 /**